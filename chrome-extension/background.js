@@ -1,24 +1,160 @@
-let isEnabled = true;
-let tabDomains = new Map();
-
-chrome.runtime.onInstalled.addListener(() => {
-  chrome.storage.local.set({ 
-    enabled: true,
-    timeoutSeconds: 5,
-    enableTimeout: true
+importScripts(
+  'data/public-suffix-list.js',
+  'data/tracker-domains.js',
+  'data/entities.js',
+  'lib/public-suffix.js',
+  'lib/filter-engine.js',
+  'lib/tracker-categories.js',
+  'lib/entities.js',
+  'lib/tab-log.js',
+  'lib/worker-state.js',
+  'lib/blocking.js',
+  'lib/site-rules.js',
+  'lib/settings.js',
+  'lib/badge.js',
+  'lib/privacy-grade.js',
+  'lib/tab-documents.js',
+  'lib/cookies.js',
+  'lib/leaks.js',
+  'lib/fingerprinting.js',
+  'lib/detection-batch.js',
+  'lib/history.js',
+  'lib/overlay-styles.js'
+);
+
+// Bundled filter lists in EasyList/EasyPrivacy syntax. Drop additional list
+// files into filters/ and register them here; lists without "! Category:"
+// directives can set a default `category` (e.g. 'advertising' for EasyList).
+const FILTER_LISTS = [
+  { id: 'default', path: 'filters/default.txt' }
+];
+
+// ping covers sendBeacon and <a ping>; most fetch keepalive beacons show up as other
+const MONITORED_REQUEST_TYPES = [
+  "script", "xmlhttprequest", "image", "stylesheet", "font", "media", "sub_frame",
+  "ping", "websocket", "csp_report", "object", "other"
+];
+
+// Custom tracker domains and filter rules from the options page
+const CUSTOM_FILTER_LIST_ID = 'custom';
+
+const filterEngine = new FilterEngine();
+
+// Settings the listeners depend on; anything not stored gets its default
+// from lib/settings.js
+const WORKER_SETTING_KEYS = ['enabled', SITE_RULES_STORAGE_KEY, BADGE_THRESHOLDS_STORAGE_KEY, PRIVACY_GRADE_STORAGE_KEY];
+
+function loadSettings() {
+  return readSettings(chrome.storage.local, WORKER_SETTING_KEYS);
+}
+
+// Settings and the frame cache, mirrored to session storage so a restarted
+// worker does not fall back to defaults (see lib/worker-state.js). Monitoring
+// stays off until the stored settings are read.
+const workerState = new WorkerState(chrome.storage.session, {
+  enabled: false,
+  siteRules: [],
+  badgeThresholds: DEFAULT_BADGE_THRESHOLDS,
+  privacyGrade: DEFAULT_PRIVACY_GRADE_CONFIG,
+  tabDocuments: {}
+});
+
+// Document loaded in every frame of every tab, so requests can be matched to
+// their page without a chrome.tabs.get() round trip (see lib/tab-documents.js)
+const tabDocuments = new TabDocumentCache();
+
+const stateReady = workerState.hydrate(loadSettings)
+  .then(snapshot => {
+    tabDocuments.restore(snapshot.tabDocuments);
+    return seedOpenTabs();
+  })
+  .catch((error) => {
+    console.error('Failed to restore worker state:', error);
   });
+
+// Every detection per tab, mirrored to session storage so it survives
+// service worker restarts (see lib/tab-log.js)
+const tabLog = new TabDetectionLog(chrome.storage.session);
+const tabLogReady = tabLog.restore().catch((error) => {
+  console.error('Failed to restore tab logs:', error);
 });
 
-chrome.storage.local.get(['enabled'], (result) => {
-  isEnabled = result.enabled !== false;
+// Detections are sent to the content script in per-tab batches so busy
+// pages cost one message per batch instead of one per request
+const detectionBatcher = new DetectionBatcher((tabId, domains) => {
+  chrome.tabs.sendMessage(tabId, {
+    type: 'THIRD_PARTY_DOMAINS',
+    domains: domains,
+    grade: getPrivacyGrade(tabId)
+  }).catch(() => {});
 });
 
-chrome.storage.onChanged.addListener((changes) => {
+// Every detection across sites, kept in IndexedDB for the dashboard
+// (see lib/history.js)
+const trackingHistory = new TrackingHistory(indexedDB);
+const historyReady = readSettings(chrome.storage.local, [HISTORY_RETENTION_STORAGE_KEY])
+  .then(settings => {
+    trackingHistory.retentionDays = settings[HISTORY_RETENTION_STORAGE_KEY];
+    return trackingHistory.prune();
+  })
+  .catch((error) => {
+    console.error('Failed to prune tracking history:', error);
+  });
+
+// Reported tracking requests still in flight, by requestId, so their
+// responses can be checked for cookies
+const trackedRequests = new Map();
+
+// Domains blocked from a tag, read back from the dynamic DNR rules
+let blockedDomains = [];
+let blocksReady = refreshBlockedDomains();
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local') return;
   if (changes.enabled) {
-    isEnabled = changes.enabled.newValue;
+    workerState.set('enabled', normalizeSetting('enabled', changes.enabled.newValue));
+    updateAllBadges();
+  }
+  if (changes[SITE_RULES_STORAGE_KEY]) {
+    workerState.set('siteRules', normalizeSetting(SITE_RULES_STORAGE_KEY, changes[SITE_RULES_STORAGE_KEY].newValue));
+  }
+  if (changes[BADGE_THRESHOLDS_STORAGE_KEY]) {
+    workerState.set('badgeThresholds', normalizeSetting(BADGE_THRESHOLDS_STORAGE_KEY, changes[BADGE_THRESHOLDS_STORAGE_KEY].newValue));
+    updateAllBadges();
+  }
+  if (changes[PRIVACY_GRADE_STORAGE_KEY]) {
+    workerState.set('privacyGrade', normalizeSetting(PRIVACY_GRADE_STORAGE_KEY, changes[PRIVACY_GRADE_STORAGE_KEY].newValue));
+  }
+  if (changes.customTrackers || changes.customFilterRules) {
+    filtersReady = filtersReady.then(loadCustomRules);
+  }
+  if (changes[HISTORY_RETENTION_STORAGE_KEY]) {
+    trackingHistory.retentionDays = normalizeSetting(HISTORY_RETENTION_STORAGE_KEY, changes[HISTORY_RETENTION_STORAGE_KEY].newValue);
+    trackingHistory.prune().catch(error => console.error('Failed to prune tracking history:', error));
   }
 });
 
+// Distinct tracking base domains of the tab's current page, on the toolbar icon.
+// Independent of on-page tags, so it keeps counting when tags are hidden.
+function updateBadge(tabId) {
+  const count = workerState.get('enabled') ? countTrackerDomains(tabLog.get(tabId)) : 0;
+  chrome.action.setBadgeText({ tabId, text: formatBadgeText(count) }).catch(() => {});
+  if (count > 0) {
+    chrome.action.setBadgeBackgroundColor({ tabId, color: getBadgeColor(count, workerState.get('badgeThresholds')) }).catch(() => {});
+  }
+}
+
+// Grade of the tab's current page (see lib/privacy-grade.js)
+function getPrivacyGrade(tabId) {
+  return computePrivacyGrade(tabLog.get(tabId), workerState.get('privacyGrade'));
+}
+
+function updateAllBadges() {
+  tabLogReady.then(() => {
+    tabLog.logs.forEach((entries, tabId) => updateBadge(tabId));
+  });
+}
+
 function extractDomain(url) {
   try {
     const urlObj = new URL(url);
@@ -28,105 +164,468 @@ function extractDomain(url) {
   }
 }
 
-function getBaseDomain(domain) {
-  if (!domain) return null;
-  const parts = domain.split('.');
-  if (parts.length < 2) return domain;
-  
-  // Check if second-to-last part suggests multi-part TLD (≤ 3 characters)
-  // This handles country code TLDs like .co.in, .com.au, .co.uk, .org.au
-  if (parts.length >= 3 && parts[parts.length - 2].length <= 3) {
-    return parts.slice(-3).join('.');
+async function loadFilterLists() {
+  await Promise.all(FILTER_LISTS.map(async (list) => {
+    try {
+      const response = await fetch(chrome.runtime.getURL(list.path));
+      filterEngine.addList(list.id, await response.text(), { category: list.category });
+    } catch (error) {
+      console.error(`Failed to load filter list ${list.id}:`, error);
+    }
+  }));
+}
+
+// Sent to the content script for the overlay (see lib/overlay-styles.js)
+const overlayStyles = new OverlayStylesCache(() => fetch(chrome.runtime.getURL(OVERLAY_STYLESHEET)));
+
+// Replaces the custom list, so it also runs whenever the options change
+async function loadCustomRules() {
+  try {
+    const settings = await readSettings(chrome.storage.local, ['customTrackers', 'customFilterRules']);
+    filterEngine.removeList(CUSTOM_FILTER_LIST_ID);
+    filterEngine.addList(CUSTOM_FILTER_LIST_ID, buildCustomFilterList(settings.customTrackers, settings.customFilterRules));
+  } catch (error) {
+    console.error('Failed to load custom rules:', error);
+  }
+}
+
+let filtersReady = Promise.all([loadFilterLists(), loadCustomRules()]);
+
+// Request and navigation events that arrive before the worker state, filter
+// lists, block rules and tab logs are loaded wait here, and are handled in
+// arrival order once everything is ready. Nothing is classified against
+// defaults, or dropped, while a restarted worker starts up.
+let workerStarted = false;
+const pendingEvents = [];
+
+const workerReady = Promise.all([stateReady, filtersReady, blocksReady, tabLogReady]).then(() => {
+  workerStarted = true;
+  pendingEvents.splice(0).forEach(handle => handle());
+});
+
+function whenWorkerReady(handle) {
+  if (workerStarted) {
+    handle();
+  } else {
+    pendingEvents.push(handle);
   }
+}
+
+function persistTabDocuments() {
+  workerState.set('tabDocuments', tabDocuments.serialize());
+}
+
+// Caches the frames of a tab whose navigations were committed before the
+// service worker started
+function seedTabDocuments(tab) {
+  tabDocuments.seed(tab.id, tab.url);
+  return new Promise(resolve => {
+    chrome.webNavigation.getAllFrames({ tabId: tab.id }, (frames) => {
+      if (!chrome.runtime.lastError) {
+        tabDocuments.seedFrames(tab.id, frames);
+      }
+      resolve();
+    });
+  });
+}
+
+async function seedOpenTabs() {
+  const tabs = await chrome.tabs.query({});
+  tabDocuments.retainTabs(tabs.map(tab => tab.id));
+  await Promise.all(tabs.map(tab => seedTabDocuments(tab)));
+  persistTabDocuments();
+}
+
+function findTrackingRule(details, requestDomain, documentDomain) {
+  return filterEngine.match({
+    url: details.url,
+    hostname: requestDomain,
+    pageHostname: documentDomain,
+    type: details.type,
+    thirdParty: isThirdPartyDomain(requestDomain, documentDomain, details)
+  });
+}
+
+// Filter rules see the frame that made the request, as in other adblockers;
+// requests an embedded frame makes to its own domain are still checked
+// against the top page
+function findFrameTrackingRule(details, requestDomain, documents) {
+  const { pageHostname, frameHostname } = documents;
+  const rule = findTrackingRule(details, requestDomain, frameHostname || pageHostname);
+  if (rule || !frameHostname || frameHostname === pageHostname) return rule;
+  return findTrackingRule(details, requestDomain, pageHostname);
+}
+
+// `request` has the url and type of the request (see isSameEntityFirstParty)
+function isThirdPartyDomain(requestDomain, tabDomain, request) {
+  if (!requestDomain || !tabDomain) return false;
   
-  // Default to 2-part domain for standard TLDs
-  return parts.slice(-2).join('.');
+  const requestBase = getBaseDomain(requestDomain);
+  const tabBase = getBaseDomain(tabDomain);
+  if (requestBase === tabBase) return false;
+  
+  // Sites of the same company (facebook.com → fbcdn.net) count as first-party,
+  // except for its advertising and analytics domains
+  return !isSameEntityFirstParty({
+    url: request.url,
+    hostname: requestDomain,
+    pageHostname: tabDomain,
+    type: request.type
+  }, filterEngine);
 }
 
-function isTrackingDomain(url, domain) {
-  const trackingPatterns = [
-    // Common tracking/analytics keywords in URL
-    /tracking/i, /analytics/i, /ads/i, /pixel/i, /beacon/i, /metrics/i, 
-    /telemetry/i, /collect/i, /events/i, /conversion/i, /tag/i, /gtm/i,
+async function refreshBlockedDomains() {
+  try {
+    const rules = await chrome.declarativeNetRequest.getDynamicRules();
+    blockedDomains = rules.map(describeBlockRule).filter(Boolean);
+  } catch (error) {
+    console.error('Failed to read blocking rules:', error);
+  }
+  return blockedDomains;
+}
+
+// Blocks and unblocks run one at a time (see createRuleUpdateQueue)
+const queueRuleUpdate = createRuleUpdateQueue();
+
+function blockDomain(domain, site) {
+  return queueRuleUpdate(async () => {
+    await blocksReady;
+    const existing = blockedDomains.find(block => block.domain === domain && block.site === site);
+    if (existing) return existing;
     
-    // Common advertising/analytics file patterns
-    /\/ga\.js/i, /\/gtag/i, /\/gtm\.js/i, /\/analytics/i, /\/track/i,
-    /\/pixel/i, /\/beacon/i, /\/conversion/i, /\/ads/i, /\/adnxs/i
-  ];
+    const rule = await addBlockRule(chrome.declarativeNetRequest, domain, site);
+    
+    blocksReady = refreshBlockedDomains();
+    await blocksReady;
+    return describeBlockRule(rule);
+  });
+}
+
+function unblockDomain(ruleId) {
+  return queueRuleUpdate(async () => {
+    await chrome.declarativeNetRequest.updateDynamicRules({ removeRuleIds: [ruleId] });
+    blocksReady = refreshBlockedDomains();
+    return blocksReady;
+  });
+}
+
+function findBlockForRequest(requestDomain, tabDomain) {
+  return findBlock(blockedDomains, requestDomain, getBaseDomain(tabDomain));
+}
+
+function reportDetection(details, requestDomain, documents, rule, blocked) {
+  const baseDomain = getBaseDomain(requestDomain);
+  const detection = {
+    url: details.url,
+    domain: baseDomain,
+    fullDomain: requestDomain,
+    entity: getEntityName(baseDomain),
+    resourceType: details.type,
+    method: details.method,
+    frameId: details.frameId,
+    parentFrameId: details.parentFrameId,
+    frameDomain: documents.frameHostname,
+    inIframe: documents.inSubframe,
+    category: categorizeTracker(baseDomain, rule),
+    rule: rule ? rule.text : null,
+    ruleList: rule ? rule.listId : null,
+    blocked: blocked,
+    timestamp: Date.now()
+  };
   
-  const knownTrackingDomains = [
-    'google-analytics.com', 'googletagmanager.com', 'googleapis.com',
-    'facebook.com', 'connect.facebook.net', 'doubleclick.net',
-    'googlesyndication.com', 'amazon-adsystem.com', 'adsystem.amazon.com',
-    'twitter.com', 'analytics.twitter.com', 'linkedin.com', 'ads.linkedin.com',
-    'microsoft.com', 'bing.com', 'adobe.com', 'omtrdc.net',
-    'hotjar.com', 'fullstory.com', 'mixpanel.com', 'segment.com',
-    'amplitude.com', 'intercom.io', 'zendesk.com', 'drift.com',
-    'hubspot.com', 'salesforce.com', 'pardot.com', 'marketo.com',
-    'mailchimp.com', 'constantcontact.com', 'criteo.com', 'outbrain.com',
-    'taboola.com', 'quantserve.com', 'scorecardresearch.com',
-    'comscore.com', 'nielsen.com', 'chartbeat.com', 'newrelic.com'
-  ];
+  // Blocked requests never reach the vendor, so only sent ones can leak
+  if (!blocked) {
+    const leaks = findLeaks(details.url, details.requestBody, documents.pageUrl);
+    if (leaks.length > 0) detection.leaks = leaks;
+  }
   
-  const baseDomain = getBaseDomain(domain);
+  tabLog.add(details.tabId, detection);
+  updateBadge(details.tabId);
+  detectionBatcher.add(details.tabId, detection);
+  trackingHistory.add({
+    site: getBaseDomain(documents.pageHostname || ''),
+    tracker: baseDomain,
+    category: detection.category,
+    timestamp: detection.timestamp
+  });
   
-  if (knownTrackingDomains.includes(baseDomain)) {
-    return true;
+  if (!blocked) {
+    trackedRequests.set(details.requestId, { tabId: details.tabId, detection });
   }
+}
+
+// Findings of fingerprint-probe.js, relayed by content.js, are logged like
+// requests to the calling script (see lib/fingerprinting.js)
+function reportFingerprinting(tabId, sender, reported) {
+  const finding = normalizeFingerprintFinding(reported);
+  if (!finding || tabId === undefined || !workerState.get('enabled')) return;
   
-  return trackingPatterns.some(pattern => pattern.test(url));
+  const documents = tabDocuments.resolveRequest({
+    tabId,
+    frameId: sender.frameId,
+    documentId: sender.documentId,
+    documentUrl: sender.url
+  });
+  const tabDomain = documents.pageHostname;
+  const script = { url: finding.scriptUrl, type: 'script' };
+  if (!tabDomain || !isThirdPartyRequest(finding.hostname, documents, script)) return;
+  if (getSiteSettings(workerState.get('siteRules'), tabDomain).noMonitor) return;
+  
+  const logged = tabLog.get(tabId).some(entry => entry.fingerprinting === finding.api && entry.url === finding.scriptUrl);
+  if (logged) return;
+  
+  const detection = createFingerprintDetection(finding, documents, sender.frameId);
+  tabLog.add(tabId, detection);
+  updateBadge(tabId);
+  trackingHistory.add({
+    site: getBaseDomain(tabDomain),
+    tracker: detection.domain,
+    category: detection.category,
+    timestamp: detection.timestamp
+  });
 }
 
-function isThirdPartyDomain(requestDomain, tabDomain) {
-  if (!requestDomain || !tabDomain) return false;
+function recordCookies(tabId, detection, cookies) {
+  detection.cookies = mergeCookies(detection.cookies || [], cookies);
   
-  return getBaseDomain(requestDomain) !== getBaseDomain(tabDomain);
+  // Skip responses that arrive after the tab moved on to another page
+  if (tabLog.update(tabId, detection)) {
+    detectionBatcher.addCookies(tabId, detection);
+  }
+}
+
+// Third-party to the top page or to the frame that made the request
+function isThirdPartyRequest(requestDomain, documents, request) {
+  return isThirdPartyDomain(requestDomain, documents.pageHostname, request) ||
+    isThirdPartyDomain(requestDomain, documents.frameHostname, request);
+}
+
+// Block rules match the request initiator, i.e. the frame's own site
+function findBlockForFrame(requestDomain, documents) {
+  return findBlockForRequest(requestDomain, documents.frameHostname || documents.pageHostname);
+}
+
+function classifyRequest(details) {
+  if (!workerState.get('enabled')) return;
+  
+  const siteRules = workerState.get('siteRules');
+  const requestDomain = extractDomain(details.url);
+  const documents = tabDocuments.resolveRequest(details);
+  const tabDomain = documents.pageHostname;
+  if (!requestDomain || !tabDomain || !isThirdPartyRequest(requestDomain, documents, details)) return;
+  if (getSiteSettings(siteRules, tabDomain).noMonitor) return;
+  
+  // Blocked requests are reported from onErrorOccurred
+  if (findBlockForFrame(requestDomain, documents)) return;
+  
+  const rule = findFrameTrackingRule(details, requestDomain, documents);
+  if (rule) {
+    console.log("new domain identified");
+    reportDetection(details, requestDomain, documents, rule, false);
+  }
+}
+
+function classifyBlockedRequest(details) {
+  if (!workerState.get('enabled')) return;
+  
+  const requestDomain = extractDomain(details.url);
+  const documents = tabDocuments.resolveRequest(details);
+  const tabDomain = documents.pageHostname;
+  if (!requestDomain || !tabDomain || getSiteSettings(workerState.get('siteRules'), tabDomain).noMonitor) return;
+  
+  // Requests blocked by other extensions fail with the same error
+  if (!findBlockForFrame(requestDomain, documents)) return;
+  
+  reportDetection(details, requestDomain, documents, findFrameTrackingRule(details, requestDomain, documents), true);
 }
 
 chrome.webRequest.onBeforeRequest.addListener(
   (details) => {
-    if (!isEnabled || details.tabId === -1) return;
-    
-    const requestDomain = extractDomain(details.url);
-    if (!requestDomain) return;
-    
-    chrome.tabs.get(details.tabId, (tab) => {
-      if (chrome.runtime.lastError || !tab.url) return;
-      
-      const tabDomain = extractDomain(tab.url);
-      if (!tabDomain) return;
+    if (details.tabId === -1) return;
+    whenWorkerReady(() => classifyRequest(details));
+  },
+  {
+    urls: ["<all_urls>"],
+    types: MONITORED_REQUEST_TYPES
+  },
+  // POST beacons carry their payload in the body
+  ['requestBody']
+);
+
+// Set-Cookie is only visible to listeners registered with extraHeaders
+chrome.webRequest.onHeadersReceived.addListener(
+  (details) => {
+    whenWorkerReady(() => {
+      const tracked = trackedRequests.get(details.requestId);
+      if (!tracked) return;
       
-      if (isThirdPartyDomain(requestDomain, tabDomain) && isTrackingDomain(details.url, requestDomain)) {
-        const baseDomain = getBaseDomain(requestDomain);
-        console.log("new domain identified");
-        chrome.tabs.sendMessage(details.tabId, {
-          type: 'THIRD_PARTY_DOMAIN',
-          domain: baseDomain,
-          fullDomain: requestDomain,
-          resourceType: details.type,
-          timestamp: Date.now()
-        }).catch(() => {});
+      const cookies = parseSetCookieHeaders(details.responseHeaders);
+      if (cookies.length > 0) {
+        recordCookies(tracked.tabId, tracked.detection, cookies);
       }
     });
   },
   {
     urls: ["<all_urls>"],
-    types: ["script", "xmlhttprequest", "image", "stylesheet", "font", "media", "sub_frame"]
+    types: MONITORED_REQUEST_TYPES
+  },
+  ['responseHeaders', 'extraHeaders']
+);
+
+chrome.webRequest.onCompleted.addListener(
+  (details) => {
+    whenWorkerReady(() => trackedRequests.delete(details.requestId));
+  },
+  {
+    urls: ["<all_urls>"],
+    types: MONITORED_REQUEST_TYPES
   }
 );
 
-chrome.webNavigation.onCompleted.addListener((details) => {
-  if (details.frameId === 0) {
-    tabDomains.set(details.tabId, extractDomain(details.url));
+// Requests cancelled by one of our block rules fail with ERR_BLOCKED_BY_CLIENT
+chrome.webRequest.onErrorOccurred.addListener(
+  (details) => {
+    whenWorkerReady(() => {
+      trackedRequests.delete(details.requestId);
+      if (details.tabId === -1 || details.error !== 'net::ERR_BLOCKED_BY_CLIENT') return;
+      classifyBlockedRequest(details);
+    });
+  },
+  {
+    urls: ["<all_urls>"],
+    types: MONITORED_REQUEST_TYPES
   }
+);
+
+// Every committed document updates the frame cache; a new top-level
+// document also starts a fresh log and badge count for the tab
+chrome.webNavigation.onCommitted.addListener((details) => {
+  whenWorkerReady(() => {
+    tabDocuments.commit(details);
+    persistTabDocuments();
+    
+    if (details.frameId === 0) {
+      detectionBatcher.discard(details.tabId);
+      tabLog.clear(details.tabId).catch(error => console.error('Failed to clear tab log:', error));
+      updateBadge(details.tabId);
+    }
+  });
 });
 
 chrome.tabs.onRemoved.addListener((tabId) => {
-  tabDomains.delete(tabId);
+  whenWorkerReady(() => {
+    tabDocuments.removeTab(tabId);
+    persistTabDocuments();
+    detectionBatcher.discard(tabId);
+    tabLog.clear(tabId).catch(error => console.error('Failed to clear tab log:', error));
+  });
+});
+
+// Prerendered and restored pages swap in a new tab id
+chrome.tabs.onReplaced.addListener((addedTabId, removedTabId) => {
+  whenWorkerReady(() => {
+    tabDocuments.removeTab(removedTabId);
+    detectionBatcher.discard(removedTabId);
+    tabLog.clear(removedTabId).catch(error => console.error('Failed to clear tab log:', error));
+    chrome.tabs.get(addedTabId, (tab) => {
+      if (!chrome.runtime.lastError && tab) {
+        seedTabDocuments(tab).then(persistTabDocuments);
+      }
+    });
+  });
 });
 
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.type === 'GET_ENABLED_STATE') {
-    sendResponse({ enabled: isEnabled });
+    stateReady.then(() => sendResponse({ enabled: workerState.get('enabled') }));
+    return true;
+  } else if (message.type === 'GET_TAB_LOG') {
+    // Content scripts query their own tab; the popup passes tabId explicitly
+    const tabId = message.tabId ?? sender.tab?.id;
+    tabLogReady.then(() => {
+      sendResponse({ tabId, entries: tabLog.get(tabId) });
+    });
+    return true;
+  } else if (message.type === 'GET_DETECTION_BACKLOG') {
+    // Detections made before the content script started listening. Sending
+    // the pending batch first means every batch the content script receives
+    // lies entirely before or after `seq`
+    // Waits for requests queued during startup so they are part of it
+    const tabId = sender.tab?.id;
+    workerReady.then(() => {
+      detectionBatcher.flush(tabId);
+      const entries = tabLog.get(tabId);
+      sendResponse({
+        domains: summarizeDetections(entries),
+        grade: getPrivacyGrade(tabId),
+        // Entries updated with cookies get a newer seq than later entries
+        seq: entries.reduce((latest, entry) => Math.max(latest, entry.seq || 0), 0)
+      });
+    });
+    return true;
+  } else if (message.type === 'FINGERPRINT_DETECTED') {
+    // The content script tags the script itself and only needs the new grade
+    const tabId = sender.tab?.id;
+    workerReady.then(() => {
+      reportFingerprinting(tabId, sender, message.finding);
+      sendResponse({ grade: getPrivacyGrade(tabId) });
+    });
+    return true;
+  } else if (message.type === 'GET_OVERLAY_STYLES') {
+    overlayStyles.get()
+      .then(css => sendResponse({ css }))
+      .catch((error) => {
+        console.error('Failed to load overlay styles:', error);
+        sendResponse(null);
+      });
+    return true;
+  } else if (message.type === 'GET_PRIVACY_GRADE') {
+    // Asked by the popup for the active tab
+    Promise.all([stateReady, tabLogReady]).then(() => {
+      sendResponse({ tabId: message.tabId, grade: getPrivacyGrade(message.tabId) });
+    });
+    return true;
+  } else if (message.type === 'CLEAR_TAB_LOG') {
+    const tabId = message.tabId ?? sender.tab?.id;
+    tabLogReady
+      .then(() => tabLog.clear(tabId))
+      .then(() => {
+        updateBadge(tabId);
+        sendResponse({ tabId, cleared: true });
+      });
+    return true;
+  } else if (message.type === 'BLOCK_DOMAIN') {
+    // Site-scoped blocks apply to the registrable domain of the sending tab
+    const site = message.scope === BLOCK_SCOPES.SITE
+      ? getBaseDomain(extractDomain(sender.tab?.url || ''))
+      : null;
+    if (message.scope === BLOCK_SCOPES.SITE && !site) {
+      sendResponse({ error: 'No site to scope the block to' });
+      return;
+    }
+    blockDomain(message.domain, site)
+      .then(block => sendResponse({ block }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  } else if (message.type === 'UNBLOCK_DOMAIN') {
+    unblockDomain(message.ruleId)
+      .then(blocks => sendResponse({ blocks }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  } else if (message.type === 'FLUSH_HISTORY') {
+    // The dashboard reads IndexedDB itself once queued detections are written
+    historyReady
+      .then(() => trackingHistory.flush())
+      .then(() => sendResponse({ flushed: true }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  } else if (message.type === 'CLEAR_HISTORY') {
+    trackingHistory.clear()
+      .then(() => sendResponse({ cleared: true }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  } else if (message.type === 'GET_BLOCKED_DOMAINS') {
+    blocksReady.then(blocks => sendResponse({ blocks }));
+    return true;
   }
 });
\ No newline at end of file
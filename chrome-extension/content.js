@@ -1,53 +1,139 @@
+// Settings that decide where and how tags are stacked (see lib/settings.js)
+const LAYOUT_SETTING_KEYS = ['position', 'stackDirection', 'maxVisibleTags', 'tagOrder'];
+
+// Page element holding the overlay's closed shadow root. It has no id or
+// class pages could look it up by, so it is only reachable from here.
+let overlayHost = null;
+
+// Waits (ms) before asking the service worker for styles.css again; after the
+// last one, every detection batch retries
+const OVERLAY_STYLE_RETRY_DELAYS = [1000, 5000, 15000];
+
+// Tag colour settings (see THEME_STORAGE_KEY and CUSTOM_PALETTE_STORAGE_KEY in lib/theme.js)
+const THEME_SETTING_KEYS = ['theme', 'customPalette'];
+
 class ThirdPartyDomainTracker {
   constructor() {
+    this.host = null;                         // Page element; the tags live in its closed shadow root
+    this.overlayStylesLoaded = false;
+    this.overlayStyleAttempts = 0;
+    this.overlayStyle = null;                 // <style> in the shadow root, filled from styles.css
     this.container = null;
     this.isEnabled = true;
+    this.showTags = true;                     // Global "show tags on pages" setting
+    this.siteHidden = false;                  // Tags hidden by a per-site rule
     this.debugMode = true;
     
     // Timeout configuration
     this.timeoutDuration = 5000; // Default 5 seconds
     this.enableTimeout = true;
     
+    // Corner of the viewport the tags stack in (see OVERLAY_POSITIONS in lib/settings.js)
+    this.position = 'bottom-right';
+    
+    // Tag ordering and overflow (see lib/tag-layout.js)
+    this.stackDirection = 'up';
+    this.maxVisibleTags = 8;
+    this.tagOrder = 'recent';
+    this.activitySeq = 0;                     // Stamped on a tag whenever it gets new requests
+    this.overflowExpanded = false;            // "+N more" chip clicked
+    this.overflowChip = null;
+    
+    // Tag colours per category, with contrast-checked text (see lib/theme.js)
+    this.theme = DEFAULT_THEME;
+    this.customPalette = null;
+    this.themeStyles = buildThemeStyles(this.theme, this.customPalette);
+    
     // Dynamic width configuration
     this.MIN_TAG_WIDTH = 280; // pixels
     this.MAX_TAG_WIDTH = 400; // pixels
     
     // Domain state management (Chrome runtime handles single-threading)
-    this.displayedDomains = new Map();        // Currently displayed domains
-    this.domainTimeouts = new Map();          // Timeout IDs for each domain
-    this.subdomainCounts = new Map();         // Subdomain tracking per base domain
+    this.displayedDomains = new Map();        // Currently displayed tags (entity or base domain)
+    this.domainTimeouts = new Map();          // Timeout IDs for each tag
+    
+    // Batched detections waiting for the next animation frame
+    this.pendingDetections = new Map();       // Base domain → summary (see lib/detection-batch.js)
+    this.pendingFrame = null;
+    
+    // Detections made before this script loaded are replayed once; live
+    // batches up to backlogSeq are part of that replay
+    this.backlogSeq = null;                   // null until the backlog arrived
+    this.earlyDetections = [];                // Live summaries received before the backlog
+    
+    // Fingerprinting API calls reported by fingerprint-probe.js, kept when tags close
+    this.fingerprinting = new Map();          // Base domain → [{ api, scriptUrl }]
+    
+    // Page privacy grade sent with every batch (see lib/privacy-grade.js)
+    this.privacyGrade = null;
+    this.showGradeTag = false;                // Optional summary tag above the domain tags
+    this.gradeTag = null;
     
     // Shared resources
     this.faviconCache = new Map();
-    this.colorClasses = ['color-orange', 'color-vista-bleu', 'color-amande', 'color-bleu-oxford'];
     
     this.init();
   }
 
   init() {
     this.createContainer();
+    this.loadOverlayStyles();
     this.setupMessageListener();
+    this.requestBacklog();
+    this.setupFingerprintListener();
     this.checkEnabledState();
     this.loadTimeoutSettings();
+    this.loadLayoutSettings();
+    this.loadThemeSettings();
+    this.loadSiteSettings();
+    this.loadShowTagsSetting();
+    this.loadGradeTagSetting();
   }
 
+  // The overlay is rendered in a closed shadow root: page styles cannot
+  // restyle the tags and page scripts cannot read them
   createContainer() {
+    this.host = document.createElement('div');
+    overlayHost = this.host;
+    const shadowRoot = this.host.attachShadow({ mode: 'closed' });
+    
+    // Hidden until the overlay styles arrive, so tags never show unstyled
+    this.overlayStyle = document.createElement('style');
+    this.overlayStyle.textContent = ':host { display: none !important; }';
+    shadowRoot.appendChild(this.overlayStyle);
+    
     this.container = document.createElement('div');
     this.container.id = 'tpd-monitor-container';
     this.container.className = 'tpd-container';
-    document.body.appendChild(this.container);
+    shadowRoot.appendChild(this.container);
+    document.body.appendChild(this.host);
+  }
+  
+  // A worker that is still starting up or failed to read styles.css would
+  // leave the overlay hidden, so failed requests are retried
+  loadOverlayStyles() {
+    if (this.overlayStylesLoaded) return;
+    
+    chrome.runtime.sendMessage({ type: 'GET_OVERLAY_STYLES' }, (response) => {
+      if (!chrome.runtime.lastError && response && response.css) {
+        this.overlayStyle.textContent = response.css;
+        this.overlayStylesLoaded = true;
+        return;
+      }
+      
+      const delay = OVERLAY_STYLE_RETRY_DELAYS[this.overlayStyleAttempts++];
+      if (delay !== undefined) {
+        setTimeout(() => this.loadOverlayStyles(), delay);
+      }
+    });
   }
 
   setupMessageListener() {
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-      if (message.type === 'THIRD_PARTY_DOMAIN' && this.isEnabled) {
-        // Direct synchronous consumer processing
-        this.processDomainEvent({
-          baseDomain: message.domain,
-          fullDomain: message.fullDomain,
-          resourceType: message.resourceType,
-          timestamp: Date.now()
-        });
+      if (message.type === 'THIRD_PARTY_DOMAINS' && this.isEnabled && this.showTags && !this.siteHidden) {
+        this.receiveDetections(message.domains);
+        this.updatePrivacyGrade(message.grade);
+        this.loadOverlayStyles();
       } else if (message.type === 'TIMEOUT_CHANGED') {
         this.updateTimeoutSettings(message.timeoutSeconds, message.enableTimeout);
       }
@@ -55,16 +141,65 @@ class ThirdPartyDomainTracker {
 
     chrome.storage.onChanged.addListener((changes) => {
       if (changes.enabled) {
-        this.isEnabled = changes.enabled.newValue;
+        this.isEnabled = normalizeSetting('enabled', changes.enabled.newValue);
         if (!this.isEnabled) {
           this.clearAllTags();
         }
+        this.renderGradeTag();
       }
       if (changes.timeoutSeconds || changes.enableTimeout) {
-        const timeoutSeconds = changes.timeoutSeconds?.newValue || (this.timeoutDuration / 1000);
-        const enableTimeout = changes.enableTimeout?.newValue !== false;
+        const timeoutSeconds = changes.timeoutSeconds ? changes.timeoutSeconds.newValue : this.timeoutDuration / 1000;
+        const enableTimeout = changes.enableTimeout ? changes.enableTimeout.newValue : this.enableTimeout;
         this.updateTimeoutSettings(timeoutSeconds, enableTimeout);
       }
+      const layoutChanges = {};
+      LAYOUT_SETTING_KEYS.forEach(key => {
+        if (changes[key]) layoutChanges[key] = normalizeSetting(key, changes[key].newValue);
+      });
+      if (Object.keys(layoutChanges).length > 0) {
+        this.applyLayoutSettings(layoutChanges);
+      }
+      const themeChanges = {};
+      THEME_SETTING_KEYS.forEach(key => {
+        if (changes[key]) themeChanges[key] = normalizeSetting(key, changes[key].newValue);
+      });
+      if (Object.keys(themeChanges).length > 0) {
+        this.applyThemeSettings(themeChanges);
+      }
+      if (changes[SITE_RULES_STORAGE_KEY]) {
+        this.applySiteSettings(changes[SITE_RULES_STORAGE_KEY].newValue);
+      }
+      if (changes.showTags) {
+        this.showTags = normalizeSetting('showTags', changes.showTags.newValue);
+        if (!this.showTags) {
+          this.clearAllTags();
+        }
+        this.renderGradeTag();
+      }
+      if (changes[SHOW_GRADE_TAG_STORAGE_KEY]) {
+        this.showGradeTag = normalizeSetting(SHOW_GRADE_TAG_STORAGE_KEY, changes[SHOW_GRADE_TAG_STORAGE_KEY].newValue);
+        this.renderGradeTag();
+      }
+    });
+  }
+
+  requestBacklog() {
+    chrome.runtime.sendMessage({ type: 'GET_DETECTION_BACKLOG' }, (response) => {
+      const backlogSeq = response ? response.seq : 0;
+      
+      if (this.debugMode) {
+        console.log(`[TPD] Replaying ${response ? response.domains.length : 0} domains detected before load`);
+      }
+      
+      const earlyDetections = this.earlyDetections;
+      this.earlyDetections = [];
+      this.backlogSeq = backlogSeq;
+      
+      if (response) {
+        this.queueDetections(response.domains);
+        this.updatePrivacyGrade(response.grade);
+      }
+      this.receiveDetections(earlyDetections);
     });
   }
 
@@ -77,9 +212,9 @@ class ThirdPartyDomainTracker {
   }
   
   loadTimeoutSettings() {
-    chrome.storage.local.get(['timeoutSeconds', 'enableTimeout'], (result) => {
-      this.timeoutDuration = (result.timeoutSeconds || 5) * 1000;
-      this.enableTimeout = result.enableTimeout !== false;
+    readSettings(chrome.storage.local, ['timeoutSeconds', 'enableTimeout']).then((settings) => {
+      this.timeoutDuration = settings.timeoutSeconds * 1000;
+      this.enableTimeout = settings.enableTimeout;
       
       if (this.debugMode) {
         console.log(`[TPD] Loaded timeout settings: ${this.timeoutDuration}ms, enabled: ${this.enableTimeout}`);
@@ -87,9 +222,85 @@ class ThirdPartyDomainTracker {
     });
   }
   
+  loadLayoutSettings() {
+    readSettings(chrome.storage.local, LAYOUT_SETTING_KEYS).then((settings) => {
+      this.applyLayoutSettings(settings);
+    });
+  }
+  
+  loadThemeSettings() {
+    readSettings(chrome.storage.local, THEME_SETTING_KEYS).then((settings) => {
+      this.applyThemeSettings(settings);
+    });
+  }
+  
+  loadSiteSettings() {
+    readSettings(chrome.storage.local, [SITE_RULES_STORAGE_KEY]).then((settings) => {
+      this.applySiteSettings(settings[SITE_RULES_STORAGE_KEY]);
+    });
+  }
+  
+  loadShowTagsSetting() {
+    readSettings(chrome.storage.local, ['showTags']).then((settings) => {
+      this.showTags = settings.showTags;
+    });
+  }
+  
+  loadGradeTagSetting() {
+    readSettings(chrome.storage.local, [SHOW_GRADE_TAG_STORAGE_KEY]).then((settings) => {
+      this.showGradeTag = settings[SHOW_GRADE_TAG_STORAGE_KEY];
+      this.renderGradeTag();
+    });
+  }
+  
+  // Takes normalized values for any of LAYOUT_SETTING_KEYS
+  applyLayoutSettings(settings) {
+    if (settings.position) this.position = settings.position;
+    if (settings.stackDirection) this.stackDirection = settings.stackDirection;
+    if (settings.maxVisibleTags) this.maxVisibleTags = settings.maxVisibleTags;
+    if (settings.tagOrder) this.tagOrder = settings.tagOrder;
+    
+    this.container.className = `tpd-container tpd-position-${this.position}`;
+    this.renderTagLayout();
+  }
+  
+  // Takes normalized values for any of THEME_SETTING_KEYS
+  applyThemeSettings(settings) {
+    if (settings[THEME_STORAGE_KEY]) this.theme = settings[THEME_STORAGE_KEY];
+    if (settings[CUSTOM_PALETTE_STORAGE_KEY]) this.customPalette = settings[CUSTOM_PALETTE_STORAGE_KEY];
+    
+    this.themeStyles = buildThemeStyles(this.theme, this.customPalette);
+    this.displayedDomains.forEach(domainData => this.applyTagTheme(domainData.element, domainData.category));
+  }
+  
+  // Colours come from CSS variables read by the .tpd-themed rules in styles.css
+  applyTagTheme(tag, category) {
+    const colors = this.themeStyles[category] || this.themeStyles[DEFAULT_TRACKER_CATEGORY];
+    tag.classList.add('tpd-themed');
+    tag.style.setProperty('--tpd-tag-background', colors.background);
+    tag.style.setProperty('--tpd-tag-text', colors.text);
+    tag.style.setProperty('--tpd-tag-border', colors.border);
+    tag.style.setProperty('--tpd-count-background', colors.badgeBackground);
+    tag.style.setProperty('--tpd-count-text', colors.badgeText);
+  }
+  
+  applySiteSettings(siteRules) {
+    const settings = getSiteSettings(siteRules, location.hostname);
+    this.siteHidden = settings.hideTags;
+    
+    if (this.siteHidden) {
+      this.clearAllTags();
+    }
+    this.renderGradeTag();
+    
+    if (this.debugMode) {
+      console.log(`[TPD] Site settings for ${location.hostname}: hide tags ${settings.hideTags}, no monitor ${settings.noMonitor}`);
+    }
+  }
+  
   updateTimeoutSettings(timeoutSeconds, enableTimeout) {
-    this.timeoutDuration = (timeoutSeconds || 5) * 1000;
-    this.enableTimeout = enableTimeout !== false;
+    this.timeoutDuration = normalizeSetting('timeoutSeconds', timeoutSeconds) * 1000;
+    this.enableTimeout = normalizeSetting('enableTimeout', enableTimeout);
     
     if (this.debugMode) {
       console.log(`[TPD] Updated timeout settings: ${this.timeoutDuration}ms, enabled: ${this.enableTimeout}`);
@@ -108,18 +319,245 @@ class ThirdPartyDomainTracker {
 
   // =================== DOMAIN PROCESSING (Chrome runtime single-threaded) ===================
   
+  receiveDetections(domains) {
+    if (this.backlogSeq === null) {
+      this.earlyDetections.push(...domains);
+      return;
+    }
+    
+    // Skip anything the backlog already covered
+    this.queueDetections(domains.filter(summary => summary.seq > this.backlogSeq));
+  }
+
+  queueDetections(domains) {
+    if (domains.length === 0) return;
+    
+    domains.forEach(summary => addToBatch(this.pendingDetections, summary));
+    
+    // Apply everything that arrived before the next frame in one DOM pass
+    if (this.pendingFrame === null) {
+      this.pendingFrame = requestAnimationFrame(() => this.applyPendingDetections());
+    }
+  }
+
+  applyPendingDetections() {
+    const summaries = [...this.pendingDetections.values()];
+    this.pendingDetections.clear();
+    this.pendingFrame = null;
+    
+    if (!this.isEnabled || !this.showTags || this.siteHidden) return;
+    
+    const updatedTags = new Set();
+    summaries.forEach(summary => {
+      const tagKey = summary.entity || summary.domain;
+      const isUpdate = this.displayedDomains.has(tagKey);
+      
+      // Cookies for a tag that has been closed in the meantime
+      if (!this.hasNewActivity(summary) && !isUpdate) return;
+      
+      this.processDomainEvent({
+        baseDomain: getBaseDomain(summary.fullDomain) || summary.domain,
+        fullDomain: summary.fullDomain,
+        entity: summary.entity || null,
+        resourceType: Object.keys(summary.resourceTypes)[0],
+        category: summary.category,
+        rule: summary.rule,
+        count: summary.count,
+        blockedCount: summary.blockedCount,
+        summary: summary
+      });
+      
+      if (isUpdate && this.hasNewActivity(summary) && this.displayedDomains.has(tagKey)) {
+        updatedTags.add(this.displayedDomains.get(tagKey).element);
+      }
+    });
+    
+    this.renderTagLayout();
+    this.animateCounterUpdates(updatedTags);
+  }
+
   processDomainEvent(domainEvent) {
-    const { baseDomain, fullDomain, resourceType } = domainEvent;
+    const { baseDomain, fullDomain, entity, resourceType, category, rule, count, blockedCount, summary } = domainEvent;
+    const tagKey = entity || baseDomain;
+    
+    // Cookies set by responses to requests that were already counted
+    if (!this.hasNewActivity(summary)) {
+      this.recordDetails(tagKey, summary);
+      return;
+    }
     
-    const existingDomain = this.displayedDomains.get(baseDomain);
+    // Domains owned by the same company share one tag
+    const existingDomain = this.displayedDomains.get(tagKey);
     
     if (existingDomain) {
       // Update existing domain
+      this.recordMember(existingDomain, baseDomain, category, count);
       this.updateExistingDomain(baseDomain, fullDomain, existingDomain);
     } else {
       // Create new domain label (synchronously)
-      this.createNewDomain(baseDomain, fullDomain, resourceType);
+      this.createNewDomain(baseDomain, fullDomain, resourceType, category, rule, entity, count);
+    }
+    
+    if (blockedCount > 0) {
+      this.recordBlocked(tagKey, blockedCount);
+    }
+    
+    this.recordDetails(tagKey, summary);
+    
+    if (this.fingerprinting.has(baseDomain)) {
+      this.renderFingerprinting(tagKey);
+    }
+  }
+
+  // New requests or WebSocket sessions, as opposed to cookies for known requests
+  hasNewActivity(summary) {
+    return summary.count > 0 || summary.sessions.length > 0;
+  }
+
+  // Subdomains, resource types, times and URLs shown in the tag's drawer
+  recordDetails(tagKey, summary) {
+    const domainData = this.displayedDomains.get(tagKey);
+    if (!domainData) return;
+    
+    const previousIframes = domainData.details ? domainData.details.iframes.length : 0;
+    const previousCookies = domainData.details ? domainData.details.cookies.length : 0;
+    const previousLeaks = domainData.details ? domainData.details.leaks.length : 0;
+    if (domainData.details) {
+      mergeSummaryStats(domainData.details, summary);
+    } else {
+      domainData.details = copySummary(summary);
+    }
+    
+    if (domainData.details.iframes.length > previousIframes) {
+      this.renderIframeLabel(domainData);
+    }
+    if (domainData.details.cookies.length > previousCookies) {
+      this.renderCookieIndicator(domainData);
+    }
+    if (domainData.details.leaks.length > previousLeaks) {
+      this.renderLeakIndicator(domainData);
+    }
+    if (summary.sessions.length > 0) {
+      this.renderSessionIndicator(domainData);
+    }
+    if (domainData.expanded) {
+      this.renderDrawer(domainData);
+    }
+  }
+
+  // Embedded frames (ad slots, widgets) that made requests for this tag
+  renderIframeLabel(domainData) {
+    const iframes = domainData.details.iframes;
+    const viaSpan = domainData.element.querySelector('.tpd-via');
+    viaSpan.textContent = this.getIframeLabel(iframes);
+    viaSpan.title = `Requested from iframes:\n${iframes.join('\n')}`;
+    domainData.element.classList.add('tpd-via-iframe');
+  }
+
+  // Cookies the vendor tried to store, flagged when one is a long-lived ID
+  renderCookieIndicator(domainData) {
+    const cookies = domainData.details.cookies;
+    const cookieSpan = domainData.element.querySelector('.tpd-cookie');
+    const longLivedIds = cookies.filter(cookie => cookie.longLived && cookie.identifier);
+    
+    cookieSpan.textContent = this.getCookieLabel(cookies);
+    cookieSpan.title = longLivedIds.length > 0
+      ? `Sets ${cookies.length} cookie(s), ${longLivedIds.length} long-lived identifier(s)`
+      : `Sets ${cookies.length} cookie(s)`;
+    domainData.element.classList.add('tpd-has-cookies');
+    domainData.element.classList.toggle('tpd-long-lived-cookies', longLivedIds.length > 0);
+    domainData.element.style.width = `${this.getTagWidth(domainData.key, domainData)}px`;
+  }
+
+  // WebSocket connections stay open, so the tag shows a session instead of hits.
+  // webRequest only sees the handshake, not the socket closing, so sessions
+  // are described by when they opened rather than as still live.
+  renderSessionIndicator(domainData) {
+    const sessions = domainData.details.sessions;
+    const sessionSpan = domainData.element.querySelector('.tpd-session');
+    const latest = sessions[sessions.length - 1];
+    
+    sessionSpan.textContent = this.getSessionLabel(sessions);
+    sessionSpan.title = `WebSocket opened at ${this.formatSeenTime(latest.openedAt)}\n${latest.url}`;
+    domainData.element.classList.add('tpd-has-session');
+    domainData.element.style.width = `${this.getTagWidth(domainData.key, domainData)}px`;
+  }
+
+  getSessionLabel(sessions) {
+    if (sessions.length === 0) return '';
+    return sessions.length > 1 ? `🔌 ${sessions.length} WebSockets` : '🔌 WebSocket';
+  }
+
+  // Personal data or identifiers found in the vendor's requests
+  renderLeakIndicator(domainData) {
+    const leaks = domainData.details.leaks;
+    const leakSpan = domainData.element.querySelector('.tpd-leak');
+    const types = [...new Set(leaks.map(leak => getLeakTypeLabel(leak.type)))];
+    
+    leakSpan.textContent = this.getLeakLabel(leaks);
+    leakSpan.title = `Sends ${types.join(', ').toLowerCase()} - click for details`;
+    domainData.element.classList.add('tpd-leaking');
+    domainData.element.style.width = `${this.getTagWidth(domainData.key, domainData)}px`;
+  }
+
+  getLeakLabel(leaks) {
+    return leaks.length > 0 ? '⚠ leak' : '';
+  }
+
+  getCookieLabel(cookies) {
+    return cookies.length > 0 ? `🍪${cookies.length}` : '';
+  }
+
+  getIframeLabel(iframes) {
+    const [first] = iframes;
+    return iframes.length > 1 ? `via iframe ${first} +${iframes.length - 1}` : `via iframe ${first}`;
+  }
+
+  recordMember(domainData, baseDomain, category, count = 1) {
+    const member = domainData.members.get(baseDomain);
+    if (member) {
+      member.count += count;
+    } else {
+      domainData.members.set(baseDomain, { count: count, category: category });
     }
+    
+    if (domainData.entity) {
+      this.applyTagCategory(domainData, this.getDominantCategory(domainData.members));
+    }
+  }
+
+  getDominantCategory(members) {
+    const totals = new Map();
+    members.forEach(({ count, category }) => {
+      totals.set(category, (totals.get(category) || 0) + count);
+    });
+    
+    let dominant = null;
+    let highest = 0;
+    totals.forEach((total, category) => {
+      if (total > highest) {
+        dominant = category;
+        highest = total;
+      }
+    });
+    return dominant;
+  }
+
+  applyTagCategory(domainData, category) {
+    if (domainData.category === category) return;
+    
+    const tag = domainData.element;
+    const categoryInfo = getTrackerCategory(category);
+    tag.classList.remove(getCategoryColorClass(domainData.category));
+    tag.classList.add(getCategoryColorClass(category));
+    tag.setAttribute('data-category', category || DEFAULT_TRACKER_CATEGORY);
+    this.applyTagTheme(tag, category);
+    
+    const categorySpan = tag.querySelector('.tpd-category');
+    categorySpan.textContent = categoryInfo.shortLabel;
+    categorySpan.title = `${categoryInfo.icon} ${categoryInfo.label}`;
+    
+    domainData.category = category;
   }
 
   updateExistingDomain(baseDomain, fullDomain, existingDomain) {
@@ -127,91 +565,158 @@ class ThirdPartyDomainTracker {
       console.log(`[TPD Consumer] Updating existing domain: ${baseDomain}`);
     }
     
-    // Clear existing timeout
-    this.clearDomainTimeout(baseDomain);
+    const tagKey = existingDomain.key;
+    existingDomain.activity = ++this.activitySeq;
     
-    // Update subdomain counts
-    const subdomains = this.subdomainCounts.get(baseDomain);
-    const previousSize = subdomains.size;
-    subdomains.add(fullDomain);
+    // Clear existing timeout
+    this.clearDomainTimeout(tagKey);
     
-    // Update counter only if new subdomain
-    existingDomain.count++;
-    this.updateDomainCounter(baseDomain, existingDomain);
+    // The tag counts every request to its member domains
+    let total = 0;
+    existingDomain.members.forEach(member => { total += member.count; });
+    existingDomain.count = total;
+    this.updateDomainCounter(tagKey, existingDomain);
     
     
     // Set fresh timeout only if timeout is enabled
     if (this.enableTimeout && this.timeoutDuration > 0) {
-      this.setDomainTimeout(baseDomain);
+      this.setDomainTimeout(tagKey);
     }
   }
 
-  createNewDomain(baseDomain, fullDomain, resourceType) {
+  createNewDomain(baseDomain, fullDomain, resourceType, category, rule, entity = null, count = 1) {
+    const tagKey = entity || baseDomain;
+    
     if (this.debugMode) {
-      console.log(`[TPD] Creating new domain: ${baseDomain}`);
+      console.log(`[TPD] Creating new domain: ${tagKey}`);
     }
     
     try {
       // Create domain tag synchronously with placeholder icon
-      const tagElement = this.createDomainTag(baseDomain, fullDomain, resourceType);
+      const tagElement = this.createDomainTag(baseDomain, fullDomain, resourceType, category, rule, entity, count);
       
       // Register domain in state immediately
-      this.displayedDomains.set(baseDomain, {
+      const domainData = {
+        key: tagKey,
+        entity: entity,
         element: tagElement,
-        count: 1,
-        resourceType: resourceType
-      });
+        count: count,
+        resourceType: resourceType,
+        category: category,
+        rule: rule,
+        blockedCount: 0,
+        expanded: false,
+        details: null,
+        fingerprintFindings: [],
+        activity: ++this.activitySeq,
+        members: new Map([[baseDomain, { count: count, category: category }]])
+      };
+      this.displayedDomains.set(tagKey, domainData);
       
-      // Initialize subdomain tracking
-      this.subdomainCounts.set(baseDomain, new Set([fullDomain]));
+      this.setupTagDrawer(domainData);
       
       // Set timeout for removal only if timeout is enabled and duration > 0
       if (this.enableTimeout && this.timeoutDuration > 0) {
-        this.setDomainTimeout(baseDomain);
+        this.setDomainTimeout(tagKey);
       }
       
       // Load favicon in background (non-blocking)
-      this.loadFaviconInBackground(baseDomain, tagElement);
+      this.loadFaviconInBackground(tagKey, baseDomain, tagElement);
       
     } catch (error) {
-      console.error(`[TPD] Error creating domain ${baseDomain}:`, error);
+      console.error(`[TPD] Error creating domain ${tagKey}:`, error);
     }
   }
 
-  createDomainTag(baseDomain, fullDomain, resourceType) {
+  createDomainTag(baseDomain, fullDomain, resourceType, category, rule, entity = null, count = 1) {
+    const tagKey = entity || baseDomain;
     const tag = document.createElement('div');
-    const colorClass = this.getDomainColorClass(baseDomain);
-    tag.className = `tpd-tag ${colorClass}`;
-    tag.setAttribute('data-domain', baseDomain);
+    const categoryInfo = getTrackerCategory(category);
+    tag.className = `tpd-tag ${getCategoryColorClass(category)}`;
+    tag.setAttribute('data-domain', tagKey);
+    tag.setAttribute('data-category', category || DEFAULT_TRACKER_CATEGORY);
+    this.applyTagTheme(tag, category);
+    if (entity) {
+      tag.classList.add('tpd-entity');
+      tag.setAttribute('data-entity', entity);
+      tag.title = `Owned by ${entity} - click for details`;
+    } else {
+      tag.title = `${tagKey} - click for details`;
+    }
     
     // Calculate and apply optimal width
-    const optimalWidth = this.calculateOptimalTagWidth(baseDomain, 1);
+    const optimalWidth = this.calculateOptimalTagWidth(tagKey, count, categoryInfo.shortLabel);
     tag.style.width = `${optimalWidth}px`;
     
     // Create favicon container with placeholder
     const iconContainer = document.createElement('span');
     iconContainer.className = 'tpd-type';
     iconContainer.textContent = '🌐'; // Placeholder icon
-    iconContainer.title = `${baseDomain} - ${resourceType}`;
+    iconContainer.title = rule
+      ? `${baseDomain} - ${resourceType}\nMatched rule: ${rule}`
+      : `${baseDomain} - ${resourceType}`;
     
     // Create domain name span
     const domainSpan = document.createElement('span');
     domainSpan.className = 'tpd-domain-name';
-    domainSpan.textContent = baseDomain;
+    domainSpan.textContent = tagKey;
+    
+    // Create category label
+    const categorySpan = document.createElement('span');
+    categorySpan.className = 'tpd-category';
+    categorySpan.textContent = categoryInfo.shortLabel;
+    categorySpan.title = `${categoryInfo.icon} ${categoryInfo.label}`;
     
     // Create count span
     const countSpan = document.createElement('span');
     countSpan.className = 'tpd-count';
-    countSpan.textContent = '1';
+    countSpan.textContent = String(count);
+    
+    // Create WebSocket session indicator, shown once the vendor opens a socket
+    const sessionSpan = document.createElement('span');
+    sessionSpan.className = 'tpd-session';
+    
+    // Create fingerprinting indicator, shown once one of the tag's scripts probes the browser
+    const fingerprintSpan = document.createElement('span');
+    fingerprintSpan.className = 'tpd-fingerprint';
+    
+    // Create leak indicator, shown once a request carries personal data
+    const leakSpan = document.createElement('span');
+    leakSpan.className = 'tpd-leak';
+    
+    // Create cookie indicator, shown once a response sets cookies
+    const cookieSpan = document.createElement('span');
+    cookieSpan.className = 'tpd-cookie';
+    
+    // Create blocked counter, shown once a blocked request is reported
+    const blockedSpan = document.createElement('span');
+    blockedSpan.className = 'tpd-blocked-count';
+    
+    // Create block button and its scope menu
+    const blockButton = this.createBlockButton(tagKey);
+    const blockMenu = this.createBlockMenu(tagKey);
     
     // Create close button (always visible regardless of timeout setting)
-    const closeButton = this.createCloseButton(baseDomain);
+    const closeButton = this.createCloseButton(tagKey);
+    
+    // Create iframe attribution line, shown once an iframe request is reported
+    const viaSpan = document.createElement('span');
+    viaSpan.className = 'tpd-via';
     
-    // Assemble tag in order: icon → domain → count → close button
+    // Assemble tag in order: icon → domain → category → count → session → fingerprint → leak → cookies → blocked → block → close button
     tag.appendChild(iconContainer);
     tag.appendChild(domainSpan);
+    tag.appendChild(categorySpan);
     tag.appendChild(countSpan);
+    tag.appendChild(sessionSpan);
+    tag.appendChild(fingerprintSpan);
+    tag.appendChild(leakSpan);
+    tag.appendChild(cookieSpan);
+    tag.appendChild(blockedSpan);
+    tag.appendChild(blockButton);
     tag.appendChild(closeButton);
+    tag.appendChild(viaSpan);
+    tag.appendChild(blockMenu);
     
     // Add to DOM
     this.container.appendChild(tag);
@@ -224,87 +729,662 @@ class ThirdPartyDomainTracker {
     return tag;
   }
 
-  updateDomainCounter(baseDomain, domainData) {
+  // =================== DETAIL DRAWER ===================
+  
+  setupTagDrawer(domainData) {
+    const tag = domainData.element;
+    tag.setAttribute('aria-expanded', 'false');
+    
+    const drawer = document.createElement('div');
+    drawer.className = 'tpd-drawer';
+    // Selecting or copying inside the drawer should not collapse it
+    drawer.addEventListener('click', (e) => {
+      e.stopPropagation();
+    });
+    tag.appendChild(drawer);
+    
+    tag.addEventListener('click', () => {
+      this.toggleTagDrawer(domainData.key);
+    });
+  }
+
+  renderDrawer(domainData) {
+    const drawer = domainData.element.querySelector('.tpd-drawer');
+    const details = domainData.details;
+    if (!drawer || !details) return;
+    
+    drawer.textContent = '';
+    
+    // Evidence of leaked data and fingerprinting comes before everything else
+    if (details.leaks.length > 0) {
+      drawer.appendChild(this.createDrawerSection('Leaked data', details.leaks.map(leak => this.createLeakRow(leak))));
+    }
+    if (domainData.fingerprintFindings.length > 0) {
+      const findings = domainData.fingerprintFindings.map(finding => this.createFingerprintRow(finding));
+      drawer.appendChild(this.createDrawerSection('Fingerprinting', findings));
+    }
+    
+    // Company tags list their member domains first
+    if (domainData.entity) {
+      const members = [...domainData.members].map(([memberDomain, { count, category }]) =>
+        this.createCountRow(memberDomain, count, getTrackerCategory(category).label));
+      drawer.appendChild(this.createDrawerSection('Domains', members));
+    }
+    
+    const subdomains = this.getSortedCounts(details.subdomains).map(([name, count]) => this.createCountRow(name, count));
+    drawer.appendChild(this.createDrawerSection('Subdomains', subdomains));
+    
+    const resourceTypes = this.getSortedCounts(details.resourceTypes).map(([name, count]) => this.createCountRow(name, count));
+    drawer.appendChild(this.createDrawerSection('Resource types', resourceTypes));
+    
+    if (details.sessions.length > 0) {
+      // Most recent first
+      const sessions = details.sessions.slice().reverse().map(session => this.createSessionRow(session));
+      drawer.appendChild(this.createDrawerSection('WebSocket sessions', sessions));
+    }
+    
+    if (details.cookies.length > 0) {
+      // Long-lived identifiers first
+      const cookies = details.cookies.slice()
+        .sort((a, b) => (b.longLived && b.identifier) - (a.longLived && a.identifier) || a.name.localeCompare(b.name))
+        .map(cookie => this.createCookieRow(cookie));
+      drawer.appendChild(this.createDrawerSection('Cookies', cookies));
+    }
+    
+    const seen = document.createElement('div');
+    seen.className = 'tpd-drawer-seen';
+    seen.textContent = `First seen ${this.formatSeenTime(details.firstSeen)} · last seen ${this.formatSeenTime(details.lastSeen)}`;
+    drawer.appendChild(seen);
+    
+    // Most recent first
+    const urls = details.urls.slice().reverse().map(url => this.createUrlRow(url));
+    drawer.appendChild(this.createDrawerSection('Recent requests', urls));
+  }
+
+  createDrawerSection(title, rows) {
+    const section = document.createElement('div');
+    section.className = 'tpd-drawer-section';
+    
+    const heading = document.createElement('div');
+    heading.className = 'tpd-drawer-heading';
+    heading.textContent = title;
+    section.appendChild(heading);
+    
+    const list = document.createElement('ul');
+    list.className = 'tpd-drawer-list';
+    rows.forEach(row => list.appendChild(row));
+    section.appendChild(list);
+    
+    return section;
+  }
+
+  createCountRow(label, count, title = '') {
+    const item = document.createElement('li');
+    item.className = 'tpd-drawer-row';
+    if (title) item.title = title;
+    
+    const name = document.createElement('span');
+    name.className = 'tpd-drawer-name';
+    name.textContent = label;
+    
+    const countSpan = document.createElement('span');
+    countSpan.className = 'tpd-drawer-count';
+    countSpan.textContent = count;
+    
+    item.appendChild(name);
+    item.appendChild(countSpan);
+    return item;
+  }
+
+  createSessionRow(session) {
+    const item = document.createElement('li');
+    item.className = 'tpd-drawer-row';
+    item.title = session.url;
+    
+    const url = document.createElement('span');
+    url.className = 'tpd-drawer-name tpd-drawer-url';
+    url.textContent = session.url;
+    
+    const opened = document.createElement('span');
+    opened.className = 'tpd-drawer-count';
+    opened.textContent = `opened at ${this.formatSeenTime(session.openedAt)}`;
+    
+    item.appendChild(url);
+    item.appendChild(opened);
+    return item;
+  }
+
+  createCookieRow(cookie) {
+    const item = document.createElement('li');
+    item.className = 'tpd-drawer-row tpd-cookie-row';
+    
+    const name = document.createElement('span');
+    name.className = 'tpd-drawer-name';
+    name.textContent = cookie.name;
+    
+    const attributes = document.createElement('span');
+    attributes.className = 'tpd-cookie-attributes';
+    attributes.textContent = describeCookie(cookie);
+    
+    item.appendChild(name);
+    item.appendChild(attributes);
+    
+    if (cookie.longLived && cookie.identifier) {
+      item.classList.add('tpd-cookie-long-lived');
+      item.title = 'Long-lived identifier';
+    }
+    return item;
+  }
+
+  createLeakRow(leak) {
+    const item = document.createElement('li');
+    item.className = 'tpd-drawer-row tpd-leak-row';
+    
+    const name = document.createElement('span');
+    name.className = 'tpd-drawer-name';
+    name.textContent = leak.source === 'body' ? `${leak.parameter} (body)` : leak.parameter;
+    
+    const evidence = document.createElement('span');
+    evidence.className = 'tpd-leak-evidence';
+    evidence.textContent = `${leak.value} · ${getLeakTypeLabel(leak.type)}`;
+    
+    item.appendChild(name);
+    item.appendChild(evidence);
+    return item;
+  }
+
+  createFingerprintRow(finding) {
+    const item = document.createElement('li');
+    item.className = 'tpd-drawer-row tpd-fingerprint-row';
+    
+    const name = document.createElement('span');
+    name.className = 'tpd-drawer-name';
+    name.textContent = getFingerprintApiLabel(finding.api);
+    
+    const script = document.createElement('span');
+    script.className = 'tpd-drawer-url';
+    script.textContent = finding.scriptUrl;
+    script.title = finding.scriptUrl;
+    
+    item.appendChild(name);
+    item.appendChild(script);
+    return item;
+  }
+
+  createUrlRow(url) {
+    const item = document.createElement('li');
+    item.className = 'tpd-drawer-row';
+    
+    const link = document.createElement('span');
+    link.className = 'tpd-drawer-name tpd-drawer-url';
+    link.textContent = url;
+    link.title = url;
+    
+    const copyBtn = document.createElement('button');
+    copyBtn.className = 'tpd-copy-btn';
+    copyBtn.textContent = '⧉';
+    copyBtn.setAttribute('aria-label', 'Copy URL');
+    copyBtn.setAttribute('title', 'Copy URL');
+    copyBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      navigator.clipboard.writeText(url).then(() => {
+        copyBtn.textContent = '✓';
+        setTimeout(() => {
+          copyBtn.textContent = '⧉';
+        }, 1500);
+      }).catch(error => {
+        console.error('[TPD] Failed to copy URL:', error);
+      });
+    });
+    
+    item.appendChild(link);
+    item.appendChild(copyBtn);
+    return item;
+  }
+
+  // [name, count] pairs, busiest first
+  getSortedCounts(counts) {
+    return Object.entries(counts).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+  }
+
+  formatSeenTime(timestamp) {
+    return new Date(timestamp).toLocaleTimeString();
+  }
+
+  toggleTagDrawer(tagKey) {
+    const domainData = this.displayedDomains.get(tagKey);
+    if (!domainData) return;
+    
+    domainData.expanded = !domainData.expanded;
+    domainData.element.classList.toggle('tpd-expanded', domainData.expanded);
+    domainData.element.setAttribute('aria-expanded', String(domainData.expanded));
+    
+    // Drawer content is rendered on demand so collapsed tags cost nothing
+    // on busy pages
+    if (domainData.expanded) {
+      this.renderDrawer(domainData);
+    }
+    domainData.element.style.width = `${this.getTagWidth(tagKey, domainData)}px`;
+    
+    // Keep an expanded tag on screen until it is collapsed again
+    if (domainData.expanded) {
+      this.clearDomainTimeout(tagKey);
+    } else if (this.enableTimeout && this.timeoutDuration > 0) {
+      this.setDomainTimeout(tagKey);
+    }
+  }
+
+  // =================== FINGERPRINTING ===================
+  
+  setupFingerprintListener() {
+    // lib/fingerprinting.js connected to fingerprint-probe.js at document_start
+    // and kept the calls it saw before this script loaded
+    fingerprintReceiver.subscribe(finding => this.recordFingerprinting(finding));
+  }
+
+  recordFingerprinting(finding) {
+    const baseDomain = getBaseDomain(finding.hostname);
+    if (!baseDomain || baseDomain === getBaseDomain(location.hostname)) return;
+    
+    const findings = this.fingerprinting.get(baseDomain) || [];
+    if (findings.some(existing => existing.api === finding.api && existing.scriptUrl === finding.scriptUrl)) return;
+    findings.push({ api: finding.api, scriptUrl: finding.scriptUrl });
+    this.fingerprinting.set(baseDomain, findings);
+    
+    if (this.debugMode) {
+      console.log(`[TPD] Fingerprinting (${finding.api}) by ${finding.scriptUrl}`);
+    }
+    
+    // Logged by the service worker so the grade, badge and exports count it
+    chrome.runtime.sendMessage({ type: 'FINGERPRINT_DETECTED', finding }, (response) => {
+      if (response) {
+        this.updatePrivacyGrade(response.grade);
+      }
+    });
+    
+    const tagKey = this.findTagKey(baseDomain);
+    if (tagKey) {
+      this.renderFingerprinting(tagKey);
+    } else if (!this.pendingDetections.has(baseDomain)) {
+      // Scripts outside every list still get a tag; the script load is its one request
+      this.queueDetections([summarizeDetection({
+        url: finding.scriptUrl,
+        domain: baseDomain,
+        fullDomain: finding.hostname,
+        entity: null,
+        category: 'fingerprinting',
+        rule: null,
+        resourceType: 'script',
+        timestamp: finding.timestamp
+      })]);
+    }
+  }
+
+  // Tag showing a base domain, on its own or as part of a company tag
+  findTagKey(baseDomain) {
+    if (this.displayedDomains.has(baseDomain)) return baseDomain;
+    
+    for (const [tagKey, domainData] of this.displayedDomains) {
+      if (domainData.members.has(baseDomain)) return tagKey;
+    }
+    return null;
+  }
+
+  renderFingerprinting(tagKey) {
+    const domainData = this.displayedDomains.get(tagKey);
+    if (!domainData) return;
+    
+    const findings = [...domainData.members.keys()].flatMap(memberDomain => this.fingerprinting.get(memberDomain) || []);
+    if (findings.length === domainData.fingerprintFindings.length) return;
+    
+    domainData.fingerprintFindings = findings;
+    const apis = [...new Set(findings.map(finding => getFingerprintApiLabel(finding.api)))];
+    const fingerprintSpan = domainData.element.querySelector('.tpd-fingerprint');
+    fingerprintSpan.textContent = this.getFingerprintLabel(findings);
+    fingerprintSpan.title = `Fingerprinting: ${apis.join(', ')}`;
+    domainData.element.classList.add('tpd-fingerprinting');
+    domainData.element.style.width = `${this.getTagWidth(tagKey, domainData)}px`;
+    
+    if (domainData.expanded) {
+      this.renderDrawer(domainData);
+    }
+  }
+
+  getFingerprintLabel(findings) {
+    return findings.length > 0 ? '🖐️ fingerprint' : '';
+  }
+
+  // =================== TAG LAYOUT ===================
+  
+  // Puts the visible tags in ranked order after the grade tag and folds the
+  // rest into the "+N more" chip at the far end of the stack
+  renderTagLayout() {
+    const tags = [...this.displayedDomains.values()].map(domainData => ({
+      key: domainData.key,
+      count: domainData.count,
+      category: domainData.category,
+      activity: domainData.activity
+    }));
+    const overflowing = tags.length > this.maxVisibleTags;
+    if (!overflowing) this.overflowExpanded = false;
+    
+    const layout = layoutTags(tags, {
+      order: this.tagOrder,
+      maxVisible: this.maxVisibleTags,
+      direction: this.stackDirection,
+      expanded: this.overflowExpanded
+    });
+    
+    layout.hidden.forEach(key => this.displayedDomains.get(key).element.classList.add('tpd-overflow'));
+    const sequence = layout.visible.map(key => {
+      const element = this.displayedDomains.get(key).element;
+      element.classList.remove('tpd-overflow');
+      return element;
+    });
+    
+    if (overflowing) {
+      const chip = this.renderOverflowChip(layout.hidden.length);
+      if (this.stackDirection === 'down') {
+        sequence.push(chip);
+      } else {
+        sequence.unshift(chip);
+      }
+    } else {
+      this.removeOverflowChip();
+    }
+    
+    // Only elements out of place are moved, so running animations continue
+    const gradeTagShown = this.gradeTag && this.gradeTag.parentNode === this.container;
+    let reference = gradeTagShown ? this.gradeTag.nextSibling : this.container.firstChild;
+    sequence.forEach(element => {
+      if (element === reference) {
+        reference = element.nextSibling;
+      } else {
+        this.container.insertBefore(element, reference);
+      }
+    });
+  }
+  
+  renderOverflowChip(hiddenCount) {
+    if (!this.overflowChip) {
+      this.overflowChip = document.createElement('button');
+      this.overflowChip.className = 'tpd-more-chip';
+      this.overflowChip.addEventListener('click', () => {
+        this.overflowExpanded = !this.overflowExpanded;
+        this.renderTagLayout();
+      });
+    }
+    
+    this.overflowChip.textContent = getOverflowLabel(hiddenCount, this.overflowExpanded);
+    this.overflowChip.setAttribute('aria-expanded', String(this.overflowExpanded));
+    this.overflowChip.title = this.overflowExpanded ? 'Show only the first tags' : 'Show every tracker tag';
+    return this.overflowChip;
+  }
+  
+  removeOverflowChip() {
+    if (this.overflowChip && this.overflowChip.parentNode) {
+      this.overflowChip.parentNode.removeChild(this.overflowChip);
+    }
+  }
+
+  // =================== PRIVACY GRADE ===================
+  
+  updatePrivacyGrade(grade) {
+    if (!grade) return;
+    this.privacyGrade = grade;
+    this.renderGradeTag();
+  }
+  
+  // Kept as the first tag while enabled; it has no timeout and no close button
+  renderGradeTag() {
+    const visible = this.showGradeTag && this.privacyGrade && this.isEnabled && this.showTags && !this.siteHidden;
+    if (!visible) {
+      this.removeGradeTag();
+      return;
+    }
+    
+    if (!this.gradeTag) {
+      this.gradeTag = document.createElement('div');
+      this.gradeTag.setAttribute('role', 'status');
+    }
+    
+    const grade = this.privacyGrade;
+    this.gradeTag.className = `tpd-grade-tag tpd-grade-${grade.grade.toLowerCase()}`;
+    this.gradeTag.textContent = `Privacy grade ${formatPrivacyGrade(grade)}`;
+    this.gradeTag.title = this.getGradeBreakdown(grade);
+    
+    if (this.container.firstChild !== this.gradeTag) {
+      this.container.insertBefore(this.gradeTag, this.container.firstChild);
+    }
+  }
+  
+  removeGradeTag() {
+    if (this.gradeTag && this.gradeTag.parentNode) {
+      this.gradeTag.parentNode.removeChild(this.gradeTag);
+    }
+  }
+  
+  getGradeBreakdown(grade) {
+    return grade.factors
+      .filter(factor => factor.count > 0 && factor.penalty > 0)
+      .map(factor => `${factor.label}: ${factor.count} (-${factor.penalty})`)
+      .join('\n');
+  }
+
+  // =================== BLOCKING ===================
+  
+  createBlockButton(tagKey) {
+    const blockBtn = document.createElement('button');
+    blockBtn.className = 'tpd-block-btn';
+    blockBtn.textContent = '⛔';
+    blockBtn.setAttribute('aria-label', `Block ${tagKey}`);
+    blockBtn.setAttribute('title', `Block ${tagKey}`);
+    
+    blockBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.toggleBlockMenu(tagKey);
+    });
+    
+    return blockBtn;
+  }
+  
+  createBlockMenu(tagKey) {
+    const menu = document.createElement('div');
+    menu.className = 'tpd-block-menu';
+    
+    const options = [
+      { scope: 'global', label: 'Block everywhere' },
+      { scope: 'site', label: `Block on ${getBaseDomain(location.hostname) || location.hostname}` }
+    ];
+    
+    options.forEach(({ scope, label }) => {
+      const option = document.createElement('button');
+      option.className = 'tpd-block-option';
+      option.textContent = label;
+      option.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.blockTag(tagKey, scope);
+      });
+      menu.appendChild(option);
+    });
+    
+    return menu;
+  }
+  
+  toggleBlockMenu(tagKey) {
+    const domainData = this.displayedDomains.get(tagKey);
+    if (!domainData || domainData.element.classList.contains('tpd-block-active')) return;
+    
+    const isOpen = domainData.element.classList.toggle('tpd-block-menu-open');
+    
+    // Keep the tag on screen while the user picks a scope
+    if (isOpen) {
+      this.clearDomainTimeout(tagKey);
+    } else if (this.enableTimeout && this.timeoutDuration > 0) {
+      this.setDomainTimeout(tagKey);
+    }
+  }
+  
+  blockTag(tagKey, scope) {
+    const domainData = this.displayedDomains.get(tagKey);
+    if (!domainData) return;
+    
+    // Entity tags block every member domain seen so far, except CDN and
+    // functional domains (googleapis.com on a Google tag) the page needs
+    const members = [...domainData.members];
+    const trackers = members.filter(([, { category }]) => category !== 'cdn');
+    const domains = (trackers.length > 0 ? trackers : members).map(([memberDomain]) => memberDomain);
+    
+    Promise.all(domains.map(domain =>
+      chrome.runtime.sendMessage({ type: 'BLOCK_DOMAIN', domain, scope })
+    )).then(responses => {
+      const failed = responses.find(response => !response || response.error);
+      if (failed) {
+        console.error(`[TPD] Failed to block ${tagKey}:`, failed && failed.error);
+        return;
+      }
+      
+      const tag = domainData.element;
+      tag.classList.remove('tpd-block-menu-open');
+      tag.classList.add('tpd-block-active');
+      
+      const blockBtn = tag.querySelector('.tpd-block-btn');
+      blockBtn.disabled = true;
+      blockBtn.setAttribute('title', `${tagKey} blocked ${scope === 'site' ? 'on this site' : 'everywhere'} - undo from the extension popup`);
+      
+      if (this.debugMode) {
+        console.log(`[TPD] Blocked ${domains.join(', ')} (${scope})`);
+      }
+      
+      if (this.enableTimeout && this.timeoutDuration > 0) {
+        this.setDomainTimeout(tagKey);
+      }
+    }).catch(error => {
+      console.error(`[TPD] Failed to block ${tagKey}:`, error);
+    });
+  }
+  
+  recordBlocked(tagKey, count = 1) {
+    const domainData = this.displayedDomains.get(tagKey);
+    if (!domainData) return;
+    
+    domainData.blockedCount += count;
+    domainData.element.classList.add('tpd-blocked');
+    domainData.element.querySelector('.tpd-blocked-count').textContent = this.getBlockedLabel(domainData.blockedCount);
+    domainData.element.style.width = `${this.getTagWidth(tagKey, domainData)}px`;
+  }
+  
+  getBlockedLabel(blockedCount) {
+    return `blocked ×${blockedCount}`;
+  }
+  
+  getTagWidth(tagKey, domainData) {
+    // Open drawers use the full width for URLs
+    if (domainData.expanded) return this.MAX_TAG_WIDTH;
+    
+    const categoryLabel = getTrackerCategory(domainData.category).shortLabel;
+    const statusLabel = [
+      domainData.details ? this.getSessionLabel(domainData.details.sessions) : '',
+      this.getFingerprintLabel(domainData.fingerprintFindings),
+      domainData.details ? this.getLeakLabel(domainData.details.leaks) : '',
+      domainData.details ? this.getCookieLabel(domainData.details.cookies) : '',
+      domainData.blockedCount ? this.getBlockedLabel(domainData.blockedCount) : ''
+    ].filter(Boolean).join(' ');
+    return this.calculateOptimalTagWidth(tagKey, domainData.count, categoryLabel, statusLabel);
+  }
+
+  updateDomainCounter(tagKey, domainData) {
     const countSpan = domainData.element.querySelector('.tpd-count');
     countSpan.textContent = domainData.count;
     
     // Recalculate width for new count
-    const optimalWidth = this.calculateOptimalTagWidth(baseDomain, domainData.count);
+    const optimalWidth = this.getTagWidth(tagKey, domainData);
     domainData.element.style.width = `${optimalWidth}px`;
     
     if (this.debugMode) {
-      console.log(`[TPD] Updated counter for ${baseDomain}: ${domainData.count}, width: ${optimalWidth}px`);
+      console.log(`[TPD] Updated counter for ${tagKey}: ${domainData.count}, width: ${optimalWidth}px`);
     }
+  }
+
+  animateCounterUpdates(tagElements) {
+    if (tagElements.size === 0) return;
     
-    // Trigger counter animation
-    const tagElement = domainData.element;
-    tagElement.classList.remove('tpd-pulse', 'tpd-counter-update');
+    // Restart the counter animation of every updated tag with a single reflow
+    tagElements.forEach(tagElement => tagElement.classList.remove('tpd-pulse', 'tpd-counter-update'));
     
     // Force reflow
-    void tagElement.offsetWidth;
+    void this.container.offsetWidth;
     
     // Add animation classes
-    tagElement.classList.add('tpd-pulse', 'tpd-counter-update');
+    tagElements.forEach(tagElement => tagElement.classList.add('tpd-pulse', 'tpd-counter-update'));
     
     setTimeout(() => {
-      tagElement.classList.remove('tpd-pulse', 'tpd-counter-update');
+      tagElements.forEach(tagElement => tagElement.classList.remove('tpd-pulse', 'tpd-counter-update'));
     }, 600);
   }
 
   // =================== TIMEOUT MANAGEMENT ===================
   
-  setDomainTimeout(baseDomain) {
+  setDomainTimeout(tagKey) {
     if (!this.enableTimeout || this.timeoutDuration <= 0) {
       if (this.debugMode) {
-        console.log(`[TPD] Timeout disabled or zero, skipping timeout for: ${baseDomain}`);
+        console.log(`[TPD] Timeout disabled or zero, skipping timeout for: ${tagKey}`);
       }
       return;
     }
     
+    // Expanded entity tags and open block menus stay until closed
+    const domainData = this.displayedDomains.get(tagKey);
+    if (domainData && (domainData.expanded || domainData.element.classList.contains('tpd-block-menu-open'))) {
+      return;
+    }
+    
     const timeoutId = setTimeout(() => {
-      this.removeDomain(baseDomain);
+      this.removeDomain(tagKey);
     }, this.timeoutDuration);
     
-    this.domainTimeouts.set(baseDomain, timeoutId);
+    this.domainTimeouts.set(tagKey, timeoutId);
     
     if (this.debugMode) {
-      console.log(`[TPD] Set timeout for: ${baseDomain} (${this.timeoutDuration}ms)`);
+      console.log(`[TPD] Set timeout for: ${tagKey} (${this.timeoutDuration}ms)`);
     }
   }
 
-  clearDomainTimeout(baseDomain) {
-    const timeoutId = this.domainTimeouts.get(baseDomain);
+  clearDomainTimeout(tagKey) {
+    const timeoutId = this.domainTimeouts.get(tagKey);
     if (timeoutId) {
       clearTimeout(timeoutId);
-      this.domainTimeouts.delete(baseDomain);
+      this.domainTimeouts.delete(tagKey);
       
       if (this.debugMode) {
-        console.log(`[TPD] Cleared timeout for: ${baseDomain}`);
+        console.log(`[TPD] Cleared timeout for: ${tagKey}`);
       }
     }
   }
 
-  removeDomain(baseDomain) {
-    const domainData = this.displayedDomains.get(baseDomain);
+  removeDomain(tagKey) {
+    const domainData = this.displayedDomains.get(tagKey);
     if (!domainData) {
       if (this.debugMode) {
-        console.log(`[TPD] Attempted to remove non-existent domain: ${baseDomain}`);
+        console.log(`[TPD] Attempted to remove non-existent domain: ${tagKey}`);
       }
       return;
     }
 
     if (this.debugMode) {
-      console.log(`[TPD] Removing domain: ${baseDomain}`);
+      console.log(`[TPD] Removing domain: ${tagKey}`);
     }
 
     const tag = domainData.element;
     
     // Clear timeout
-    this.clearDomainTimeout(baseDomain);
+    this.clearDomainTimeout(tagKey);
     
     // Remove from state immediately (prevent race conditions)
-    this.displayedDomains.delete(baseDomain);
-    this.subdomainCounts.delete(baseDomain);
+    this.displayedDomains.delete(tagKey);
+    
+    // A tag folded into the overflow chip can take its place
+    this.renderTagLayout();
     
     // Trigger removal animation
     tag.classList.add('tpd-removing');
@@ -315,10 +1395,10 @@ class ThirdPartyDomainTracker {
         try {
           tag.parentNode.removeChild(tag);
           if (this.debugMode) {
-            console.log(`[TPD Consumer] Successfully removed DOM element for: ${baseDomain}`);
+            console.log(`[TPD Consumer] Successfully removed DOM element for: ${tagKey}`);
           }
         } catch (error) {
-          console.error(`[TPD Consumer] Error removing DOM element for ${baseDomain}:`, error);
+          console.error(`[TPD Consumer] Error removing DOM element for ${tagKey}:`, error);
         }
       }
     }, 300);
@@ -345,10 +1425,20 @@ class ThirdPartyDomainTracker {
       }
     });
     
+    this.removeGradeTag();
+    this.removeOverflowChip();
+    this.overflowExpanded = false;
+    
     // Clear all state
     this.displayedDomains.clear();
     this.domainTimeouts.clear();
-    this.subdomainCounts.clear();
+    
+    // Drop detections still waiting for an animation frame
+    if (this.pendingFrame !== null) {
+      cancelAnimationFrame(this.pendingFrame);
+      this.pendingFrame = null;
+    }
+    this.pendingDetections.clear();
     
     if (this.debugMode) {
       console.log(`[TPD] All tags cleared`);
@@ -357,16 +1447,16 @@ class ThirdPartyDomainTracker {
 
   // =================== BACKGROUND FAVICON LOADING ===================
   
-  loadFaviconInBackground(baseDomain, tagElement) {
+  loadFaviconInBackground(tagKey, baseDomain, tagElement) {
     // Check if domain still exists (might have been removed)
-    if (!this.displayedDomains.has(baseDomain)) {
+    if (!this.displayedDomains.has(tagKey)) {
       return;
     }
     
-    // Load favicon asynchronously (non-blocking)
+    // Load favicon asynchronously (non-blocking); entity tags use the first member's favicon
     this.loadFavicon(baseDomain).then(faviconSrc => {
       // Check again if domain still exists
-      if (!this.displayedDomains.has(baseDomain)) {
+      if (!this.displayedDomains.has(tagKey)) {
         return;
       }
       
@@ -399,34 +1489,34 @@ class ThirdPartyDomainTracker {
 
   // =================== CLOSE BUTTON MANAGEMENT ===================
   
-  createCloseButton(baseDomain) {
+  createCloseButton(tagKey) {
     const closeBtn = document.createElement('button');
     closeBtn.className = 'tpd-close-btn';
     closeBtn.textContent = '×';
-    closeBtn.setAttribute('aria-label', `Close ${baseDomain} tag`);
-    closeBtn.setAttribute('title', `Remove ${baseDomain} tag`);
+    closeBtn.setAttribute('aria-label', `Close ${tagKey} tag`);
+    closeBtn.setAttribute('title', `Remove ${tagKey} tag`);
     
     closeBtn.addEventListener('click', (e) => {
       e.stopPropagation();
-      this.removeTagManually(baseDomain);
+      this.removeTagManually(tagKey);
     });
     
     return closeBtn;
   }
   
-  removeTagManually(baseDomain) {
+  removeTagManually(tagKey) {
     if (this.debugMode) {
-      console.log(`[TPD] Manually removing domain: ${baseDomain}`);
+      console.log(`[TPD] Manually removing domain: ${tagKey}`);
     }
     
-    this.removeDomain(baseDomain);
+    this.removeDomain(tagKey);
   }
   
   addCloseButtonsToExistingTags() {
-    this.displayedDomains.forEach((domainData, baseDomain) => {
+    this.displayedDomains.forEach((domainData, tagKey) => {
       const tag = domainData.element;
       if (!tag.querySelector('.tpd-close-btn')) {
-        const closeButton = this.createCloseButton(baseDomain);
+        const closeButton = this.createCloseButton(tagKey);
         tag.insertBefore(closeButton, tag.firstChild);
       }
     });
@@ -437,7 +1527,7 @@ class ThirdPartyDomainTracker {
   }
   
   removeCloseButtonsFromExistingTags() {
-    this.displayedDomains.forEach((domainData, baseDomain) => {
+    this.displayedDomains.forEach((domainData, tagKey) => {
       const tag = domainData.element;
       const closeButton = tag.querySelector('.tpd-close-btn');
       if (closeButton) {
@@ -462,9 +1552,9 @@ class ThirdPartyDomainTracker {
   }
   
   setTimeoutsForExistingTags() {
-    this.displayedDomains.forEach((domainData, baseDomain) => {
-      if (!this.domainTimeouts.has(baseDomain)) {
-        this.setDomainTimeout(baseDomain);
+    this.displayedDomains.forEach((domainData, tagKey) => {
+      if (!this.domainTimeouts.has(tagKey)) {
+        this.setDomainTimeout(tagKey);
       }
     });
     
@@ -488,41 +1578,36 @@ class ThirdPartyDomainTracker {
     return this.measurementContext.measureText(text).width;
   }
   
-  calculateOptimalTagWidth(domainText, count) {
+  calculateOptimalTagWidth(domainText, count, categoryLabel = '', statusLabel = '') {
     // Calculate text content width
     const domainWidth = this.measureTextWidth(domainText, 12);
     const countText = count.toString();
     const countWidth = this.measureTextWidth(countText, 10);
+    const categoryWidth = categoryLabel ? this.measureTextWidth(categoryLabel, 9) + 14 : 0;
+    const statusWidth = statusLabel ? this.measureTextWidth(statusLabel, 10) + 12 : 0;
     
     // Add padding for:
     // - Icon: ~22px (favicon + margin)
     // - Left/right padding: ~24px (12px each side)
+    // - Category label: text + 14px padding/margin
     // - Count badge: max(30px, countWidth + 12px padding)
+    // - Blocked badge: text + 12px padding/margin
+    // - Block button inline: 18px + 6px margin = 24px
     // - Close button inline: 18px + 6px margin = 24px
     // - Extra margin for spacing: 16px
     const iconWidth = 22;
     const padding = 24;
     const countBadgeWidth = Math.max(30, countWidth + 12);
+    const blockButtonSpace = 24; // Inline block button (18px + 6px margin)
     const closeButtonSpace = 24; // Inline close button (18px + 6px margin)
     const extraMargin = 16;
     
-    const totalWidth = domainWidth + iconWidth + padding + countBadgeWidth + closeButtonSpace + extraMargin;
+    const totalWidth = domainWidth + iconWidth + padding + categoryWidth + countBadgeWidth + statusWidth + blockButtonSpace + closeButtonSpace + extraMargin;
     
     // Apply min/max constraints
     return Math.max(this.MIN_TAG_WIDTH, Math.min(this.MAX_TAG_WIDTH, Math.ceil(totalWidth)));
   }
   
-  getDomainColorClass(domain) {
-    let hash = 0;
-    for (let i = 0; i < domain.length; i++) {
-      const char = domain.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash;
-    }
-    const index = Math.abs(hash) % this.colorClasses.length;
-    return this.colorClasses[index];
-  }
-
   getFaviconUrl(domain) {
     return `https://www.google.com/s2/favicons?domain=${domain}&sz=16`;
   }
@@ -566,6 +1651,13 @@ class ThirdPartyDomainTracker {
     // Clear all tags
     this.clearAllTags();
     
+    // Remove the overlay from the page
+    if (this.host) {
+      this.host.remove();
+      if (overlayHost === this.host) overlayHost = null;
+      this.host = null;
+    }
+    
     // Cleanup measurement canvas
     if (this.measurementCanvas) {
       this.measurementCanvas = null;
@@ -589,9 +1681,9 @@ if (window.thirdPartyDomainTracker) {
 } else {
 
   // Cleanup any existing containers
-  const existing = document.getElementById('tpd-monitor-container');
-  if (existing) {
-    existing.remove();
+  if (overlayHost) {
+    overlayHost.remove();
+    overlayHost = null;
     console.log('[TPD] Removed existing container');
   }
 
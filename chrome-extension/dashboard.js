@@ -0,0 +1,193 @@
+document.addEventListener('DOMContentLoaded', function() {
+  const CHART_DAYS = 30;
+
+  const historySubtitle = document.getElementById('historySubtitle');
+  const dayChart = document.getElementById('dayChart');
+  const chartStart = document.getElementById('chartStart');
+  const chartEnd = document.getElementById('chartEnd');
+  const topTrackersBody = document.getElementById('topTrackersBody');
+  const topSitesBody = document.getElementById('topSitesBody');
+  const trackerDetail = document.getElementById('trackerDetail');
+  const detailTitle = document.getElementById('detailTitle');
+  const detailSummary = document.getElementById('detailSummary');
+  const detailChart = document.getElementById('detailChart');
+  const detailChartStart = document.getElementById('detailChartStart');
+  const detailChartEnd = document.getElementById('detailChartEnd');
+  const detailSitesBody = document.getElementById('detailSitesBody');
+  const retentionDaysLabel = document.getElementById('retentionDays');
+  const settingsLink = document.getElementById('settingsLink');
+  const clearHistory = document.getElementById('clearHistory');
+
+  const trackingHistory = new TrackingHistory(indexedDB);
+  let records = [];
+  let selectedTracker = null;
+
+  function getChartDays() {
+    return Math.min(CHART_DAYS, trackingHistory.retentionDays);
+  }
+
+  function formatDate(timestamp) {
+    return new Date(timestamp).toLocaleDateString();
+  }
+
+  function createCell(text, className) {
+    const cell = document.createElement('td');
+    if (className) cell.className = className;
+    cell.textContent = text;
+    return cell;
+  }
+
+  function renderEmptyRow(body, columns, text) {
+    const row = document.createElement('tr');
+    row.className = 'empty-row';
+    const cell = createCell(text);
+    cell.colSpan = columns;
+    row.appendChild(cell);
+    body.appendChild(row);
+  }
+
+  function renderDayChart(chart, startLabel, endLabel, days, getValue, describe) {
+    chart.textContent = '';
+    const max = Math.max(1, ...days.map(getValue));
+
+    days.forEach(function(day) {
+      const bar = document.createElement('div');
+      const value = getValue(day);
+      bar.className = value > 0 ? 'day-bar' : 'day-bar empty';
+      bar.style.height = `${(value / max) * 100}%`;
+      bar.title = describe(day);
+      chart.appendChild(bar);
+    });
+
+    startLabel.textContent = days.length > 0 ? days[0].day : '';
+    endLabel.textContent = days.length > 0 ? days[days.length - 1].day : '';
+  }
+
+  function renderTopTrackers() {
+    topTrackersBody.textContent = '';
+    const trackers = getTopTrackers(records);
+    if (trackers.length === 0) {
+      renderEmptyRow(topTrackersBody, 4, 'No trackers recorded yet.');
+      return;
+    }
+
+    trackers.forEach(function(tracker) {
+      const row = document.createElement('tr');
+      row.className = tracker.tracker === selectedTracker ? 'tracker-row selected' : 'tracker-row';
+      row.tabIndex = 0;
+      row.appendChild(createCell(tracker.tracker, 'domain-cell'));
+      row.appendChild(createCell(getTrackerCategory(tracker.category).label));
+      row.appendChild(createCell(tracker.sites, 'number-cell'));
+      row.appendChild(createCell(tracker.count, 'number-cell'));
+      row.addEventListener('click', function() {
+        selectTracker(tracker.tracker);
+      });
+      row.addEventListener('keydown', function(e) {
+        if (e.key === 'Enter') selectTracker(tracker.tracker);
+      });
+      topTrackersBody.appendChild(row);
+    });
+  }
+
+  function renderTopSites() {
+    topSitesBody.textContent = '';
+    const sites = getTopSites(records);
+    if (sites.length === 0) {
+      renderEmptyRow(topSitesBody, 3, 'No sites recorded yet.');
+      return;
+    }
+
+    sites.forEach(function(site) {
+      const row = document.createElement('tr');
+      row.appendChild(createCell(site.site, 'domain-cell'));
+      row.appendChild(createCell(site.trackers, 'number-cell'));
+      row.appendChild(createCell(site.count, 'number-cell'));
+      topSitesBody.appendChild(row);
+    });
+  }
+
+  // Drill-down for the tracker picked in the top trackers table
+  function renderTrackerDetail() {
+    const detail = selectedTracker ? getTrackerDetail(records, selectedTracker) : null;
+    trackerDetail.classList.toggle('hidden', !detail);
+    if (!detail) return;
+
+    detailTitle.textContent = detail.tracker;
+    detailSummary.textContent = `${getTrackerCategory(detail.category).label} - ${detail.count} requests on ${detail.sites.length} sites`;
+
+    const trackerRecords = records.filter(record => record.tracker === detail.tracker);
+    renderDayChart(detailChart, detailChartStart, detailChartEnd, getTrackersPerDay(trackerRecords, getChartDays()),
+      day => day.count,
+      day => `${day.day}: ${day.count} requests`);
+
+    detailSitesBody.textContent = '';
+    detail.sites.forEach(function(site) {
+      const row = document.createElement('tr');
+      row.appendChild(createCell(site.site, 'domain-cell'));
+      row.appendChild(createCell(site.count, 'number-cell'));
+      row.appendChild(createCell(formatDate(site.firstSeen)));
+      row.appendChild(createCell(formatDate(site.lastSeen)));
+      detailSitesBody.appendChild(row);
+    });
+  }
+
+  function selectTracker(tracker) {
+    selectedTracker = tracker;
+    renderTopTrackers();
+    renderTrackerDetail();
+    trackerDetail.scrollIntoView({ behavior: 'smooth' });
+  }
+
+  function render() {
+    const retentionDays = trackingHistory.retentionDays;
+    historySubtitle.textContent = `Tracking history - trackers seen across the sites you visited in the last ${retentionDays} days.`;
+    retentionDaysLabel.textContent = retentionDays;
+
+    renderDayChart(dayChart, chartStart, chartEnd, getTrackersPerDay(records, getChartDays()),
+      day => day.trackers,
+      day => `${day.day}: ${day.trackers} trackers, ${day.count} requests`);
+    renderTopTrackers();
+    renderTopSites();
+    renderTrackerDetail();
+  }
+
+  // Shown instead of the tables when the history database cannot be read
+  function renderLoadError(error) {
+    historySubtitle.textContent = `Tracking history could not be loaded - ${error.message}`;
+    topTrackersBody.textContent = '';
+    topSitesBody.textContent = '';
+    renderEmptyRow(topTrackersBody, 4, 'History unavailable.');
+    renderEmptyRow(topSitesBody, 3, 'History unavailable.');
+    trackerDetail.classList.add('hidden');
+  }
+
+  // Detections queued in the service worker are written before reading
+  function loadHistory() {
+    readSettings(chrome.storage.local, [HISTORY_RETENTION_STORAGE_KEY]).then(function(settings) {
+      trackingHistory.retentionDays = settings[HISTORY_RETENTION_STORAGE_KEY];
+
+      chrome.runtime.sendMessage({ type: 'FLUSH_HISTORY' }, function() {
+        trackingHistory.getRecords({ since: trackingHistory.getRetentionCutoff() }).then(function(stored) {
+          records = stored;
+          render();
+        }).catch(renderLoadError);
+      });
+    });
+  }
+
+  clearHistory.addEventListener('click', function() {
+    if (!confirm('Delete the whole tracking history?')) return;
+    // Cleared by the service worker so detections it has queued go too
+    chrome.runtime.sendMessage({ type: 'CLEAR_HISTORY' }, function() {
+      selectedTracker = null;
+      loadHistory();
+    });
+  });
+
+  settingsLink.addEventListener('click', function(e) {
+    e.preventDefault();
+    chrome.runtime.openOptionsPage();
+  });
+
+  loadHistory();
+});
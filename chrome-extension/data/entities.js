@@ -0,0 +1,117 @@
+/**
+ * TRACKER ENTITY OWNERSHIP MAP
+ *
+ * Owning company → registrable domains it operates, covering both tracker
+ * endpoints and the company's own sites. Used to group domain tags under
+ * one company and to treat requests between sites of the same company
+ * (facebook.com → fbcdn.net) as first-party.
+ *
+ * Shared hosting domains (cloudfront.net, amazonaws.com, azureedge.net, ...)
+ * are deliberately left out: they serve unrelated customers.
+ */
+const TRACKER_ENTITIES = {
+  'Google': [
+    'google.com', 'google.co.uk', 'google.de', 'google.fr', 'google.co.in', 'google.com.au',
+    'googleapis.com', 'gstatic.com', 'googleusercontent.com', 'googlevideo.com',
+    'google-analytics.com', 'googletagmanager.com', 'googletagservices.com',
+    'googlesyndication.com', 'googleadservices.com', 'doubleclick.net', 'admob.com',
+    '2mdn.net', 'app-measurement.com', 'googleoptimize.com', 'gvt1.com', 'gvt2.com',
+    'youtube.com', 'ytimg.com', 'youtube-nocookie.com', 'ggpht.com', 'blogger.com'
+  ],
+  'Meta': [
+    'facebook.com', 'facebook.net', 'fbcdn.net', 'fbsbx.com', 'fb.com', 'fb.me',
+    'instagram.com', 'cdninstagram.com', 'whatsapp.com', 'whatsapp.net',
+    'messenger.com', 'meta.com', 'oculus.com', 'threads.net'
+  ],
+  'Microsoft': [
+    'microsoft.com', 'msn.com', 'live.com', 'bing.com', 'bing.net', 'clarity.ms',
+    'azure.com', 'office.com', 'office.net',
+    'skype.com', 'xbox.com', 'msedge.net', 'linkedin.com', 'licdn.com', 'github.com'
+  ],
+  'Amazon': [
+    'amazon.com', 'amazon.co.uk', 'amazon.de', 'amazon-adsystem.com', 'media-amazon.com',
+    'ssl-images-amazon.com', 'assoc-amazon.com', 'amazontrust.com',
+    'twitch.tv', 'ttvnw.net', 'imdb.com', 'alexa.com'
+  ],
+  'Adobe': [
+    'adobe.com', 'adobedtm.com', 'adobelogin.com', 'omtrdc.net', '2o7.net',
+    'demdex.net', 'everesttech.net', 'typekit.net', 'behance.net'
+  ],
+  'X (Twitter)': [
+    'twitter.com', 'x.com', 'twimg.com', 't.co', 'ads-twitter.com'
+  ],
+  'ByteDance': [
+    'tiktok.com', 'tiktokcdn.com', 'byteoversea.com', 'ibytedtos.com', 'tiktokv.com'
+  ],
+  'Oracle': [
+    'oracle.com', 'bluekai.com', 'addthis.com', 'moatads.com', 'eloqua.com', 'maxymiser.net'
+  ],
+  'Salesforce': [
+    'salesforce.com', 'pardot.com', 'force.com', 'krxd.net', 'exacttarget.com', 'slack.com'
+  ],
+  'HubSpot': [
+    'hubspot.com', 'hs-scripts.com', 'hs-analytics.net', 'hsforms.net', 'hscollectedforms.net',
+    'hs-banner.com', 'hubspot.net', 'usemessages.com'
+  ],
+  'Yahoo': [
+    'yahoo.com', 'yimg.com', 'aol.com', 'advertising.com', 'adtechus.com'
+  ],
+  'Comscore': [
+    'comscore.com', 'scorecardresearch.com'
+  ],
+  'Nielsen': [
+    'nielsen.com', 'imrworldwide.com', 'exelator.com'
+  ],
+  'Criteo': [
+    'criteo.com', 'criteo.net'
+  ],
+  'Taboola': [
+    'taboola.com', 'taboolasyndication.com'
+  ],
+  'Outbrain': [
+    'outbrain.com', 'outbrainimg.com'
+  ],
+  'Hotjar': [
+    'hotjar.com', 'hotjar.io'
+  ],
+  'Zendesk': [
+    'zendesk.com', 'zdassets.com', 'zopim.com'
+  ],
+  'Intercom': [
+    'intercom.io', 'intercomcdn.com', 'intercomassets.com'
+  ],
+  'Twilio': [
+    'twilio.com', 'segment.com', 'segment.io', 'sendgrid.net'
+  ],
+  'New Relic': [
+    'newrelic.com', 'nr-data.net'
+  ],
+  'Chartbeat': [
+    'chartbeat.com', 'chartbeat.net'
+  ],
+  'Marketo': [
+    'marketo.com', 'marketo.net', 'mktoresp.com'
+  ],
+  'Intuit Mailchimp': [
+    'mailchimp.com', 'list-manage.com', 'chimpstatic.com'
+  ],
+  'Pinterest': [
+    'pinterest.com', 'pinimg.com'
+  ],
+  'Snap': [
+    'snapchat.com', 'sc-static.net', 'snap.com'
+  ],
+  'Quantcast': [
+    'quantserve.com', 'quantcast.com'
+  ],
+  'Cloudflare': [
+    'cloudflare.com', 'cloudflareinsights.com'
+  ],
+  'Akamai': [
+    'akamai.com', 'akstat.io', 'go-mpulse.net'
+  ]
+};
+
+if (typeof module !== 'undefined') {
+  module.exports = { TRACKER_ENTITIES };
+}
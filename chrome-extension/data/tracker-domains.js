@@ -0,0 +1,151 @@
+/**
+ * KNOWN TRACKER DOMAINS BY CATEGORY
+ *
+ * Registrable domain → tracker category (see lib/tracker-categories.js).
+ * A domain listed here takes precedence over the category of the filter
+ * rule that flagged the request, since it describes the vendor itself.
+ */
+const TRACKER_DOMAIN_CATEGORIES = {
+  // Advertising
+  'doubleclick.net': 'advertising',
+  'googlesyndication.com': 'advertising',
+  'googleadservices.com': 'advertising',
+  'amazon-adsystem.com': 'advertising',
+  'adnxs.com': 'advertising',
+  'criteo.com': 'advertising',
+  'criteo.net': 'advertising',
+  'outbrain.com': 'advertising',
+  'taboola.com': 'advertising',
+  'rubiconproject.com': 'advertising',
+  'pubmatic.com': 'advertising',
+  'openx.net': 'advertising',
+  'casalemedia.com': 'advertising',
+  'adsrvr.org': 'advertising',
+  'bidswitch.net': 'advertising',
+  'moatads.com': 'advertising',
+  'media.net': 'advertising',
+  'bing.com': 'advertising',
+  'ads-twitter.com': 'advertising',
+  'adform.net': 'advertising',
+  'smartadserver.com': 'advertising',
+  'yieldmo.com': 'advertising',
+  '3lift.com': 'advertising',
+  'sharethrough.com': 'advertising',
+
+  // Analytics
+  'google-analytics.com': 'analytics',
+  'omtrdc.net': 'analytics',
+  '2o7.net': 'analytics',
+  'demdex.net': 'analytics',
+  'mixpanel.com': 'analytics',
+  'segment.com': 'analytics',
+  'segment.io': 'analytics',
+  'amplitude.com': 'analytics',
+  'quantserve.com': 'analytics',
+  'scorecardresearch.com': 'analytics',
+  'comscore.com': 'analytics',
+  'nielsen.com': 'analytics',
+  'imrworldwide.com': 'analytics',
+  'chartbeat.com': 'analytics',
+  'chartbeat.net': 'analytics',
+  'newrelic.com': 'analytics',
+  'nr-data.net': 'analytics',
+  'heap.io': 'analytics',
+  'heapanalytics.com': 'analytics',
+  'kissmetrics.io': 'analytics',
+  'parsely.com': 'analytics',
+  'statcounter.com': 'analytics',
+  'matomo.cloud': 'analytics',
+  'plausible.io': 'analytics',
+
+  // Social
+  'facebook.com': 'social',
+  'facebook.net': 'social',
+  'instagram.com': 'social',
+  'twitter.com': 'social',
+  'x.com': 'social',
+  'linkedin.com': 'social',
+  'licdn.com': 'social',
+  'pinterest.com': 'social',
+  'tiktok.com': 'social',
+  'snapchat.com': 'social',
+  'reddit.com': 'social',
+  'addthis.com': 'social',
+  'sharethis.com': 'social',
+  'disqus.com': 'social',
+
+  // Session replay
+  'hotjar.com': 'session-replay',
+  'hotjar.io': 'session-replay',
+  'fullstory.com': 'session-replay',
+  'mouseflow.com': 'session-replay',
+  'smartlook.com': 'session-replay',
+  'logrocket.com': 'session-replay',
+  'lr-ingest.io': 'session-replay',
+  'inspectlet.com': 'session-replay',
+  'crazyegg.com': 'session-replay',
+  'luckyorange.com': 'session-replay',
+  'quantummetric.com': 'session-replay',
+  'contentsquare.net': 'session-replay',
+  'glassboxdigital.io': 'session-replay',
+  'clarity.ms': 'session-replay',
+
+  // Customer engagement
+  'intercom.io': 'customer-engagement',
+  'intercomcdn.com': 'customer-engagement',
+  'zendesk.com': 'customer-engagement',
+  'zdassets.com': 'customer-engagement',
+  'drift.com': 'customer-engagement',
+  'driftt.com': 'customer-engagement',
+  'hubspot.com': 'customer-engagement',
+  'hs-scripts.com': 'customer-engagement',
+  'hs-analytics.net': 'customer-engagement',
+  'salesforce.com': 'customer-engagement',
+  'pardot.com': 'customer-engagement',
+  'marketo.com': 'customer-engagement',
+  'marketo.net': 'customer-engagement',
+  'mailchimp.com': 'customer-engagement',
+  'list-manage.com': 'customer-engagement',
+  'constantcontact.com': 'customer-engagement',
+  'klaviyo.com': 'customer-engagement',
+  'braze.com': 'customer-engagement',
+  'onesignal.com': 'customer-engagement',
+  'livechatinc.com': 'customer-engagement',
+  'tawk.to': 'customer-engagement',
+  'olark.com': 'customer-engagement',
+
+  // Tag managers
+  'googletagmanager.com': 'tag-manager',
+  'googletagservices.com': 'tag-manager',
+  'tealiumiq.com': 'tag-manager',
+  'tiqcdn.com': 'tag-manager',
+  'ensighten.com': 'tag-manager',
+  'adobedtm.com': 'tag-manager',
+
+  // Fingerprinting
+  'fingerprint.com': 'fingerprinting',
+  'fpjs.io': 'fingerprinting',
+  'fpcdn.io': 'fingerprinting',
+  'iovation.com': 'fingerprinting',
+  'threatmetrix.com': 'fingerprinting',
+  'online-metrix.net': 'fingerprinting',
+  'bluecava.com': 'fingerprinting',
+  'maxmind.com': 'fingerprinting',
+
+  // CDN / functional
+  'googleapis.com': 'cdn',
+  'gstatic.com': 'cdn',
+  'fbcdn.net': 'cdn',
+  'cloudflare.com': 'cdn',
+  'cloudfront.net': 'cdn',
+  'akamaihd.net': 'cdn',
+  'jsdelivr.net': 'cdn',
+  'unpkg.com': 'cdn',
+  'fastly.net': 'cdn',
+  'microsoft.com': 'cdn',
+  'adobe.com': 'cdn'
+};
+
+if (typeof module !== 'undefined') {
+  module.exports = { TRACKER_DOMAIN_CATEGORIES };
+}
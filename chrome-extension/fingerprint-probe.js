@@ -0,0 +1,229 @@
+/**
+ * FINGERPRINTING PROBE
+ *
+ * Runs in the page's main world at document_start (see manifest.json), so
+ * it can wrap the APIs that fingerprinting scripts read before any page
+ * script runs:
+ *   - canvas:  HTMLCanvasElement.toDataURL, CanvasRenderingContext2D.getImageData
+ *   - webgl:   WebGL getParameter for the vendor / renderer strings
+ *   - audio:   OfflineAudioContext.startRendering, createDynamicsCompressor
+ *   - plugins: navigator.plugins / navigator.mimeTypes
+ *   - fonts:   measureText / document.fonts.check with FONT_PROBE_THRESHOLD
+ *              or more different fonts from one script
+ *
+ * Each call is attributed to the script that made it from its stack trace,
+ * and reported once per script and API. Capturing a stack is the costly
+ * part, and measureText or getImageData can run thousands of times a frame:
+ * font calls only capture one for a font not measured before, and every
+ * other wrapped method at most once per STACK_SAMPLE_INTERVAL.
+ *
+ * Findings go to lib/fingerprinting.js in the isolated world as a JSON
+ * string in an event on document named with a random id per page load.
+ * The name is handed over before any page script runs, and the event
+ * constructor and dispatchEvent are captured at install time, so the page
+ * can neither forge findings nor listen in. Findings made before the
+ * handshake are kept until it completes. See lib/fingerprinting.js for the
+ * receiving side.
+ *
+ * Pages can look for wrapped APIs to detect the extension, so wrappers take
+ * the original's name and length, cannot be constructed, and
+ * Function.prototype.toString reports them as the original.
+ *
+ * Everything is wrapped in a function so nothing leaks into the page's
+ * globals. Loaded via require() in tests, which install it on a stand-in
+ * window.
+ */
+
+(function (root) {
+  const FINGERPRINT_CHANNEL_EVENT = 'tpd-fingerprint-channel';
+  const FINGERPRINT_READY_EVENT = 'tpd-fingerprint-ready';
+  const FONT_PROBE_THRESHOLD = 20;
+  const STACK_SAMPLE_INTERVAL = 50;           // ms between stack captures per wrapped method
+  const MAX_TRACKED_FONTS = 2000;
+
+  // WebGL VENDOR, RENDERER and the WEBGL_debug_renderer_info UNMASKED_* values
+  const WEBGL_IDENTITY_PARAMETERS = [0x1F00, 0x1F01, 0x9245, 0x9246];
+
+  /**
+   * URL of the script that called the instrumented API: the first http(s)
+   * frame of the stack, as the probe's own frames are chrome-extension: URLs.
+   */
+  function getCallerScriptUrl(stack) {
+    for (const line of String(stack || '').split('\n')) {
+      const match = line.match(/(https?:\/\/[^\s()]+?):\d+:\d+/);
+      if (match) return match[1];
+    }
+    return null;
+  }
+
+  function installFingerprintProbe(global, options = {}) {
+    const document = global.document;
+    const CustomEvent = global.CustomEvent;
+    const dispatchEvent = global.EventTarget.prototype.dispatchEvent.bind(document);
+    const stringify = JSON.stringify;
+    const channel = `tpd-${global.crypto.randomUUID()}`;
+    const getStack = options.getStack || (() => new Error().stack);
+    const now = options.now || (() => Date.now());
+    const reported = new Set();
+    const lastCapture = new Map();            // Wrapped method → time of its last stack capture
+    const seenFonts = new Set();
+    const fontsByScript = new Map();
+    const findings = [];                      // Made before the handshake
+    const originals = new WeakMap();          // Wrapper → the function it replaces
+    let receiverReady = false;
+
+    function dispatch(finding) {
+      dispatchEvent(new CustomEvent(channel, { detail: stringify(finding) }));
+    }
+
+    // lib/fingerprinting.js accepts the channel by cancelling the offer
+    function offerChannel() {
+      if (dispatchEvent(new CustomEvent(FINGERPRINT_CHANNEL_EVENT, { detail: channel, cancelable: true }))) return;
+
+      receiverReady = true;
+      document.removeEventListener(FINGERPRINT_READY_EVENT, offerChannel);
+      findings.splice(0).forEach(dispatch);
+    }
+
+    function report(api, scriptUrl) {
+      const key = `${api} ${scriptUrl}`;
+      if (reported.has(key)) return;
+      reported.add(key);
+
+      const finding = { api, scriptUrl, timestamp: Date.now() };
+      if (receiverReady) {
+        dispatch(finding);
+      } else {
+        findings.push(finding);
+      }
+    }
+
+    function reportCaller(api, method) {
+      const time = now();
+      if (lastCapture.has(method) && time - lastCapture.get(method) < STACK_SAMPLE_INTERVAL) return;
+      lastCapture.set(method, time);
+
+      const scriptUrl = getCallerScriptUrl(getStack());
+      if (scriptUrl) report(api, scriptUrl);
+    }
+
+    // Font enumeration shows as many fonts measured by the same script. A
+    // font measured before adds nothing, so repeats skip the stack capture.
+    function recordFont(font) {
+      const name = String(font);
+      if (seenFonts.has(name) || seenFonts.size >= MAX_TRACKED_FONTS) return;
+      seenFonts.add(name);
+
+      const scriptUrl = getCallerScriptUrl(getStack());
+      if (!scriptUrl || reported.has(`fonts ${scriptUrl}`)) return;
+
+      let fonts = fontsByScript.get(scriptUrl);
+      if (!fonts) {
+        fonts = new Set();
+        fontsByScript.set(scriptUrl, fonts);
+      }
+      fonts.add(name);
+      if (fonts.size >= FONT_PROBE_THRESHOLD) {
+        fontsByScript.delete(scriptUrl);
+        report('fonts', scriptUrl);
+      }
+    }
+
+    function disguise(wrapper, original) {
+      originals.set(wrapper, original);
+      Object.defineProperty(wrapper, 'name', { value: original.name, configurable: true });
+      Object.defineProperty(wrapper, 'length', { value: original.length, configurable: true });
+      return wrapper;
+    }
+
+    // Method shorthand, unlike function expressions, gives wrappers no
+    // prototype and no [[Construct]], like the native methods they replace
+    function wrapMethod(prototype, name, before) {
+      const original = prototype && prototype[name];
+      if (typeof original !== 'function') return;
+
+      const wrapper = {
+        method(...args) {
+          try {
+            before.call(this, args);
+          } catch {
+            // Never break the page over a failed report
+          }
+          return Reflect.apply(original, this, args);
+        }
+      }.method;
+      prototype[name] = disguise(wrapper, original);
+    }
+
+    function wrapGetter(prototype, name, before) {
+      const descriptor = prototype && Object.getOwnPropertyDescriptor(prototype, name);
+      if (!descriptor || typeof descriptor.get !== 'function') return;
+
+      const getter = {
+        get() {
+          try {
+            before.call(this);
+          } catch {
+            // Never break the page over a failed report
+          }
+          return Reflect.apply(descriptor.get, this, []);
+        }
+      }.get;
+      Object.defineProperty(prototype, name, { ...descriptor, get: disguise(getter, descriptor.get) });
+    }
+
+    // Report wrappers, and this toString itself, as the functions they replace
+    function disguiseWrappers() {
+      const functionPrototype = global.Function && global.Function.prototype;
+      const nativeToString = functionPrototype && functionPrototype.toString;
+      if (typeof nativeToString !== 'function') return;
+
+      const toString = {
+        toString() {
+          return Reflect.apply(nativeToString, originals.get(this) || this, []);
+        }
+      }.toString;
+      functionPrototype.toString = disguise(toString, nativeToString);
+    }
+
+    disguiseWrappers();
+
+    const canvasPrototype = global.HTMLCanvasElement && global.HTMLCanvasElement.prototype;
+    const context2dPrototype = global.CanvasRenderingContext2D && global.CanvasRenderingContext2D.prototype;
+    wrapMethod(canvasPrototype, 'toDataURL', () => reportCaller('canvas', 'toDataURL'));
+    wrapMethod(context2dPrototype, 'getImageData', () => reportCaller('canvas', 'getImageData'));
+    wrapMethod(context2dPrototype, 'measureText', function () { recordFont(this.font); });
+
+    [global.WebGLRenderingContext, global.WebGL2RenderingContext].forEach(context => {
+      wrapMethod(context && context.prototype, 'getParameter', ([parameter]) => {
+        if (WEBGL_IDENTITY_PARAMETERS.includes(parameter)) reportCaller('webgl', 'getParameter');
+      });
+    });
+
+    wrapMethod(global.OfflineAudioContext && global.OfflineAudioContext.prototype, 'startRendering', () => reportCaller('audio', 'startRendering'));
+    wrapMethod(global.BaseAudioContext && global.BaseAudioContext.prototype, 'createDynamicsCompressor', () => reportCaller('audio', 'createDynamicsCompressor'));
+
+    const navigatorPrototype = global.Navigator && global.Navigator.prototype;
+    wrapGetter(navigatorPrototype, 'plugins', () => reportCaller('plugins', 'plugins'));
+    wrapGetter(navigatorPrototype, 'mimeTypes', () => reportCaller('plugins', 'mimeTypes'));
+
+    wrapMethod(global.FontFaceSet && global.FontFaceSet.prototype, 'check', ([font]) => recordFont(font));
+
+    // The receiver may have started first, or ask once it is listening
+    document.addEventListener(FINGERPRINT_READY_EVENT, offerChannel);
+    offerChannel();
+  }
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+      FINGERPRINT_CHANNEL_EVENT,
+      FINGERPRINT_READY_EVENT,
+      FONT_PROBE_THRESHOLD,
+      STACK_SAMPLE_INTERVAL,
+      getCallerScriptUrl,
+      installFingerprintProbe
+    };
+  } else {
+    installFingerprintProbe(root);
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,69 @@
+/**
+ * TOOLBAR BADGE
+ *
+ * The action badge shows how many distinct tracking base domains the tab
+ * has contacted since its last top-level navigation; blocked requests never
+ * reached the vendor and do not count. The badge colour is
+ * picked from a list of thresholds stored under "badgeThresholds" in
+ * chrome.storage.local: the threshold with the highest `min` not above the
+ * count wins.
+ *
+ * Loaded in the service worker, by the options page and via require() in tests.
+ */
+
+const BADGE_THRESHOLDS_STORAGE_KEY = 'badgeThresholds';
+const MAX_BADGE_COUNT = 99;
+
+const DEFAULT_BADGE_THRESHOLDS = [
+  { min: 1, color: '#4A628F' },
+  { min: 5, color: '#FF8400' },
+  { min: 10, color: '#CC0000' }
+];
+
+const BADGE_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Validates stored thresholds, sorted by `min`. Falls back to the defaults
+ * when nothing valid is stored.
+ */
+function normalizeBadgeThresholds(thresholds) {
+  if (!Array.isArray(thresholds)) return DEFAULT_BADGE_THRESHOLDS.slice();
+
+  const valid = thresholds
+    .filter(threshold => threshold &&
+      Number.isInteger(threshold.min) && threshold.min >= 1 &&
+      BADGE_COLOR_PATTERN.test(threshold.color))
+    .map(threshold => ({ min: threshold.min, color: threshold.color }))
+    .sort((a, b) => a.min - b.min);
+
+  return valid.length > 0 ? valid : DEFAULT_BADGE_THRESHOLDS.slice();
+}
+
+function getBadgeColor(count, thresholds) {
+  const sorted = normalizeBadgeThresholds(thresholds);
+  let color = sorted[0].color;
+  sorted.forEach(threshold => {
+    if (count >= threshold.min) color = threshold.color;
+  });
+  return color;
+}
+
+function formatBadgeText(count) {
+  if (!count) return '';
+  return count > MAX_BADGE_COUNT ? `${MAX_BADGE_COUNT}+` : String(count);
+}
+
+function countTrackerDomains(entries) {
+  return new Set(entries.filter(entry => !entry.blocked).map(entry => entry.domain)).size;
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    BADGE_THRESHOLDS_STORAGE_KEY,
+    DEFAULT_BADGE_THRESHOLDS,
+    normalizeBadgeThresholds,
+    getBadgeColor,
+    formatBadgeText,
+    countTrackerDomains
+  };
+}
@@ -0,0 +1,108 @@
+/**
+ * TRACKER BLOCKING RULES
+ *
+ * Builds and reads the dynamic declarativeNetRequest rules created by the
+ * "Block" action on a domain tag. A block covers one registrable domain and
+ * its subdomains, either everywhere or only on one site (the registrable
+ * domain of the page that made the request).
+ *
+ * The dynamic rules themselves are the source of truth; no separate list is
+ * stored. Loaded in the service worker and via require() in tests.
+ */
+
+const BLOCK_SCOPES = {
+  GLOBAL: 'global',
+  SITE: 'site'
+};
+
+const BLOCK_RULE_PRIORITY = 1;
+
+function createBlockRule(id, domain, site = null) {
+  const condition = { requestDomains: [domain] };
+  if (site) {
+    condition.initiatorDomains = [site];
+  }
+
+  return {
+    id,
+    priority: BLOCK_RULE_PRIORITY,
+    action: { type: 'block' },
+    condition
+  };
+}
+
+/**
+ * Reads a dynamic rule back into { id, domain, site }. Rules not created by
+ * createBlockRule() return null.
+ */
+function describeBlockRule(rule) {
+  if (!rule || !rule.action || rule.action.type !== 'block') return null;
+
+  const { requestDomains, initiatorDomains } = rule.condition || {};
+  if (!requestDomains || requestDomains.length !== 1) return null;
+
+  return {
+    id: rule.id,
+    domain: requestDomains[0],
+    site: initiatorDomains && initiatorDomains.length === 1 ? initiatorDomains[0] : null
+  };
+}
+
+function getNextBlockRuleId(rules) {
+  return rules.reduce((maxId, rule) => Math.max(maxId, rule.id), 0) + 1;
+}
+
+/**
+ * Runs rule changes one at a time. Each change reads the dynamic rules to
+ * pick the next id, so two overlapping blocks (an entity tag blocks all its
+ * members at once) would otherwise pick the same id and one would fail.
+ * Returns a function that queues `update` and resolves with its result.
+ */
+function createRuleUpdateQueue() {
+  let tail = Promise.resolve();
+  return (update) => {
+    const result = tail.then(update);
+    tail = result.catch(() => {});
+    return result;
+  };
+}
+
+/**
+ * Adds a block rule through `rulesApi` (chrome.declarativeNetRequest) with
+ * the next free id. Run it through createRuleUpdateQueue().
+ */
+async function addBlockRule(rulesApi, domain, site = null) {
+  const rules = await rulesApi.getDynamicRules();
+  const rule = createBlockRule(getNextBlockRuleId(rules), domain, site);
+  await rulesApi.updateDynamicRules({ addRules: [rule] });
+  return rule;
+}
+
+function domainMatchesBlock(hostname, domain) {
+  return hostname === domain || hostname.endsWith(`.${domain}`);
+}
+
+/**
+ * Finds the block that applies to a request, mirroring how declarativeNetRequest
+ * matches requestDomains and initiatorDomains.
+ */
+function findBlock(blocks, requestDomain, siteDomain) {
+  if (!requestDomain) return null;
+
+  return blocks.find(block =>
+    domainMatchesBlock(requestDomain, block.domain) &&
+    (!block.site || (siteDomain && domainMatchesBlock(siteDomain, block.site)))
+  ) || null;
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    BLOCK_SCOPES,
+    createBlockRule,
+    describeBlockRule,
+    getNextBlockRuleId,
+    createRuleUpdateQueue,
+    addBlockRule,
+    findBlock
+  };
+}
@@ -0,0 +1,153 @@
+/**
+ * THIRD-PARTY COOKIE ANALYSIS
+ *
+ * Parses the Set-Cookie headers of tracking responses into cookie
+ * descriptors:
+ *   { name, lifetime, sameSite, partitioned, secure, httpOnly,
+ *     identifier, longLived }
+ *
+ * `lifetime` is in seconds, or null for session cookies. Values are never
+ * kept; `identifier` only says whether the value looks like an ID (long,
+ * with digits) rather than a flag or consent string. Long-lived identifiers
+ * are what cross-site tracking relies on.
+ *
+ * Loaded in the service worker, as a content script and via require() in tests.
+ */
+
+const LONG_LIVED_COOKIE_SECONDS = 30 * 24 * 60 * 60; // 30 days
+const SAME_SITE_VALUES = ['Strict', 'Lax', 'None'];
+
+function looksLikeIdentifier(value) {
+  return value.length >= 10 && /\d/.test(value) && /^[\w.\-|:=%+/]+$/.test(value);
+}
+
+/**
+ * Parses one Set-Cookie value, or returns null when it is malformed or
+ * deletes the cookie (expiry in the past).
+ */
+function parseSetCookie(header, now = Date.now()) {
+  const [pair, ...attributes] = String(header).split(';');
+  const separator = pair.indexOf('=');
+  if (separator <= 0) return null;
+
+  const name = pair.slice(0, separator).trim();
+  const value = pair.slice(separator + 1).trim().replace(/^"(.*)"$/, '$1');
+  if (!name) return null;
+
+  const cookie = {
+    name,
+    lifetime: null,
+    sameSite: null,
+    partitioned: false,
+    secure: false,
+    httpOnly: false,
+    identifier: looksLikeIdentifier(value),
+    longLived: false
+  };
+
+  let maxAge = null;
+  let expires = null;
+  attributes.forEach(attribute => {
+    const [key, ...rest] = attribute.split('=');
+    const attributeValue = rest.join('=').trim();
+    switch (key.trim().toLowerCase()) {
+      case 'max-age':
+        if (/^-?\d+$/.test(attributeValue)) maxAge = Number(attributeValue);
+        break;
+      case 'expires': {
+        const time = Date.parse(attributeValue);
+        if (!Number.isNaN(time)) expires = Math.round((time - now) / 1000);
+        break;
+      }
+      case 'samesite':
+        cookie.sameSite = SAME_SITE_VALUES.find(sameSite => sameSite.toLowerCase() === attributeValue.toLowerCase()) || null;
+        break;
+      case 'partitioned':
+        cookie.partitioned = true;
+        break;
+      case 'secure':
+        cookie.secure = true;
+        break;
+      case 'httponly':
+        cookie.httpOnly = true;
+        break;
+    }
+  });
+
+  // Max-Age takes precedence over Expires
+  const lifetime = maxAge !== null ? maxAge : expires;
+  if (lifetime !== null && lifetime <= 0) return null;
+
+  cookie.lifetime = lifetime;
+  cookie.longLived = lifetime !== null && lifetime >= LONG_LIVED_COOKIE_SECONDS;
+  return cookie;
+}
+
+/**
+ * Cookies set by a webRequest response. Chrome joins repeated Set-Cookie
+ * headers with newlines.
+ */
+function parseSetCookieHeaders(responseHeaders, now = Date.now()) {
+  const cookies = [];
+  (responseHeaders || []).forEach(header => {
+    if (header.name.toLowerCase() !== 'set-cookie' || !header.value) return;
+    header.value.split('\n').forEach(line => {
+      const cookie = parseSetCookie(line, now);
+      if (cookie) cookies.push(cookie);
+    });
+  });
+  return cookies;
+}
+
+/**
+ * Merges cookie descriptors by name; the latest one wins.
+ */
+function mergeCookies(cookies, additions) {
+  additions.forEach(cookie => {
+    const index = cookies.findIndex(existing => existing.name === cookie.name);
+    if (index === -1) {
+      cookies.push(cookie);
+    } else {
+      cookies[index] = cookie;
+    }
+  });
+  return cookies;
+}
+
+function formatCookieLifetime(lifetime) {
+  if (lifetime === null) return 'session';
+
+  const units = [
+    [365 * 24 * 60 * 60, 'year'],
+    [24 * 60 * 60, 'day'],
+    [60 * 60, 'hour'],
+    [60, 'minute']
+  ];
+  for (const [seconds, unit] of units) {
+    if (lifetime >= seconds) {
+      const amount = Math.round(lifetime / seconds);
+      return `${amount} ${unit}${amount === 1 ? '' : 's'}`;
+    }
+  }
+  return `${lifetime} seconds`;
+}
+
+function describeCookie(cookie) {
+  const parts = [formatCookieLifetime(cookie.lifetime)];
+  parts.push(cookie.sameSite ? `SameSite=${cookie.sameSite}` : 'SameSite unset');
+  if (cookie.secure) parts.push('Secure');
+  if (cookie.partitioned) parts.push('Partitioned');
+  if (cookie.httpOnly) parts.push('HttpOnly');
+  return parts.join(' · ');
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    LONG_LIVED_COOKIE_SECONDS,
+    parseSetCookie,
+    parseSetCookieHeaders,
+    mergeCookies,
+    formatCookieLifetime,
+    describeCookie
+  };
+}
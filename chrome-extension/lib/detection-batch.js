@@ -0,0 +1,221 @@
+/**
+ * DETECTION BATCHING
+ *
+ * Pages firing hundreds of tracking pixels per second would otherwise cost
+ * one runtime message, and one DOM update, per request. The service worker
+ * collects a tab's detections for DETECTION_BATCH_DELAY ms and sends a
+ * single THIRD_PARTY_DOMAINS message with one summary per base domain:
+ *
+ *   { domain, fullDomain, entity, category, rule, count, blockedCount,
+ *     subdomains: { host: count }, resourceTypes: { type: count },
+ *     iframes: [...], firstSeen, lastSeen, urls: [...], cookies: [...],
+ *     leaks: [...], sessions: [...], seq }
+ *
+ * `count` / `blockedCount` are the requests since the previous batch,
+ * `subdomains` / `resourceTypes` break them down, `iframes` lists the
+ * hostnames of the iframes that made them, `firstSeen` / `lastSeen` are
+ * their timestamps and `urls` the latest MAX_RECENT_URLS request URLs
+ * (oldest first). `cookies` are the cookies their responses set, by name
+ * (see lib/cookies.js). Cookies arrive after the request was counted, so
+ * they are sent as summaries with a count of 0. `leaks` are the personal
+ * data findings of the requests (see lib/leaks.js). WebSocket connections
+ * stay open, so they are listed in `sessions` as { url, openedAt } instead
+ * of being counted as requests. `fullDomain` is the latest
+ * subdomain and `seq` the tab log sequence number of the latest change
+ * (see lib/tab-log.js).
+ *
+ * The content script merges batches with the same helpers until its next
+ * animation frame, and keeps merging them into each tag's detail drawer.
+ * The same summaries describe a tab's whole log for the backlog replayed
+ * when the content script starts (summarizeDetections).
+ *
+ * Loaded in the service worker, the content script and via require() in tests.
+ */
+
+const DETECTION_BATCH_DELAY = 100; // ms
+const MAX_RECENT_URLS = 10;
+const MAX_SESSIONS = 10;
+
+function mergeCookieList(cookies, additions) {
+  const merge = typeof mergeCookies === 'function' ? mergeCookies : require('./cookies.js').mergeCookies;
+  return merge(cookies, additions);
+}
+
+function mergeLeakList(leaks, additions) {
+  const merge = typeof mergeLeaks === 'function' ? mergeLeaks : require('./leaks.js').mergeLeaks;
+  return merge(leaks, additions);
+}
+
+function isSessionDetection(detection) {
+  return detection.resourceType === 'websocket' && !detection.blocked;
+}
+
+function summarizeDetection(detection) {
+  const session = isSessionDetection(detection);
+  return {
+    domain: detection.domain,
+    fullDomain: detection.fullDomain,
+    entity: detection.entity || null,
+    category: detection.category,
+    rule: detection.rule,
+    count: session ? 0 : 1,
+    blockedCount: detection.blocked ? 1 : 0,
+    subdomains: { [detection.fullDomain]: 1 },
+    resourceTypes: { [detection.resourceType]: 1 },
+    iframes: detection.inIframe && detection.frameDomain ? [detection.frameDomain] : [],
+    firstSeen: detection.timestamp,
+    lastSeen: detection.timestamp,
+    urls: [detection.url],
+    cookies: (detection.cookies || []).slice(),
+    leaks: (detection.leaks || []).slice(),
+    sessions: session ? [{ url: detection.url, openedAt: detection.timestamp }] : [],
+    seq: detection.seq || 0
+  };
+}
+
+// Cookies set by the response to an already counted request
+function summarizeCookies(detection) {
+  return {
+    ...summarizeDetection(detection),
+    count: 0,
+    blockedCount: 0,
+    subdomains: {},
+    resourceTypes: {},
+    iframes: [],
+    urls: [],
+    leaks: [],
+    sessions: []
+  };
+}
+
+function copySummary(summary) {
+  return {
+    ...summary,
+    subdomains: { ...summary.subdomains },
+    resourceTypes: { ...summary.resourceTypes },
+    iframes: summary.iframes.slice(),
+    urls: summary.urls.slice(),
+    cookies: summary.cookies.slice(),
+    leaks: summary.leaks.slice(),
+    sessions: summary.sessions.slice()
+  };
+}
+
+function addCounts(counts, additions) {
+  Object.entries(additions).forEach(([key, count]) => {
+    counts[key] = (counts[key] || 0) + count;
+  });
+}
+
+function addUnique(values, additions) {
+  additions.forEach(value => {
+    if (!values.includes(value)) values.push(value);
+  });
+}
+
+/**
+ * Adds the requests of `summary` to `target`, a summary of earlier requests.
+ * Identity fields (domain, category, rule...) are left untouched.
+ */
+function mergeSummaryStats(target, summary) {
+  target.count += summary.count;
+  target.blockedCount += summary.blockedCount;
+  addCounts(target.subdomains, summary.subdomains);
+  addCounts(target.resourceTypes, summary.resourceTypes);
+  addUnique(target.iframes, summary.iframes);
+  target.firstSeen = Math.min(target.firstSeen, summary.firstSeen);
+  target.lastSeen = Math.max(target.lastSeen, summary.lastSeen);
+  target.urls = target.urls.concat(summary.urls).slice(-MAX_RECENT_URLS);
+  mergeCookieList(target.cookies, summary.cookies);
+  mergeLeakList(target.leaks, summary.leaks);
+  target.sessions = target.sessions.concat(summary.sessions).slice(-MAX_SESSIONS);
+  target.seq = Math.max(target.seq, summary.seq);
+}
+
+/**
+ * Merges a domain summary into `batch` (Map of base domain → summary).
+ * Category, entity and rule stay those of the first request.
+ */
+function addToBatch(batch, summary) {
+  const existing = batch.get(summary.domain);
+  if (!existing) {
+    batch.set(summary.domain, copySummary(summary));
+    return;
+  }
+
+  existing.fullDomain = summary.fullDomain;
+  mergeSummaryStats(existing, summary);
+}
+
+function summarizeDetections(detections) {
+  const batch = new Map();
+  detections.forEach(detection => addToBatch(batch, summarizeDetection(detection)));
+  return [...batch.values()];
+}
+
+class DetectionBatcher {
+  /**
+   * @param {function(number, Array<Object>)} send - delivers a tab's summaries
+   */
+  constructor(send, options = {}) {
+    this.send = send;
+    this.delay = options.delay !== undefined ? options.delay : DETECTION_BATCH_DELAY;
+
+    this.batches = new Map();         // tabId → Map(base domain → summary)
+    this.timers = new Map();          // tabId → flush timeout
+  }
+
+  add(tabId, detection) {
+    this.addSummary(tabId, summarizeDetection(detection));
+  }
+
+  addCookies(tabId, detection) {
+    this.addSummary(tabId, summarizeCookies(detection));
+  }
+
+  addSummary(tabId, summary) {
+    let batch = this.batches.get(tabId);
+    if (!batch) {
+      batch = new Map();
+      this.batches.set(tabId, batch);
+    }
+    addToBatch(batch, summary);
+
+    if (!this.timers.has(tabId)) {
+      this.timers.set(tabId, setTimeout(() => this.flush(tabId), this.delay));
+    }
+  }
+
+  flush(tabId) {
+    const batch = this.batches.get(tabId);
+    this.discard(tabId);
+    if (batch && batch.size > 0) {
+      this.send(tabId, [...batch.values()]);
+    }
+  }
+
+  /**
+   * Drops a tab's pending detections, e.g. when it navigates away from the
+   * page they belong to.
+   */
+  discard(tabId) {
+    clearTimeout(this.timers.get(tabId));
+    this.timers.delete(tabId);
+    this.batches.delete(tabId);
+  }
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    DetectionBatcher,
+    addToBatch,
+    copySummary,
+    mergeSummaryStats,
+    summarizeCookies,
+    summarizeDetection,
+    summarizeDetections,
+    DETECTION_BATCH_DELAY,
+    MAX_RECENT_URLS,
+    MAX_SESSIONS
+  };
+}
@@ -0,0 +1,85 @@
+/**
+ * TRACKER ENTITY RESOLUTION
+ *
+ * Maps registrable domains to the company that owns them, using the bundled
+ * ownership map in data/entities.js. Domain tags are grouped by entity, and
+ * a request to a domain owned by the page's entity is not third-party when
+ * it only serves content (CDN or otherwise uncategorized domains).
+ *
+ * Loaded in the service worker, as a content script and via require() in tests.
+ */
+
+// The only categories a company's own domains may have and still be
+// first-party on its other sites: gstatic.com on youtube.com. Any other
+// category tracks visitors like anyone else's (googletagmanager.com on
+// youtube.com, clarity.ms on linkedin.com)
+const ENTITY_FIRST_PARTY_CATEGORIES = ['cdn'];
+
+let domainEntityIndex = null;
+
+function getTrackerEntities() {
+  if (typeof TRACKER_ENTITIES !== 'undefined') {
+    return TRACKER_ENTITIES;
+  }
+  if (typeof require === 'function') {
+    return require('../data/entities.js').TRACKER_ENTITIES;
+  }
+  return {};
+}
+
+function buildDomainEntityIndex(entities) {
+  const index = new Map();
+  Object.entries(entities).forEach(([entity, domains]) => {
+    domains.forEach(domain => index.set(domain, entity));
+  });
+  return index;
+}
+
+/**
+ * Returns the owning company of a registrable domain, or null when the
+ * domain is not in the ownership map.
+ */
+function getEntityName(baseDomain) {
+  if (!baseDomain) return null;
+  if (!domainEntityIndex) {
+    domainEntityIndex = buildDomainEntityIndex(getTrackerEntities());
+  }
+  return domainEntityIndex.get(baseDomain.toLowerCase()) || null;
+}
+
+function isSameEntity(baseDomainA, baseDomainB) {
+  const entity = getEntityName(baseDomainA);
+  return entity !== null && entity === getEntityName(baseDomainB);
+}
+
+/**
+ * Whether a request between two sites of the same company stays
+ * first-party (facebook.com → fbcdn.net). It does when neither the category
+ * map nor a matching filter rule gives it a category outside
+ * ENTITY_FIRST_PARTY_CATEGORIES, so unlisted domains (i.ytimg.com) qualify.
+ * `request` is
+ * { url, hostname, pageHostname, type } as for FilterEngine.match(), which
+ * is asked as if the request were third-party.
+ */
+function isSameEntityFirstParty(request, filterEngine) {
+  const resolveBaseDomain = typeof getBaseDomain === 'function' ? getBaseDomain : require('./public-suffix.js').getBaseDomain;
+  const taxonomy = typeof categorizeTracker === 'function' ? { categorizeTracker, DEFAULT_TRACKER_CATEGORY } : require('./tracker-categories.js');
+
+  const requestBase = resolveBaseDomain(request.hostname);
+  if (!isSameEntity(requestBase, resolveBaseDomain(request.pageHostname))) return false;
+
+  const rule = filterEngine.match({ ...request, thirdParty: true });
+  if (rule && !ENTITY_FIRST_PARTY_CATEGORIES.includes(rule.category)) return false;
+
+  const category = taxonomy.categorizeTracker(requestBase, null);
+  return category === taxonomy.DEFAULT_TRACKER_CATEGORY || ENTITY_FIRST_PARTY_CATEGORIES.includes(category);
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    ENTITY_FIRST_PARTY_CATEGORIES,
+    getEntityName,
+    isSameEntity,
+    isSameEntityFirstParty
+  };
+}
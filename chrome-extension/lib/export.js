@@ -0,0 +1,220 @@
+/**
+ * PAGE AUDIT EXPORT
+ *
+ * Formats a tab's detection log (see lib/tab-log.js) for tickets and
+ * network tools:
+ *   - json:     full detection records
+ *   - csv:      one row per request
+ *   - har:      HAR 1.2 subset with one entry per request
+ *   - markdown: summary table grouped by base domain
+ *
+ * `page` describes the audited tab: { url, title }.
+ *
+ * Loaded by the popup and via require() in tests.
+ */
+
+const EXPORT_FORMATS = {
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+  har: { label: 'HAR', extension: 'har', mimeType: 'application/json' },
+  markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' }
+};
+
+const CSV_COLUMNS = [
+  ['timestamp', entry => new Date(entry.timestamp).toISOString()],
+  ['domain', entry => entry.domain],
+  ['fullDomain', entry => entry.fullDomain],
+  ['entity', entry => entry.entity],
+  ['category', entry => entry.category],
+  ['resourceType', entry => entry.resourceType],
+  ['method', entry => entry.method],
+  ['frameId', entry => entry.frameId],
+  ['frameDomain', entry => entry.frameDomain],
+  ['blocked', entry => entry.blocked === true],
+  ['leaks', entry => (entry.leaks || []).map(leak => `${leak.type}:${leak.parameter}`).join(' ')],
+  ['rule', entry => entry.rule],
+  ['url', entry => entry.url]
+];
+
+function getCategoryLabel(category) {
+  const resolve = typeof getTrackerCategory === 'function'
+    ? getTrackerCategory
+    : require('./tracker-categories.js').getTrackerCategory;
+  return resolve(category).label;
+}
+
+function getExtensionVersion() {
+  if (typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.getManifest) {
+    return chrome.runtime.getManifest().version;
+  }
+  return '';
+}
+
+function buildJsonExport(entries, page, exportedAt) {
+  return JSON.stringify({
+    page: { url: page.url, title: page.title || null },
+    exportedAt: exportedAt.toISOString(),
+    detections: entries
+  }, null, 2);
+}
+
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function buildCsvExport(entries) {
+  const rows = [CSV_COLUMNS.map(([name]) => name)];
+  entries.forEach(entry => {
+    rows.push(CSV_COLUMNS.map(([, read]) => read(entry)));
+  });
+  return rows.map(row => row.map(escapeCsvValue).join(',')).join('\r\n') + '\r\n';
+}
+
+function getQueryString(url) {
+  try {
+    return [...new URL(url).searchParams].map(([name, value]) => ({ name, value }));
+  } catch {
+    return [];
+  }
+}
+
+function buildHarExport(entries, page, exportedAt) {
+  const startedDateTime = entries.length > 0
+    ? new Date(entries[0].timestamp).toISOString()
+    : exportedAt.toISOString();
+
+  return JSON.stringify({
+    log: {
+      version: '1.2',
+      creator: { name: 'Ghost Tracer', version: getExtensionVersion() },
+      pages: [{
+        startedDateTime,
+        id: 'page_1',
+        title: page.title || page.url,
+        pageTimings: {}
+      }],
+      // Only what webRequest observed; headers, sizes and timings are unknown
+      entries: entries.map(entry => ({
+        pageref: 'page_1',
+        startedDateTime: new Date(entry.timestamp).toISOString(),
+        time: 0,
+        request: {
+          method: entry.method || 'GET',
+          url: entry.url,
+          httpVersion: '',
+          cookies: [],
+          headers: [],
+          queryString: getQueryString(entry.url),
+          headersSize: -1,
+          bodySize: -1
+        },
+        response: {
+          status: 0,
+          statusText: entry.blocked ? 'Blocked by Ghost Tracer' : '',
+          httpVersion: '',
+          cookies: [],
+          headers: [],
+          content: { size: 0, mimeType: '' },
+          redirectURL: '',
+          headersSize: -1,
+          bodySize: -1
+        },
+        cache: {},
+        timings: { send: 0, wait: 0, receive: 0 },
+        _resourceType: entry.resourceType,
+        _trackerDomain: entry.domain,
+        _trackerCategory: entry.category,
+        _matchedRule: entry.rule
+      }))
+    }
+  }, null, 2);
+}
+
+function escapeMarkdownCell(value) {
+  return String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+function summarizeByDomain(entries) {
+  const domains = new Map();
+  entries.forEach(entry => {
+    let summary = domains.get(entry.domain);
+    if (!summary) {
+      summary = {
+        domain: entry.domain,
+        entity: entry.entity,
+        category: entry.category,
+        requests: 0,
+        blocked: 0,
+        resourceTypes: new Set()
+      };
+      domains.set(entry.domain, summary);
+    }
+    summary.requests++;
+    if (entry.blocked) summary.blocked++;
+    summary.resourceTypes.add(entry.resourceType);
+  });
+
+  return [...domains.values()].sort((a, b) => b.requests - a.requests || a.domain.localeCompare(b.domain));
+}
+
+function buildMarkdownExport(entries, page, exportedAt) {
+  const summaries = summarizeByDomain(entries);
+  const lines = [
+    `# Tracker audit: ${page.url}`,
+    '',
+    `Exported ${exportedAt.toISOString()} · ${entries.length} requests to ${summaries.length} tracking domains`,
+    ''
+  ];
+
+  if (summaries.length === 0) {
+    lines.push('No trackers detected.');
+    return lines.join('\n') + '\n';
+  }
+
+  lines.push('| Domain | Entity | Category | Requests | Blocked | Resource types |');
+  lines.push('| --- | --- | --- | ---: | ---: | --- |');
+  summaries.forEach(summary => {
+    lines.push(`| ${[
+      summary.domain,
+      summary.entity || '',
+      getCategoryLabel(summary.category),
+      summary.requests,
+      summary.blocked,
+      [...summary.resourceTypes].sort().join(', ')
+    ].map(escapeMarkdownCell).join(' | ')} |`);
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+function buildExport(format, entries, page, exportedAt = new Date()) {
+  switch (format) {
+    case 'json': return buildJsonExport(entries, page, exportedAt);
+    case 'csv': return buildCsvExport(entries);
+    case 'har': return buildHarExport(entries, page, exportedAt);
+    case 'markdown': return buildMarkdownExport(entries, page, exportedAt);
+    default: throw new Error(`Unknown export format: ${format}`);
+  }
+}
+
+function getExportFilename(format, page, exportedAt = new Date()) {
+  let host = 'page';
+  try {
+    host = new URL(page.url).hostname || host;
+  } catch {
+    // Keep the generic name
+  }
+  const stamp = exportedAt.toISOString().slice(0, 16).replace(/[-:T]/g, '');
+  return `ghost-tracer-${host}-${stamp}.${EXPORT_FORMATS[format].extension}`;
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    EXPORT_FORMATS,
+    buildExport,
+    getExportFilename,
+    summarizeByDomain
+  };
+}
@@ -0,0 +1,421 @@
+/**
+ * ADBLOCK FILTER LIST ENGINE
+ *
+ * Parses EasyList/EasyPrivacy-style network filters and matches requests
+ * against them. Supported syntax:
+ *
+ *   ||example.com^            hostname anchor (domain and its subdomains)
+ *   |https://  ...|           start/end anchors
+ *   *  ^                      wildcard and separator placeholder
+ *   /regex/                   regular expression rules
+ *   @@                        exception rules
+ *   $third-party, $script ... options (types, party, domain=, match-case, important)
+ *
+ * A "! Category: <name>" comment assigns a tracker category (see
+ * lib/tracker-categories.js) to the rules that follow it, until the next
+ * directive. Lists without directives use the list's default category.
+ *
+ * Cosmetic filters (##, #@#, ...) are skipped, as are rules carrying options
+ * this engine does not understand, so they can never produce false hits.
+ *
+ * Loaded via importScripts() in the service worker and via require() in the
+ * Node test suite.
+ */
+
+// webRequest resource types mapped to filter option names
+const FILTER_RESOURCE_TYPES = {
+  main_frame: 'document',
+  sub_frame: 'subdocument',
+  stylesheet: 'stylesheet',
+  script: 'script',
+  image: 'image',
+  font: 'font',
+  object: 'object',
+  xmlhttprequest: 'xmlhttprequest',
+  ping: 'ping',
+  csp_report: 'other',
+  media: 'media',
+  websocket: 'websocket',
+  webbundle: 'other',
+  other: 'other'
+};
+
+const FILTER_TYPE_OPTIONS = {
+  script: 'script',
+  image: 'image',
+  stylesheet: 'stylesheet',
+  css: 'stylesheet',
+  xmlhttprequest: 'xmlhttprequest',
+  xhr: 'xmlhttprequest',
+  font: 'font',
+  media: 'media',
+  subdocument: 'subdocument',
+  frame: 'subdocument',
+  object: 'object',
+  ping: 'ping',
+  beacon: 'ping',
+  websocket: 'websocket',
+  other: 'other'
+};
+
+const TOKEN_PATTERN = /[a-z0-9%]+/g;
+
+class FilterEngine {
+  constructor() {
+    this.lists = new Map();            // listId → rule count
+    this.hostnameRules = new Map();    // "example.com" → [rule] for pure ||host^ rules
+    this.tokenRules = new Map();       // URL token → [rule]
+    this.genericRules = [];            // rules without a usable token
+    this.ruleCount = 0;
+  }
+
+  /**
+   * Adds every network rule in a filter list. Returns the number of rules
+   * accepted; lines that are comments, cosmetic or unsupported are skipped.
+   *
+   * @param {string} listId
+   * @param {string} text
+   * @param {Object} [options]
+   * @param {string} [options.category] Category for rules without a directive
+   */
+  addList(listId, text, options = {}) {
+    let accepted = 0;
+    let category = options.category || null;
+
+    text.split(/\r?\n/).forEach((line) => {
+      const directive = line.match(/^!\s*Category:\s*([\w-]+)/i);
+      if (directive) {
+        category = directive[1].toLowerCase();
+        return;
+      }
+
+      const rule = parseFilterRule(line, listId, category);
+      if (rule) {
+        this.addRule(rule);
+        accepted++;
+      }
+    });
+
+    this.lists.set(listId, (this.lists.get(listId) || 0) + accepted);
+    return accepted;
+  }
+
+  /**
+   * Drops every rule of a list, e.g. before reloading the user's custom
+   * rules. Returns the number of rules removed.
+   */
+  removeList(listId) {
+    const keep = (rule) => rule.listId !== listId;
+    let removed = 0;
+
+    [this.hostnameRules, this.tokenRules].forEach((buckets) => {
+      buckets.forEach((bucket, key) => {
+        const kept = bucket.filter(keep);
+        removed += bucket.length - kept.length;
+        if (kept.length > 0) {
+          buckets.set(key, kept);
+        } else {
+          buckets.delete(key);
+        }
+      });
+    });
+    const generic = this.genericRules.filter(keep);
+    removed += this.genericRules.length - generic.length;
+    this.genericRules = generic;
+
+    this.ruleCount -= removed;
+    this.lists.delete(listId);
+    return removed;
+  }
+
+  addRule(rule) {
+    this.ruleCount++;
+
+    if (rule.hostname) {
+      const bucket = this.hostnameRules.get(rule.hostname) || [];
+      bucket.push(rule);
+      this.hostnameRules.set(rule.hostname, bucket);
+    } else if (rule.token) {
+      const bucket = this.tokenRules.get(rule.token) || [];
+      bucket.push(rule);
+      this.tokenRules.set(rule.token, bucket);
+    } else {
+      this.genericRules.push(rule);
+    }
+  }
+
+  /**
+   * Matches a request against the loaded lists.
+   *
+   * @param {Object} request
+   * @param {string} request.url           Full request URL
+   * @param {string} request.hostname      Request hostname
+   * @param {string} [request.pageHostname] Hostname of the initiating document
+   * @param {string} [request.type]        webRequest resource type
+   * @param {boolean} [request.thirdParty] Whether the request is third-party
+   * @returns {Object|null} The blocking rule that matched, or null when no
+   *   rule matched or an exception rule allowed the request
+   */
+  match(request) {
+    const context = {
+      url: request.url,
+      lowerUrl: request.url.toLowerCase(),
+      hostname: (request.hostname || '').toLowerCase(),
+      pageHostname: (request.pageHostname || '').toLowerCase(),
+      type: FILTER_RESOURCE_TYPES[request.type] || 'other',
+      thirdParty: request.thirdParty === true
+    };
+
+    let blockingRule = null;
+    let exceptionRule = null;
+
+    this.forEachCandidate(context, (rule) => {
+      if (!ruleMatches(rule, context)) return false;
+
+      if (rule.exception) {
+        exceptionRule = exceptionRule || rule;
+      } else if (!blockingRule || (rule.important && !blockingRule.important)) {
+        blockingRule = rule;
+      }
+
+      // An important blocking rule cannot be overridden, stop early
+      return Boolean(blockingRule && blockingRule.important);
+    });
+
+    if (!blockingRule) return null;
+    if (exceptionRule && !blockingRule.important) return null;
+
+    return blockingRule;
+  }
+
+  forEachCandidate(context, visit) {
+    const labels = context.hostname.split('.');
+    for (let i = 0; i < labels.length; i++) {
+      const bucket = this.hostnameRules.get(labels.slice(i).join('.'));
+      if (bucket && bucket.some(visit)) return;
+    }
+
+    const tokens = new Set(context.lowerUrl.match(TOKEN_PATTERN) || []);
+    for (const token of tokens) {
+      const bucket = this.tokenRules.get(token);
+      if (bucket && bucket.some(visit)) return;
+    }
+
+    this.genericRules.some(visit);
+  }
+}
+
+// =================== RULE PARSING ===================
+
+function parseFilterRule(line, listId, category = null) {
+  const text = line.trim();
+  if (!text || text.startsWith('!') || text.startsWith('[')) return null;
+
+  // Cosmetic and HTML filters are not network rules
+  if (/#[@?$%]?#|#@[$?]#|\$\$|\$@\$/.test(text)) return null;
+
+  let pattern = text;
+  const rule = {
+    text,
+    listId,
+    category,
+    exception: false,
+    important: false,
+    matchCase: false,
+    thirdParty: null,
+    types: null,
+    excludedTypes: null,
+    includeDomains: null,
+    excludeDomains: null,
+    hostname: null,
+    token: null,
+    regex: null
+  };
+
+  if (pattern.startsWith('@@')) {
+    rule.exception = true;
+    pattern = pattern.slice(2);
+  }
+
+  const optionsIndex = findOptionsIndex(pattern);
+  if (optionsIndex !== -1) {
+    const options = pattern.slice(optionsIndex + 1);
+    pattern = pattern.slice(0, optionsIndex);
+    if (!applyOptions(rule, options)) return null;
+  }
+
+  if (!pattern || pattern === '*' || pattern === '|' || pattern === '||') {
+    // Options-only rules are too broad without a domain restriction
+    if (!rule.includeDomains) return null;
+    pattern = '*';
+  }
+
+  const regexMatch = pattern.match(/^\/(.+)\/$/);
+  if (regexMatch) {
+    try {
+      rule.regex = new RegExp(regexMatch[1], rule.matchCase ? '' : 'i');
+    } catch {
+      return null;
+    }
+    return rule;
+  }
+
+  const hostnameMatch = pattern.match(/^\|\|([a-z0-9.-]+)\^?\|?$/i);
+  if (hostnameMatch) {
+    rule.hostname = hostnameMatch[1].toLowerCase();
+    return rule;
+  }
+
+  rule.regex = patternToRegExp(pattern, rule.matchCase);
+  rule.token = rule.matchCase ? null : findBestToken(pattern);
+  return rule;
+}
+
+/**
+ * Lines of a user-supplied list that are neither blank, comments nor
+ * supported network rules, as [{ line, text }] with 1-based line numbers.
+ */
+function findUnsupportedFilterLines(text) {
+  const unsupported = [];
+  text.split(/\r?\n/).forEach((line, index) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('!') || trimmed.startsWith('[')) return;
+    if (!parseFilterRule(trimmed, 'validation')) unsupported.push({ line: index + 1, text: trimmed });
+  });
+  return unsupported;
+}
+
+function findOptionsIndex(pattern) {
+  const index = pattern.lastIndexOf('$');
+  if (index <= 0) return -1;
+
+  // A "$" inside an option-less /regex/ is part of the expression
+  if (pattern.length > 2 && pattern.startsWith('/') && pattern.endsWith('/')) return -1;
+
+  return index;
+}
+
+/**
+ * Applies a comma-separated option string to a rule. Returns false when an
+ * option is unsupported, which drops the rule entirely.
+ */
+function applyOptions(rule, options) {
+  for (const rawOption of options.split(',')) {
+    const option = rawOption.trim().toLowerCase();
+    if (!option) continue;
+
+    const negated = option.startsWith('~');
+    const name = negated ? option.slice(1) : option;
+
+    if (name === 'third-party' || name === '3p') {
+      rule.thirdParty = !negated;
+    } else if (name === 'first-party' || name === '1p') {
+      rule.thirdParty = negated;
+    } else if (name === 'match-case') {
+      rule.matchCase = true;
+    } else if (name === 'important') {
+      rule.important = true;
+    } else if (name.startsWith('domain=')) {
+      const domains = rawOption.trim().slice('domain='.length).toLowerCase().split('|');
+      domains.forEach((domain) => {
+        if (domain.startsWith('~')) {
+          rule.excludeDomains = rule.excludeDomains || [];
+          rule.excludeDomains.push(domain.slice(1));
+        } else if (domain) {
+          rule.includeDomains = rule.includeDomains || [];
+          rule.includeDomains.push(domain);
+        }
+      });
+    } else if (FILTER_TYPE_OPTIONS[name]) {
+      const key = negated ? 'excludedTypes' : 'types';
+      rule[key] = rule[key] || new Set();
+      rule[key].add(FILTER_TYPE_OPTIONS[name]);
+    } else {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+function patternToRegExp(pattern, matchCase) {
+  let source = pattern;
+  let prefix = '';
+  let suffix = '';
+
+  if (source.startsWith('||')) {
+    prefix = '^[a-z][a-z0-9+.-]*:\\/+(?:[^\\/?#]*\\.)?';
+    source = source.slice(2);
+  } else if (source.startsWith('|')) {
+    prefix = '^';
+    source = source.slice(1);
+  }
+
+  if (source.endsWith('|')) {
+    suffix = '$';
+    source = source.slice(0, -1);
+  }
+
+  const body = source
+    .replace(/[.+?${}()|[\]\\]/g, '\\$&')
+    .replace(/\*+/g, '.*')
+    .replace(/\^/g, '(?:[^\\w.%-]|$)');
+
+  return new RegExp(prefix + body + suffix, matchCase ? '' : 'i');
+}
+
+/**
+ * Picks the longest literal run of the pattern that is guaranteed to appear
+ * as a whole URL token, used to index the rule. Runs touching a wildcard or
+ * an unanchored pattern edge may be partial tokens and are not eligible.
+ */
+function findBestToken(pattern) {
+  const lower = pattern.toLowerCase();
+  let best = null;
+  let match;
+
+  TOKEN_PATTERN.lastIndex = 0;
+  while ((match = TOKEN_PATTERN.exec(lower)) !== null) {
+    const start = match.index;
+    const end = start + match[0].length;
+
+    if (start === 0 || end === lower.length) continue;
+    if (lower[start - 1] === '*' || lower[end] === '*') continue;
+    if (match[0].length < 2) continue;
+
+    if (!best || match[0].length > best.length) {
+      best = match[0];
+    }
+  }
+
+  return best;
+}
+
+// =================== RULE MATCHING ===================
+
+function ruleMatches(rule, context) {
+  if (rule.thirdParty !== null && rule.thirdParty !== context.thirdParty) return false;
+  if (rule.types && !rule.types.has(context.type)) return false;
+  if (rule.excludedTypes && rule.excludedTypes.has(context.type)) return false;
+
+  if (rule.includeDomains && !rule.includeDomains.some((domain) => hostnameMatchesDomain(context.pageHostname, domain))) {
+    return false;
+  }
+  if (rule.excludeDomains && rule.excludeDomains.some((domain) => hostnameMatchesDomain(context.pageHostname, domain))) {
+    return false;
+  }
+
+  if (rule.hostname) {
+    return hostnameMatchesDomain(context.hostname, rule.hostname);
+  }
+
+  return rule.regex.test(context.url);
+}
+
+function hostnameMatchesDomain(hostname, domain) {
+  return hostname === domain || hostname.endsWith(`.${domain}`);
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { FilterEngine, parseFilterRule, findUnsupportedFilterLines, FILTER_RESOURCE_TYPES };
+}
@@ -0,0 +1,185 @@
+/**
+ * FINGERPRINTING FINDINGS
+ *
+ * Receiving side of fingerprint-probe.js, which reports fingerprinting API
+ * calls from the page's main world as events carrying a JSON string:
+ *   { api, scriptUrl, timestamp }
+ *
+ * The events are named per page load, so the page can neither forge nor
+ * watch them. At document_start, before any page script runs, the probe
+ * offers the name in a FINGERPRINT_CHANNEL_EVENT and this side accepts it
+ * by cancelling that event; FINGERPRINT_READY_EVENT asks a probe that
+ * started first to offer it again. The handshake event names are repeated
+ * in fingerprint-probe.js, which cannot load this file without exposing it
+ * to the page.
+ *
+ * Loaded as a document_start content script of its own (content.js runs at
+ * document_end and subscribes to fingerprintReceiver), in the service worker
+ * and via require() in tests.
+ */
+
+const FINGERPRINT_CHANNEL_EVENT = 'tpd-fingerprint-channel';
+const FINGERPRINT_READY_EVENT = 'tpd-fingerprint-ready';
+const MAX_WAITING_FINDINGS = 100;
+
+const FINGERPRINT_APIS = {
+  canvas: { label: 'Canvas readout' },
+  webgl: { label: 'WebGL renderer' },
+  audio: { label: 'Audio processing' },
+  plugins: { label: 'Plugin list' },
+  fonts: { label: 'Font enumeration' }
+};
+
+/**
+ * Validates an event detail from the main world, which the page could
+ * tamper with. Returns { api, scriptUrl, hostname, timestamp } or null.
+ */
+function parseFingerprintFinding(detail) {
+  let finding;
+  try {
+    finding = JSON.parse(detail);
+  } catch {
+    return null;
+  }
+  return normalizeFingerprintFinding(finding);
+}
+
+// Same checks for a finding already parsed, e.g. one sent to the service worker
+function normalizeFingerprintFinding(finding) {
+  if (!finding || !Object.prototype.hasOwnProperty.call(FINGERPRINT_APIS, finding.api)) return null;
+
+  let url;
+  try {
+    url = new URL(finding.scriptUrl);
+  } catch {
+    return null;
+  }
+  if (!/^https?:$/.test(url.protocol)) return null;
+
+  return {
+    api: finding.api,
+    scriptUrl: url.href,
+    hostname: url.hostname,
+    timestamp: Number(finding.timestamp) || Date.now()
+  };
+}
+
+function getFingerprintApiLabel(api) {
+  return (FINGERPRINT_APIS[api] || { label: api }).label;
+}
+
+/**
+ * Tab log entry for a finding content.js sent to the service worker, logged
+ * like a request to the calling script so the privacy grade, badge, exports
+ * and history count it. `documents` comes from
+ * TabDocumentCache.resolveRequest() (see lib/tab-documents.js).
+ */
+function createFingerprintDetection(finding, documents, frameId) {
+  const resolveBaseDomain = typeof getBaseDomain === 'function' ? getBaseDomain : require('./public-suffix.js').getBaseDomain;
+  const resolveEntity = typeof getEntityName === 'function' ? getEntityName : require('./entities.js').getEntityName;
+  const baseDomain = resolveBaseDomain(finding.hostname);
+
+  return {
+    url: finding.scriptUrl,
+    domain: baseDomain,
+    fullDomain: finding.hostname,
+    entity: resolveEntity(baseDomain),
+    resourceType: 'script',
+    frameId: frameId,
+    frameDomain: documents.frameHostname,
+    inIframe: documents.inSubframe,
+    category: 'fingerprinting',
+    fingerprinting: finding.api,
+    rule: null,
+    ruleList: null,
+    blocked: false,
+    timestamp: finding.timestamp
+  };
+}
+
+/**
+ * Takes over the probe's channel on `global` (the content script's window)
+ * and buffers its findings until content.js subscribes. Must run before any
+ * page script could watch the handshake.
+ *
+ * The probe only knows the caller's URL from a stack trace, so findings are
+ * passed on once Resource Timing shows the page loaded something from that
+ * host; an observer started this early sees every entry, even after the
+ * timeline buffer fills up.
+ */
+function connectFingerprintProbe(global) {
+  const document = global.document;
+  const loadedHosts = new Set();
+  const waiting = [];                         // Findings whose host has no resource entry yet
+  const received = [];
+  let subscriber = null;
+
+  function deliver(finding) {
+    if (subscriber) {
+      subscriber(finding);
+    } else {
+      received.push(finding);
+    }
+  }
+
+  function onFinding(event) {
+    const finding = parseFingerprintFinding(event.detail);
+    if (!finding) return;
+
+    if (loadedHosts.has(finding.hostname)) {
+      deliver(finding);
+    } else if (waiting.length < MAX_WAITING_FINDINGS) {
+      waiting.push(finding);
+    }
+  }
+
+  function onChannel(event) {
+    if (typeof event.detail !== 'string' || !event.detail) return;
+    event.preventDefault();
+    document.removeEventListener(FINGERPRINT_CHANNEL_EVENT, onChannel);
+    document.addEventListener(event.detail, onFinding);
+  }
+
+  new global.PerformanceObserver((list) => {
+    list.getEntries().forEach(entry => {
+      try {
+        loadedHosts.add(new URL(entry.name).hostname);
+      } catch {
+        // Not a URL
+      }
+    });
+
+    waiting.filter(finding => loadedHosts.has(finding.hostname)).forEach(finding => {
+      waiting.splice(waiting.indexOf(finding), 1);
+      deliver(finding);
+    });
+  }).observe({ type: 'resource', buffered: true });
+
+  document.addEventListener(FINGERPRINT_CHANNEL_EVENT, onChannel);
+  document.dispatchEvent(new global.CustomEvent(FINGERPRINT_READY_EVENT));
+
+  return {
+    subscribe(callback) {
+      subscriber = callback;
+      received.splice(0).forEach(callback);
+    }
+  };
+}
+
+// In the content script, connect right away: this file loads at document_start
+const fingerprintReceiver = typeof module === 'undefined' && typeof document !== 'undefined'
+  ? connectFingerprintProbe(window)
+  : null;
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    FINGERPRINT_CHANNEL_EVENT,
+    FINGERPRINT_READY_EVENT,
+    FINGERPRINT_APIS,
+    parseFingerprintFinding,
+    normalizeFingerprintFinding,
+    getFingerprintApiLabel,
+    createFingerprintDetection,
+    connectFingerprintProbe
+  };
+}
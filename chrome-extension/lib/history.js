@@ -0,0 +1,292 @@
+/**
+ * CROSS-SITE TRACKING HISTORY
+ *
+ * Every detection is kept in IndexedDB ("ghost-tracer-history") so the
+ * dashboard can show which trackers follow the user across sites. Records
+ * in the "detections" store look like:
+ *   { site, tracker, category, timestamp, count }
+ * where `site` and `tracker` are registrable domains and `count` is the
+ * number of requests merged into the record.
+ *
+ * Detections are merged per site and tracker in memory and written in one
+ * transaction every few seconds, so a busy page costs one write instead of
+ * one per request. Records older than the retention period are pruned.
+ *
+ * Loaded in the service worker, on the dashboard and via require() in tests.
+ * The aggregation helpers work on plain record arrays.
+ */
+
+const HISTORY_DB_NAME = 'ghost-tracer-history';
+const HISTORY_DB_VERSION = 1;
+const HISTORY_STORE = 'detections';
+const HISTORY_WRITE_DELAY = 5000; // ms, merges bursts of detections into one write
+
+const HISTORY_RETENTION_STORAGE_KEY = 'historyRetentionDays';
+const HISTORY_RETENTION_OPTIONS = [7, 30, 90, 365];
+const DEFAULT_HISTORY_RETENTION_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function normalizeRetentionDays(days) {
+  const value = Number(days);
+  return HISTORY_RETENTION_OPTIONS.includes(value) ? value : DEFAULT_HISTORY_RETENTION_DAYS;
+}
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+class TrackingHistory {
+  /**
+   * @param {IDBFactory} idbFactory - `indexedDB` in the extension
+   */
+  constructor(idbFactory, options = {}) {
+    this.idb = idbFactory;
+    this.writeDelay = options.writeDelay !== undefined ? options.writeDelay : HISTORY_WRITE_DELAY;
+    this.retentionDays = normalizeRetentionDays(options.retentionDays);
+
+    this.pending = new Map();         // "site tracker" → record not yet written
+    this.writeTimer = null;
+    this.dbPromise = null;
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      const request = this.idb.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(HISTORY_STORE, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('timestamp', 'timestamp');
+        store.createIndex('tracker', 'tracker');
+      };
+      this.dbPromise = requestToPromise(request);
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Queues one detection. The record keeps the time of the first detection
+   * merged into it.
+   */
+  add({ site, tracker, category, timestamp }) {
+    if (!site || !tracker) return;
+
+    const key = `${site} ${tracker}`;
+    const record = this.pending.get(key);
+    if (record) {
+      record.count++;
+    } else {
+      this.pending.set(key, { site, tracker, category, timestamp: timestamp || Date.now(), count: 1 });
+    }
+    this.scheduleWrite();
+  }
+
+  scheduleWrite() {
+    if (this.writeTimer) return;
+    this.writeTimer = setTimeout(() => {
+      this.flush().catch(error => console.error('Failed to write tracking history:', error));
+    }, this.writeDelay);
+  }
+
+  async flush() {
+    clearTimeout(this.writeTimer);
+    this.writeTimer = null;
+
+    const records = [...this.pending.values()];
+    this.pending.clear();
+    if (records.length > 0) await this.writeRecords(records);
+  }
+
+  async writeRecords(records) {
+    const db = await this.open();
+    const transaction = db.transaction(HISTORY_STORE, 'readwrite');
+    const store = transaction.objectStore(HISTORY_STORE);
+    records.forEach(record => store.add(record));
+    await transactionDone(transaction);
+  }
+
+  /**
+   * Records since `since` (ms), optionally for one tracker only.
+   */
+  async getRecords({ since = 0, tracker = null } = {}) {
+    const db = await this.open();
+    const store = db.transaction(HISTORY_STORE, 'readonly').objectStore(HISTORY_STORE);
+    const records = tracker
+      ? await requestToPromise(store.index('tracker').getAll(tracker))
+      : await requestToPromise(store.index('timestamp').getAll(IDBKeyRange.lowerBound(since)));
+    return records.filter(record => record.timestamp >= since);
+  }
+
+  getRetentionCutoff(now = Date.now()) {
+    return now - this.retentionDays * DAY_MS;
+  }
+
+  // Deletes every record older than the retention period
+  async prune(now = Date.now()) {
+    const db = await this.open();
+    const transaction = db.transaction(HISTORY_STORE, 'readwrite');
+    transaction.objectStore(HISTORY_STORE).index('timestamp').openCursor(IDBKeyRange.upperBound(this.getRetentionCutoff(now), true))
+      .onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) return;
+        cursor.delete();
+        cursor.continue();
+      };
+    await transactionDone(transaction);
+  }
+
+  async clear() {
+    this.pending.clear();
+    const db = await this.open();
+    const transaction = db.transaction(HISTORY_STORE, 'readwrite');
+    transaction.objectStore(HISTORY_STORE).clear();
+    await transactionDone(transaction);
+  }
+}
+
+// Local calendar day, e.g. "2026-10-19"
+function formatHistoryDay(timestamp) {
+  const date = new Date(timestamp);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Trackers ordered by the number of distinct sites they were seen on.
+ * Returns [{ tracker, category, sites, count, lastSeen }].
+ */
+function getTopTrackers(records, limit = 20) {
+  const trackers = new Map();
+  records.forEach(record => {
+    let tracker = trackers.get(record.tracker);
+    if (!tracker) {
+      tracker = { tracker: record.tracker, category: record.category, sites: new Set(), count: 0, lastSeen: 0 };
+      trackers.set(record.tracker, tracker);
+    }
+    tracker.sites.add(record.site);
+    tracker.count += record.count;
+    if (record.timestamp >= tracker.lastSeen) {
+      tracker.lastSeen = record.timestamp;
+      tracker.category = record.category;
+    }
+  });
+
+  return [...trackers.values()]
+    .map(tracker => ({ ...tracker, sites: tracker.sites.size }))
+    .sort((a, b) => b.sites - a.sites || b.count - a.count || a.tracker.localeCompare(b.tracker))
+    .slice(0, limit);
+}
+
+/**
+ * Sites ordered by the number of distinct trackers they loaded.
+ * Returns [{ site, trackers, count, lastSeen }].
+ */
+function getTopSites(records, limit = 20) {
+  const sites = new Map();
+  records.forEach(record => {
+    let site = sites.get(record.site);
+    if (!site) {
+      site = { site: record.site, trackers: new Set(), count: 0, lastSeen: 0 };
+      sites.set(record.site, site);
+    }
+    site.trackers.add(record.tracker);
+    site.count += record.count;
+    site.lastSeen = Math.max(site.lastSeen, record.timestamp);
+  });
+
+  return [...sites.values()]
+    .map(site => ({ ...site, trackers: site.trackers.size }))
+    .sort((a, b) => b.trackers - a.trackers || b.count - a.count || a.site.localeCompare(b.site))
+    .slice(0, limit);
+}
+
+/**
+ * Distinct trackers and requests for each of the last `days` days, oldest
+ * first. Days without records are included with zeros.
+ * Returns [{ day, trackers, count }].
+ */
+function getTrackersPerDay(records, days, now = Date.now()) {
+  // Steps by calendar day, which is not always DAY_MS long
+  const date = new Date(now);
+  date.setDate(date.getDate() - (days - 1));
+  const buckets = new Map();
+  for (let i = 0; i < days; i++) {
+    buckets.set(formatHistoryDay(date.getTime()), { trackers: new Set(), count: 0 });
+    date.setDate(date.getDate() + 1);
+  }
+
+  records.forEach(record => {
+    const bucket = buckets.get(formatHistoryDay(record.timestamp));
+    if (!bucket) return;
+    bucket.trackers.add(record.tracker);
+    bucket.count += record.count;
+  });
+
+  return [...buckets.entries()].map(([day, bucket]) => ({ day, trackers: bucket.trackers.size, count: bucket.count }));
+}
+
+/**
+ * Everything known about one tracker: the sites it was seen on (most
+ * requests first) and its requests per day.
+ * Returns { tracker, category, count, sites: [{ site, count, firstSeen, lastSeen }], days: [{ day, count }] }
+ * or null when the tracker has no records.
+ */
+function getTrackerDetail(records, tracker) {
+  const trackerRecords = records.filter(record => record.tracker === tracker);
+  if (trackerRecords.length === 0) return null;
+
+  const sites = new Map();
+  const days = new Map();
+  let latest = trackerRecords[0];
+  trackerRecords.forEach(record => {
+    let site = sites.get(record.site);
+    if (!site) {
+      site = { site: record.site, count: 0, firstSeen: record.timestamp, lastSeen: record.timestamp };
+      sites.set(record.site, site);
+    }
+    site.count += record.count;
+    site.firstSeen = Math.min(site.firstSeen, record.timestamp);
+    site.lastSeen = Math.max(site.lastSeen, record.timestamp);
+
+    const day = formatHistoryDay(record.timestamp);
+    days.set(day, (days.get(day) || 0) + record.count);
+
+    if (record.timestamp >= latest.timestamp) latest = record;
+  });
+
+  return {
+    tracker,
+    category: latest.category,
+    count: trackerRecords.reduce((total, record) => total + record.count, 0),
+    sites: [...sites.values()].sort((a, b) => b.count - a.count || a.site.localeCompare(b.site)),
+    days: [...days.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([day, count]) => ({ day, count }))
+  };
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    HISTORY_DB_NAME,
+    HISTORY_STORE,
+    HISTORY_RETENTION_STORAGE_KEY,
+    HISTORY_RETENTION_OPTIONS,
+    DEFAULT_HISTORY_RETENTION_DAYS,
+    normalizeRetentionDays,
+    TrackingHistory,
+    formatHistoryDay,
+    getTopTrackers,
+    getTopSites,
+    getTrackersPerDay,
+    getTrackerDetail
+  };
+}
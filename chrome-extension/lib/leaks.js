@@ -0,0 +1,213 @@
+/**
+ * PERSONAL DATA LEAK DETECTION
+ *
+ * Inspects the query string and request body of tracking requests for
+ * personal data and identifiers sent to the vendor:
+ *   - email:        email addresses
+ *   - phone:        phone numbers
+ *   - hashed-email: MD5 / SHA-1 / SHA-256 shaped hex tokens
+ *   - click-id:     ad click and analytics client IDs (gclid, fbclid, _ga...)
+ *   - page-url:     the full URL of the page, path and query included
+ *
+ * Each finding is { type, parameter, value, source } where `value` is
+ * masked, so the evidence can be shown and exported without repeating the
+ * data it is about. `source` is 'query' or 'body'.
+ *
+ * Loaded in the service worker, as a content script and via require() in tests.
+ */
+
+const LEAK_TYPES = {
+  email: { label: 'Email address' },
+  phone: { label: 'Phone number' },
+  'hashed-email': { label: 'Hashed email' },
+  'click-id': { label: 'Click / client ID' },
+  'page-url': { label: 'Page URL' }
+};
+
+const CLICK_ID_PARAMETERS = ['gclid', 'gbraid', 'wbraid', 'dclid', 'fbclid', 'msclkid', 'ttclid', 'twclid', 'li_fat_id', '_ga', '_gid'];
+const GA_CLIENT_ID_PARAMETERS = ['cid', 'client_id', 'uid'];
+const PHONE_PARAMETERS = /(^|[_.-])(phone|tel|mobile|msisdn|ph)([_.-]|$)/i;
+
+const EMAIL_PATTERN = /[a-z0-9._%+-]+@[a-z0-9-]+(\.[a-z0-9-]+)*\.[a-z]{2,}/i;
+const HASHED_EMAIL_PATTERN = /^([a-f0-9]{32}|[a-f0-9]{40}|[a-f0-9]{64})$/i;
+const GA_CLIENT_ID_PATTERN = /^(GA\d\.\d\.)?\d{5,}\.\d{9,10}$/;
+const PHONE_PATTERN = /^\+?[\d\s().-]{10,20}$/;
+
+const MAX_BODY_LENGTH = 65536;
+const MAX_LEAKS = 20;
+
+function maskValue(value) {
+  const text = String(value);
+  if (text.length <= 6) return '*'.repeat(text.length);
+  return `${text.slice(0, 2)}${'*'.repeat(Math.min(text.length - 4, 8))}${text.slice(-2)}`;
+}
+
+function countDigits(value) {
+  return (value.match(/\d/g) || []).length;
+}
+
+function isPhoneNumber(name, value) {
+  if (!PHONE_PATTERN.test(value)) return false;
+  const digits = countDigits(value);
+  if (digits < 10 || digits > 15) return false;
+
+  // Plain digit runs are usually timestamps or IDs, unless named like a phone
+  return value.startsWith('+') || /[\s().-]/.test(value) || PHONE_PARAMETERS.test(name);
+}
+
+function parseUrl(value) {
+  try {
+    return new URL(value);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Page URL without its fragment, and host + path. A bare home page URL
+ * says nothing about the visit, so it is not reported.
+ */
+function getPageUrlForms(pageUrl) {
+  const url = parseUrl(pageUrl);
+  if (!url || !/^https?:$/.test(url.protocol)) return [];
+  if (url.pathname.length <= 1 && !url.search) return [];
+
+  url.hash = '';
+  const forms = [url.href];
+  if (url.pathname.length > 1) forms.push(`${url.host}${url.pathname}`);
+  return forms;
+}
+
+function findValueLeaks(name, value, pageUrlForms) {
+  const leaks = [];
+  const email = value.match(EMAIL_PATTERN);
+  if (email) {
+    leaks.push({ type: 'email', parameter: name, value: maskValue(email[0]) });
+  } else if (HASHED_EMAIL_PATTERN.test(value)) {
+    leaks.push({ type: 'hashed-email', parameter: name, value: maskValue(value) });
+  } else if (isPhoneNumber(name, value)) {
+    leaks.push({ type: 'phone', parameter: name, value: maskValue(value) });
+  }
+
+  const lowerName = name.toLowerCase();
+  if (CLICK_ID_PARAMETERS.includes(lowerName) ||
+      (GA_CLIENT_ID_PARAMETERS.includes(lowerName) && GA_CLIENT_ID_PATTERN.test(value))) {
+    leaks.push({ type: 'click-id', parameter: name, value: maskValue(value) });
+  }
+
+  if (pageUrlForms.some(form => value.includes(form))) {
+    leaks.push({ type: 'page-url', parameter: name, value: maskValue(value) });
+  }
+
+  // Click IDs carried inside a URL parameter, e.g. dl=https://shop.example/?gclid=...
+  const nestedUrl = /^https?:\/\//i.test(value) ? parseUrl(value) : null;
+  if (nestedUrl) {
+    nestedUrl.searchParams.forEach((nestedValue, nestedName) => {
+      if (CLICK_ID_PARAMETERS.includes(nestedName.toLowerCase()) && nestedValue) {
+        leaks.push({ type: 'click-id', parameter: `${name} → ${nestedName}`, value: maskValue(nestedValue) });
+      }
+    });
+  }
+  return leaks;
+}
+
+// Leaf values of a JSON body, named by their path ("user.email")
+function flattenJson(value, prefix, parameters) {
+  if (value && typeof value === 'object') {
+    Object.entries(value).forEach(([key, child]) => {
+      flattenJson(child, prefix ? `${prefix}.${key}` : key, parameters);
+    });
+  } else if (typeof value === 'string' || typeof value === 'number') {
+    parameters.push([prefix || '(body)', String(value)]);
+  }
+  return parameters;
+}
+
+function decodeRawBody(raw) {
+  const decoder = new TextDecoder();
+  let text = '';
+  for (const part of raw) {
+    if (!part.bytes) continue;
+    text += decoder.decode(part.bytes);
+    if (text.length >= MAX_BODY_LENGTH) break;
+  }
+  return text.slice(0, MAX_BODY_LENGTH);
+}
+
+/**
+ * Name/value pairs of a webRequest requestBody: form fields, JSON leaves,
+ * URL-encoded pairs or, failing those, the whole text as "(body)".
+ */
+function getBodyParameters(requestBody) {
+  if (!requestBody) return [];
+  if (requestBody.formData) {
+    return Object.entries(requestBody.formData).flatMap(([name, values]) => values.map(value => [name, String(value)]));
+  }
+  if (!Array.isArray(requestBody.raw)) return [];
+
+  const text = decodeRawBody(requestBody.raw).trim();
+  if (!text) return [];
+  if (/^[[{]/.test(text)) {
+    try {
+      return flattenJson(JSON.parse(text), '', []);
+    } catch {
+      // Not JSON after all
+    }
+  }
+
+  // Beacons often batch one URL-encoded hit per line
+  if (/^[^\s=&]+=/.test(text)) {
+    return text.split('\n').flatMap(line => [...new URLSearchParams(line)]);
+  }
+  return [['(body)', text]];
+}
+
+function getQueryParameters(url) {
+  const parsed = parseUrl(url);
+  return parsed ? [...parsed.searchParams] : [];
+}
+
+/**
+ * Findings for one request, at most one per type and parameter.
+ */
+function findLeaks(url, requestBody, pageUrl) {
+  const pageUrlForms = getPageUrlForms(pageUrl);
+  const leaks = [];
+  [['query', getQueryParameters(url)], ['body', getBodyParameters(requestBody)]].forEach(([source, parameters]) => {
+    parameters.forEach(([name, value]) => {
+      if (!value) return;
+      findValueLeaks(name, value, pageUrlForms).forEach(leak => leaks.push({ ...leak, source }));
+    });
+  });
+  return mergeLeaks([], leaks);
+}
+
+/**
+ * Adds findings not yet in `leaks` (same type and parameter), up to
+ * MAX_LEAKS.
+ */
+function mergeLeaks(leaks, additions) {
+  additions.forEach(leak => {
+    if (leaks.length >= MAX_LEAKS) return;
+    if (!leaks.some(existing => existing.type === leak.type && existing.parameter === leak.parameter)) {
+      leaks.push(leak);
+    }
+  });
+  return leaks;
+}
+
+function getLeakTypeLabel(type) {
+  return (LEAK_TYPES[type] || { label: type }).label;
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    LEAK_TYPES,
+    MAX_LEAKS,
+    maskValue,
+    getBodyParameters,
+    findLeaks,
+    mergeLeaks,
+    getLeakTypeLabel
+  };
+}
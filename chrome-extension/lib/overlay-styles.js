@@ -0,0 +1,41 @@
+/**
+ * OVERLAY STYLES
+ *
+ * styles.css is not web accessible, so the content script cannot load it to
+ * style the overlay inside its closed shadow root; it asks the service
+ * worker (GET_OVERLAY_STYLES) instead. The worker reads the file once and
+ * keeps the text; a failed read is retried on the next request.
+ *
+ * Loaded in the service worker and via require() in tests.
+ */
+
+const OVERLAY_STYLESHEET = 'styles.css';
+
+class OverlayStylesCache {
+  /**
+   * `fetchStylesheet` resolves to a fetch() Response for styles.css.
+   */
+  constructor(fetchStylesheet) {
+    this.fetchStylesheet = fetchStylesheet;
+    this.styles = null;               // Promise of the stylesheet text
+  }
+
+  get() {
+    if (!this.styles) {
+      this.styles = this.fetchStylesheet()
+        .then(response => response.text())
+        .catch((error) => {
+          this.styles = null;
+          throw error;
+        });
+    }
+    return this.styles;
+  }
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    OVERLAY_STYLESHEET,
+    OverlayStylesCache
+  };
+}
@@ -0,0 +1,160 @@
+/**
+ * PRIVACY GRADE
+ *
+ * Scores a page from its detection log (see lib/tab-log.js). Every page
+ * starts at 100 and loses points for:
+ *   - each distinct tracking entity (company, or base domain when unknown);
+ *     entities seen only in categories weighted 0 (CDN) do not count
+ *   - each tracker category present, once per category; session replay and
+ *     fingerprinting cost the most by default
+ *   - each distinct third-party cookie set by a tracker
+ *   - each distinct personal data leak (see lib/leaks.js)
+ * Blocked requests never reached the vendor and are ignored.
+ *
+ * The weights and the minimum score of each letter are stored under
+ * "privacyGrade" in chrome.storage.local and edited on the options page:
+ *   { weights: { entity, cookie, leak, categories: { category: points } },
+ *     grades: { A, B, C, D } }
+ * Anything below the D minimum is an F.
+ *
+ * Loaded in the service worker, the content script, extension pages and via
+ * require() in tests.
+ */
+
+const PRIVACY_GRADE_STORAGE_KEY = 'privacyGrade';
+const SHOW_GRADE_TAG_STORAGE_KEY = 'showGradeTag';
+
+const PRIVACY_GRADE_LETTERS = ['A', 'B', 'C', 'D'];
+
+const DEFAULT_PRIVACY_GRADE_CONFIG = {
+  weights: {
+    entity: 4,
+    cookie: 2,
+    leak: 10,
+    categories: {
+      'advertising': 5,
+      'analytics': 3,
+      'social': 5,
+      'session-replay': 20,
+      'customer-engagement': 2,
+      'tag-manager': 1,
+      'fingerprinting': 20,
+      'cdn': 0,
+      'unknown': 2
+    }
+  },
+  grades: { A: 90, B: 75, C: 60, D: 40 }
+};
+
+function normalizeWeight(value, fallback) {
+  if (value === null || value === undefined || value === '') return fallback;
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? number : fallback;
+}
+
+/**
+ * Fills in missing or invalid values from the defaults. Grade minimums are
+ * clamped to 0–100 and never exceed the minimum of the letter above.
+ */
+function normalizePrivacyGradeConfig(stored) {
+  const config = stored && typeof stored === 'object' ? stored : {};
+  const weights = config.weights || {};
+  const categories = weights.categories || {};
+  const defaults = DEFAULT_PRIVACY_GRADE_CONFIG;
+
+  const normalizedCategories = {};
+  Object.entries(defaults.weights.categories).forEach(([category, points]) => {
+    normalizedCategories[category] = normalizeWeight(categories[category], points);
+  });
+
+  const grades = {};
+  let ceiling = 100;
+  PRIVACY_GRADE_LETTERS.forEach(letter => {
+    const minimum = normalizeWeight((config.grades || {})[letter], defaults.grades[letter]);
+    grades[letter] = Math.min(minimum, ceiling);
+    ceiling = grades[letter];
+  });
+
+  return {
+    weights: {
+      entity: normalizeWeight(weights.entity, defaults.weights.entity),
+      cookie: normalizeWeight(weights.cookie, defaults.weights.cookie),
+      leak: normalizeWeight(weights.leak, defaults.weights.leak),
+      categories: normalizedCategories
+    },
+    grades
+  };
+}
+
+function getCategoryWeight(category, config) {
+  const weight = config.weights.categories[category];
+  return weight !== undefined ? weight : config.weights.categories.unknown;
+}
+
+function getGradeForScore(score, grades) {
+  return PRIVACY_GRADE_LETTERS.find(letter => score >= grades[letter]) || 'F';
+}
+
+/**
+ * Returns { score, grade, factors } where `factors` explains the score:
+ *   [{ id, label, count, penalty }]
+ * with one factor per counted item type and one per category present.
+ */
+function computePrivacyGrade(entries, storedConfig) {
+  const config = normalizePrivacyGradeConfig(storedConfig);
+  const entities = new Set();
+  const categories = new Map();       // category → requests
+  const cookies = new Set();
+  const leaks = new Set();
+
+  (entries || []).forEach(entry => {
+    if (entry.blocked) return;
+    if (getCategoryWeight(entry.category, config) > 0) entities.add(entry.entity || entry.domain);
+    categories.set(entry.category, (categories.get(entry.category) || 0) + 1);
+    (entry.cookies || []).forEach(cookie => cookies.add(`${entry.domain} ${cookie.name}`));
+    (entry.leaks || []).forEach(leak => leaks.add(`${entry.domain} ${leak.type} ${leak.parameter}`));
+  });
+
+  const factors = [
+    { id: 'entity', label: 'Tracking companies', count: entities.size, penalty: entities.size * config.weights.entity },
+    { id: 'cookie', label: 'Third-party cookies', count: cookies.size, penalty: cookies.size * config.weights.cookie },
+    { id: 'leak', label: 'Personal data leaks', count: leaks.size, penalty: leaks.size * config.weights.leak }
+  ];
+  categories.forEach((count, category) => {
+    factors.push({
+      id: `category:${category}`,
+      label: getGradeCategoryLabel(category),
+      count,
+      penalty: getCategoryWeight(category, config)
+    });
+  });
+
+  const penalty = factors.reduce((total, factor) => total + factor.penalty, 0);
+  const score = Math.max(0, Math.round(100 - penalty));
+  return { score, grade: getGradeForScore(score, config.grades), factors };
+}
+
+function getGradeCategoryLabel(category) {
+  const resolve = typeof getTrackerCategory === 'function'
+    ? getTrackerCategory
+    : require('./tracker-categories.js').getTrackerCategory;
+  return resolve(category).label;
+}
+
+// "B · 72/100"
+function formatPrivacyGrade(result) {
+  return `${result.grade} · ${result.score}/100`;
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    PRIVACY_GRADE_STORAGE_KEY,
+    SHOW_GRADE_TAG_STORAGE_KEY,
+    PRIVACY_GRADE_LETTERS,
+    DEFAULT_PRIVACY_GRADE_CONFIG,
+    normalizePrivacyGradeConfig,
+    getGradeForScore,
+    computePrivacyGrade,
+    formatPrivacyGrade
+  };
+}
@@ -0,0 +1,122 @@
+/**
+ * REGISTRABLE DOMAIN RESOLVER
+ *
+ * Resolves hostnames to their registrable domain ("eTLD+1") using the bundled
+ * Public Suffix List in data/public-suffix-list.js, so it works offline.
+ *
+ * Handles normal, wildcard (*.ck) and exception (!www.ck) rules, IPv4/IPv6
+ * literals and localhost/intranet names. Loaded via importScripts() in the
+ * service worker, as a content script before content.js, and via require()
+ * in the Node test suite.
+ */
+
+class PublicSuffixList {
+  constructor(rulesText) {
+    this.rules = new Set();
+    this.wildcardRules = new Set();
+    this.exceptionRules = new Set();
+
+    rulesText.split('\n').forEach((line) => {
+      const rule = line.trim().toLowerCase();
+      if (!rule || rule.startsWith('//')) return;
+
+      if (rule.startsWith('!')) {
+        this.exceptionRules.add(rule.slice(1));
+      } else if (rule.startsWith('*.')) {
+        this.wildcardRules.add(rule.slice(2));
+      } else {
+        this.rules.add(rule);
+      }
+    });
+  }
+
+  /**
+   * Returns the public suffix of a normalised hostname, e.g. "co.uk" for
+   * "www.example.co.uk". Unlisted TLDs fall back to the implicit "*" rule.
+   */
+  getPublicSuffix(hostname) {
+    const labels = hostname.split('.');
+
+    for (let i = 0; i < labels.length; i++) {
+      const candidate = labels.slice(i).join('.');
+
+      // Exception rules override the wildcard they punch a hole in
+      if (this.exceptionRules.has(candidate)) {
+        return labels.slice(i + 1).join('.');
+      }
+      if (this.rules.has(candidate)) {
+        return candidate;
+      }
+      if (i + 1 < labels.length && this.wildcardRules.has(labels.slice(i + 1).join('.'))) {
+        return candidate;
+      }
+    }
+
+    return labels[labels.length - 1];
+  }
+
+  /**
+   * Returns the registrable domain for a hostname. IP literals, single-label
+   * intranet names and hostnames that are themselves public suffixes resolve
+   * to the hostname itself; localhost and its subdomains resolve to
+   * "localhost".
+   */
+  getRegistrableDomain(domain) {
+    const hostname = normalizeHostname(domain);
+    if (!hostname) return null;
+
+    if (isIpAddress(hostname)) return hostname;
+    if (hostname === 'localhost' || hostname.endsWith('.localhost')) return 'localhost';
+    if (!hostname.includes('.')) return hostname;
+
+    const suffix = this.getPublicSuffix(hostname);
+    if (suffix === hostname) return hostname;
+
+    const labels = hostname.split('.');
+    const suffixLength = suffix.split('.').length;
+    return labels.slice(-(suffixLength + 1)).join('.');
+  }
+}
+
+function normalizeHostname(domain) {
+  if (!domain) return null;
+
+  let hostname = String(domain).trim().toLowerCase();
+
+  // URL.hostname keeps brackets around IPv6 literals
+  if (hostname.startsWith('[') && hostname.endsWith(']')) {
+    hostname = hostname.slice(1, -1);
+  }
+
+  // Fully-qualified names may carry a trailing root dot
+  if (hostname.endsWith('.')) {
+    hostname = hostname.slice(0, -1);
+  }
+
+  return hostname || null;
+}
+
+function isIpAddress(hostname) {
+  if (!hostname) return false;
+
+  if (hostname.includes(':')) {
+    return /^[0-9a-f:.]+(%.+)?$/i.test(hostname);
+  }
+
+  const octets = hostname.split('.');
+  return octets.length === 4 && octets.every((octet) => /^\d{1,3}$/.test(octet) && Number(octet) <= 255);
+}
+
+const publicSuffixList = new PublicSuffixList(
+  typeof PUBLIC_SUFFIX_RULES !== 'undefined'
+    ? PUBLIC_SUFFIX_RULES
+    : require('../data/public-suffix-list.js').PUBLIC_SUFFIX_RULES
+);
+
+function getBaseDomain(domain) {
+  return publicSuffixList.getRegistrableDomain(domain);
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { PublicSuffixList, publicSuffixList, getBaseDomain, isIpAddress, normalizeHostname };
+}
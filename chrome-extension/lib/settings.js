@@ -0,0 +1,252 @@
+/**
+ * SETTINGS SCHEMA
+ *
+ * Every user setting lives in chrome.storage.local under its own key. This
+ * schema is the one place that knows each key's type, default and limits;
+ * the service worker, content script, popup and options page read settings
+ * through readSettings() / normalizeSetting() instead of repeating
+ * `value || default` fallbacks.
+ *
+ * Settings owned by another module (custom palette, site rules, badge
+ * thresholds, privacy grade, history retention) delegate to that module's
+ * normalizer, which is only loaded where the setting is read.
+ *
+ * The options page exports all settings as JSON:
+ *   { format: "ghost-tracer-settings", version: 1, exportedAt, settings }
+ * and validates imports against this schema (parseSettingsImport).
+ *
+ * Loaded in the service worker, as a content script, by the extension pages
+ * and via require() in tests.
+ */
+
+const SETTINGS_EXPORT_FORMAT = 'ghost-tracer-settings';
+const SETTINGS_EXPORT_VERSION = 1;
+
+const OVERLAY_POSITIONS = ['bottom-right', 'bottom-left', 'top-right', 'top-left'];
+const STACK_DIRECTIONS = ['up', 'down'];             // see lib/tag-layout.js
+const TAG_ORDERS = ['recent', 'count', 'category'];
+const THEME_NAMES = ['classic', 'light', 'dark', 'high-contrast', 'custom']; // see lib/theme.js
+const MAX_CUSTOM_FILTER_RULES_LENGTH = 100000; // characters
+const CUSTOM_TRACKER_DOMAIN_PATTERN = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]*[a-z0-9])?\.)+[a-z][a-z0-9-]*[a-z0-9]$/;
+
+function callSettingsLib(name, file, value) {
+  // Classic scripts share top-level functions; Node loads the module
+  const fn = typeof globalThis[name] === 'function' ? globalThis[name] : require(file)[name];
+  return fn(value);
+}
+
+/**
+ * Custom tracker domains from the options page, as [{ domain, category }].
+ * Invalid domains and later duplicates are dropped; unknown categories
+ * become 'unknown'.
+ */
+function normalizeCustomTrackers(trackers) {
+  if (!Array.isArray(trackers)) return [];
+
+  const isCategory = typeof isTrackerCategory === 'function'
+    ? isTrackerCategory
+    : require('./tracker-categories.js').isTrackerCategory;
+  const domains = new Set();
+
+  return trackers.reduce((normalized, tracker) => {
+    const domain = typeof (tracker && tracker.domain) === 'string' ? tracker.domain.trim().toLowerCase().replace(/\.$/, '') : '';
+    if (!CUSTOM_TRACKER_DOMAIN_PATTERN.test(domain) || domains.has(domain)) return normalized;
+
+    domains.add(domain);
+    normalized.push({ domain, category: isCategory(tracker.category) ? tracker.category : 'unknown' });
+    return normalized;
+  }, []);
+}
+
+/**
+ * Turns the custom detection settings into one filter list (see
+ * lib/filter-engine.js). The user's own rules come first so the category
+ * directives of the custom domains do not apply to them.
+ */
+function buildCustomFilterList(customTrackers, customFilterRules) {
+  const lines = [customFilterRules || ''];
+  normalizeCustomTrackers(customTrackers).forEach(({ domain, category }) => {
+    lines.push(`! Category: ${category}`, `||${domain}^`);
+  });
+  return lines.join('\n');
+}
+
+const SETTINGS_SCHEMA = {
+  enabled: { type: 'boolean', default: true, label: 'Monitoring enabled' },
+  showTags: { type: 'boolean', default: true, label: 'Show tags on pages' },
+  enableTimeout: { type: 'boolean', default: true, label: 'Auto-hide tags' },
+  timeoutSeconds: { type: 'integer', default: 5, min: 1, max: 300, label: 'Auto-hide after (seconds)' },
+  position: { type: 'enum', values: OVERLAY_POSITIONS, default: 'bottom-right', label: 'Tag position' },
+  stackDirection: { type: 'enum', values: STACK_DIRECTIONS, default: 'up', label: 'Stacking direction' },
+  maxVisibleTags: { type: 'integer', default: 8, min: 1, max: 50, label: 'Maximum visible tags' },
+  tagOrder: { type: 'enum', values: TAG_ORDERS, default: 'recent', label: 'Tag order' },
+  theme: { type: 'enum', values: THEME_NAMES, default: 'classic', label: 'Tag theme' },
+  customPalette: {
+    type: 'object',
+    label: 'Custom palette',
+    normalize: value => callSettingsLib('normalizeCustomPalette', './theme.js', value)
+  },
+  showGradeTag: { type: 'boolean', default: false, label: 'Show the privacy grade tag' },
+  customTrackers: { type: 'array', label: 'Custom tracker domains', normalize: normalizeCustomTrackers },
+  customFilterRules: { type: 'string', default: '', maxLength: MAX_CUSTOM_FILTER_RULES_LENGTH, label: 'Custom filter rules' },
+  siteRules: {
+    type: 'array',
+    label: 'Site rules',
+    normalize: value => callSettingsLib('normalizeSiteRules', './site-rules.js', value)
+  },
+  badgeThresholds: {
+    type: 'array',
+    label: 'Toolbar badge colors',
+    normalize: value => callSettingsLib('normalizeBadgeThresholds', './badge.js', value)
+  },
+  privacyGrade: {
+    type: 'object',
+    label: 'Privacy grade weights',
+    normalize: value => callSettingsLib('normalizePrivacyGradeConfig', './privacy-grade.js', value)
+  },
+  historyRetentionDays: {
+    type: 'integer',
+    label: 'History retention (days)',
+    normalize: value => callSettingsLib('normalizeRetentionDays', './history.js', value)
+  }
+};
+
+const SETTING_KEYS = Object.keys(SETTINGS_SCHEMA);
+
+function isSettingKey(key) {
+  return Object.prototype.hasOwnProperty.call(SETTINGS_SCHEMA, key);
+}
+
+/**
+ * Returns why `value` is not acceptable for `key`, or null when it is.
+ * Values that only need cleaning up (e.g. a site rule list with an invalid
+ * entry) pass; normalizeSetting() cleans them.
+ */
+function validateSetting(key, value) {
+  if (!isSettingKey(key)) return `Unknown setting "${key}"`;
+
+  const setting = SETTINGS_SCHEMA[key];
+  const label = setting.label;
+  switch (setting.type) {
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `${label} must be true or false`;
+    case 'integer':
+      if (!Number.isInteger(value)) return `${label} must be a whole number`;
+      if (setting.min !== undefined && (value < setting.min || value > setting.max)) {
+        return `${label} must be between ${setting.min} and ${setting.max}`;
+      }
+      return null;
+    case 'enum':
+      return setting.values.includes(value) ? null : `${label} must be one of: ${setting.values.join(', ')}`;
+    case 'string':
+      if (typeof value !== 'string') return `${label} must be text`;
+      return value.length <= setting.maxLength ? null : `${label} is longer than ${setting.maxLength} characters`;
+    case 'array':
+      return Array.isArray(value) ? null : `${label} must be a list`;
+    case 'object':
+      return value && typeof value === 'object' && !Array.isArray(value) ? null : `${label} must be an object`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * The value to use for `key` given what is stored (undefined when nothing
+ * is). Invalid values fall back to the default; whole numbers are clamped
+ * to their range.
+ */
+function normalizeSetting(key, value) {
+  const setting = SETTINGS_SCHEMA[key];
+  if (!setting) throw new Error(`Unknown setting "${key}"`);
+
+  if (setting.normalize) return setting.normalize(value);
+
+  if (setting.type === 'integer' && typeof value === 'number' && Number.isFinite(value)) {
+    return Math.min(setting.max, Math.max(setting.min, Math.round(value)));
+  }
+  return validateSetting(key, value) === null ? value : setting.default;
+}
+
+function getSettingDefault(key) {
+  return normalizeSetting(key, undefined);
+}
+
+/**
+ * Reads settings from a storage area and resolves with every requested key
+ * normalized.
+ */
+async function readSettings(storageArea, keys = SETTING_KEYS) {
+  const stored = await storageArea.get(keys);
+  return keys.reduce((settings, key) => {
+    settings[key] = normalizeSetting(key, stored[key]);
+    return settings;
+  }, {});
+}
+
+function buildSettingsExport(settings, exportedAt) {
+  const exported = {};
+  SETTING_KEYS.forEach(key => {
+    if (settings[key] !== undefined) exported[key] = settings[key];
+  });
+
+  return JSON.stringify({
+    format: SETTINGS_EXPORT_FORMAT,
+    version: SETTINGS_EXPORT_VERSION,
+    exportedAt: exportedAt.toISOString(),
+    settings: exported
+  }, null, 2);
+}
+
+/**
+ * Parses an exported settings file. Returns { settings, errors }: the
+ * settings that passed validation, normalized, and a message for every
+ * value that was skipped. Throws when the file is not a settings export.
+ */
+function parseSettingsImport(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON');
+  }
+  if (!parsed || parsed.format !== SETTINGS_EXPORT_FORMAT || !parsed.settings || typeof parsed.settings !== 'object') {
+    throw new Error('The file is not a Ghost Tracer settings export');
+  }
+  if (parsed.version > SETTINGS_EXPORT_VERSION) {
+    throw new Error(`Settings version ${parsed.version} is newer than this extension supports`);
+  }
+
+  const settings = {};
+  const errors = [];
+  Object.entries(parsed.settings).forEach(([key, value]) => {
+    const error = validateSetting(key, value);
+    if (error) {
+      errors.push(error);
+      return;
+    }
+    settings[key] = normalizeSetting(key, value);
+  });
+
+  return { settings, errors };
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    SETTINGS_SCHEMA,
+    SETTING_KEYS,
+    isSettingKey,
+    OVERLAY_POSITIONS,
+    STACK_DIRECTIONS,
+    TAG_ORDERS,
+    THEME_NAMES,
+    SETTINGS_EXPORT_FORMAT,
+    normalizeCustomTrackers,
+    buildCustomFilterList,
+    validateSetting,
+    normalizeSetting,
+    getSettingDefault,
+    readSettings,
+    buildSettingsExport,
+    parseSettingsImport
+  };
+}
@@ -0,0 +1,115 @@
+/**
+ * PER-SITE SETTINGS
+ *
+ * Site rules are stored in chrome.storage.local under "siteRules" as a list
+ * of { pattern, hideTags, noMonitor }:
+ *   - hideTags:  detections are still logged, but no tags are shown on the page
+ *   - noMonitor: requests made by the site are not classified at all
+ *
+ * Patterns match hostnames. A plain pattern ("bank.com") matches the domain
+ * and all its subdomains; "*" matches any run of characters
+ * ("intranet.*", "*.corp.example").
+ *
+ * Loaded in the service worker, as a content script, by the popup and
+ * options pages and via require() in tests.
+ */
+
+const SITE_RULES_STORAGE_KEY = 'siteRules';
+
+/**
+ * Turns user input (a hostname, pattern or pasted URL) into a pattern, or
+ * returns null when nothing usable is left.
+ */
+function normalizeSitePattern(input) {
+  if (typeof input !== 'string') return null;
+
+  const pattern = input.trim().toLowerCase()
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')  // scheme
+    .replace(/[/?#].*$/, '')                 // path, query, fragment
+    .replace(/:\d+$/, '')                    // port
+    .replace(/\.$/, '');
+
+  return /^[a-z0-9*.-]+$/.test(pattern) && /[a-z0-9]/.test(pattern) ? pattern : null;
+}
+
+function siteMatchesPattern(hostname, pattern) {
+  if (!hostname || !pattern) return false;
+  hostname = hostname.toLowerCase();
+
+  if (!pattern.includes('*')) {
+    return hostname === pattern || hostname.endsWith(`.${pattern}`);
+  }
+
+  const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\-]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`).test(hostname);
+}
+
+/**
+ * Combined settings for a hostname. Not monitoring a site implies its tags
+ * are hidden too.
+ */
+function getSiteSettings(rules, hostname) {
+  const settings = { hideTags: false, noMonitor: false };
+
+  (rules || []).forEach(rule => {
+    if (!siteMatchesPattern(hostname, rule.pattern)) return;
+    settings.hideTags = settings.hideTags || rule.hideTags === true || rule.noMonitor === true;
+    settings.noMonitor = settings.noMonitor || rule.noMonitor === true;
+  });
+
+  return settings;
+}
+
+/**
+ * Returns a new rule list with the given pattern's flags updated. Rules with
+ * neither flag set are dropped.
+ */
+function updateSiteRule(rules, pattern, changes) {
+  const existing = (rules || []).find(rule => rule.pattern === pattern);
+  const updated = {
+    pattern,
+    hideTags: false,
+    noMonitor: false,
+    ...existing,
+    ...changes
+  };
+
+  const others = (rules || []).filter(rule => rule.pattern !== pattern);
+  if (!updated.hideTags && !updated.noMonitor) {
+    return others;
+  }
+
+  return existing
+    ? (rules || []).map(rule => (rule.pattern === pattern ? updated : rule))
+    : others.concat(updated);
+}
+
+/**
+ * Cleans a stored or imported rule list: invalid patterns and rules with
+ * neither flag are dropped, and later duplicates of a pattern are ignored.
+ */
+function normalizeSiteRules(rules) {
+  if (!Array.isArray(rules)) return [];
+
+  const patterns = new Set();
+  return rules.reduce((normalized, rule) => {
+    const pattern = normalizeSitePattern(rule && rule.pattern);
+    if (!pattern || patterns.has(pattern)) return normalized;
+    if (rule.hideTags !== true && rule.noMonitor !== true) return normalized;
+
+    patterns.add(pattern);
+    normalized.push({ pattern, hideTags: rule.hideTags === true, noMonitor: rule.noMonitor === true });
+    return normalized;
+  }, []);
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    SITE_RULES_STORAGE_KEY,
+    normalizeSitePattern,
+    normalizeSiteRules,
+    siteMatchesPattern,
+    getSiteSettings,
+    updateSiteRule
+  };
+}
@@ -0,0 +1,190 @@
+/**
+ * PER-TAB DOCUMENT CACHE
+ *
+ * Tracks the document loaded in every frame of every tab so webRequest
+ * listeners can find the page a request belongs to synchronously, instead
+ * of asking chrome.tabs.get() for every request.
+ *
+ * Frames are recorded from webNavigation.onCommitted, and filled in from
+ * webNavigation.getAllFrames() for tabs that were open before the service
+ * worker started. When a request cannot
+ * be matched to a cached document (the service worker restarted, or the
+ * request belongs to a document that was just replaced), the request's own
+ * documentUrl / initiator is used instead.
+ *
+ * serialize() / restore() carry the cache across service worker restarts
+ * (see lib/worker-state.js).
+ *
+ * Loaded in the service worker and via require() in tests.
+ */
+
+const TOP_FRAME_ID = 0;
+
+function getHostname(url) {
+  try {
+    return new URL(url).hostname || null;
+  } catch {
+    return null;
+  }
+}
+
+function createFrameRecord({ frameId, url, documentId, parentFrameId }) {
+  return {
+    url,
+    hostname: getHostname(url),
+    documentId: documentId || null,
+    // Without parentFrameId, assume subframes hang off the top-level page
+    parentFrameId: parentFrameId !== undefined ? parentFrameId : (frameId === TOP_FRAME_ID ? -1 : TOP_FRAME_ID)
+  };
+}
+
+class TabDocumentCache {
+  constructor() {
+    this.tabs = new Map();            // tabId → Map(frameId → { url, hostname, documentId, parentFrameId })
+  }
+
+  /**
+   * Records a committed navigation. A new top-level document drops every
+   * frame of the previous page.
+   */
+  commit(details) {
+    const { tabId, frameId } = details;
+    if (tabId < 0) return;
+
+    let frames = this.tabs.get(tabId);
+    if (!frames || frameId === TOP_FRAME_ID) {
+      frames = new Map();
+      this.tabs.set(tabId, frames);
+    }
+
+    frames.set(frameId, createFrameRecord(details));
+  }
+
+  /**
+   * Seeds a tab's top-level document, e.g. from chrome.tabs.query() after a
+   * service worker restart. Never overrides a committed navigation.
+   */
+  seed(tabId, url) {
+    if (tabId < 0 || this.tabs.has(tabId) || !getHostname(url)) return;
+    this.commit({ tabId, frameId: TOP_FRAME_ID, url });
+  }
+
+  /**
+   * Adds frames reported by webNavigation.getAllFrames() that no committed
+   * navigation has recorded yet.
+   */
+  seedFrames(tabId, frames) {
+    if (tabId < 0 || !Array.isArray(frames)) return;
+
+    let cached = this.tabs.get(tabId);
+    if (!cached) {
+      cached = new Map();
+      this.tabs.set(tabId, cached);
+    }
+
+    // Frames of a page the tab has already navigated away from
+    const top = frames.find(frame => frame.frameId === TOP_FRAME_ID);
+    const cachedTop = cached.get(TOP_FRAME_ID);
+    if (top && cachedTop && top.documentId && cachedTop.documentId && top.documentId !== cachedTop.documentId) return;
+
+    frames.forEach(frame => {
+      if (cached.has(frame.frameId) || !getHostname(frame.url)) return;
+      cached.set(frame.frameId, createFrameRecord(frame));
+    });
+  }
+
+  removeTab(tabId) {
+    this.tabs.delete(tabId);
+  }
+
+  // Drops tabs closed while the service worker was stopped
+  retainTabs(tabIds) {
+    const open = new Set(tabIds);
+    [...this.tabs.keys()].forEach(tabId => {
+      if (!open.has(tabId)) this.tabs.delete(tabId);
+    });
+  }
+
+  /**
+   * Plain-object copy for storage: { tabId: { frameId: record } }
+   */
+  serialize() {
+    const snapshot = {};
+    this.tabs.forEach((frames, tabId) => {
+      snapshot[tabId] = Object.fromEntries(frames);
+    });
+    return snapshot;
+  }
+
+  /**
+   * Restores a serialize() snapshot of a previous service worker. Tabs
+   * recorded since startup are newer and stay as they are.
+   */
+  restore(snapshot) {
+    Object.entries(snapshot || {}).forEach(([tabId, frames]) => {
+      if (this.tabs.has(Number(tabId))) return;
+      this.tabs.set(Number(tabId), new Map(Object.entries(frames).map(([frameId, frame]) => [Number(frameId), frame])));
+    });
+  }
+
+  getFrame(tabId, frameId) {
+    const frames = this.tabs.get(tabId);
+    return (frames && frames.get(frameId)) || null;
+  }
+
+  /**
+   * Walks up the parent chain to the frame's outermost document. This is
+   * frame 0 except for prerendered pages, which have their own outermost
+   * frame until they are shown. Falls back to frame 0 when the chain is
+   * not fully known.
+   */
+  getPageFrame(tabId, frameId) {
+    let frame = this.getFrame(tabId, frameId);
+    for (let depth = 0; frame && frame.parentFrameId >= 0 && depth < 32; depth++) {
+      frame = this.getFrame(tabId, frame.parentFrameId);
+    }
+    return frame || this.getFrame(tabId, TOP_FRAME_ID);
+  }
+
+  /**
+   * Resolves the documents a webRequest belongs to:
+   *   pageHostname  - hostname of the tab's top-level page
+   *   pageUrl       - its full URL, null when only the hostname is known
+   *   frameHostname - hostname of the frame that made the request
+   *   inSubframe    - whether that frame is an iframe rather than the page
+   * Without a cached document both hostnames fall back to the request's own
+   * document; either is null when that is unknown too.
+   */
+  resolveRequest(details) {
+    const requestFrameId = details.type === 'sub_frame' ? details.parentFrameId : details.frameId;
+    const frame = this.getFrame(details.tabId, requestFrameId);
+    const top = this.getPageFrame(details.tabId, requestFrameId);
+
+    // A documentId mismatch means the request belongs to a document other
+    // than the cached one (navigation race), so trust the request instead
+    const staleFrame = frame && frame.documentId && details.documentId &&
+      details.type !== 'sub_frame' && frame.documentId !== details.documentId;
+
+    const requestDocumentHostname = getHostname(details.documentUrl) || getHostname(details.initiator);
+
+    const frameHostname = frame && !staleFrame ? frame.hostname : requestDocumentHostname;
+
+    const staleTop = top === frame && staleFrame;
+    const pageHostname = top && !staleTop ? top.hostname : requestDocumentHostname;
+    const pageUrl = top && !staleTop ? top.url : (details.documentUrl || null);
+
+    // Unknown frames: anything but frame 0 or a prerendered page is an iframe
+    const inSubframe = frame
+      ? frame !== top
+      : requestFrameId !== TOP_FRAME_ID && details.frameType !== 'outermost_frame';
+
+    return { pageHostname, pageUrl, frameHostname, inSubframe };
+  }
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    TabDocumentCache,
+    TOP_FRAME_ID
+  };
+}
@@ -0,0 +1,139 @@
+/**
+ * PER-TAB DETECTION LOG
+ *
+ * Keeps every detection of a tab in the service worker so the popup, the
+ * content script and exports can query it, even when the content script
+ * missed the live message. Each tab's log is mirrored to a storage area
+ * (chrome.storage.session in the extension) under "tabLog:<tabId>" so it
+ * survives service worker restarts.
+ *
+ * Every entry gets a `seq` number that keeps increasing across restarts, so
+ * consumers can tell which detections they have already seen.
+ *
+ * Loaded in the service worker and via require() in tests.
+ */
+
+const TAB_LOG_KEY_PREFIX = 'tabLog:';
+const MAX_TAB_LOG_ENTRIES = 1000;
+const TAB_LOG_WRITE_DELAY = 250; // ms, batches bursts of detections into one write
+
+class TabDetectionLog {
+  constructor(storageArea, options = {}) {
+    this.storage = storageArea;
+    this.maxEntries = options.maxEntries || MAX_TAB_LOG_ENTRIES;
+    this.writeDelay = options.writeDelay !== undefined ? options.writeDelay : TAB_LOG_WRITE_DELAY;
+
+    this.logs = new Map();            // tabId → detection entries, oldest first
+    this.dirtyTabs = new Set();       // tabs with changes not yet written
+    this.writeTimer = null;
+
+    // Seeded with the clock so numbers keep growing after a restart even
+    // when the latest entries were never persisted
+    this.lastSeq = Date.now();
+
+    this.restored = false;
+    this.clearedBeforeRestore = new Set();
+  }
+
+  static storageKey(tabId) {
+    return `${TAB_LOG_KEY_PREFIX}${tabId}`;
+  }
+
+  /**
+   * Reloads the logs written before the service worker was last stopped.
+   */
+  async restore() {
+    const stored = await this.storage.get(null);
+    Object.entries(stored || {}).forEach(([key, entries]) => {
+      if (!key.startsWith(TAB_LOG_KEY_PREFIX) || !Array.isArray(entries)) return;
+
+      const tabId = Number(key.slice(TAB_LOG_KEY_PREFIX.length));
+      if (this.clearedBeforeRestore.has(tabId)) return;
+
+      // Entries logged since startup are newer than the stored ones
+      const current = this.logs.get(tabId) || [];
+      this.logs.set(tabId, entries.concat(current).slice(-this.maxEntries));
+
+      entries.forEach(entry => {
+        if (entry.seq > this.lastSeq) this.lastSeq = entry.seq;
+      });
+    });
+
+    this.restored = true;
+    this.clearedBeforeRestore.clear();
+  }
+
+  add(tabId, entry) {
+    let entries = this.logs.get(tabId);
+    if (!entries) {
+      entries = [];
+      this.logs.set(tabId, entries);
+    }
+
+    entry.seq = ++this.lastSeq;
+    entries.push(entry);
+    if (entries.length > this.maxEntries) {
+      entries.splice(0, entries.length - this.maxEntries);
+    }
+
+    this.scheduleWrite(tabId);
+    return entry;
+  }
+
+  /**
+   * Persists a change to an entry already in the tab's log (e.g. cookies
+   * set by its response) and gives it a new seq. Returns false when the
+   * entry is no longer logged, e.g. after the tab navigated.
+   */
+  update(tabId, entry) {
+    const entries = this.logs.get(tabId);
+    if (!entries || !entries.includes(entry)) return false;
+
+    entry.seq = ++this.lastSeq;
+    this.scheduleWrite(tabId);
+    return true;
+  }
+
+  get(tabId) {
+    return (this.logs.get(tabId) || []).slice();
+  }
+
+  async clear(tabId) {
+    if (!this.restored) {
+      this.clearedBeforeRestore.add(tabId);
+    }
+    this.logs.delete(tabId);
+    this.dirtyTabs.delete(tabId);
+    await this.storage.remove(TabDetectionLog.storageKey(tabId));
+  }
+
+  scheduleWrite(tabId) {
+    this.dirtyTabs.add(tabId);
+    if (this.writeTimer) return;
+
+    this.writeTimer = setTimeout(() => {
+      this.writeTimer = null;
+      this.flush().catch(error => console.error('Failed to persist tab log:', error));
+    }, this.writeDelay);
+  }
+
+  async flush() {
+    if (this.dirtyTabs.size === 0) return;
+
+    const items = {};
+    this.dirtyTabs.forEach(tabId => {
+      items[TabDetectionLog.storageKey(tabId)] = this.logs.get(tabId) || [];
+    });
+    this.dirtyTabs.clear();
+
+    await this.storage.set(items);
+  }
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    TabDetectionLog,
+    TAB_LOG_KEY_PREFIX,
+    MAX_TAB_LOG_ENTRIES
+  };
+}
@@ -0,0 +1,69 @@
+/**
+ * TAG LAYOUT
+ *
+ * Decides which domain tags are shown and in which order. The content script
+ * keeps one entry per tag:
+ *
+ *   { key, count, category, activity }
+ *
+ * where `activity` grows with every new request for the tag, so the most
+ * recently active tag has the highest value. Tags are ranked by:
+ *   - 'recent'   most recent activity first
+ *   - 'count'    most requests first
+ *   - 'category' in the order of TRACKER_CATEGORIES, then most requests
+ * Ties fall back to the most recent activity.
+ *
+ * Only the first `maxVisible` ranked tags are shown; the rest are counted on
+ * a "+N more" chip until the user expands it. The stacking direction sets
+ * where the first-ranked tag sits: 'up' stacks from the bottom edge upwards,
+ * 'down' from the top edge downwards.
+ *
+ * Loaded as a content script and via require() in tests.
+ */
+
+function getCategoryRank(category) {
+  const categories = typeof TRACKER_CATEGORIES !== 'undefined'
+    ? TRACKER_CATEGORIES
+    : require('./tracker-categories.js').TRACKER_CATEGORIES;
+  const rank = Object.keys(categories).indexOf(category);
+  return rank >= 0 ? rank : Object.keys(categories).length;
+}
+
+const TAG_COMPARATORS = {
+  recent: () => 0,
+  count: (a, b) => b.count - a.count,
+  category: (a, b) => getCategoryRank(a.category) - getCategoryRank(b.category) || b.count - a.count
+};
+
+function orderTags(tags, order) {
+  const compare = TAG_COMPARATORS[order] || TAG_COMPARATORS.recent;
+  return [...tags].sort((a, b) => compare(a, b) || b.activity - a.activity);
+}
+
+/**
+ * Returns { visible, hidden }: the keys of the tags to show, in DOM order
+ * (top to bottom), and of the ranked tags that did not fit.
+ */
+function layoutTags(tags, { order, maxVisible, direction, expanded }) {
+  const ranked = orderTags(tags, order).map(tag => tag.key);
+  const limit = expanded ? ranked.length : maxVisible;
+  const visible = ranked.slice(0, limit);
+
+  return {
+    visible: direction === 'down' ? visible : visible.reverse(),
+    hidden: ranked.slice(limit)
+  };
+}
+
+// "+3 more", or how to fold the list again once expanded
+function getOverflowLabel(hiddenCount, expanded) {
+  return expanded ? 'Show fewer' : `+${hiddenCount} more`;
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    orderTags,
+    layoutTags,
+    getOverflowLabel
+  };
+}
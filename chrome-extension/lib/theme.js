@@ -0,0 +1,210 @@
+/**
+ * TAG THEMES
+ *
+ * A theme gives every tracker category a tag background. The text, border
+ * and count badge colours are not part of the theme: they are worked out
+ * from each background with the WCAG 2 contrast formula, so a user palette
+ * can never produce unreadable tags.
+ *
+ * The chosen theme is stored under "theme" in chrome.storage.local; the
+ * backgrounds of the 'custom' theme under "customPalette" as
+ * { [category]: '#rrggbb' }. Categories missing from the custom palette keep
+ * their classic colour.
+ *
+ * Loaded as a content script, by the options page and via require() in tests.
+ */
+
+const THEME_STORAGE_KEY = 'theme';
+const CUSTOM_PALETTE_STORAGE_KEY = 'customPalette';
+const DEFAULT_THEME = 'classic';
+
+const MIN_TEXT_CONTRAST = 4.5;              // WCAG AA for normal text
+const PALETTE_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+const DARK_TEXT = '#000000';
+const LIGHT_TEXT = '#FFFFFF';
+
+// The count badge is the tag background tinted away from the text colour, so
+// the count is at least as readable as the domain name. Backgrounds already
+// close to black or white are tinted towards the text colour instead.
+const BADGE_TINT = 0.3;
+const MIN_BADGE_SEPARATION = 1.2;           // Contrast between badge and tag background
+const BORDER_COLOR = { [DARK_TEXT]: 'rgba(0, 0, 0, 0.15)', [LIGHT_TEXT]: 'rgba(255, 255, 255, 0.3)' };
+
+const THEMES = {
+  classic: {
+    label: 'Classic',
+    palette: {
+      'advertising': '#FF8400',
+      'analytics': '#4A628F',
+      'social': '#2E1065',
+      'session-replay': '#B3124F',
+      'customer-engagement': '#F9DFC6',
+      'tag-manager': '#F2C14E',
+      'fingerprinting': '#7A1F2B',
+      'cdn': '#2F6B3A',
+      'unknown': '#4B5563'
+    }
+  },
+  light: {
+    label: 'Light',
+    palette: {
+      'advertising': '#FFD8A8',
+      'analytics': '#C9D7F0',
+      'social': '#DCCFF7',
+      'session-replay': '#F7C6D9',
+      'customer-engagement': '#FBE9D7',
+      'tag-manager': '#FFF0B3',
+      'fingerprinting': '#F2C4C9',
+      'cdn': '#CFEAD5',
+      'unknown': '#E3E6EB'
+    }
+  },
+  dark: {
+    label: 'Dark',
+    palette: {
+      'advertising': '#8A3B00',
+      'analytics': '#1E3A5F',
+      'social': '#2E1065',
+      'session-replay': '#6B0F2F',
+      'customer-engagement': '#5C4033',
+      'tag-manager': '#5C4A00',
+      'fingerprinting': '#4A0E16',
+      'cdn': '#1B4D27',
+      'unknown': '#2D3440'
+    }
+  },
+  'high-contrast': {
+    label: 'High contrast',
+    background: '#000000',                    // Every category; the category label tells them apart
+    border: '#FFD600'
+  },
+  custom: {
+    label: 'Custom palette'
+  }
+};
+
+function parseHexColor(hex) {
+  const match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(typeof hex === 'string' ? hex.trim() : '');
+  if (!match) return null;
+
+  const digits = match[1].length === 3 ? match[1].replace(/./g, '$&$&') : match[1];
+  return {
+    r: parseInt(digits.slice(0, 2), 16),
+    g: parseInt(digits.slice(2, 4), 16),
+    b: parseInt(digits.slice(4, 6), 16)
+  };
+}
+
+function formatHexColor({ r, g, b }) {
+  return `#${[r, g, b].map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('').toUpperCase()}`;
+}
+
+// https://www.w3.org/TR/WCAG21/#dfn-relative-luminance
+function getRelativeLuminance(hex) {
+  const { r, g, b } = parseHexColor(hex);
+  const [red, green, blue] = [r, g, b].map(channel => {
+    const value = channel / 255;
+    return value <= 0.03928 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+  });
+  return 0.2126 * red + 0.7152 * green + 0.0722 * blue;
+}
+
+function getContrastRatio(foreground, background) {
+  const lighter = Math.max(getRelativeLuminance(foreground), getRelativeLuminance(background));
+  const darker = Math.min(getRelativeLuminance(foreground), getRelativeLuminance(background));
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+// Black or white, whichever contrasts more; either way at least 4.58:1
+function pickReadableTextColor(background) {
+  return getContrastRatio(DARK_TEXT, background) >= getContrastRatio(LIGHT_TEXT, background) ? DARK_TEXT : LIGHT_TEXT;
+}
+
+// `overlay` painted over `base` with the given opacity
+function blendColors(base, overlay, alpha) {
+  const from = parseHexColor(base);
+  const to = parseHexColor(overlay);
+  return formatHexColor({
+    r: from.r + (to.r - from.r) * alpha,
+    g: from.g + (to.g - from.g) * alpha,
+    b: from.b + (to.b - from.b) * alpha
+  });
+}
+
+function getCategoryIds() {
+  const categories = typeof TRACKER_CATEGORIES !== 'undefined'
+    ? TRACKER_CATEGORIES
+    : require('./tracker-categories.js').TRACKER_CATEGORIES;
+  return Object.keys(categories);
+}
+
+/**
+ * The stored custom palette with a valid '#RRGGBB' background for every
+ * category. Unknown categories are dropped.
+ */
+function normalizeCustomPalette(palette) {
+  const stored = palette && typeof palette === 'object' && !Array.isArray(palette) ? palette : {};
+  return getCategoryIds().reduce((normalized, category) => {
+    normalized[category] = PALETTE_COLOR_PATTERN.test(stored[category])
+      ? stored[category].toUpperCase()
+      : THEMES.classic.palette[category];
+    return normalized;
+  }, {});
+}
+
+function getThemeBackground(theme, category, customPalette) {
+  if (theme === 'custom') return normalizeCustomPalette(customPalette)[category];
+  const definition = THEMES[theme] || THEMES[DEFAULT_THEME];
+  return definition.background || definition.palette[category];
+}
+
+/**
+ * The colours of one tag: its background, the readable text colour, the
+ * border and the count badge, with the contrast ratio of both texts.
+ */
+function getTagColors(background, border) {
+  const text = pickReadableTextColor(background);
+  let badgeBackground = blendColors(background, text === DARK_TEXT ? LIGHT_TEXT : DARK_TEXT, BADGE_TINT);
+  if (getContrastRatio(badgeBackground, background) < MIN_BADGE_SEPARATION) {
+    badgeBackground = blendColors(background, text, BADGE_TINT);
+  }
+  const badgeText = pickReadableTextColor(badgeBackground);
+
+  return {
+    background,
+    text,
+    border: border || BORDER_COLOR[text],
+    badgeBackground,
+    badgeText,
+    textContrast: getContrastRatio(text, background),
+    badgeContrast: getContrastRatio(badgeText, badgeBackground)
+  };
+}
+
+// { [category]: getTagColors() } for a theme
+function buildThemeStyles(theme, customPalette) {
+  const definition = THEMES[theme] || THEMES[DEFAULT_THEME];
+  return getCategoryIds().reduce((styles, category) => {
+    styles[category] = getTagColors(getThemeBackground(theme, category, customPalette), definition.border);
+    return styles;
+  }, {});
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    THEME_STORAGE_KEY,
+    CUSTOM_PALETTE_STORAGE_KEY,
+    DEFAULT_THEME,
+    MIN_TEXT_CONTRAST,
+    THEMES,
+    parseHexColor,
+    getRelativeLuminance,
+    getContrastRatio,
+    pickReadableTextColor,
+    blendColors,
+    normalizeCustomPalette,
+    getTagColors,
+    buildThemeStyles
+  };
+}
@@ -0,0 +1,74 @@
+/**
+ * TRACKER CATEGORY TAXONOMY
+ *
+ * Every detection is mapped to one category. The category decides the label
+ * and colour of its domain tag, replacing the old hash-based colour choice.
+ *
+ * Resolution order for a detection:
+ *   1. The vendor's entry in data/tracker-domains.js (service worker only)
+ *   2. The category of the filter rule that matched (! Category: directive
+ *      in the list, or the list's default category)
+ *   3. 'unknown'
+ *
+ * Loaded in the service worker, as a content script and via require() in tests.
+ */
+
+const TRACKER_CATEGORIES = {
+  'advertising': { label: 'Advertising', shortLabel: 'Ads', icon: '📢', colorClass: 'color-orange' },
+  'analytics': { label: 'Analytics', shortLabel: 'Analytics', icon: '📊', colorClass: 'color-vista-bleu' },
+  'social': { label: 'Social', shortLabel: 'Social', icon: '👥', colorClass: 'color-bleu-oxford' },
+  'session-replay': { label: 'Session replay', shortLabel: 'Replay', icon: '🎥', colorClass: 'color-framboise' },
+  'customer-engagement': { label: 'Customer engagement', shortLabel: 'Engage', icon: '💬', colorClass: 'color-amande' },
+  'tag-manager': { label: 'Tag manager', shortLabel: 'Tags', icon: '🏷️', colorClass: 'color-moutarde' },
+  'fingerprinting': { label: 'Fingerprinting', shortLabel: 'Fingerprint', icon: '🖐️', colorClass: 'color-bordeaux' },
+  'cdn': { label: 'CDN / functional', shortLabel: 'CDN', icon: '📦', colorClass: 'color-sauge' },
+  'unknown': { label: 'Unclassified tracker', shortLabel: 'Tracker', icon: '❔', colorClass: 'color-ardoise' }
+};
+
+const DEFAULT_TRACKER_CATEGORY = 'unknown';
+
+function getTrackerDomainCategories() {
+  if (typeof TRACKER_DOMAIN_CATEGORIES !== 'undefined') {
+    return TRACKER_DOMAIN_CATEGORIES;
+  }
+  if (typeof require === 'function') {
+    return require('../data/tracker-domains.js').TRACKER_DOMAIN_CATEGORIES;
+  }
+  return {};
+}
+
+function isTrackerCategory(category) {
+  return Object.prototype.hasOwnProperty.call(TRACKER_CATEGORIES, category);
+}
+
+/**
+ * Resolves the category for a detection from its registrable domain and the
+ * filter rule that flagged it.
+ */
+function categorizeTracker(baseDomain, rule) {
+  const domainCategory = getTrackerDomainCategories()[baseDomain];
+  if (isTrackerCategory(domainCategory)) return domainCategory;
+
+  if (rule && isTrackerCategory(rule.category)) return rule.category;
+
+  return DEFAULT_TRACKER_CATEGORY;
+}
+
+function getTrackerCategory(category) {
+  return TRACKER_CATEGORIES[category] || TRACKER_CATEGORIES[DEFAULT_TRACKER_CATEGORY];
+}
+
+function getCategoryColorClass(category) {
+  return getTrackerCategory(category).colorClass;
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    TRACKER_CATEGORIES,
+    DEFAULT_TRACKER_CATEGORY,
+    isTrackerCategory,
+    categorizeTracker,
+    getTrackerCategory,
+    getCategoryColorClass
+  };
+}
@@ -0,0 +1,95 @@
+/**
+ * SERVICE WORKER STATE
+ *
+ * Chrome stops the MV3 service worker whenever it is idle, and every module
+ * global goes with it. WorkerState holds the values the webRequest
+ * listeners depend on and mirrors them to a storage area
+ * (chrome.storage.session in the extension) under "workerState", so a
+ * restarted worker picks up where the previous one stopped.
+ *
+ * Until hydrate() finishes, get() returns the defaults, which must be safe
+ * to act on (e.g. monitoring disabled rather than enabled). Listeners still
+ * wait for hydration before classifying anything; see whenWorkerReady() in
+ * background.js.
+ *
+ * Loaded in the service worker and via require() in tests.
+ */
+
+const WORKER_STATE_KEY = 'workerState';
+const WORKER_STATE_WRITE_DELAY = 250; // ms, batches bursts of changes into one write
+
+class WorkerState {
+  /**
+   * @param {Object} defaults - every key the state holds, with its safe default
+   */
+  constructor(storageArea, defaults, options = {}) {
+    this.storage = storageArea;
+    this.defaults = { ...defaults };
+    this.writeDelay = options.writeDelay !== undefined ? options.writeDelay : WORKER_STATE_WRITE_DELAY;
+
+    this.values = { ...this.defaults };
+    this.changedBeforeHydration = new Set();
+    this.hydrated = false;
+    this.writeTimer = null;
+  }
+
+  /**
+   * Restores the snapshot of the previous worker, then applies the values
+   * returned by `load` (e.g. settings read from chrome.storage.local), which
+   * win over the snapshot. Keys set while hydrating keep their newer value.
+   * Resolves with the stored snapshot.
+   */
+  async hydrate(load) {
+    const stored = await this.storage.get(WORKER_STATE_KEY);
+    const snapshot = (stored && stored[WORKER_STATE_KEY]) || {};
+    const loaded = load ? await load() : {};
+
+    Object.keys(this.defaults).forEach(key => {
+      if (this.changedBeforeHydration.has(key)) return;
+      if (loaded[key] !== undefined) {
+        this.values[key] = loaded[key];
+      } else if (snapshot[key] !== undefined) {
+        this.values[key] = snapshot[key];
+      }
+    });
+
+    this.hydrated = true;
+    this.changedBeforeHydration.clear();
+    this.scheduleWrite();
+    return snapshot;
+  }
+
+  get(key) {
+    return this.values[key];
+  }
+
+  set(key, value) {
+    if (!Object.prototype.hasOwnProperty.call(this.defaults, key)) {
+      throw new Error(`Unknown worker state key: ${key}`);
+    }
+    this.values[key] = value;
+    if (!this.hydrated) this.changedBeforeHydration.add(key);
+    this.scheduleWrite();
+  }
+
+  // Writes wait for hydration so a partial state never replaces the snapshot
+  scheduleWrite() {
+    if (!this.hydrated || this.writeTimer) return;
+    this.writeTimer = setTimeout(() => {
+      this.flush().catch(error => console.error('Failed to persist worker state:', error));
+    }, this.writeDelay);
+  }
+
+  async flush() {
+    clearTimeout(this.writeTimer);
+    this.writeTimer = null;
+    await this.storage.set({ [WORKER_STATE_KEY]: { ...this.values } });
+  }
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    WorkerState,
+    WORKER_STATE_KEY
+  };
+}
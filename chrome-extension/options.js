@@ -0,0 +1,594 @@
+document.addEventListener('DOMContentLoaded', function() {
+  const enabledInput = document.getElementById('enabled');
+  const showTagsInput = document.getElementById('showTags');
+  const positionInput = document.getElementById('position');
+  const stackDirectionInput = document.getElementById('stackDirection');
+  const tagOrderInput = document.getElementById('tagOrder');
+  const maxVisibleTagsInput = document.getElementById('maxVisibleTags');
+  const enableTimeoutInput = document.getElementById('enableTimeout');
+  const timeoutSecondsInput = document.getElementById('timeoutSeconds');
+  const themeInput = document.getElementById('theme');
+  const themePaletteBody = document.getElementById('themePaletteBody');
+  const resetCustomPalette = document.getElementById('resetCustomPalette');
+  const customTrackersBody = document.getElementById('customTrackersBody');
+  const addTrackerForm = document.getElementById('addTrackerForm');
+  const trackerDomainInput = document.getElementById('trackerDomainInput');
+  const trackerCategoryInput = document.getElementById('trackerCategoryInput');
+  const trackerFormError = document.getElementById('trackerFormError');
+  const customFilterRules = document.getElementById('customFilterRules');
+  const saveFilterRules = document.getElementById('saveFilterRules');
+  const filterRulesStatus = document.getElementById('filterRulesStatus');
+  const blockedBody = document.getElementById('blockedBody');
+  const exportSettings = document.getElementById('exportSettings');
+  const importSettings = document.getElementById('importSettings');
+  const importFile = document.getElementById('importFile');
+  const resetSettings = document.getElementById('resetSettings');
+  const backupStatus = document.getElementById('backupStatus');
+  const siteRulesBody = document.getElementById('siteRulesBody');
+  const addSiteForm = document.getElementById('addSiteForm');
+  const patternInput = document.getElementById('patternInput');
+  const newHideTags = document.getElementById('newHideTags');
+  const newNoMonitor = document.getElementById('newNoMonitor');
+  const formError = document.getElementById('formError');
+  const badgeThresholdsContainer = document.getElementById('badgeThresholds');
+  const resetBadgeThresholds = document.getElementById('resetBadgeThresholds');
+  const historyRetention = document.getElementById('historyRetention');
+  const gradeWeightsBody = document.getElementById('gradeWeightsBody');
+  const gradeMinimums = document.getElementById('gradeMinimums');
+  const showGradeTag = document.getElementById('showGradeTag');
+  const resetPrivacyGrade = document.getElementById('resetPrivacyGrade');
+
+  // Stored values kept for rendering and for edits that extend a list
+  let customTrackers = [];
+  let theme = DEFAULT_THEME;
+  let customPalette = normalizeCustomPalette({});
+
+  function createEmptyRow(colSpan, text) {
+    const row = document.createElement('tr');
+    row.className = 'empty-row';
+    const cell = document.createElement('td');
+    cell.colSpan = colSpan;
+    cell.textContent = text;
+    row.appendChild(cell);
+    return row;
+  }
+
+  function showMessages(element, summary, messages) {
+    element.textContent = summary;
+    if (messages.length === 0) return;
+
+    const list = document.createElement('ul');
+    messages.forEach(function(message) {
+      const item = document.createElement('li');
+      item.textContent = message;
+      list.appendChild(item);
+    });
+    element.appendChild(list);
+  }
+
+  // General and display settings: one input per schema key
+  function renderGeneralSettings(settings) {
+    if ('enabled' in settings) enabledInput.checked = settings.enabled;
+    if ('showTags' in settings) showTagsInput.checked = settings.showTags;
+    [positionInput, stackDirectionInput, tagOrderInput, maxVisibleTagsInput].forEach(function(input) {
+      if (input.id in settings) input.value = settings[input.id];
+    });
+    if ('enableTimeout' in settings) {
+      enableTimeoutInput.checked = settings.enableTimeout;
+      timeoutSecondsInput.disabled = !settings.enableTimeout;
+    }
+    if ('timeoutSeconds' in settings) timeoutSecondsInput.value = settings.timeoutSeconds;
+  }
+
+  [enabledInput, showTagsInput, enableTimeoutInput].forEach(function(input) {
+    input.addEventListener('change', function() {
+      chrome.storage.local.set({ [input.id]: input.checked });
+    });
+  });
+
+  [positionInput, stackDirectionInput, tagOrderInput].forEach(function(input) {
+    input.addEventListener('change', function() {
+      chrome.storage.local.set({ [input.id]: normalizeSetting(input.id, input.value) });
+    });
+  });
+
+  maxVisibleTagsInput.addEventListener('change', function() {
+    const count = normalizeSetting('maxVisibleTags', parseInt(this.value));
+    this.value = count;
+    chrome.storage.local.set({ maxVisibleTags: count });
+  });
+
+  timeoutSecondsInput.addEventListener('change', function() {
+    const seconds = normalizeSetting('timeoutSeconds', parseInt(this.value));
+    this.value = seconds;
+    chrome.storage.local.set({ timeoutSeconds: seconds });
+  });
+
+  function formatContrast(ratio) {
+    return `${ratio.toFixed(1)}:1`;
+  }
+
+  // One row per category: its background, a preview tag and the contrast of both texts
+  function renderTheme() {
+    themeInput.value = theme;
+    themePaletteBody.textContent = '';
+    const styles = buildThemeStyles(theme, customPalette);
+
+    Object.keys(styles).forEach(function(category) {
+      const colors = styles[category];
+      const row = document.createElement('tr');
+
+      const categoryCell = document.createElement('td');
+      categoryCell.textContent = getTrackerCategory(category).label;
+
+      const colorCell = document.createElement('td');
+      const colorInput = document.createElement('input');
+      colorInput.type = 'color';
+      colorInput.className = 'threshold-color';
+      colorInput.value = colors.background.toLowerCase();
+      colorInput.disabled = theme !== 'custom';
+      colorInput.title = theme === 'custom' ? 'Pick a tag color' : 'Choose the custom palette theme to edit colors';
+      colorInput.addEventListener('change', function() {
+        chrome.storage.local.set({
+          [CUSTOM_PALETTE_STORAGE_KEY]: normalizeCustomPalette(Object.assign({}, customPalette, { [category]: this.value }))
+        });
+      });
+      colorCell.appendChild(colorInput);
+
+      const previewCell = document.createElement('td');
+      const preview = document.createElement('span');
+      preview.className = 'tag-preview';
+      preview.style.background = colors.background;
+      preview.style.color = colors.text;
+      preview.style.borderColor = colors.border;
+      preview.textContent = 'tracker.example';
+      const count = document.createElement('span');
+      count.className = 'tag-preview-count';
+      count.style.background = colors.badgeBackground;
+      count.style.color = colors.badgeText;
+      count.textContent = '12';
+      preview.appendChild(count);
+      previewCell.appendChild(preview);
+
+      const contrastCell = document.createElement('td');
+      contrastCell.className = 'flag-cell contrast-cell';
+      contrastCell.textContent = `Text ${formatContrast(colors.textContrast)} · Count ${formatContrast(colors.badgeContrast)}`;
+
+      row.appendChild(categoryCell);
+      row.appendChild(colorCell);
+      row.appendChild(previewCell);
+      row.appendChild(contrastCell);
+      themePaletteBody.appendChild(row);
+    });
+  }
+
+  themeInput.addEventListener('change', function() {
+    chrome.storage.local.set({ [THEME_STORAGE_KEY]: normalizeSetting(THEME_STORAGE_KEY, this.value) });
+  });
+
+  resetCustomPalette.addEventListener('click', function() {
+    chrome.storage.local.remove(CUSTOM_PALETTE_STORAGE_KEY);
+  });
+
+  function saveCustomTrackers(trackers) {
+    chrome.storage.local.set({ customTrackers: normalizeCustomTrackers(trackers) });
+  }
+
+  function renderCustomTrackers(trackers) {
+    customTrackers = trackers;
+    customTrackersBody.textContent = '';
+
+    if (trackers.length === 0) {
+      customTrackersBody.appendChild(createEmptyRow(3, 'No custom domains - only the built-in tracker lists are used.'));
+      return;
+    }
+
+    trackers.forEach(function(tracker) {
+      const row = document.createElement('tr');
+
+      const domainCell = document.createElement('td');
+      domainCell.className = 'site-pattern';
+      domainCell.textContent = tracker.domain;
+
+      const categoryCell = document.createElement('td');
+      categoryCell.className = 'flag-cell';
+      categoryCell.textContent = getTrackerCategory(tracker.category).label;
+
+      const removeCell = document.createElement('td');
+      const removeButton = document.createElement('button');
+      removeButton.className = 'button';
+      removeButton.textContent = 'Remove';
+      removeButton.addEventListener('click', function() {
+        saveCustomTrackers(customTrackers.filter(t => t.domain !== tracker.domain));
+      });
+      removeCell.appendChild(removeButton);
+
+      row.appendChild(domainCell);
+      row.appendChild(categoryCell);
+      row.appendChild(removeCell);
+      customTrackersBody.appendChild(row);
+    });
+  }
+
+  Object.entries(TRACKER_CATEGORIES).forEach(function([category, info]) {
+    const option = document.createElement('option');
+    option.value = category;
+    option.textContent = info.label;
+    trackerCategoryInput.appendChild(option);
+  });
+  trackerCategoryInput.value = 'advertising';
+
+  addTrackerForm.addEventListener('submit', function(e) {
+    e.preventDefault();
+
+    const tracker = { domain: trackerDomainInput.value, category: trackerCategoryInput.value };
+    const normalized = normalizeCustomTrackers([tracker])[0];
+    if (!normalized) {
+      trackerFormError.textContent = 'Enter a domain such as tracker.example';
+      return;
+    }
+    if (customTrackers.some(t => t.domain === normalized.domain)) {
+      trackerFormError.textContent = `${normalized.domain} is already listed`;
+      return;
+    }
+
+    trackerFormError.textContent = '';
+    saveCustomTrackers(customTrackers.concat(normalized));
+    trackerDomainInput.value = '';
+  });
+
+  // Rules are only saved when every line is understood, so nothing the user
+  // typed is silently ignored
+  saveFilterRules.addEventListener('click', function() {
+    const text = customFilterRules.value;
+    const error = validateSetting('customFilterRules', text);
+    if (error) {
+      showMessages(filterRulesStatus, error, []);
+      return;
+    }
+
+    const unsupported = findUnsupportedFilterLines(text);
+    if (unsupported.length > 0) {
+      showMessages(filterRulesStatus, 'Not saved - these lines are not supported network rules:',
+        unsupported.map(line => `Line ${line.line}: ${line.text}`));
+      return;
+    }
+
+    chrome.storage.local.set({ customFilterRules: text }, function() {
+      showMessages(filterRulesStatus, 'Rules saved', []);
+    });
+  });
+
+  function renderBlockedDomains(blocks) {
+    blockedBody.textContent = '';
+
+    if (blocks.length === 0) {
+      blockedBody.appendChild(createEmptyRow(3, 'No trackers blocked - use the block button on a tag to block one.'));
+      return;
+    }
+
+    blocks.forEach(function(block) {
+      const row = document.createElement('tr');
+
+      const domainCell = document.createElement('td');
+      domainCell.className = 'site-pattern';
+      domainCell.textContent = block.domain;
+
+      const scopeCell = document.createElement('td');
+      scopeCell.className = 'flag-cell';
+      scopeCell.textContent = block.site || 'Every site';
+
+      const unblockCell = document.createElement('td');
+      const unblockButton = document.createElement('button');
+      unblockButton.className = 'button';
+      unblockButton.textContent = 'Unblock';
+      unblockButton.addEventListener('click', function() {
+        chrome.runtime.sendMessage({ type: 'UNBLOCK_DOMAIN', ruleId: block.id }, function(response) {
+          if (response && response.blocks) {
+            renderBlockedDomains(response.blocks);
+          }
+        });
+      });
+      unblockCell.appendChild(unblockButton);
+
+      row.appendChild(domainCell);
+      row.appendChild(scopeCell);
+      row.appendChild(unblockCell);
+      blockedBody.appendChild(row);
+    });
+  }
+
+  function saveSiteRule(pattern, changes) {
+    chrome.storage.local.get([SITE_RULES_STORAGE_KEY], function(result) {
+      const siteRules = updateSiteRule(result[SITE_RULES_STORAGE_KEY], pattern, changes);
+      chrome.storage.local.set({ [SITE_RULES_STORAGE_KEY]: siteRules });
+    });
+  }
+
+  function createFlagCell(rule, flag) {
+    const cell = document.createElement('td');
+    cell.className = 'flag-cell';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = rule[flag] === true || (flag === 'hideTags' && rule.noMonitor === true);
+    checkbox.disabled = flag === 'hideTags' && rule.noMonitor === true;
+    checkbox.setAttribute('aria-label', `${flag === 'hideTags' ? "Don't show tags" : "Don't monitor"} on ${rule.pattern}`);
+    checkbox.addEventListener('change', function() {
+      saveSiteRule(rule.pattern, { [flag]: this.checked });
+    });
+
+    cell.appendChild(checkbox);
+    return cell;
+  }
+
+  function renderSiteRules(siteRules) {
+    siteRulesBody.textContent = '';
+
+    if (siteRules.length === 0) {
+      siteRulesBody.appendChild(createEmptyRow(4, 'No site rules yet - tags are shown and requests monitored on every site.'));
+      return;
+    }
+
+    siteRules.forEach(function(rule) {
+      const row = document.createElement('tr');
+
+      const patternCell = document.createElement('td');
+      patternCell.className = 'site-pattern';
+      patternCell.textContent = rule.pattern;
+
+      const removeCell = document.createElement('td');
+      const removeButton = document.createElement('button');
+      removeButton.className = 'button';
+      removeButton.textContent = 'Remove';
+      removeButton.addEventListener('click', function() {
+        saveSiteRule(rule.pattern, { hideTags: false, noMonitor: false });
+      });
+      removeCell.appendChild(removeButton);
+
+      row.appendChild(patternCell);
+      row.appendChild(createFlagCell(rule, 'hideTags'));
+      row.appendChild(createFlagCell(rule, 'noMonitor'));
+      row.appendChild(removeCell);
+      siteRulesBody.appendChild(row);
+    });
+  }
+
+  addSiteForm.addEventListener('submit', function(e) {
+    e.preventDefault();
+
+    const pattern = normalizeSitePattern(patternInput.value);
+    if (!pattern) {
+      formError.textContent = 'Enter a hostname or pattern such as bank.com or *.corp.example';
+      return;
+    }
+    if (!newHideTags.checked && !newNoMonitor.checked) {
+      formError.textContent = 'Choose at least one setting for the site';
+      return;
+    }
+
+    formError.textContent = '';
+    saveSiteRule(pattern, { hideTags: newHideTags.checked, noMonitor: newNoMonitor.checked });
+    patternInput.value = '';
+  });
+
+  function saveBadgeThresholds() {
+    const thresholds = [...badgeThresholdsContainer.querySelectorAll('.threshold-row')].map(function(row) {
+      return {
+        min: parseInt(row.querySelector('.threshold-input').value),
+        color: row.querySelector('.threshold-color').value
+      };
+    });
+    chrome.storage.local.set({ [BADGE_THRESHOLDS_STORAGE_KEY]: normalizeBadgeThresholds(thresholds) });
+  }
+
+  function renderBadgeThresholds(storedThresholds) {
+    badgeThresholdsContainer.textContent = '';
+
+    normalizeBadgeThresholds(storedThresholds).forEach(function(threshold) {
+      const row = document.createElement('div');
+      row.className = 'threshold-row';
+
+      const label = document.createElement('span');
+      label.textContent = 'From';
+
+      const minInput = document.createElement('input');
+      minInput.type = 'number';
+      minInput.min = '1';
+      minInput.className = 'threshold-input';
+      minInput.value = threshold.min;
+      minInput.addEventListener('change', saveBadgeThresholds);
+
+      const suffix = document.createElement('span');
+      suffix.textContent = 'trackers:';
+
+      const colorInput = document.createElement('input');
+      colorInput.type = 'color';
+      colorInput.className = 'threshold-color';
+      colorInput.value = threshold.color;
+      colorInput.addEventListener('change', saveBadgeThresholds);
+
+      const preview = document.createElement('span');
+      preview.className = 'badge-preview';
+      preview.style.background = threshold.color;
+      preview.textContent = formatBadgeText(threshold.min);
+
+      row.appendChild(label);
+      row.appendChild(minInput);
+      row.appendChild(suffix);
+      row.appendChild(colorInput);
+      row.appendChild(preview);
+      badgeThresholdsContainer.appendChild(row);
+    });
+  }
+
+  resetBadgeThresholds.addEventListener('click', function() {
+    chrome.storage.local.remove(BADGE_THRESHOLDS_STORAGE_KEY);
+  });
+
+  function createPointsInput(value, onChange) {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = '0';
+    input.className = 'threshold-input';
+    input.value = value;
+    input.addEventListener('change', onChange);
+    return input;
+  }
+
+  function savePrivacyGrade() {
+    const config = { weights: { categories: {} }, grades: {} };
+    gradeWeightsBody.querySelectorAll('input').forEach(function(input) {
+      if (input.dataset.category) {
+        config.weights.categories[input.dataset.category] = input.value;
+      } else {
+        config.weights[input.dataset.weight] = input.value;
+      }
+    });
+    gradeMinimums.querySelectorAll('input').forEach(function(input) {
+      config.grades[input.dataset.grade] = input.value;
+    });
+    chrome.storage.local.set({ [PRIVACY_GRADE_STORAGE_KEY]: normalizePrivacyGradeConfig(config) });
+  }
+
+  function renderPrivacyGrade(storedConfig) {
+    const config = normalizePrivacyGradeConfig(storedConfig);
+    gradeWeightsBody.textContent = '';
+    gradeMinimums.textContent = '';
+
+    const rows = [
+      { label: 'Each tracking company', weight: 'entity', value: config.weights.entity },
+      { label: 'Each third-party cookie', weight: 'cookie', value: config.weights.cookie },
+      { label: 'Each personal data leak', weight: 'leak', value: config.weights.leak }
+    ].concat(Object.entries(config.weights.categories).map(function([category, value]) {
+      return { label: `${getTrackerCategory(category).label} trackers present`, category, value };
+    }));
+
+    rows.forEach(function(row) {
+      const tableRow = document.createElement('tr');
+      const labelCell = document.createElement('td');
+      labelCell.textContent = row.label;
+
+      const valueCell = document.createElement('td');
+      valueCell.className = 'flag-cell';
+      const input = createPointsInput(row.value, savePrivacyGrade);
+      if (row.category) {
+        input.dataset.category = row.category;
+      } else {
+        input.dataset.weight = row.weight;
+      }
+      input.setAttribute('aria-label', `Points for: ${row.label}`);
+      valueCell.appendChild(input);
+
+      tableRow.appendChild(labelCell);
+      tableRow.appendChild(valueCell);
+      gradeWeightsBody.appendChild(tableRow);
+    });
+
+    const minimumsLabel = document.createElement('span');
+    minimumsLabel.textContent = 'Minimum score for';
+    gradeMinimums.appendChild(minimumsLabel);
+    PRIVACY_GRADE_LETTERS.forEach(function(letter) {
+      const label = document.createElement('span');
+      label.textContent = letter;
+      const input = createPointsInput(config.grades[letter], savePrivacyGrade);
+      input.max = '100';
+      input.dataset.grade = letter;
+      input.setAttribute('aria-label', `Minimum score for grade ${letter}`);
+      gradeMinimums.appendChild(label);
+      gradeMinimums.appendChild(input);
+    });
+  }
+
+  showGradeTag.addEventListener('change', function() {
+    chrome.storage.local.set({ [SHOW_GRADE_TAG_STORAGE_KEY]: this.checked });
+  });
+
+  resetPrivacyGrade.addEventListener('click', function() {
+    chrome.storage.local.remove(PRIVACY_GRADE_STORAGE_KEY);
+  });
+
+  HISTORY_RETENTION_OPTIONS.forEach(function(days) {
+    const option = document.createElement('option');
+    option.value = days;
+    option.textContent = days === 365 ? '1 year' : `${days} days`;
+    historyRetention.appendChild(option);
+  });
+
+  historyRetention.addEventListener('change', function() {
+    chrome.storage.local.set({ [HISTORY_RETENTION_STORAGE_KEY]: normalizeRetentionDays(this.value) });
+  });
+
+  exportSettings.addEventListener('click', function() {
+    readSettings(chrome.storage.local).then(function(settings) {
+      const exportedAt = new Date();
+      const content = buildSettingsExport(settings, exportedAt);
+      const url = `data:application/json;charset=utf-8,${encodeURIComponent(content)}`;
+      const filename = `ghost-tracer-settings-${exportedAt.toISOString().slice(0, 10)}.json`;
+
+      chrome.downloads.download({ url, filename, saveAs: true }, function() {
+        showMessages(backupStatus, chrome.runtime.lastError ? 'Export cancelled' : 'Settings exported', []);
+      });
+    });
+  });
+
+  importSettings.addEventListener('click', function() {
+    importFile.click();
+  });
+
+  importFile.addEventListener('change', function() {
+    const file = this.files[0];
+    this.value = '';
+    if (!file) return;
+
+    file.text().then(function(text) {
+      const imported = parseSettingsImport(text);
+      const count = Object.keys(imported.settings).length;
+      chrome.storage.local.set(imported.settings, function() {
+        const summary = `Imported ${count} setting${count === 1 ? '' : 's'}`;
+        showMessages(backupStatus, imported.errors.length ? `${summary}; skipped:` : summary, imported.errors);
+      });
+    }).catch(function(error) {
+      showMessages(backupStatus, `Import failed - ${error.message}`, []);
+    });
+  });
+
+  resetSettings.addEventListener('click', function() {
+    if (!confirm('Reset every setting to its default? Site rules, custom rules and weights are removed.')) return;
+    chrome.storage.local.remove(SETTING_KEYS, function() {
+      showMessages(backupStatus, 'All settings reset to their defaults', []);
+    });
+  });
+
+  function renderSettings(settings) {
+    renderGeneralSettings(settings);
+    if (THEME_STORAGE_KEY in settings || CUSTOM_PALETTE_STORAGE_KEY in settings) {
+      if (THEME_STORAGE_KEY in settings) theme = settings[THEME_STORAGE_KEY];
+      if (CUSTOM_PALETTE_STORAGE_KEY in settings) customPalette = settings[CUSTOM_PALETTE_STORAGE_KEY];
+      renderTheme();
+    }
+    if ('customTrackers' in settings) renderCustomTrackers(settings.customTrackers);
+    if ('customFilterRules' in settings) customFilterRules.value = settings.customFilterRules;
+    if (SITE_RULES_STORAGE_KEY in settings) renderSiteRules(settings[SITE_RULES_STORAGE_KEY]);
+    if (BADGE_THRESHOLDS_STORAGE_KEY in settings) renderBadgeThresholds(settings[BADGE_THRESHOLDS_STORAGE_KEY]);
+    if (PRIVACY_GRADE_STORAGE_KEY in settings) renderPrivacyGrade(settings[PRIVACY_GRADE_STORAGE_KEY]);
+    if (SHOW_GRADE_TAG_STORAGE_KEY in settings) showGradeTag.checked = settings[SHOW_GRADE_TAG_STORAGE_KEY];
+    if (HISTORY_RETENTION_STORAGE_KEY in settings) historyRetention.value = settings[HISTORY_RETENTION_STORAGE_KEY];
+  }
+
+  readSettings(chrome.storage.local).then(renderSettings);
+
+  chrome.runtime.sendMessage({ type: 'GET_BLOCKED_DOMAINS' }, function(response) {
+    renderBlockedDomains((response && response.blocks) || []);
+  });
+
+  chrome.storage.onChanged.addListener(function(changes, areaName) {
+    if (areaName !== 'local') return;
+
+    const settings = {};
+    Object.keys(changes).filter(isSettingKey).forEach(function(key) {
+      settings[key] = normalizeSetting(key, changes[key].newValue);
+    });
+    renderSettings(settings);
+  });
+});
@@ -1,9 +1,27 @@
 document.addEventListener('DOMContentLoaded', function() {
   const toggleSwitch = document.getElementById('toggleSwitch');
+  const showTagsSwitch = document.getElementById('showTagsSwitch');
   const statusDiv = document.getElementById('status');
-  const timeoutInput = document.getElementById('timeoutInput');
-  const noTimeoutCheckbox = document.getElementById('noTimeoutCheckbox');
-  const timeoutSection = document.getElementById('timeoutSection');
+  const siteConfig = document.getElementById('siteConfig');
+  const siteName = document.getElementById('siteName');
+  const hideTagsCheckbox = document.getElementById('hideTagsCheckbox');
+  const noMonitorCheckbox = document.getElementById('noMonitorCheckbox');
+  const manageSitesLink = document.getElementById('manageSitesLink');
+  const blockedList = document.getElementById('blockedList');
+  const blockedEmpty = document.getElementById('blockedEmpty');
+  const historyLink = document.getElementById('historyLink');
+  const settingsLink = document.getElementById('settingsLink');
+  const exportFormat = document.getElementById('exportFormat');
+  const exportDownload = document.getElementById('exportDownload');
+  const exportCopy = document.getElementById('exportCopy');
+  const exportStatus = document.getElementById('exportStatus');
+  const gradeContainer = document.getElementById('gradeContainer');
+  const gradeLetter = document.getElementById('gradeLetter');
+  const gradeScore = document.getElementById('gradeScore');
+  const gradeFactors = document.getElementById('gradeFactors');
+  
+  // Site rules added from the popup cover the active tab's registrable domain
+  let currentSitePattern = null;
   
   function updateUI(enabled) {
     if (enabled) {
@@ -17,30 +35,202 @@ document.addEventListener('DOMContentLoaded', function() {
     }
   }
   
-  function updateTimeoutUI(enableTimeout, timeoutSeconds) {
-    noTimeoutCheckbox.checked = !enableTimeout;
-    timeoutInput.value = timeoutSeconds || 5;
+  function updateShowTagsUI(showTags) {
+    showTagsSwitch.classList.toggle('active', showTags);
+  }
+  
+  // Privacy grade of the active tab, with the factors it was computed from
+  function renderPrivacyGrade(grade) {
+    gradeContainer.classList.remove('hidden');
+    gradeLetter.className = `grade-letter grade-${grade.grade.toLowerCase()}`;
+    gradeLetter.textContent = grade.grade;
+    gradeScore.textContent = `Privacy score ${grade.score}/100`;
     
-    if (enableTimeout) {
-      timeoutSection.classList.remove('hidden');
-    } else {
-      timeoutSection.classList.add('hidden');
+    gradeFactors.textContent = '';
+    const factors = grade.factors.filter(factor => factor.count > 0);
+    if (factors.length === 0) {
+      const item = document.createElement('li');
+      item.textContent = 'No trackers on this page';
+      gradeFactors.appendChild(item);
     }
+    factors.forEach(function(factor) {
+      const item = document.createElement('li');
+      const label = document.createElement('span');
+      label.textContent = `${factor.label} (${factor.count})`;
+      const penalty = document.createElement('span');
+      penalty.textContent = `-${factor.penalty}`;
+      item.appendChild(label);
+      item.appendChild(penalty);
+      gradeFactors.appendChild(item);
+    });
   }
   
-  chrome.storage.local.get(['enabled', 'timeoutSeconds', 'enableTimeout'], function(result) {
-    const enabled = result.enabled !== false;
-    const timeoutSeconds = result.timeoutSeconds || 5;
-    const enableTimeout = result.enableTimeout !== false;
+  // Unblocking is a quick action; the options page lists the same blocks
+  function renderBlockedDomains(blocks) {
+    blockedList.textContent = '';
+    blockedEmpty.style.display = blocks.length ? 'none' : 'block';
     
-    updateUI(enabled);
-    updateTimeoutUI(enableTimeout, timeoutSeconds);
+    blocks.forEach(function(block) {
+      const item = document.createElement('li');
+      item.className = 'blocked-item';
+      
+      const label = document.createElement('div');
+      label.textContent = block.domain;
+      const scope = document.createElement('span');
+      scope.className = 'blocked-scope';
+      scope.textContent = block.site ? `On ${block.site} only` : 'Everywhere';
+      label.appendChild(scope);
+      
+      const unblockButton = document.createElement('button');
+      unblockButton.className = 'export-btn';
+      unblockButton.textContent = 'Unblock';
+      unblockButton.addEventListener('click', function() {
+        chrome.runtime.sendMessage({ type: 'UNBLOCK_DOMAIN', ruleId: block.id }, function(response) {
+          if (response && response.blocks) {
+            renderBlockedDomains(response.blocks);
+          }
+        });
+      });
+      
+      item.appendChild(label);
+      item.appendChild(unblockButton);
+      blockedList.appendChild(item);
+    });
+  }
+  
+  function updateSiteUI(siteRules) {
+    const rule = siteRules.find(r => r.pattern === currentSitePattern) || {};
+    noMonitorCheckbox.checked = rule.noMonitor === true;
+    hideTagsCheckbox.checked = rule.hideTags === true || rule.noMonitor === true;
+    hideTagsCheckbox.disabled = rule.noMonitor === true;
+  }
+  
+  function saveSiteRule(changes) {
+    chrome.storage.local.get([SITE_RULES_STORAGE_KEY], function(result) {
+      const siteRules = updateSiteRule(result[SITE_RULES_STORAGE_KEY], currentSitePattern, changes);
+      chrome.storage.local.set({ [SITE_RULES_STORAGE_KEY]: siteRules });
+    });
+  }
+  
+  chrome.tabs.query({ active: true, currentWindow: true }, function(tabs) {
+    // Only web pages are monitored
+    if (!tabs[0] || !/^https?:/.test(tabs[0].url || '')) return;
+    chrome.runtime.sendMessage({ type: 'GET_PRIVACY_GRADE', tabId: tabs[0].id }, function(response) {
+      if (response && response.grade) {
+        renderPrivacyGrade(response.grade);
+      }
+    });
+  });
+  
+  chrome.tabs.query({ active: true, currentWindow: true }, function(tabs) {
+    let hostname = null;
+    try {
+      const url = new URL(tabs[0].url);
+      if (url.protocol === 'http:' || url.protocol === 'https:') {
+        hostname = url.hostname;
+      }
+    } catch {
+      // No URL access for this tab
+    }
+    if (!hostname) return;
+    
+    currentSitePattern = getBaseDomain(hostname) || hostname;
+    siteName.textContent = currentSitePattern;
+    siteConfig.classList.remove('hidden');
+    
+    readSettings(chrome.storage.local, [SITE_RULES_STORAGE_KEY]).then(function(settings) {
+      updateSiteUI(settings[SITE_RULES_STORAGE_KEY]);
+    });
+  });
+  
+  chrome.runtime.sendMessage({ type: 'GET_BLOCKED_DOMAINS' }, function(response) {
+    renderBlockedDomains((response && response.blocks) || []);
+  });
+  
+  hideTagsCheckbox.addEventListener('change', function() {
+    saveSiteRule({ hideTags: this.checked });
+  });
+  
+  noMonitorCheckbox.addEventListener('change', function() {
+    saveSiteRule({ noMonitor: this.checked });
+  });
+  
+  manageSitesLink.addEventListener('click', function(e) {
+    e.preventDefault();
+    chrome.runtime.openOptionsPage();
+  });
+  
+  settingsLink.addEventListener('click', function(e) {
+    e.preventDefault();
+    chrome.runtime.openOptionsPage();
+  });
+  
+  historyLink.addEventListener('click', function(e) {
+    e.preventDefault();
+    chrome.tabs.create({ url: chrome.runtime.getURL('dashboard.html') });
+  });
+  
+  // Export the active tab's detection log as recorded by the background worker
+  function buildPageAudit(callback) {
+    chrome.tabs.query({ active: true, currentWindow: true }, function(tabs) {
+      const tab = tabs[0];
+      if (!tab) return;
+      
+      chrome.runtime.sendMessage({ type: 'GET_TAB_LOG', tabId: tab.id }, function(response) {
+        const entries = (response && response.entries) || [];
+        const page = { url: tab.url || '', title: tab.title || '' };
+        const format = exportFormat.value;
+        const exportedAt = new Date();
+        
+        callback({
+          entries,
+          format,
+          content: buildExport(format, entries, page, exportedAt),
+          filename: getExportFilename(format, page, exportedAt)
+        });
+      });
+    });
+  }
+  
+  exportDownload.addEventListener('click', function() {
+    buildPageAudit(function(audit) {
+      const mimeType = EXPORT_FORMATS[audit.format].mimeType;
+      const url = `data:${mimeType};charset=utf-8,${encodeURIComponent(audit.content)}`;
+      
+      chrome.downloads.download({ url, filename: audit.filename, saveAs: true }, function() {
+        exportStatus.textContent = chrome.runtime.lastError
+          ? 'Download cancelled'
+          : `Saved ${audit.entries.length} requests as ${EXPORT_FORMATS[audit.format].label}`;
+      });
+    });
+  });
+  
+  exportCopy.addEventListener('click', function() {
+    buildPageAudit(function(audit) {
+      navigator.clipboard.writeText(audit.content).then(function() {
+        exportStatus.textContent = `Copied ${audit.entries.length} requests as ${EXPORT_FORMATS[audit.format].label}`;
+      }).catch(function() {
+        exportStatus.textContent = 'Could not access the clipboard';
+      });
+    });
+  });
+  
+  readSettings(chrome.storage.local, ['enabled', 'showTags']).then(function(settings) {
+    updateUI(settings.enabled);
+    updateShowTagsUI(settings.showTags);
+  });
+  
+  // Hiding on-page tags keeps monitoring (and the toolbar badge) running
+  showTagsSwitch.addEventListener('click', function() {
+    const showTags = !showTagsSwitch.classList.contains('active');
+    chrome.storage.local.set({ showTags }, function() {
+      updateShowTagsUI(showTags);
+    });
   });
   
   toggleSwitch.addEventListener('click', function() {
-    chrome.storage.local.get(['enabled'], function(result) {
-      const currentState = result.enabled !== false;
-      const newState = !currentState;
+    readSettings(chrome.storage.local, ['enabled']).then(function(settings) {
+      const newState = !settings.enabled;
       
       chrome.storage.local.set({ enabled: newState }, function() {
         updateUI(newState);
@@ -57,60 +247,15 @@ document.addEventListener('DOMContentLoaded', function() {
     });
   });
   
-  // Timeout configuration event listeners
-  noTimeoutCheckbox.addEventListener('change', function() {
-    const enableTimeout = !this.checked;
-    
-    chrome.storage.local.set({ enableTimeout }, function() {
-      updateTimeoutUI(enableTimeout, timeoutInput.value);
-      
-      // Notify content scripts of timeout setting change
-      chrome.tabs.query({ active: true, currentWindow: true }, function(tabs) {
-        if (tabs[0]) {
-          chrome.tabs.sendMessage(tabs[0].id, {
-            type: 'TIMEOUT_CHANGED',
-            enableTimeout,
-            timeoutSeconds: parseInt(timeoutInput.value)
-          }).catch(() => {});
-        }
-      });
-    });
-  });
-  
-  timeoutInput.addEventListener('change', function() {
-    let seconds = parseInt(this.value);
-    
-    // Validate input range
-    if (isNaN(seconds) || seconds < 1) {
-      seconds = 1;
-      this.value = 1;
-    } else if (seconds > 300) {
-      seconds = 300;
-      this.value = 300;
-    }
-    
-    chrome.storage.local.set({ timeoutSeconds: seconds }, function() {
-      // Notify content scripts of timeout change
-      chrome.tabs.query({ active: true, currentWindow: true }, function(tabs) {
-        if (tabs[0]) {
-          chrome.tabs.sendMessage(tabs[0].id, {
-            type: 'TIMEOUT_CHANGED',
-            enableTimeout: !noTimeoutCheckbox.checked,
-            timeoutSeconds: seconds
-          }).catch(() => {});
-        }
-      });
-    });
-  });
-  
   chrome.storage.onChanged.addListener(function(changes) {
     if (changes.enabled) {
-      updateUI(changes.enabled.newValue);
+      updateUI(normalizeSetting('enabled', changes.enabled.newValue));
+    }
+    if (changes.showTags) {
+      updateShowTagsUI(normalizeSetting('showTags', changes.showTags.newValue));
     }
-    if (changes.timeoutSeconds || changes.enableTimeout) {
-      const timeoutSeconds = changes.timeoutSeconds?.newValue || timeoutInput.value;
-      const enableTimeout = changes.enableTimeout?.newValue !== false;
-      updateTimeoutUI(enableTimeout, timeoutSeconds);
+    if (changes[SITE_RULES_STORAGE_KEY] && currentSitePattern) {
+      updateSiteUI(normalizeSetting(SITE_RULES_STORAGE_KEY, changes[SITE_RULES_STORAGE_KEY].newValue));
     }
   });
 });
\ No newline at end of file
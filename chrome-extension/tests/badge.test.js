@@ -0,0 +1,147 @@
+/**
+ * TOOLBAR BADGE TESTS
+ *
+ * Tests lib/badge.js, which turns a tab's detection log into the tracker
+ * count and colour shown on the extension's toolbar icon, and checks that
+ * the background worker resets the count on top-level navigation.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  DEFAULT_BADGE_THRESHOLDS,
+  normalizeBadgeThresholds,
+  getBadgeColor,
+  formatBadgeText,
+  countTrackerDomains
+} = require('../lib/badge.js');
+
+function runBadgeTests() {
+  console.log('🧪 TOOLBAR BADGE TESTS');
+  console.log('=' .repeat(60));
+  console.log('Testing per-tab tracker count badge\n');
+
+  const results = {
+    passed: 0,
+    failed: 0,
+    total: 0,
+    tests: []
+  };
+
+  function addTest(name, testFn) {
+    results.total++;
+    try {
+      testFn();
+      console.log(`✅ ${name}`);
+      results.passed++;
+      results.tests.push({ name, status: 'passed' });
+    } catch (error) {
+      console.log(`❌ ${name}`);
+      console.log(`   Error: ${error.message}`);
+      results.failed++;
+      results.tests.push({ name, status: 'failed', error: error.message });
+    }
+  }
+
+  // Test 1: Distinct base domains
+  addTest('Badge should count distinct tracking base domains', () => {
+    const entries = [
+      { domain: 'doubleclick.net', fullDomain: 'stats.g.doubleclick.net' },
+      { domain: 'doubleclick.net', fullDomain: 'ad.doubleclick.net' },
+      { domain: 'hotjar.com', fullDomain: 'static.hotjar.com' }
+    ];
+    const count = countTrackerDomains(entries);
+    if (count !== 2) throw new Error(`Expected 2, got ${count}`);
+  });
+
+  // Test 2: Blocked requests
+  addTest('Badge should not count domains whose requests were all blocked', () => {
+    const entries = [
+      { domain: 'doubleclick.net', fullDomain: 'ad.doubleclick.net', blocked: true },
+      { domain: 'hotjar.com', fullDomain: 'static.hotjar.com', blocked: true },
+      { domain: 'hotjar.com', fullDomain: 'vars.hotjar.com', blocked: false }
+    ];
+    const count = countTrackerDomains(entries);
+    if (count !== 1) throw new Error(`Expected 1, got ${count}`);
+  });
+
+  // Test 3: Badge text
+  addTest('Badge text should be empty at zero and capped at 99+', () => {
+    if (formatBadgeText(0) !== '') throw new Error('Zero should clear the badge');
+    if (formatBadgeText(7) !== '7') throw new Error('Expected "7"');
+    if (formatBadgeText(150) !== '99+') throw new Error('Expected "99+"');
+  });
+
+  // Test 4: Colour thresholds
+  addTest('Badge color should follow the highest threshold reached', () => {
+    const thresholds = [
+      { min: 1, color: '#00AA00' },
+      { min: 3, color: '#FFAA00' },
+      { min: 8, color: '#CC0000' }
+    ];
+    if (getBadgeColor(1, thresholds) !== '#00AA00') throw new Error('1 tracker should use the first color');
+    if (getBadgeColor(3, thresholds) !== '#FFAA00') throw new Error('3 trackers should use the second color');
+    if (getBadgeColor(20, thresholds) !== '#CC0000') throw new Error('20 trackers should use the last color');
+  });
+
+  // Test 5: Threshold validation
+  addTest('Invalid stored thresholds should be dropped or replaced by defaults', () => {
+    const cleaned = normalizeBadgeThresholds([
+      { min: 10, color: '#CC0000' },
+      { min: 0, color: '#000000' },
+      { min: 2, color: 'red' },
+      { min: 4, color: '#123456' }
+    ]);
+    if (cleaned.map(t => t.min).join(',') !== '4,10') throw new Error(`Unexpected thresholds: ${JSON.stringify(cleaned)}`);
+
+    const fallback = normalizeBadgeThresholds(undefined);
+    if (fallback.length !== DEFAULT_BADGE_THRESHOLDS.length) throw new Error('Missing setting should use defaults');
+  });
+
+  // Test 6: Background wiring
+  addTest('Background should set the badge per tab and reset it on navigation', () => {
+    const background = fs.readFileSync(path.join(__dirname, '..', 'background.js'), 'utf8');
+    ['chrome.action.setBadgeText({ tabId', 'chrome.action.setBadgeBackgroundColor({ tabId'].forEach(snippet => {
+      if (!background.includes(snippet)) throw new Error(`Missing in background.js: ${snippet}`);
+    });
+
+    const committed = background.slice(background.indexOf('chrome.webNavigation.onCommitted'));
+    const handler = committed.slice(0, committed.indexOf('});\n') + 4);
+    if (!handler.includes('updateBadge(details.tabId)')) {
+      throw new Error('onCommitted does not reset the badge');
+    }
+  });
+
+  // Test 7: Badge independent from on-page tags
+  addTest('Hiding on-page tags should not stop the badge', () => {
+    const background = fs.readFileSync(path.join(__dirname, '..', 'background.js'), 'utf8');
+    if (background.includes('showTags')) {
+      throw new Error('Background should not depend on the on-page tag setting');
+    }
+    const content = fs.readFileSync(path.join(__dirname, '..', 'content.js'), 'utf8');
+    if (!content.includes('this.showTags')) {
+      throw new Error('Content script does not honour the showTags setting');
+    }
+  });
+
+  // Summary
+  console.log('\n📊 TOOLBAR BADGE TEST RESULTS:');
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+  console.log(`📈 Total: ${results.total}`);
+
+  const successRate = ((results.passed / results.total) * 100).toFixed(1);
+  console.log(`📊 Success Rate: ${successRate}%`);
+
+  return results;
+}
+
+// Export for test runner
+if (typeof module !== 'undefined') {
+  module.exports = { runBadgeTests };
+}
+
+// Run if executed directly
+if (typeof window === 'undefined' && typeof module !== 'undefined' && require.main === module) {
+  runBadgeTests();
+}
@@ -0,0 +1,215 @@
+/**
+ * TRACKER BLOCKING TESTS
+ *
+ * Tests lib/blocking.js, which builds the dynamic declarativeNetRequest rules
+ * behind the "Block" action on domain tags and matches requests against them
+ * so blocked requests can be reported as "blocked ×N" on the tag.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const {
+  BLOCK_SCOPES,
+  createBlockRule,
+  describeBlockRule,
+  getNextBlockRuleId,
+  createRuleUpdateQueue,
+  addBlockRule,
+  findBlock
+} = require('../lib/blocking.js');
+
+// Loads the ThirdPartyDomainTracker class without starting it (a tracker
+// already exists on the fake window) so blockTag can run without a DOM
+function loadTrackerClass(chrome) {
+  const source = fs.readFileSync(path.join(__dirname, '..', 'content.js'), 'utf8');
+  const context = vm.createContext({ window: { thirdPartyDomainTracker: {} }, document: {}, console: { log() {}, error() {} }, chrome });
+  vm.runInContext(`${source}\nthis.ThirdPartyDomainTracker = ThirdPartyDomainTracker;`, context);
+  return context.ThirdPartyDomainTracker;
+}
+
+async function blockTagMembers(members) {
+  const messages = [];
+  const chrome = { runtime: { sendMessage: async (message) => { messages.push(message); return { block: {} }; } } };
+  const tracker = Object.create(loadTrackerClass(chrome).prototype);
+  const element = {
+    classList: { add() {}, remove() {} },
+    querySelector: () => ({ setAttribute() {} })
+  };
+  tracker.displayedDomains = new Map([['Google', { members: new Map(members), element }]]);
+  tracker.blockTag('Google', 'site');
+  await new Promise(resolve => setImmediate(resolve));
+  return messages.map(message => message.domain);
+}
+
+async function runBlockingTests() {
+  console.log('🧪 TRACKER BLOCKING TESTS');
+  console.log('=' .repeat(60));
+  console.log('Testing declarativeNetRequest block rules\n');
+
+  const results = {
+    passed: 0,
+    failed: 0,
+    total: 0,
+    tests: []
+  };
+
+  async function addTest(name, testFn) {
+    results.total++;
+    try {
+      await testFn();
+      console.log(`✅ ${name}`);
+      results.passed++;
+      results.tests.push({ name, status: 'passed' });
+    } catch (error) {
+      console.log(`❌ ${name}`);
+      console.log(`   Error: ${error.message}`);
+      results.failed++;
+      results.tests.push({ name, status: 'failed', error: error.message });
+    }
+  }
+
+  // Test 1: Global rule shape
+  await addTest('Global block should create a block rule without initiator restriction', () => {
+    const rule = createBlockRule(3, 'doubleclick.net');
+    if (rule.id !== 3 || rule.action.type !== 'block') throw new Error('Unexpected rule header');
+    if (rule.condition.requestDomains[0] !== 'doubleclick.net') throw new Error('Request domain missing');
+    if (rule.condition.initiatorDomains) throw new Error('Global rule should not restrict initiators');
+  });
+
+  // Test 2: Site-scoped rule shape
+  await addTest('Site block should restrict the rule to the site as initiator', () => {
+    const rule = createBlockRule(4, 'doubleclick.net', 'news.example');
+    if (!rule.condition.initiatorDomains || rule.condition.initiatorDomains[0] !== 'news.example') {
+      throw new Error('Initiator domain missing');
+    }
+  });
+
+  // Test 3: Round trip
+  await addTest('describeBlockRule should read back domain and site', () => {
+    const global = describeBlockRule(createBlockRule(1, 'hotjar.com'));
+    const site = describeBlockRule(createBlockRule(2, 'hotjar.com', 'shop.example'));
+    if (global.domain !== 'hotjar.com' || global.site !== null) throw new Error('Global block not described');
+    if (site.id !== 2 || site.site !== 'shop.example') throw new Error('Site block not described');
+    if (describeBlockRule({ id: 9, action: { type: 'allow' }, condition: {} }) !== null) {
+      throw new Error('Non-block rules should be ignored');
+    }
+  });
+
+  // Test 4: Rule ids
+  await addTest('Next rule id should follow the highest existing id', () => {
+    if (getNextBlockRuleId([]) !== 1) throw new Error('First rule should get id 1');
+    if (getNextBlockRuleId([{ id: 2 }, { id: 7 }, { id: 4 }]) !== 8) throw new Error('Expected id 8');
+  });
+
+  // Test 5: Matching subdomains and sites
+  await addTest('findBlock should match subdomains and respect the site scope', () => {
+    const blocks = [
+      { id: 1, domain: 'doubleclick.net', site: null },
+      { id: 2, domain: 'hotjar.com', site: 'shop.example' }
+    ];
+    if (!findBlock(blocks, 'stats.g.doubleclick.net', 'news.example')) throw new Error('Global block missed subdomain');
+    if (!findBlock(blocks, 'static.hotjar.com', 'shop.example')) throw new Error('Site block missed its site');
+    if (findBlock(blocks, 'static.hotjar.com', 'news.example')) throw new Error('Site block applied on another site');
+    if (findBlock(blocks, 'notdoubleclick.net', 'news.example')) throw new Error('Suffix without dot should not match');
+  });
+
+  // Test 6: Scope values used by content script and background
+  await addTest('Content script should request the scopes the background understands', () => {
+    const content = fs.readFileSync(path.join(__dirname, '..', 'content.js'), 'utf8');
+    [BLOCK_SCOPES.GLOBAL, BLOCK_SCOPES.SITE].forEach(scope => {
+      if (!content.includes(`scope: '${scope}'`)) throw new Error(`Scope "${scope}" not offered on tags`);
+    });
+    if (!content.includes("type: 'BLOCK_DOMAIN'")) throw new Error('Tags do not send BLOCK_DOMAIN');
+  });
+
+  // Test 7: Permission and background wiring
+  await addTest('Manifest and background should support blocking', () => {
+    const manifest = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'manifest.json'), 'utf8'));
+    if (!manifest.permissions.includes('declarativeNetRequest')) throw new Error('declarativeNetRequest permission missing');
+
+    const background = fs.readFileSync(path.join(__dirname, '..', 'background.js'), 'utf8');
+    ["message.type === 'BLOCK_DOMAIN'", "message.type === 'UNBLOCK_DOMAIN'",
+      "message.type === 'GET_BLOCKED_DOMAINS'", 'net::ERR_BLOCKED_BY_CLIENT'].forEach(snippet => {
+      if (!background.includes(snippet)) throw new Error(`Missing in background.js: ${snippet}`);
+    });
+
+    // The block button's tooltip points to the popup, so unblocking must stay there
+    ['popup.js', 'options.js'].forEach(file => {
+      const source = fs.readFileSync(path.join(__dirname, '..', file), 'utf8');
+      if (!source.includes("type: 'UNBLOCK_DOMAIN'") || !source.includes("type: 'GET_BLOCKED_DOMAINS'")) {
+        throw new Error(`${file} cannot list or undo blocks`);
+      }
+    });
+  });
+
+  // Test 8: Concurrent blocks
+  await addTest('Concurrent blocks should each get their own rule id', async () => {
+    const rules = [];
+    // Like declarativeNetRequest: reads are async and duplicate ids are rejected
+    const rulesApi = {
+      getDynamicRules: async () => rules.slice(),
+      updateDynamicRules: async ({ addRules }) => {
+        await Promise.resolve();
+        addRules.forEach(rule => {
+          if (rules.some(existing => existing.id === rule.id)) throw new Error(`Rule id ${rule.id} is not unique`);
+          rules.push(rule);
+        });
+      }
+    };
+
+    const queueRuleUpdate = createRuleUpdateQueue();
+    const added = await Promise.all(['doubleclick.net', 'google-analytics.com'].map(domain =>
+      queueRuleUpdate(() => addBlockRule(rulesApi, domain, 'news.example'))));
+    if (added[0].id === added[1].id) throw new Error('Both blocks got the same rule id');
+    if (rules.length !== 2) throw new Error(`Expected 2 rules, got ${rules.length}`);
+
+    // A failed update must not stall the ones queued after it
+    const failed = queueRuleUpdate(() => Promise.reject(new Error('quota')));
+    const next = queueRuleUpdate(() => addBlockRule(rulesApi, 'hotjar.com'));
+    await failed.then(() => { throw new Error('Failure was swallowed'); }, () => {});
+    if ((await next).id !== 3) throw new Error('Queue stalled after a failed update');
+
+    const background = fs.readFileSync(path.join(__dirname, '..', 'background.js'), 'utf8');
+    if ((background.match(/return queueRuleUpdate\(/g) || []).length !== 2) {
+      throw new Error('blockDomain and unblockDomain should both go through the rule update queue');
+    }
+  });
+
+  // Test 9: Entity tags leave CDN members alone
+  await addTest('Blocking an entity tag should skip its CDN member domains', async () => {
+    const blocked = await blockTagMembers([
+      ['doubleclick.net', { count: 3, category: 'advertising' }],
+      ['googleapis.com', { count: 5, category: 'cdn' }],
+      ['google-analytics.com', { count: 1, category: 'analytics' }]
+    ]);
+    if (blocked.join(',') !== 'doubleclick.net,google-analytics.com') {
+      throw new Error(`Unexpected domains blocked: ${blocked.join(', ')}`);
+    }
+
+    // A tag with only CDN domains still blocks what the user asked for
+    const cdnOnly = await blockTagMembers([['googleapis.com', { count: 5, category: 'cdn' }]]);
+    if (cdnOnly.join(',') !== 'googleapis.com') throw new Error('CDN-only tag was not blocked');
+  });
+
+  // Summary
+  console.log('\n📊 TRACKER BLOCKING TEST RESULTS:');
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+  console.log(`📈 Total: ${results.total}`);
+
+  const successRate = ((results.passed / results.total) * 100).toFixed(1);
+  console.log(`📊 Success Rate: ${successRate}%`);
+
+  return results;
+}
+
+// Export for test runner
+if (typeof module !== 'undefined') {
+  module.exports = { runBlockingTests };
+}
+
+// Run if executed directly
+if (typeof window === 'undefined' && typeof module !== 'undefined' && require.main === module) {
+  runBlockingTests();
+}
@@ -1,7 +1,10 @@
-// Comparison test to show the difference between old and new implementations
+// Comparison test to show the difference between the length heuristic and the
+// Public Suffix List resolver
 
-// New implementation (pattern-based)
-function getBaseDomainNew(domain) {
+const { getBaseDomain: getBaseDomainNew } = require('../lib/public-suffix.js');
+
+// Old implementation (length heuristic)
+function getBaseDomainOld(domain) {
   if (!domain) return null;
   const parts = domain.split('.');
   if (parts.length < 2) return domain;
@@ -15,22 +18,12 @@ function getBaseDomainNew(domain) {
   return parts.slice(-2).join('.');
 }
 
-// Old implementation (naive approach)
-function getBaseDomainOld(domain) {
-  if (!domain) return null;
-  const parts = domain.split('.');
-  if (parts.length >= 2) {
-    return parts.slice(-2).join('.');
-  }
-  return domain;
-}
-
 // Test cases from the screenshot that were problematic
 const problematicDomains = [
-  'something.co.in',
-  'example.co.nz', 
-  'test.com.au',
-  'site.org.au',
+  'cdn.ads.io',
+  '192.168.1.10',
+  'user.github.io',
+  'www.someblog.blogspot.com',
   'api.subdomain.co.uk'
 ];
 
@@ -42,10 +35,10 @@ problematicDomains.forEach((domain, index) => {
   const newResult = getBaseDomainNew(domain);
   
   console.log(`Test ${index + 1}: ${domain}`);
-  console.log(`  Old implementation: ${oldResult} ${oldResult.length <= 6 ? '❌ (Too short!)' : '✅'}`);
+  console.log(`  Old implementation: ${oldResult} ${oldResult === newResult ? '✅' : '❌'}`);
   console.log(`  New implementation: ${newResult} ✅ (Correct!)`);
   console.log('');
 });
 
 console.log('=' .repeat(80));
-console.log('🎯 The new implementation correctly handles country code TLDs!');
\ No newline at end of file
+console.log('🎯 The new implementation follows the Public Suffix List, including IPs and private suffixes!');
\ No newline at end of file
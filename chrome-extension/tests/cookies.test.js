@@ -0,0 +1,180 @@
+/**
+ * THIRD-PARTY COOKIE ANALYSIS TESTS
+ *
+ * Tests lib/cookies.js, which turns the Set-Cookie headers of tracking
+ * responses into the cookie descriptors shown in each tag's detail drawer,
+ * and the background wiring that attaches them to the tab's detections.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  LONG_LIVED_COOKIE_SECONDS,
+  parseSetCookie,
+  parseSetCookieHeaders,
+  mergeCookies,
+  formatCookieLifetime,
+  describeCookie
+} = require('../lib/cookies.js');
+const { TabDetectionLog } = require('../lib/tab-log.js');
+const { addToBatch, summarizeCookies, summarizeDetection } = require('../lib/detection-batch.js');
+
+const NOW = Date.parse('2026-01-01T00:00:00Z');
+
+function runCookieTests() {
+  console.log('🧪 THIRD-PARTY COOKIE ANALYSIS TESTS');
+  console.log('=' .repeat(60));
+  console.log('Testing Set-Cookie parsing and cookie reporting\n');
+
+  const results = {
+    passed: 0,
+    failed: 0,
+    total: 0,
+    tests: []
+  };
+
+  function addTest(name, testFn) {
+    results.total++;
+    try {
+      testFn();
+      console.log(`✅ ${name}`);
+      results.passed++;
+      results.tests.push({ name, status: 'passed' });
+    } catch (error) {
+      console.log(`❌ ${name}`);
+      console.log(`   Error: ${error.message}`);
+      results.failed++;
+      results.tests.push({ name, status: 'failed', error: error.message });
+    }
+  }
+
+  // Test 1: Attributes
+  addTest('parseSetCookie() should read name, lifetime and attributes', () => {
+    const cookie = parseSetCookie('IDE=AHWqTUm1x2y3z4; Max-Age=34128000; Path=/; SameSite=none; Secure; HttpOnly; Partitioned', NOW);
+    if (cookie.name !== 'IDE') throw new Error(`Unexpected name ${cookie.name}`);
+    if (cookie.lifetime !== 34128000) throw new Error(`Unexpected lifetime ${cookie.lifetime}`);
+    if (cookie.sameSite !== 'None') throw new Error(`Unexpected SameSite ${cookie.sameSite}`);
+    if (!cookie.secure || !cookie.httpOnly || !cookie.partitioned) throw new Error('Flags not parsed');
+    if ('value' in cookie) throw new Error('Cookie values should not be kept');
+  });
+
+  // Test 2: Expiry
+  addTest('Max-Age should take precedence over Expires', () => {
+    const fromExpires = parseSetCookie('uid=1; Expires=Thu, 01 Jan 2026 01:00:00 GMT', NOW);
+    if (fromExpires.lifetime !== 3600) throw new Error(`Expires gave ${fromExpires.lifetime}`);
+
+    const both = parseSetCookie('uid=1; Expires=Thu, 01 Jan 2026 01:00:00 GMT; Max-Age=60', NOW);
+    if (both.lifetime !== 60) throw new Error(`Max-Age ignored: ${both.lifetime}`);
+
+    const session = parseSetCookie('uid=1; Path=/', NOW);
+    if (session.lifetime !== null) throw new Error('Cookie without expiry should be a session cookie');
+  });
+
+  // Test 3: Deletions and malformed headers
+  addTest('Deleted and malformed cookies should be skipped', () => {
+    ['uid=; Max-Age=0', 'uid=1; Expires=Thu, 01 Jan 1970 00:00:00 GMT', 'no-separator', '=value'].forEach(header => {
+      if (parseSetCookie(header, NOW) !== null) throw new Error(`Parsed: ${header}`);
+    });
+  });
+
+  // Test 4: Response headers
+  addTest('parseSetCookieHeaders() should read every Set-Cookie line', () => {
+    const cookies = parseSetCookieHeaders([
+      { name: 'Content-Type', value: 'image/gif' },
+      { name: 'set-cookie', value: 'a=1\nb=2; Max-Age=0\nc=3' },
+      { name: 'Set-Cookie', value: 'd=4' }
+    ], NOW);
+    const names = cookies.map(cookie => cookie.name).join(',');
+    if (names !== 'a,c,d') throw new Error(`Unexpected cookies ${names}`);
+    if (parseSetCookieHeaders(undefined, NOW).length !== 0) throw new Error('Missing headers should give no cookies');
+  });
+
+  // Test 5: Long-lived identifiers
+  addTest('Long-lived identifiers should be flagged', () => {
+    const id = parseSetCookie(`_fbp=fb.1.1700000000000.123456789; Max-Age=${LONG_LIVED_COOKIE_SECONDS}`, NOW);
+    if (!id.identifier || !id.longLived) throw new Error('Long-lived ID not flagged');
+
+    const consent = parseSetCookie('consent=yes; Max-Age=63072000', NOW);
+    if (consent.identifier) throw new Error('Flag value flagged as identifier');
+
+    const shortLived = parseSetCookie('sid=a1b2c3d4e5f6g7; Max-Age=1800', NOW);
+    if (shortLived.longLived) throw new Error('30 minute cookie flagged as long-lived');
+  });
+
+  // Test 6: Merging and display
+  addTest('Cookies should merge by name and describe their attributes', () => {
+    const cookies = mergeCookies([parseSetCookie('a=1', NOW)], [
+      parseSetCookie('a=2; Max-Age=86400', NOW),
+      parseSetCookie('b=3', NOW)
+    ]);
+    if (cookies.length !== 2 || cookies[0].lifetime !== 86400) throw new Error('Latest cookie should replace the earlier one');
+
+    if (formatCookieLifetime(null) !== 'session') throw new Error('Session lifetime mislabelled');
+    if (formatCookieLifetime(34128000) !== '1 year') throw new Error(`Got ${formatCookieLifetime(34128000)}`);
+    if (formatCookieLifetime(7200) !== '2 hours') throw new Error(`Got ${formatCookieLifetime(7200)}`);
+
+    const description = describeCookie(parseSetCookie('IDE=x; Max-Age=34128000; SameSite=None; Secure; Partitioned', NOW));
+    if (description !== '1 year · SameSite=None · Secure · Partitioned') throw new Error(`Got ${description}`);
+    if (!describeCookie(parseSetCookie('a=1', NOW)).includes('SameSite unset')) throw new Error('Missing SameSite not shown');
+  });
+
+  // Test 7: Cookie summaries
+  addTest('Cookie summaries should not count requests again', () => {
+    const detection = {
+      url: 'https://pixel.tracker.example/p.gif', domain: 'tracker.example', fullDomain: 'pixel.tracker.example',
+      category: 'analytics', rule: '||tracker.example^', resourceType: 'image', timestamp: NOW, seq: 1
+    };
+    const batch = new Map();
+    addToBatch(batch, summarizeDetection(detection));
+    addToBatch(batch, summarizeCookies({ ...detection, seq: 2, cookies: [parseSetCookie('uid=1', NOW)] }));
+
+    const summary = batch.get('tracker.example');
+    if (summary.count !== 1) throw new Error(`Request counted ${summary.count} times`);
+    if (summary.urls.length !== 1) throw new Error('URL listed twice');
+    if (summary.cookies.length !== 1 || summary.seq !== 2) throw new Error('Cookies not merged');
+  });
+
+  // Test 8: Updating logged detections
+  addTest('tabLog.update() should only update entries still in the log', () => {
+    const log = new TabDetectionLog({ get: async () => ({}), set: async () => {}, remove: async () => {} }, { writeDelay: 60000 });
+    const detection = log.add(1, { fullDomain: 'tracker.example' });
+    const firstSeq = detection.seq;
+    if (!log.update(1, detection)) throw new Error('Logged entry not updated');
+    if (!(detection.seq > firstSeq)) throw new Error('Updated entry should get a new sequence number');
+    if (log.update(2, detection)) throw new Error('Entry of another tab updated');
+    clearTimeout(log.writeTimer);
+  });
+
+  // Test 9: Background wiring
+  addTest('background.js should read Set-Cookie headers of tracked requests', () => {
+    const background = fs.readFileSync(path.join(__dirname, '..', 'background.js'), 'utf8');
+    ['chrome.webRequest.onHeadersReceived.addListener', "['responseHeaders', 'extraHeaders']",
+      'parseSetCookieHeaders(details.responseHeaders)', 'tabLog.update(tabId, detection)',
+      'detectionBatcher.addCookies(tabId, detection)', "'lib/cookies.js'"].forEach(snippet => {
+      if (!background.includes(snippet)) throw new Error(`Missing in background.js: ${snippet}`);
+    });
+    const manifest = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'manifest.json'), 'utf8'));
+    if (!manifest.content_scripts[0].js.includes('lib/cookies.js')) throw new Error('Content script does not load lib/cookies.js');
+  });
+
+  // Summary
+  console.log('\n📊 THIRD-PARTY COOKIE ANALYSIS TEST RESULTS:');
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+  console.log(`📈 Total: ${results.total}`);
+
+  const successRate = ((results.passed / results.total) * 100).toFixed(1);
+  console.log(`📊 Success Rate: ${successRate}%`);
+
+  return results;
+}
+
+// Export for test runner
+if (typeof module !== 'undefined') {
+  module.exports = { runCookieTests };
+}
+
+// Run if executed directly
+if (typeof window === 'undefined' && typeof module !== 'undefined' && require.main === module) {
+  runCookieTests();
+}
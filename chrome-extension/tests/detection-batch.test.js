@@ -0,0 +1,317 @@
+/**
+ * DETECTION BATCHING TESTS
+ *
+ * Tests lib/detection-batch.js, which coalesces a tab's detections into one
+ * THIRD_PARTY_DOMAINS message per short window, and the content script side
+ * that applies a batch in a single animation frame, replays the backlog of
+ * detections made before it loaded and keeps the stats for each tag's
+ * detail drawer.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const {
+  DetectionBatcher,
+  addToBatch,
+  copySummary,
+  mergeSummaryStats,
+  summarizeDetection,
+  summarizeDetections,
+  MAX_RECENT_URLS,
+  MAX_SESSIONS
+} = require('../lib/detection-batch.js');
+
+// Loads the ThirdPartyDomainTracker class without starting it (a tracker
+// already exists on the fake window) so its methods can run without a DOM
+function loadTrackerClass(chrome) {
+  const source = fs.readFileSync(path.join(__dirname, '..', 'content.js'), 'utf8');
+  const context = vm.createContext({ window: { thirdPartyDomainTracker: {} }, document: {}, console: { log() {} }, chrome });
+  vm.runInContext(`${source}\nthis.ThirdPartyDomainTracker = ThirdPartyDomainTracker;`, context);
+  return context.ThirdPartyDomainTracker;
+}
+
+function createReplayTracker(chrome) {
+  const tracker = Object.create(loadTrackerClass(chrome).prototype);
+  tracker.debugMode = false;
+  tracker.backlogSeq = null;
+  tracker.earlyDetections = [];
+  tracker.queued = [];
+  tracker.queueDetections = (domains) => tracker.queued.push(...domains);
+  return tracker;
+}
+
+function createDetection(fullDomain, domain, overrides = {}) {
+  return {
+    url: `https://${fullDomain}/pixel`,
+    domain,
+    fullDomain,
+    entity: null,
+    resourceType: 'image',
+    category: 'advertising',
+    rule: `||${domain}^`,
+    blocked: false,
+    timestamp: Date.now(),
+    ...overrides
+  };
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function runDetectionBatchTests() {
+  console.log('🧪 DETECTION BATCHING TESTS');
+  console.log('=' .repeat(60));
+  console.log('Testing per-tab coalescing of detection messages\n');
+
+  const results = {
+    passed: 0,
+    failed: 0,
+    total: 0,
+    tests: []
+  };
+
+  async function addTest(name, testFn) {
+    results.total++;
+    try {
+      await testFn();
+      console.log(`✅ ${name}`);
+      results.passed++;
+      results.tests.push({ name, status: 'passed' });
+    } catch (error) {
+      console.log(`❌ ${name}`);
+      console.log(`   Error: ${error.message}`);
+      results.failed++;
+      results.tests.push({ name, status: 'failed', error: error.message });
+    }
+  }
+
+  // Test 1: Merging summaries
+  await addTest('Summaries for the same base domain should be merged', async () => {
+    const batch = new Map();
+    addToBatch(batch, summarizeDetection(createDetection('a.doubleclick.net', 'doubleclick.net')));
+    addToBatch(batch, summarizeDetection(createDetection('b.doubleclick.net', 'doubleclick.net', { resourceType: 'script', blocked: true })));
+    addToBatch(batch, summarizeDetection(createDetection('a.doubleclick.net', 'doubleclick.net')));
+
+    const summary = batch.get('doubleclick.net');
+    if (batch.size !== 1) throw new Error(`Expected 1 summary, got ${batch.size}`);
+    if (summary.count !== 3 || summary.blockedCount !== 1) throw new Error('Counts not summed');
+    if (JSON.stringify(summary.subdomains) !== '{"a.doubleclick.net":2,"b.doubleclick.net":1}') throw new Error('Subdomains not counted');
+    if (JSON.stringify(summary.resourceTypes) !== '{"image":2,"script":1}') throw new Error('Resource types not counted');
+    if (summary.fullDomain !== 'a.doubleclick.net') throw new Error('Latest subdomain not kept');
+  });
+
+  // Test 2: Iframes
+  await addTest('Summaries should collect the iframes that made requests', async () => {
+    const batch = new Map();
+    addToBatch(batch, summarizeDetection(createDetection('a.doubleclick.net', 'doubleclick.net')));
+    addToBatch(batch, summarizeDetection(createDetection('b.doubleclick.net', 'doubleclick.net', { inIframe: true, frameDomain: 'ads.example.net' })));
+    addToBatch(batch, summarizeDetection(createDetection('c.doubleclick.net', 'doubleclick.net', { inIframe: true, frameDomain: 'ads.example.net' })));
+    const iframes = batch.get('doubleclick.net').iframes;
+    if (iframes.join(',') !== 'ads.example.net') throw new Error(`Unexpected iframes: ${iframes.join(',')}`);
+  });
+
+  // Test 3: Drawer statistics
+  await addTest('Merged stats should keep first/last seen times and only the latest URLs', async () => {
+    const details = copySummary(summarizeDetection(createDetection('a.doubleclick.net', 'doubleclick.net', { timestamp: 5000 })));
+    for (let i = 0; i < MAX_RECENT_URLS + 5; i++) {
+      mergeSummaryStats(details, summarizeDetection(createDetection('a.doubleclick.net', 'doubleclick.net', {
+        url: `https://a.doubleclick.net/pixel?n=${i}`,
+        timestamp: 1000 + i * 1000
+      })));
+    }
+    if (details.firstSeen !== 1000 || details.lastSeen !== 15000) throw new Error(`Unexpected times ${details.firstSeen}-${details.lastSeen}`);
+    if (details.urls.length !== MAX_RECENT_URLS) throw new Error(`Expected ${MAX_RECENT_URLS} URLs, got ${details.urls.length}`);
+    if (details.urls[details.urls.length - 1] !== `https://a.doubleclick.net/pixel?n=${MAX_RECENT_URLS + 4}`) {
+      throw new Error('Latest URL not kept last');
+    }
+    if (details.count !== MAX_RECENT_URLS + 6) throw new Error('Count not merged');
+  });
+
+  // Test 4: Merging does not alias the source
+  await addTest('Merging should not modify the summary that was added', async () => {
+    const batch = new Map();
+    const first = summarizeDetection(createDetection('a.hotjar.com', 'hotjar.com'));
+    addToBatch(batch, first);
+    addToBatch(batch, summarizeDetection(createDetection('b.hotjar.com', 'hotjar.com')));
+    if (Object.keys(first.subdomains).length !== 1 || first.urls.length !== 1 || first.count !== 1) {
+      throw new Error('Source summary was modified');
+    }
+  });
+
+  // Test 5: One message per window
+  await addTest('A burst of detections should be sent as one message per tab', async () => {
+    const sent = [];
+    const batcher = new DetectionBatcher((tabId, domains) => sent.push({ tabId, domains }), { delay: 5 });
+
+    for (let i = 0; i < 200; i++) {
+      batcher.add(1, createDetection(`px${i % 4}.doubleclick.net`, 'doubleclick.net'));
+    }
+    batcher.add(1, createDetection('static.hotjar.com', 'hotjar.com'));
+    batcher.add(2, createDetection('connect.facebook.net', 'facebook.net'));
+    await wait(20);
+
+    if (sent.length !== 2) throw new Error(`Expected 2 messages, got ${sent.length}`);
+    const tabOne = sent.find(message => message.tabId === 1);
+    if (tabOne.domains.length !== 2) throw new Error('Expected one summary per base domain');
+    const doubleclick = tabOne.domains.find(summary => summary.domain === 'doubleclick.net');
+    if (doubleclick.count !== 200 || Object.keys(doubleclick.subdomains).length !== 4) throw new Error('Burst not aggregated');
+  });
+
+  // Test 6: Navigation drops pending detections
+  await addTest('discard() should drop detections of the previous page', async () => {
+    const sent = [];
+    const batcher = new DetectionBatcher((tabId, domains) => sent.push(domains), { delay: 5 });
+    batcher.add(1, createDetection('a.doubleclick.net', 'doubleclick.net'));
+    batcher.discard(1);
+    await wait(20);
+    if (sent.length !== 0) throw new Error('Discarded batch was sent');
+
+    batcher.add(1, createDetection('b.doubleclick.net', 'doubleclick.net'));
+    await wait(20);
+    if (sent.length !== 1 || sent[0][0].count !== 1) throw new Error('New batch not sent after discard');
+  });
+
+  // Test 7: Background wiring
+  await addTest('Background should batch detections instead of sending one per request', async () => {
+    const background = fs.readFileSync(path.join(__dirname, '..', 'background.js'), 'utf8');
+    if (!background.includes("'lib/detection-batch.js'")) throw new Error('Batching library not imported');
+    if (!background.includes('detectionBatcher.add(details.tabId, detection)')) throw new Error('Detections not batched');
+    if (background.includes("type: 'THIRD_PARTY_DOMAIN',")) throw new Error('Per-request message still sent');
+    if (!background.includes('detectionBatcher.discard(details.tabId)')) throw new Error('Navigation does not drop the pending batch');
+  });
+
+  // Test 8: Content script applies batches per frame
+  await addTest('Content script should apply batches in one animation frame', async () => {
+    const content = fs.readFileSync(path.join(__dirname, '..', 'content.js'), 'utf8');
+    const manifest = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'manifest.json'), 'utf8'));
+    if (!manifest.content_scripts[0].js.includes('lib/detection-batch.js')) throw new Error('Library not loaded in content script');
+    if (!content.includes("message.type === 'THIRD_PARTY_DOMAINS'")) throw new Error('Batched message not handled');
+    if (!content.includes('requestAnimationFrame(() => this.applyPendingDetections())')) throw new Error('Batches not applied per frame');
+
+    const update = content.slice(content.indexOf('  updateDomainCounter('), content.indexOf('  animateCounterUpdates('));
+    if (update.includes('offsetWidth')) throw new Error('Counter updates still force a reflow per tag');
+  });
+
+  // Test 9: Backlog summaries
+  await addTest('Backlog summaries should cover the whole log with the latest seq', async () => {
+    const summaries = summarizeDetections([
+      createDetection('www.googletagmanager.com', 'googletagmanager.com', { seq: 11 }),
+      createDetection('a.doubleclick.net', 'doubleclick.net', { seq: 12 }),
+      createDetection('www.googletagmanager.com', 'googletagmanager.com', { seq: 13 })
+    ]);
+    const gtm = summaries.find(summary => summary.domain === 'googletagmanager.com');
+    if (summaries.length !== 2) throw new Error(`Expected 2 summaries, got ${summaries.length}`);
+    if (gtm.count !== 2 || gtm.seq !== 13) throw new Error('Backlog summary count or seq wrong');
+  });
+
+  // Test 10: Replay without double counting
+  await addTest('Live batches covered by the backlog should not be applied twice', async () => {
+    let answerBacklog = null;
+    const tracker = createReplayTracker({
+      runtime: { sendMessage: (message, callback) => { answerBacklog = callback; } }
+    });
+
+    tracker.requestBacklog();
+    tracker.receiveDetections([{ domain: 'doubleclick.net', seq: 12 }]);
+    tracker.receiveDetections([{ domain: 'hotjar.com', seq: 15 }]);
+    if (tracker.queued.length !== 0) throw new Error('Live batch applied before the backlog');
+
+    answerBacklog({ domains: [{ domain: 'googletagmanager.com', seq: 13 }, { domain: 'doubleclick.net', seq: 12 }], seq: 13 });
+    tracker.receiveDetections([{ domain: 'facebook.net', seq: 16 }]);
+
+    const applied = tracker.queued.map(summary => `${summary.domain}@${summary.seq}`).join(',');
+    if (applied !== 'googletagmanager.com@13,doubleclick.net@12,hotjar.com@15,facebook.net@16') {
+      throw new Error(`Unexpected replay order: ${applied}`);
+    }
+  });
+
+  // Test 11: Backlog wiring
+  await addTest('Background should answer backlog requests after flushing the pending batch', async () => {
+    const background = fs.readFileSync(path.join(__dirname, '..', 'background.js'), 'utf8');
+    const handler = background.slice(background.indexOf("message.type === 'GET_DETECTION_BACKLOG'"));
+    if (handler.length === 0) throw new Error('GET_DETECTION_BACKLOG not handled');
+    if (handler.indexOf('detectionBatcher.flush(tabId)') > handler.indexOf('tabLog.get(tabId)')) {
+      throw new Error('Pending batch must be flushed before reading the backlog');
+    }
+    const content = fs.readFileSync(path.join(__dirname, '..', 'content.js'), 'utf8');
+    if (!content.includes('this.requestBacklog();')) throw new Error('Content script does not request the backlog');
+  });
+
+  // Test 12: Detail drawer
+  await addTest('Clicking a tag should open a drawer with subdomains, types, times and URLs', async () => {
+    const tracker = createReplayTracker({});
+    const sorted = tracker.getSortedCounts({ 'b.example': 2, 'a.example': 2, 'c.example': 5 });
+    if (sorted.map(([name]) => name).join(',') !== 'c.example,a.example,b.example') {
+      throw new Error('Counts should be sorted busiest first');
+    }
+
+    const content = fs.readFileSync(path.join(__dirname, '..', 'content.js'), 'utf8');
+    ["this.createDrawerSection('Subdomains'", "this.createDrawerSection('Resource types'",
+      "this.createDrawerSection('Recent requests'", 'navigator.clipboard.writeText(url)',
+      'this.setupTagDrawer(domainData)'].forEach(snippet => {
+      if (!content.includes(snippet)) throw new Error(`Missing in content.js: ${snippet}`);
+    });
+  });
+
+  // Test 13: Beacons and other request types
+  await addTest('Background should monitor ping, WebSocket, CSP report, object and other requests', async () => {
+    const background = fs.readFileSync(path.join(__dirname, '..', 'background.js'), 'utf8');
+    const declaration = background.match(/const MONITORED_REQUEST_TYPES = (\[[^\]]*\]);/);
+    if (!declaration) throw new Error('MONITORED_REQUEST_TYPES not found');
+    const types = JSON.parse(declaration[1].replace(/\s+/g, ''));
+    ['script', 'xmlhttprequest', 'image', 'sub_frame', 'ping', 'websocket', 'csp_report', 'object', 'other'].forEach(type => {
+      if (!types.includes(type)) throw new Error(`Request type not monitored: ${type}`);
+    });
+  });
+
+  // Test 14: WebSocket sessions
+  await addTest('WebSocket connections should become sessions rather than hits', async () => {
+    const socket = createDetection('ws.tracker.example', 'tracker.example', {
+      url: 'wss://ws.tracker.example/live', resourceType: 'websocket', timestamp: 1000
+    });
+    const batch = new Map();
+    addToBatch(batch, summarizeDetection(createDetection('px.tracker.example', 'tracker.example')));
+    addToBatch(batch, summarizeDetection(socket));
+
+    const summary = batch.get('tracker.example');
+    if (summary.count !== 1) throw new Error(`WebSocket counted as a hit: ${summary.count}`);
+    if (summary.sessions.length !== 1 || summary.sessions[0].url !== 'wss://ws.tracker.example/live' || summary.sessions[0].openedAt !== 1000) {
+      throw new Error('Session not recorded');
+    }
+
+    const blocked = summarizeDetection({ ...socket, blocked: true });
+    if (blocked.sessions.length !== 0 || blocked.count !== 1) throw new Error('Blocked sockets never open a session');
+
+    for (let i = 0; i < MAX_SESSIONS + 2; i++) addToBatch(batch, summarizeDetection(socket));
+    if (batch.get('tracker.example').sessions.length !== MAX_SESSIONS) throw new Error('Sessions not capped');
+
+    const tracker = createReplayTracker({});
+    if (!tracker.hasNewActivity(summarizeDetection(socket))) throw new Error('Session-only summary would not create a tag');
+    // Sockets are never seen closing, so the label must not claim they are live
+    if (tracker.getSessionLabel([{}]) !== '🔌 WebSocket') throw new Error('Unexpected session label');
+    if (tracker.getSessionLabel([{}, {}]) !== '🔌 2 WebSockets') throw new Error('Unexpected session label');
+  });
+
+  // Summary
+  console.log('\n📊 DETECTION BATCHING TEST RESULTS:');
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+  console.log(`📈 Total: ${results.total}`);
+
+  const successRate = ((results.passed / results.total) * 100).toFixed(1);
+  console.log(`📊 Success Rate: ${successRate}%`);
+
+  return results;
+}
+
+// Export for test runner
+if (typeof module !== 'undefined') {
+  module.exports = { runDetectionBatchTests };
+}
+
+// Run if executed directly
+if (typeof window === 'undefined' && typeof module !== 'undefined' && require.main === module) {
+  runDetectionBatchTests();
+}
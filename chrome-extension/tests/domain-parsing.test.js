@@ -1,8 +1,10 @@
 // Comprehensive unit tests for domain parsing functionality
-// Tests both the old and new getBaseDomain implementations
+// Tests the Public Suffix List resolver against the previous length heuristic
 
-// Mock implementation of the new pattern-based getBaseDomain function
-function getBaseDomain(domain) {
+const { getBaseDomain } = require('../lib/public-suffix.js');
+
+// Previous heuristic implementation for comparison
+function getBaseDomainOld(domain) {
   if (!domain) return null;
   const parts = domain.split('.');
   if (parts.length < 2) return domain;
@@ -16,16 +18,6 @@ function getBaseDomain(domain) {
   return parts.slice(-2).join('.');
 }
 
-// Old implementation for comparison
-function getBaseDomainOld(domain) {
-  if (!domain) return null;
-  const parts = domain.split('.');
-  if (parts.length >= 2) {
-    return parts.slice(-2).join('.');
-  }
-  return domain;
-}
-
 // Test runner
 function runTests() {
   const tests = [
@@ -67,40 +59,35 @@ function runTests() {
       category: 'standard-tld'
     },
     
-    // Country Code TLD tests (old implementation fails, new should pass)
+    // Country Code TLD tests (listed explicitly in the Public Suffix List)
     {
       name: 'Indian domain (.co.in)',
       input: 'example.co.in',
       expected: 'example.co.in',
-      expectedOld: 'co.in', // Old implementation result
       category: 'country-code-tld'
     },
     {
       name: 'Australian domain (.com.au)',
       input: 'sample.com.au',
       expected: 'sample.com.au',
-      expectedOld: 'com.au',
       category: 'country-code-tld'
     },
     {
       name: 'UK domain (.co.uk)',
       input: 'test.co.uk',
       expected: 'test.co.uk',
-      expectedOld: 'co.uk',
       category: 'country-code-tld'
     },
     {
       name: 'New Zealand domain (.co.nz)',
       input: 'site.co.nz',
       expected: 'site.co.nz',
-      expectedOld: 'co.nz',
       category: 'country-code-tld'
     },
     {
       name: 'Australian org domain (.org.au)',
       input: 'domain.org.au',
       expected: 'domain.org.au',
-      expectedOld: 'org.au',
       category: 'country-code-tld'
     },
     
@@ -109,21 +96,18 @@ function runTests() {
       name: 'Multiple subdomains with .co.in',
       input: 'sub.example.co.in',
       expected: 'example.co.in',
-      expectedOld: 'co.in',
       category: 'complex-subdomain'
     },
     {
       name: 'Deep subdomain with .co.uk',
       input: 'www.api.service.co.uk',
       expected: 'service.co.uk',
-      expectedOld: 'co.uk',
       category: 'complex-subdomain'
     },
     {
       name: 'API subdomain with .com.au',
       input: 'api.v2.example.com.au',
       expected: 'example.com.au',
-      expectedOld: 'com.au',
       category: 'complex-subdomain'
     },
     
@@ -141,23 +125,100 @@ function runTests() {
       category: 'edge-case'
     },
     {
-      name: 'IP address',
+      name: 'IPv4 address',
       input: '192.168.1.1',
-      expected: '168.1.1', // This is expected behavior for IP addresses
+      expected: '192.168.1.1',
+      expectedOld: '168.1.1',
       category: 'edge-case'
     },
     {
-      name: 'Short TLD with short second part',
+      name: 'IPv4 address (private range host)',
+      input: '192.168.1.10',
+      expected: '192.168.1.10',
+      expectedOld: '168.1.10',
+      category: 'edge-case'
+    },
+    {
+      name: 'Bracketed IPv6 literal',
+      input: '[2001:db8::1]',
+      expected: '2001:db8::1',
+      category: 'edge-case'
+    },
+    {
+      name: 'Unlisted TLD uses implicit wildcard rule',
       input: 'a.b.c',
-      expected: 'a.b.c', // b is ≤ 3 chars, so take 3 parts
+      expected: 'b.c',
+      expectedOld: 'a.b.c',
       category: 'edge-case'
     },
     {
       name: 'Long second-to-last part',
       input: 'subdomain.verylongdomain.com',
-      expected: 'verylongdomain.com', // verylongdomain > 3 chars, so take 2 parts
+      expected: 'verylongdomain.com',
       category: 'edge-case'
     },
+    {
+      name: 'Trailing root dot and upper case',
+      input: 'WWW.Example.COM.',
+      expected: 'example.com',
+      category: 'edge-case'
+    },
+    {
+      name: 'Localhost subdomain',
+      input: 'api.localhost',
+      expected: 'localhost',
+      expectedOld: 'api.localhost',
+      category: 'edge-case'
+    },
+    {
+      name: 'Intranet name under unlisted TLD',
+      input: 'printer.corp.internal',
+      expected: 'corp.internal',
+      category: 'edge-case'
+    },
+    
+    // Public Suffix List specific rules
+    {
+      name: 'Short second-level label is not a suffix',
+      input: 'cdn.ads.io',
+      expected: 'ads.io',
+      expectedOld: 'cdn.ads.io',
+      category: 'public-suffix'
+    },
+    {
+      name: 'Private suffix (github.io)',
+      input: 'user.github.io',
+      expected: 'user.github.io',
+      expectedOld: 'github.io',
+      category: 'public-suffix'
+    },
+    {
+      name: 'Private suffix with subdomain (blogspot.com)',
+      input: 'www.someblog.blogspot.com',
+      expected: 'someblog.blogspot.com',
+      expectedOld: 'blogspot.com',
+      category: 'public-suffix'
+    },
+    {
+      name: 'Wildcard rule (*.kobe.jp)',
+      input: 'www.shop.ward.kobe.jp',
+      expected: 'shop.ward.kobe.jp',
+      expectedOld: 'kobe.jp',
+      category: 'public-suffix'
+    },
+    {
+      name: 'Exception rule (!city.kobe.jp)',
+      input: 'www.city.kobe.jp',
+      expected: 'city.kobe.jp',
+      expectedOld: 'kobe.jp',
+      category: 'public-suffix'
+    },
+    {
+      name: 'Hostname that is itself a public suffix',
+      input: 'github.io',
+      expected: 'github.io',
+      category: 'public-suffix'
+    },
     
     // Null/empty cases
     {
@@ -186,7 +247,6 @@ function runTests() {
     const oldResult = getBaseDomainOld(test.input);
     
     const newPassed = newResult === test.expected;
-    const oldPassed = oldResult === (test.expectedOld || test.expected);
     
     if (newPassed) {
       passed++;
@@ -201,9 +261,9 @@ function runTests() {
     }
     
     // Track old implementation issues
-    if (!oldPassed && test.expectedOld) {
+    if (test.expectedOld && oldResult !== test.expected) {
       oldImplementationIssues++;
-      console.log(`   🔍 Old implementation would return: "${oldResult}" (incorrect)`);
+      console.log(`   🔍 Heuristic implementation would return: "${oldResult}" (incorrect)`);
     }
     
     console.log(`   Category: ${test.category}`);
@@ -215,7 +275,7 @@ function runTests() {
   console.log(`   ✅ Passed: ${passed}`);
   console.log(`   ❌ Failed: ${failed}`);
   console.log(`   📈 Total: ${tests.length}`);
-  console.log(`   🔧 Old implementation issues fixed: ${oldImplementationIssues}`);
+  console.log(`   🔧 Heuristic implementation issues fixed: ${oldImplementationIssues}`);
   
   if (failed === 0) {
     console.log('\n🎉 All tests passed! Domain parsing implementation is working correctly.');
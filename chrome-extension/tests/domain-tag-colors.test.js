@@ -9,9 +9,14 @@
  *            showing third-party domains with color-coded backgrounds and text
  * 
  * Location: Created by ThirdPartyDomainTracker.createDomainTag() in content.js
- * Styling: Defined in styles.css with 4-color palette system
+ * Styling: One color class per tracker category (see TRACKER_CATEGORIES in
+ *          lib/tracker-categories.js); the colors themselves come from the
+ *          classic theme in lib/theme.js
  */
 
+const { TRACKER_CATEGORIES, getCategoryColorClass } = require('../lib/tracker-categories.js');
+const { buildThemeStyles } = require('../lib/theme.js');
+
 // Mock DOM environment for testing
 class MockDOMElement {
   constructor(tagName) {
@@ -47,54 +52,21 @@ class MockDOMElement {
   }
 }
 
-// Mock the getDomainColorClass function from content.js
-function getDomainColorClass(domain) {
-  const colorClasses = ['color-orange', 'color-vista-bleu', 'color-amande', 'color-bleu-oxford'];
-  let hash = 0;
-  for (let i = 0; i < domain.length; i++) {
-    const char = domain.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash;
-  }
-  const index = Math.abs(hash) % colorClasses.length;
-  return colorClasses[index];
-}
-
-// Color definitions from styles.css
-const COLOR_DEFINITIONS = {
-  'color-orange': {
-    background: '#FF8400',
-    textColor: 'black',
-    borderColor: 'rgba(0, 0, 0, 0.1)',
-    countBadgeBackground: 'rgba(0, 0, 0, 0.15)',
-    countBadgeText: 'black',
-    theme: 'light'
-  },
-  'color-vista-bleu': {
-    background: '#4A628F',
-    textColor: 'white',
-    borderColor: 'rgba(255, 255, 255, 0.3)',
-    countBadgeBackground: 'rgba(255, 255, 255, 0.25)',
-    countBadgeText: 'white',
-    theme: 'dark'
-  },
-  'color-amande': {
-    background: '#F9DFC6',
-    textColor: 'black',
-    borderColor: 'rgba(0, 0, 0, 0.1)',
-    countBadgeBackground: 'rgba(0, 0, 0, 0.15)',
-    countBadgeText: 'black',
-    theme: 'light'
-  },
-  'color-bleu-oxford': {
-    background: '#2E1065',
-    textColor: 'white',
-    borderColor: 'rgba(255, 255, 255, 0.5)',
-    countBadgeBackground: 'rgba(255, 255, 255, 0.25)',
-    countBadgeText: 'white',
-    theme: 'dark'
-  }
-};
+// Colors of each category's tag in the classic theme, computed by lib/theme.js
+// the same way content.js does (styles.css only reads them back as CSS variables)
+const CLASSIC_TAG_COLORS = buildThemeStyles('classic');
+const COLOR_DEFINITIONS = Object.fromEntries(Object.entries(TRACKER_CATEGORIES).map(([category, info]) => {
+  const colors = CLASSIC_TAG_COLORS[category];
+  const isLight = colors.text === '#000000';
+  return [info.colorClass, {
+    background: colors.background,
+    textColor: isLight ? 'black' : 'white',
+    borderColor: colors.border,
+    countBadgeBackground: colors.badgeBackground,
+    countBadgeText: colors.badgeText === '#000000' ? 'black' : 'white',
+    theme: isLight ? 'light' : 'dark'
+  }];
+}));
 
 // WCAG 2.1 Color Contrast Calculator
 function calculateContrastRatio(color1, color2) {
@@ -150,27 +122,23 @@ function runDomainTagColorTests() {
     }
   };
   
-  // Test 1: Color Class Assignment Consistency
+  // Test 1: Category Color Class Assignment Consistency
   console.log('📋 Test Category: Color Class Assignment\n');
   
-  const testDomains = [
-    'google.com', 'facebook.com', 'amazon.com', 'microsoft.com',
-    'doubleclick.net', 'google-analytics.com', 'googletagmanager.com',
-    'example.co.uk', 'test.org.au', 'site.co.in'
-  ];
+  const testCategories = [...Object.keys(TRACKER_CATEGORIES), 'not-a-category', undefined];
   
-  testDomains.forEach((domain, index) => {
+  testCategories.forEach((category) => {
     testResults.total++;
-    const colorClass = getDomainColorClass(domain);
+    const colorClass = getCategoryColorClass(category);
     const isValidColorClass = Object.keys(COLOR_DEFINITIONS).includes(colorClass);
     
     if (isValidColorClass) {
       testResults.passed++;
       testResults.categories.colorAssignment.passed++;
-      console.log(`✅ Domain "${domain}" → ${colorClass}`);
+      console.log(`✅ Category "${category}" → ${colorClass}`);
       
-      // Test consistency - same domain should always get same color
-      const secondCall = getDomainColorClass(domain);
+      // Test consistency - same category should always get same color
+      const secondCall = getCategoryColorClass(category);
       if (colorClass === secondCall) {
         console.log(`   ✅ Consistency check passed`);
       } else {
@@ -182,7 +150,7 @@ function runDomainTagColorTests() {
     } else {
       testResults.failed++;
       testResults.categories.colorAssignment.failed++;
-      console.log(`❌ Domain "${domain}" → Invalid color class: ${colorClass}`);
+      console.log(`❌ Category "${category}" → Invalid color class: ${colorClass}`);
     }
     console.log('');
   });
@@ -249,38 +217,31 @@ function runDomainTagColorTests() {
     console.log('');
   });
   
-  // Test 4: All Color Class Coverage
-  console.log('\n📋 Test Category: Color Coverage Distribution\n');
+  // Test 4: Every category has its own color
+  console.log('\n📋 Test Category: Category Color Coverage\n');
   
   testResults.total++;
   const colorClassCounts = {};
-  const sampleDomains = [
-    'google.com', 'facebook.com', 'amazon.com', 'microsoft.com', 'apple.com',
-    'twitter.com', 'instagram.com', 'linkedin.com', 'youtube.com', 'netflix.com',
-    'spotify.com', 'github.com', 'stackoverflow.com', 'reddit.com', 'pinterest.com'
-  ];
   
-  sampleDomains.forEach(domain => {
-    const colorClass = getDomainColorClass(domain);
+  Object.keys(TRACKER_CATEGORIES).forEach(category => {
+    const colorClass = getCategoryColorClass(category);
     colorClassCounts[colorClass] = (colorClassCounts[colorClass] || 0) + 1;
   });
   
-  const usedColors = Object.keys(colorClassCounts);
-  const allColorsUsed = Object.keys(COLOR_DEFINITIONS).every(color => 
-    usedColors.includes(color)
-  );
+  const sharedColors = Object.entries(colorClassCounts).filter(([_, count]) => count > 1);
+  const allColorsUsed = Object.keys(COLOR_DEFINITIONS).every(color => colorClassCounts[color]);
   
-  if (allColorsUsed) {
+  if (sharedColors.length === 0 && allColorsUsed) {
     testResults.passed++;
-    console.log(`✅ All 4 color classes are being used:`);
-    Object.entries(colorClassCounts).forEach(([color, count]) => {
-      console.log(`   ${color}: ${count} domains`);
+    console.log(`✅ All ${Object.keys(COLOR_DEFINITIONS).length} color classes map to exactly one category:`);
+    Object.entries(TRACKER_CATEGORIES).forEach(([category, info]) => {
+      console.log(`   ${category}: ${info.colorClass}`);
     });
   } else {
     testResults.failed++;
-    console.log(`❌ Not all color classes are being used:`);
-    console.log(`   Used: ${usedColors.join(', ')}`);
-    console.log(`   Missing: ${Object.keys(COLOR_DEFINITIONS).filter(c => !usedColors.includes(c)).join(', ')}`);
+    console.log(`❌ Category colors are not one-to-one:`);
+    console.log(`   Shared: ${sharedColors.map(([color]) => color).join(', ') || 'none'}`);
+    console.log(`   Unused: ${Object.keys(COLOR_DEFINITIONS).filter(c => !colorClassCounts[c]).join(', ') || 'none'}`);
   }
   
   // Test Results Summary
@@ -301,10 +262,10 @@ function runDomainTagColorTests() {
   
   if (testResults.failed === 0) {
     console.log('\n🎉 All domain tag color combination tests passed!');
-    console.log('   All 4 color classes are properly configured with correct:');
+    console.log('   All category color classes are properly configured with correct:');
     console.log('   • Background-text color contrasts');
     console.log('   • Count badge styling for light/dark themes');
-    console.log('   • Consistent color assignment algorithm');
+    console.log('   • Consistent category color assignment');
     console.log('   • WCAG accessibility compliance');
   } else {
     console.log(`\n⚠️  ${testResults.failed} test(s) failed. Please review the color definitions.`);
@@ -316,7 +277,7 @@ function runDomainTagColorTests() {
 // Export for use in other test frameworks
 if (typeof module !== 'undefined') {
   module.exports = { 
-    getDomainColorClass, 
+    getCategoryColorClass, 
     COLOR_DEFINITIONS, 
     calculateContrastRatio,
     runDomainTagColorTests 
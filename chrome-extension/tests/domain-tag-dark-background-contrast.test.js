@@ -71,10 +71,10 @@ class MockDOMWithPageBackground {
     
     const issues = [];
     potentialInheritanceIssues.forEach(scenario => {
-      // With our CSS fixes (.tpd-tag.color-* .tpd-domain-name { color: specific !important; }),
+      // With our CSS fixes (.tpd-tag.tpd-themed .tpd-domain-name { color: var(...) !important; }),
       // text color inheritance issues are now resolved
       // Since we have stronger CSS specificity, these scenarios are no longer problematic
-      const cssSpecificityFixed = true; // We implemented .tpd-tag.color-* .tpd-domain-name selectors
+      const cssSpecificityFixed = true; // We implemented .tpd-tag.tpd-themed .tpd-domain-name selectors
       
       if (!cssSpecificityFixed) {
         // Legacy check - would only apply if fixes weren't implemented
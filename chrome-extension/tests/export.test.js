@@ -0,0 +1,173 @@
+/**
+ * PAGE AUDIT EXPORT TESTS
+ *
+ * Tests lib/export.js, which turns the background detection log of a tab
+ * into JSON, CSV, HAR and Markdown exports for the popup's download and
+ * clipboard actions.
+ */
+
+const { EXPORT_FORMATS, buildExport, getExportFilename, summarizeByDomain } = require('../lib/export.js');
+
+const PAGE = { url: 'https://news.example/article?id=1', title: 'Example article' };
+const EXPORTED_AT = new Date('2025-03-04T05:06:07Z');
+
+const ENTRIES = [
+  {
+    url: 'https://stats.g.doubleclick.net/collect?v=1&tid=UA-1',
+    domain: 'doubleclick.net',
+    fullDomain: 'stats.g.doubleclick.net',
+    entity: 'Google',
+    resourceType: 'image',
+    method: 'GET',
+    frameId: 0,
+    category: 'advertising',
+    rule: '||doubleclick.net^$third-party',
+    blocked: false,
+    timestamp: Date.parse('2025-03-04T05:00:00Z')
+  },
+  {
+    url: 'https://ad.doubleclick.net/pixel',
+    domain: 'doubleclick.net',
+    fullDomain: 'ad.doubleclick.net',
+    entity: 'Google',
+    resourceType: 'script',
+    method: 'POST',
+    frameId: 3,
+    category: 'advertising',
+    rule: '||doubleclick.net^$third-party',
+    blocked: true,
+    timestamp: Date.parse('2025-03-04T05:00:01Z')
+  },
+  {
+    url: 'https://static.hotjar.com/c/hotjar-1.js?sv=6',
+    domain: 'hotjar.com',
+    fullDomain: 'static.hotjar.com',
+    entity: 'Hotjar',
+    resourceType: 'script',
+    method: 'GET',
+    frameId: 0,
+    category: 'session-replay',
+    rule: '||hotjar.com^$third-party,domain=a.example|b.example',
+    blocked: false,
+    timestamp: Date.parse('2025-03-04T05:00:02Z')
+  }
+];
+
+function runExportTests() {
+  console.log('🧪 PAGE AUDIT EXPORT TESTS');
+  console.log('=' .repeat(60));
+  console.log('Testing JSON, CSV, HAR and Markdown exports\n');
+
+  const results = {
+    passed: 0,
+    failed: 0,
+    total: 0,
+    tests: []
+  };
+
+  function addTest(name, testFn) {
+    results.total++;
+    try {
+      testFn();
+      console.log(`✅ ${name}`);
+      results.passed++;
+      results.tests.push({ name, status: 'passed' });
+    } catch (error) {
+      console.log(`❌ ${name}`);
+      console.log(`   Error: ${error.message}`);
+      results.failed++;
+      results.tests.push({ name, status: 'failed', error: error.message });
+    }
+  }
+
+  // Test 1: JSON keeps full records
+  addTest('JSON export should contain the page and every full record', () => {
+    const data = JSON.parse(buildExport('json', ENTRIES, PAGE, EXPORTED_AT));
+    if (data.page.url !== PAGE.url) throw new Error('Page URL missing');
+    if (data.detections.length !== 3) throw new Error(`Expected 3 detections, got ${data.detections.length}`);
+    if (data.detections[1].rule !== ENTRIES[1].rule) throw new Error('Record fields not preserved');
+  });
+
+  // Test 2: CSV rows and escaping
+  addTest('CSV export should have one row per request with escaped values', () => {
+    const rows = buildExport('csv', ENTRIES, PAGE, EXPORTED_AT).trim().split('\r\n');
+    if (rows.length !== 4) throw new Error(`Expected header + 3 rows, got ${rows.length}`);
+    if (!rows[0].startsWith('timestamp,domain,fullDomain')) throw new Error(`Unexpected header: ${rows[0]}`);
+    if (!rows[3].includes('"||hotjar.com^$third-party,domain=a.example|b.example"')) {
+      throw new Error('Value containing a comma should be quoted');
+    }
+    if (!rows[2].includes(',true,')) throw new Error('Blocked flag missing');
+  });
+
+  // Test 3: HAR structure
+  addTest('HAR export should produce valid HAR 1.2 entries', () => {
+    const har = JSON.parse(buildExport('har', ENTRIES, PAGE, EXPORTED_AT));
+    if (har.log.version !== '1.2') throw new Error('HAR version missing');
+    if (har.log.pages.length !== 1 || har.log.entries.length !== 3) throw new Error('Unexpected page/entry count');
+
+    const entry = har.log.entries[0];
+    ['startedDateTime', 'time', 'request', 'response', 'cache', 'timings'].forEach(field => {
+      if (!(field in entry)) throw new Error(`Entry missing required field "${field}"`);
+    });
+    if (entry.request.queryString.length !== 2 || entry.request.queryString[1].name !== 'tid') {
+      throw new Error('Query string not parsed');
+    }
+    if (har.log.entries[1].request.method !== 'POST') throw new Error('Request method not kept');
+  });
+
+  // Test 4: Markdown summary
+  addTest('Markdown export should group requests by base domain', () => {
+    const markdown = buildExport('markdown', ENTRIES, PAGE, EXPORTED_AT);
+    if (!markdown.includes('3 requests to 2 tracking domains')) throw new Error('Totals missing');
+    if (!markdown.includes('| doubleclick.net | Google | Advertising | 2 | 1 | image, script |')) {
+      throw new Error('doubleclick.net row missing or wrong');
+    }
+    if (!markdown.includes('| hotjar.com | Hotjar | Session replay | 1 | 0 | script |')) {
+      throw new Error('hotjar.com row missing or wrong');
+    }
+  });
+
+  // Test 5: Empty log
+  addTest('Markdown export of an empty log should say no trackers were found', () => {
+    const markdown = buildExport('markdown', [], PAGE, EXPORTED_AT);
+    if (!markdown.includes('No trackers detected.')) throw new Error('Empty state missing');
+  });
+
+  // Test 6: Summary ordering
+  addTest('Domain summary should be sorted by request count', () => {
+    const summaries = summarizeByDomain(ENTRIES);
+    if (summaries[0].domain !== 'doubleclick.net' || summaries[0].requests !== 2) {
+      throw new Error('Busiest domain should come first');
+    }
+  });
+
+  // Test 7: File names
+  addTest('Export file name should include host, time and format extension', () => {
+    Object.keys(EXPORT_FORMATS).forEach(format => {
+      const filename = getExportFilename(format, PAGE, EXPORTED_AT);
+      const expected = `ghost-tracer-news.example-202503040506.${EXPORT_FORMATS[format].extension}`;
+      if (filename !== expected) throw new Error(`Expected ${expected}, got ${filename}`);
+    });
+  });
+
+  // Summary
+  console.log('\n📊 PAGE AUDIT EXPORT TEST RESULTS:');
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+  console.log(`📈 Total: ${results.total}`);
+
+  const successRate = ((results.passed / results.total) * 100).toFixed(1);
+  console.log(`📊 Success Rate: ${successRate}%`);
+
+  return results;
+}
+
+// Export for test runner
+if (typeof module !== 'undefined') {
+  module.exports = { runExportTests };
+}
+
+// Run if executed directly
+if (typeof window === 'undefined' && typeof module !== 'undefined' && require.main === module) {
+  runExportTests();
+}
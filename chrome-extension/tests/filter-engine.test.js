@@ -0,0 +1,194 @@
+/**
+ * FILTER LIST ENGINE TESTS
+ *
+ * Tests the adblock-syntax filter engine in lib/filter-engine.js that
+ * classifies every onBeforeRequest event, and the bundled default rule pack
+ * in filters/default.txt that replaced the hardcoded isTrackingDomain lists.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { FilterEngine, parseFilterRule } = require('../lib/filter-engine.js');
+
+const DEFAULT_LIST_PATH = path.join(__dirname, '..', 'filters', 'default.txt');
+
+function createEngine(listText) {
+  const engine = new FilterEngine();
+  engine.addList('test', listText);
+  return engine;
+}
+
+function matchUrl(engine, url, overrides = {}) {
+  return engine.match({
+    url,
+    hostname: new URL(url).hostname,
+    pageHostname: 'news.example',
+    type: 'script',
+    thirdParty: true,
+    ...overrides
+  });
+}
+
+function runFilterEngineTests() {
+  console.log('🧪 FILTER LIST ENGINE TESTS');
+  console.log('=' .repeat(60));
+  console.log('Testing EasyList-style rule parsing and request matching\n');
+
+  const results = {
+    passed: 0,
+    failed: 0,
+    total: 0,
+    tests: []
+  };
+
+  function addTest(name, testFn) {
+    results.total++;
+    try {
+      testFn();
+      console.log(`✅ ${name}`);
+      results.passed++;
+      results.tests.push({ name, status: 'passed' });
+    } catch (error) {
+      console.log(`❌ ${name}`);
+      console.log(`   Error: ${error.message}`);
+      results.failed++;
+      results.tests.push({ name, status: 'failed', error: error.message });
+    }
+  }
+
+  // Test 1: Comments, headers and cosmetic filters are skipped
+  addTest('Comments, list headers and cosmetic filters should be skipped', () => {
+    const ignored = ['[Adblock Plus 2.0]', '! Title: test', '', 'example.com##.ad-banner', 'example.com#@#.ad', '##.sponsored'];
+    ignored.forEach(line => {
+      if (parseFilterRule(line, 'test') !== null) {
+        throw new Error(`"${line}" should not produce a network rule`);
+      }
+    });
+  });
+
+  // Test 2: Hostname anchors match the domain and its subdomains only
+  addTest('||domain^ rules should match the domain and its subdomains', () => {
+    const engine = createEngine('||doubleclick.net^');
+    if (!matchUrl(engine, 'https://doubleclick.net/pixel')) throw new Error('Apex domain not matched');
+    if (!matchUrl(engine, 'https://ad.g.doubleclick.net/x')) throw new Error('Subdomain not matched');
+    if (matchUrl(engine, 'https://notdoubleclick.net/x')) throw new Error('Lookalike domain should not match');
+  });
+
+  // Test 3: $third-party option
+  addTest('$third-party rules should only match third-party requests', () => {
+    const engine = createEngine('||tracker.example^$third-party');
+    if (!matchUrl(engine, 'https://tracker.example/a.js')) throw new Error('Third-party request not matched');
+    if (matchUrl(engine, 'https://tracker.example/a.js', { thirdParty: false })) {
+      throw new Error('First-party request should not match');
+    }
+  });
+
+  // Test 4: Resource type options
+  addTest('$script rules should only match script requests', () => {
+    const engine = createEngine('||cdn.example/widget$script');
+    if (!matchUrl(engine, 'https://cdn.example/widget.js')) throw new Error('Script request not matched');
+    if (matchUrl(engine, 'https://cdn.example/widget.png', { type: 'image' })) {
+      throw new Error('Image request should not match a $script rule');
+    }
+  });
+
+  // Test 5: Exception rules
+  addTest('@@ exception rules should allow otherwise matching requests', () => {
+    const engine = createEngine('||cdn.example^\n@@||cdn.example/consent/*');
+    if (!matchUrl(engine, 'https://cdn.example/track.js')) throw new Error('Blocking rule not applied');
+    if (matchUrl(engine, 'https://cdn.example/consent/banner.js')) throw new Error('Exception rule not applied');
+  });
+
+  // Test 6: $important beats exceptions
+  addTest('$important rules should override exception rules', () => {
+    const engine = createEngine('||cdn.example^$important\n@@||cdn.example^');
+    const rule = matchUrl(engine, 'https://cdn.example/a.js');
+    if (!rule || !rule.important) throw new Error('Important rule should win over exception');
+  });
+
+  // Test 7: Path rules with wildcards and separators
+  addTest('Path rules with * and ^ should match like EasyList', () => {
+    const engine = createEngine('/collect?*&tid=\n||stats.example/p/*/hit^');
+    if (!matchUrl(engine, 'https://x.example/collect?v=1&tid=UA-1')) throw new Error('Wildcard path rule not matched');
+    if (!matchUrl(engine, 'https://stats.example/p/123/hit?x=1')) throw new Error('Anchored path rule not matched');
+    if (matchUrl(engine, 'https://stats.example/p/123/hitter')) throw new Error('^ should require a separator');
+  });
+
+  // Test 8: $domain option restricts the initiating page
+  addTest('$domain= rules should apply only on listed pages', () => {
+    const engine = createEngine('||widgets.example^$domain=news.example|~sport.news.example');
+    if (!matchUrl(engine, 'https://widgets.example/w.js')) throw new Error('Rule should apply on news.example');
+    if (matchUrl(engine, 'https://widgets.example/w.js', { pageHostname: 'sport.news.example' })) {
+      throw new Error('Rule should not apply on excluded subdomain');
+    }
+    if (matchUrl(engine, 'https://widgets.example/w.js', { pageHostname: 'blog.example' })) {
+      throw new Error('Rule should not apply on unrelated pages');
+    }
+  });
+
+  // Test 9: Unsupported options drop the rule instead of over-matching
+  addTest('Rules with unsupported options should be ignored', () => {
+    const engine = createEngine('||cdn.example^$redirect=noop.js\n||cdn.example^$csp=script-src none');
+    if (engine.ruleCount !== 0) throw new Error(`Expected 0 rules, got ${engine.ruleCount}`);
+  });
+
+  // Test 10: Regex rules
+  addTest('/regex/ rules should be evaluated as regular expressions', () => {
+    const engine = createEngine('/\\/banner\\d+\\.(gif|png)/$image');
+    if (!matchUrl(engine, 'https://x.example/banner42.png', { type: 'image' })) throw new Error('Regex rule not matched');
+    if (matchUrl(engine, 'https://x.example/banner.png', { type: 'image' })) throw new Error('Regex rule over-matched');
+  });
+
+  // Test 11: The matched rule is returned for recording with the detection
+  addTest('Matches should report the rule text and list id', () => {
+    const engine = new FilterEngine();
+    engine.addList('easyprivacy', '||metrics.example^$third-party');
+    const rule = matchUrl(engine, 'https://metrics.example/e');
+    if (!rule || rule.text !== '||metrics.example^$third-party' || rule.listId !== 'easyprivacy') {
+      throw new Error('Matched rule text/list id not reported');
+    }
+  });
+
+  // Test 12: Default rule pack covers the previous hardcoded classifier
+  addTest('Default rule pack should flag the previously hardcoded trackers', () => {
+    const engine = new FilterEngine();
+    const accepted = engine.addList('default', fs.readFileSync(DEFAULT_LIST_PATH, 'utf8'));
+    if (accepted < 50) throw new Error(`Default pack only produced ${accepted} rules`);
+
+    const tracked = [
+      'https://www.google-analytics.com/analytics.js',
+      'https://securepubads.g.doubleclick.net/tag/js/gpt.js',
+      'https://static.hotjar.com/c/hotjar-1.js',
+      'https://cdn.example/pixel.gif',
+      'https://cdn.example/ga.js'
+    ];
+    tracked.forEach(url => {
+      if (!matchUrl(engine, url)) throw new Error(`${url} should be flagged`);
+    });
+
+    if (matchUrl(engine, 'https://fonts.example/roboto.woff2', { type: 'font' })) {
+      throw new Error('Unrelated third-party font should not be flagged');
+    }
+  });
+
+  // Summary
+  console.log('\n📊 FILTER LIST ENGINE TEST RESULTS:');
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+  console.log(`📈 Total: ${results.total}`);
+
+  const successRate = ((results.passed / results.total) * 100).toFixed(1);
+  console.log(`📊 Success Rate: ${successRate}%`);
+
+  return results;
+}
+
+// Export for test runner
+if (typeof module !== 'undefined') {
+  module.exports = { runFilterEngineTests };
+}
+
+// Run if executed directly
+if (typeof window === 'undefined' && typeof module !== 'undefined' && require.main === module) {
+  runFilterEngineTests();
+}
@@ -0,0 +1,378 @@
+/**
+ * FINGERPRINTING DETECTION TESTS
+ *
+ * Tests fingerprint-probe.js, the main-world script that wraps canvas,
+ * WebGL, audio, plugin and font APIs, on a stand-in window, its private
+ * channel to lib/fingerprinting.js, and the content script side
+ * (ThirdPartyDomainTracker) that turns its findings into "fingerprinting"
+ * tags.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const {
+  FINGERPRINT_CHANNEL_EVENT,
+  FINGERPRINT_READY_EVENT,
+  FONT_PROBE_THRESHOLD,
+  STACK_SAMPLE_INTERVAL,
+  getCallerScriptUrl,
+  installFingerprintProbe
+} = require('../fingerprint-probe.js');
+const fingerprinting = require('../lib/fingerprinting.js');
+const { getBaseDomain } = require('../lib/public-suffix.js');
+const { summarizeDetection } = require('../lib/detection-batch.js');
+
+const SCRIPT_URL = 'https://cdn.fpvendor.example/fp.js';
+
+function createStack(scriptUrl) {
+  return [
+    'Error',
+    '    at HTMLCanvasElement.toDataURL (chrome-extension://abcdef/fingerprint-probe.js:90:20)',
+    `    at collect (${scriptUrl}:1:2048)`,
+    '    at https://news.example/app.js:10:5'
+  ].join('\n');
+}
+
+// Stand-in for the content script's window, whose Resource Timing reports
+// the URLs passed to load()
+function createReceiverWindow(document) {
+  const observers = [];
+  return {
+    document,
+    CustomEvent,
+    PerformanceObserver: class {
+      constructor(callback) {
+        observers.push(callback);
+      }
+      observe() {}
+    },
+    load(...urls) {
+      observers.forEach(callback => callback({ getEntries: () => urls.map(name => ({ name })) }));
+    }
+  };
+}
+
+// Stand-in window with the instrumented prototypes, connected to a receiver
+// that saw SCRIPT_URL and other.example load
+function createProbeWindow() {
+  const global = {
+    document: new EventTarget(),
+    EventTarget,
+    CustomEvent,
+    crypto,
+    // From another realm, so disguising wrappers leaves Node's own alone
+    Function: vm.runInNewContext('Function'),
+    HTMLCanvasElement: class { toDataURL() { return 'data:image/png;base64,AAAA'; } },
+    CanvasRenderingContext2D: class { getImageData() { return 'pixels'; } measureText() { return { width: 10 }; } },
+    WebGLRenderingContext: class { getParameter(parameter) { return `value-${parameter}`; } },
+    OfflineAudioContext: class { startRendering() { return 'rendering'; } },
+    BaseAudioContext: class { createDynamicsCompressor() { return 'compressor'; } },
+    Navigator: class {},
+    FontFaceSet: class { check() { return false; } }
+  };
+  Object.defineProperty(global.Navigator.prototype, 'plugins', { get() { return ['PDF Viewer']; }, configurable: true });
+  Object.defineProperty(global.Navigator.prototype, 'mimeTypes', { get() { return []; }, configurable: true });
+
+  const probe = { stack: createStack(SCRIPT_URL), findings: [], time: 1000, stackCaptures: 0 };
+  installFingerprintProbe(global, {
+    getStack: () => {
+      probe.stackCaptures++;
+      return probe.stack;
+    },
+    now: () => probe.time
+  });
+
+  const receiverWindow = createReceiverWindow(global.document);
+  fingerprinting.connectFingerprintProbe(receiverWindow).subscribe(finding => probe.findings.push(finding));
+  receiverWindow.load(SCRIPT_URL, 'https://other.example/fp.js');
+  return { global, probe };
+}
+
+function loadTracker(pageHostname) {
+  const source = fs.readFileSync(path.join(__dirname, '..', 'content.js'), 'utf8');
+  const messages = [];
+  const context = vm.createContext({
+    window: { thirdPartyDomainTracker: {} },
+    document: {},
+    location: { hostname: pageHostname },
+    console: { log() {} },
+    chrome: { runtime: { sendMessage: message => messages.push(message) } },
+    getBaseDomain,
+    summarizeDetection,
+    ...fingerprinting
+  });
+  vm.runInContext(`${source}\nthis.ThirdPartyDomainTracker = ThirdPartyDomainTracker;`, context);
+
+  const tracker = Object.create(context.ThirdPartyDomainTracker.prototype);
+  tracker.debugMode = false;
+  tracker.messages = messages;
+  tracker.fingerprinting = new Map();
+  tracker.displayedDomains = new Map();
+  tracker.pendingDetections = new Map();
+  tracker.queued = [];
+  tracker.rendered = [];
+  tracker.queueDetections = (domains) => tracker.queued.push(...domains);
+  tracker.renderFingerprinting = (tagKey) => tracker.rendered.push(tagKey);
+  return tracker;
+}
+
+function runFingerprintingTests() {
+  console.log('🧪 FINGERPRINTING DETECTION TESTS');
+  console.log('=' .repeat(60));
+  console.log('Testing main-world API instrumentation and script attribution\n');
+
+  const results = {
+    passed: 0,
+    failed: 0,
+    total: 0,
+    tests: []
+  };
+
+  function addTest(name, testFn) {
+    results.total++;
+    try {
+      testFn();
+      console.log(`✅ ${name}`);
+      results.passed++;
+      results.tests.push({ name, status: 'passed' });
+    } catch (error) {
+      console.log(`❌ ${name}`);
+      console.log(`   Error: ${error.message}`);
+      results.failed++;
+      results.tests.push({ name, status: 'failed', error: error.message });
+    }
+  }
+
+  // Test 1: Stack attribution
+  addTest('Calls should be attributed to the first web script on the stack', () => {
+    const scriptUrl = getCallerScriptUrl(createStack(SCRIPT_URL));
+    if (scriptUrl !== SCRIPT_URL) throw new Error(`Unexpected script ${scriptUrl}`);
+
+    const evaluated = getCallerScriptUrl('Error\n    at eval (eval at run (https://tags.example/loader.js:3:9), <anonymous>:1:1)');
+    if (evaluated !== 'https://tags.example/loader.js') throw new Error(`Unexpected eval attribution ${evaluated}`);
+
+    if (getCallerScriptUrl('Error\n    at chrome-extension://abcdef/fingerprint-probe.js:1:1') !== null) {
+      throw new Error('Extension frames should not be attributed');
+    }
+  });
+
+  // Test 2: Canvas
+  addTest('Canvas readouts should be reported once per script and keep their result', () => {
+    const { global, probe } = createProbeWindow();
+    const canvas = new global.HTMLCanvasElement();
+    if (canvas.toDataURL() !== 'data:image/png;base64,AAAA') throw new Error('toDataURL result changed');
+    canvas.toDataURL();
+    new global.CanvasRenderingContext2D().getImageData(0, 0, 1, 1);
+
+    if (probe.findings.length !== 1) throw new Error(`Expected 1 finding, got ${probe.findings.length}`);
+    if (probe.findings[0].api !== 'canvas' || probe.findings[0].scriptUrl !== SCRIPT_URL) throw new Error('Unexpected finding');
+
+    probe.stack = createStack('https://other.example/fp.js');
+    probe.time += STACK_SAMPLE_INTERVAL;
+    canvas.toDataURL();
+    if (probe.findings.length !== 2) throw new Error('Second script not reported');
+  });
+
+  // Test 3: WebGL, audio and plugins
+  addTest('WebGL identity parameters, audio rendering and plugin reads should be reported', () => {
+    const { global, probe } = createProbeWindow();
+    const gl = new global.WebGLRenderingContext();
+    gl.getParameter(0x0D33);
+    if (probe.findings.length !== 0) throw new Error('Ordinary WebGL parameter reported');
+    if (gl.getParameter(0x9246) !== `value-${0x9246}`) throw new Error('getParameter result changed');
+
+    new global.OfflineAudioContext().startRendering();
+    const plugins = new global.Navigator().plugins;
+    if (plugins[0] !== 'PDF Viewer') throw new Error('plugins result changed');
+
+    const apis = probe.findings.map(finding => finding.api).join(',');
+    if (apis !== 'webgl,audio,plugins') throw new Error(`Unexpected findings ${apis}`);
+  });
+
+  // Test 4: Font enumeration
+  addTest('Measuring many fonts from one script should be reported as font enumeration', () => {
+    const { global, probe } = createProbeWindow();
+    const context = new global.CanvasRenderingContext2D();
+    for (let i = 0; i < FONT_PROBE_THRESHOLD - 1; i++) {
+      context.font = `72px font-${i}`;
+      context.measureText('mmmmmmmmmmlli');
+      context.measureText('mmmmmmmmmmlli');
+    }
+    if (probe.findings.length !== 0) throw new Error('Reported below the threshold');
+
+    context.font = '72px one-more';
+    context.measureText('mmmmmmmmmmlli');
+    if (probe.findings.length !== 1 || probe.findings[0].api !== 'fonts') throw new Error('Font enumeration not reported');
+  });
+
+  // Test 5: Private channel
+  addTest('Findings should reach content.js over a private channel, whichever side starts first', () => {
+    const createWindow = () => ({
+      document: new EventTarget(),
+      EventTarget,
+      CustomEvent,
+      crypto,
+      HTMLCanvasElement: class { toDataURL() { return ''; } }
+    });
+
+    // Probe first: the call is kept until the receiver connects and content.js subscribes
+    const global = createWindow();
+    installFingerprintProbe(global, { getStack: () => createStack(SCRIPT_URL) });
+    new global.HTMLCanvasElement().toDataURL();
+    const receiverWindow = createReceiverWindow(global.document);
+    const receiver = fingerprinting.connectFingerprintProbe(receiverWindow);
+    receiverWindow.load(SCRIPT_URL);
+    const received = [];
+    receiver.subscribe(finding => received.push(finding));
+    if (received.length !== 1 || received[0].api !== 'canvas') throw new Error('Early finding not delivered');
+
+    // Receiver first
+    const later = createWindow();
+    const laterReceiverWindow = createReceiverWindow(later.document);
+    const laterReceived = [];
+    fingerprinting.connectFingerprintProbe(laterReceiverWindow).subscribe(finding => laterReceived.push(finding));
+    laterReceiverWindow.load(SCRIPT_URL);
+    installFingerprintProbe(later, { getStack: () => createStack(SCRIPT_URL) });
+    new later.HTMLCanvasElement().toDataURL();
+    if (laterReceived.length !== 1) throw new Error('Probe started after the receiver not connected');
+
+    // The page cannot take over the channel or forge findings on the old event names
+    const forged = new CustomEvent(FINGERPRINT_CHANNEL_EVENT, { detail: 'page-channel', cancelable: true });
+    global.document.dispatchEvent(forged);
+    global.document.dispatchEvent(new CustomEvent('page-channel', { detail: JSON.stringify({ api: 'audio', scriptUrl: SCRIPT_URL }) }));
+    global.document.dispatchEvent(new CustomEvent('tpd-fingerprint', { detail: JSON.stringify({ api: 'audio', scriptUrl: SCRIPT_URL }) }));
+    if (forged.defaultPrevented || received.length !== 1) throw new Error('Forged channel or finding accepted');
+  });
+
+  // Test 6: Validating page events
+  addTest('parseFingerprintFinding() should reject malformed or forged details', () => {
+    const finding = fingerprinting.parseFingerprintFinding(JSON.stringify({ api: 'webgl', scriptUrl: SCRIPT_URL, timestamp: 5 }));
+    if (!finding || finding.hostname !== 'cdn.fpvendor.example' || finding.timestamp !== 5) throw new Error('Valid finding rejected');
+
+    ['not json', JSON.stringify({ api: 'keyboard', scriptUrl: SCRIPT_URL }),
+      JSON.stringify({ api: 'canvas', scriptUrl: 'javascript:alert(1)' }), JSON.stringify(null)].forEach(detail => {
+      if (fingerprinting.parseFingerprintFinding(detail) !== null) throw new Error(`Accepted: ${detail}`);
+    });
+  });
+
+  // Test 7: Tags
+  addTest('Findings should mark the tag showing the domain, or create a fingerprinting tag', () => {
+    const tracker = loadTracker('news.example');
+    tracker.displayedDomains.set('Google', { members: new Map([['doubleclick.net', { count: 3 }]]) });
+
+    tracker.recordFingerprinting({ api: 'canvas', scriptUrl: 'https://static.doubleclick.net/fp.js', hostname: 'static.doubleclick.net', timestamp: 1 });
+    if (tracker.rendered.join(',') !== 'Google') throw new Error('Company tag not marked');
+
+    tracker.recordFingerprinting({ api: 'audio', scriptUrl: SCRIPT_URL, hostname: 'cdn.fpvendor.example', timestamp: 2 });
+    const [summary] = tracker.queued;
+    if (!summary || summary.domain !== 'fpvendor.example' || summary.category !== 'fingerprinting' || summary.count !== 1) {
+      throw new Error('Unlisted fingerprinting domain did not get a tag');
+    }
+
+    tracker.recordFingerprinting({ api: 'canvas', scriptUrl: 'https://cdn.news.example/app.js', hostname: 'cdn.news.example', timestamp: 3 });
+    if (tracker.fingerprinting.has('news.example')) throw new Error('First-party script reported');
+    if (tracker.messages.length !== 2 || tracker.messages.some(message => message.type !== 'FINGERPRINT_DETECTED')) {
+      throw new Error('Third-party findings not sent to the service worker');
+    }
+  });
+
+  // Test 8: Wiring
+  addTest('The probe should run in the main world before page scripts', () => {
+    const manifest = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'manifest.json'), 'utf8'));
+    const probeScript = manifest.content_scripts.find(script => script.js.includes('fingerprint-probe.js'));
+    if (!probeScript || probeScript.world !== 'MAIN' || probeScript.run_at !== 'document_start') {
+      throw new Error('fingerprint-probe.js not injected into the main world at document_start');
+    }
+    const receiverScript = manifest.content_scripts.find(script => script.js.includes('lib/fingerprinting.js'));
+    if (!receiverScript || receiverScript.world || receiverScript.run_at !== 'document_start') {
+      throw new Error('lib/fingerprinting.js must connect from the isolated world at document_start');
+    }
+    if (manifest.content_scripts.filter(script => script.js.includes('lib/fingerprinting.js')).length !== 1) {
+      throw new Error('lib/fingerprinting.js is loaded twice');
+    }
+
+    const probeSource = fs.readFileSync(path.join(__dirname, '..', 'fingerprint-probe.js'), 'utf8');
+    if (!probeSource.includes(`'${fingerprinting.FINGERPRINT_CHANNEL_EVENT}'`) || !probeSource.includes(`'${fingerprinting.FINGERPRINT_READY_EVENT}'`)) {
+      throw new Error('Event names differ between the probe and lib/fingerprinting.js');
+    }
+  });
+
+  // Test 9: Hot paths
+  addTest('Repeated measureText and canvas calls should not capture a stack every time', () => {
+    const { global, probe } = createProbeWindow();
+    const context = new global.CanvasRenderingContext2D();
+    context.font = '12px sans-serif';
+    for (let i = 0; i < 5000; i++) {
+      context.measureText(`label ${i}`);
+      context.getImageData(0, 0, 1, 1);
+    }
+    if (probe.stackCaptures !== 2) throw new Error(`Expected 2 stack captures, got ${probe.stackCaptures}`);
+
+    probe.time += STACK_SAMPLE_INTERVAL;
+    context.getImageData(0, 0, 1, 1);
+    if (probe.stackCaptures !== 3) throw new Error('Calls should be sampled again after the interval');
+  });
+
+  // Test 10: Loaded hosts
+  addTest('Findings should only be passed on for hosts the page loaded resources from', () => {
+    const document = new EventTarget();
+    const receiverWindow = createReceiverWindow(document);
+    const received = [];
+    fingerprinting.connectFingerprintProbe(receiverWindow).subscribe(finding => received.push(finding));
+    const accepted = new CustomEvent(FINGERPRINT_CHANNEL_EVENT, { detail: 'tpd-test', cancelable: true });
+    document.dispatchEvent(accepted);
+    if (!accepted.defaultPrevented) throw new Error('Channel not accepted');
+
+    const send = scriptUrl => document.dispatchEvent(new CustomEvent('tpd-test', { detail: JSON.stringify({ api: 'webgl', scriptUrl }) }));
+    receiverWindow.load('https://cdn.loaded.example/lib.js');
+    send('https://cdn.loaded.example/other.js');
+    send(SCRIPT_URL);
+    if (received.map(finding => finding.hostname).join() !== 'cdn.loaded.example') throw new Error('Finding for an unloaded host passed on');
+
+    // The script's resource entry can be observed after it already ran
+    receiverWindow.load(SCRIPT_URL);
+    if (received.length !== 2 || received[1].scriptUrl !== SCRIPT_URL) throw new Error('Waiting finding not passed on');
+  });
+
+  // Test 11: Wrappers look like the originals
+  addTest('Wrapped APIs should keep their name, length and source text', () => {
+    const { global } = createProbeWindow();
+    const toString = global.Function.prototype.toString;
+    const getParameter = global.WebGLRenderingContext.prototype.getParameter;
+    if (getParameter.name !== 'getParameter' || getParameter.length !== 1) {
+      throw new Error(`Wrapper is ${getParameter.name}/${getParameter.length}`);
+    }
+    if ('prototype' in getParameter) throw new Error('Wrapper should not be constructible');
+    if (!toString.call(getParameter).startsWith('getParameter(parameter) {')) {
+      throw new Error(`toString shows the wrapper: ${toString.call(getParameter)}`);
+    }
+
+    const plugins = Object.getOwnPropertyDescriptor(global.Navigator.prototype, 'plugins').get;
+    if (!toString.call(plugins).startsWith('get() { return [\'PDF Viewer\']; }')) throw new Error('Getter source not disguised');
+    if (toString.name !== 'toString' || !toString.call(toString).includes('[native code]')) {
+      throw new Error('The patched toString gives itself away');
+    }
+  });
+
+  // Summary
+  console.log('\n📊 FINGERPRINTING DETECTION TEST RESULTS:');
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+  console.log(`📈 Total: ${results.total}`);
+
+  const successRate = ((results.passed / results.total) * 100).toFixed(1);
+  console.log(`📊 Success Rate: ${successRate}%`);
+
+  return results;
+}
+
+// Export for test runner
+if (typeof module !== 'undefined') {
+  module.exports = { runFingerprintingTests };
+}
+
+// Run if executed directly
+if (typeof window === 'undefined' && typeof module !== 'undefined' && require.main === module) {
+  runFingerprintingTests();
+}
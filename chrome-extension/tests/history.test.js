@@ -0,0 +1,196 @@
+/**
+ * TRACKING HISTORY TESTS
+ *
+ * Tests lib/history.js: how detections are merged before they are written
+ * to IndexedDB, the retention setting, and the aggregations behind the
+ * dashboard (top trackers, top sites, trackers per day, tracker drill-down).
+ * The aggregations work on plain record arrays, so no IndexedDB is needed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  HISTORY_RETENTION_OPTIONS,
+  DEFAULT_HISTORY_RETENTION_DAYS,
+  normalizeRetentionDays,
+  TrackingHistory,
+  formatHistoryDay,
+  getTopTrackers,
+  getTopSites,
+  getTrackersPerDay,
+  getTrackerDetail
+} = require('../lib/history.js');
+
+const EXTENSION_DIR = path.join(__dirname, '..');
+const NOW = new Date(2026, 9, 19, 12, 0, 0).getTime();
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function record(site, tracker, daysAgo, count = 1, category = 'advertising') {
+  return { site, tracker, category, timestamp: NOW - daysAgo * DAY_MS, count };
+}
+
+const RECORDS = [
+  record('news.example', 'doubleclick.net', 0, 12),
+  record('shop.example', 'doubleclick.net', 1, 3),
+  record('blog.example', 'doubleclick.net', 2, 1),
+  record('news.example', 'hotjar.com', 0, 40, 'session-replay'),
+  record('news.example', 'facebook.net', 5, 2, 'social'),
+  record('shop.example', 'facebook.net', 5, 2, 'social')
+];
+
+function runHistoryTests() {
+  console.log('🧪 TRACKING HISTORY TESTS');
+  console.log('=' .repeat(60));
+  console.log('Testing cross-site history records and dashboard aggregations\n');
+
+  const results = {
+    passed: 0,
+    failed: 0,
+    total: 0,
+    tests: []
+  };
+
+  function addTest(name, testFn) {
+    results.total++;
+    try {
+      testFn();
+      console.log(`✅ ${name}`);
+      results.passed++;
+      results.tests.push({ name, status: 'passed' });
+    } catch (error) {
+      console.log(`❌ ${name}`);
+      console.log(`   Error: ${error.message}`);
+      results.failed++;
+      results.tests.push({ name, status: 'failed', error: error.message });
+    }
+  }
+
+  // Test 1: Retention setting
+  addTest('Retention should accept the offered periods and fall back to the default', () => {
+    HISTORY_RETENTION_OPTIONS.forEach(days => {
+      if (normalizeRetentionDays(String(days)) !== days) throw new Error(`${days} days rejected`);
+    });
+    [undefined, 0, -5, 12, 'forever'].forEach(value => {
+      if (normalizeRetentionDays(value) !== DEFAULT_HISTORY_RETENTION_DAYS) throw new Error(`Accepted ${value}`);
+    });
+
+    const history = new TrackingHistory(null, { retentionDays: 7 });
+    if (history.getRetentionCutoff(NOW) !== NOW - 7 * DAY_MS) throw new Error('Unexpected retention cutoff');
+  });
+
+  // Test 2: Merging detections
+  addTest('Detections should be merged per site and tracker before they are written', () => {
+    const history = new TrackingHistory(null, { writeDelay: 60000 });
+    history.add({ site: 'news.example', tracker: 'doubleclick.net', category: 'advertising', timestamp: NOW });
+    history.add({ site: 'news.example', tracker: 'doubleclick.net', category: 'advertising', timestamp: NOW + 500 });
+    history.add({ site: 'shop.example', tracker: 'doubleclick.net', category: 'advertising', timestamp: NOW + 800 });
+    history.add({ site: null, tracker: 'doubleclick.net', category: 'advertising', timestamp: NOW });
+    clearTimeout(history.writeTimer);
+
+    const pending = [...history.pending.values()];
+    if (pending.length !== 2) throw new Error(`Expected 2 pending records, got ${pending.length}`);
+    if (pending[0].count !== 2 || pending[0].timestamp !== NOW) throw new Error('Record should count both detections and keep the first time');
+  });
+
+  // Test 3: Flushing
+  addTest('flush() should write every pending record in one batch and start over', () => {
+    const history = new TrackingHistory(null, { writeDelay: 60000 });
+    const batches = [];
+    history.writeRecords = async (records) => batches.push(records);
+
+    history.add({ site: 'news.example', tracker: 'hotjar.com', category: 'session-replay', timestamp: NOW });
+    history.add({ site: 'news.example', tracker: 'doubleclick.net', category: 'advertising', timestamp: NOW });
+    history.flush();
+    history.flush();
+
+    if (batches.length !== 1 || batches[0].length !== 2) throw new Error('Pending records not written as one batch');
+    if (history.pending.size !== 0 || history.writeTimer) throw new Error('Pending records or timer left after flush');
+  });
+
+  // Test 4: Top trackers
+  addTest('Top trackers should be ordered by the number of sites they were seen on', () => {
+    const trackers = getTopTrackers(RECORDS);
+    const order = trackers.map(tracker => `${tracker.tracker}:${tracker.sites}`).join(',');
+    if (order !== 'doubleclick.net:3,facebook.net:2,hotjar.com:1') throw new Error(`Unexpected order ${order}`);
+    if (trackers[0].count !== 16 || trackers[0].lastSeen !== NOW) throw new Error('Requests or last visit not summed');
+    if (getTopTrackers(RECORDS, 1).length !== 1) throw new Error('Limit ignored');
+  });
+
+  // Test 5: Top sites
+  addTest('Sites should be ordered by the number of distinct trackers they loaded', () => {
+    const sites = getTopSites(RECORDS);
+    const order = sites.map(site => `${site.site}:${site.trackers}`).join(',');
+    if (order !== 'news.example:3,shop.example:2,blog.example:1') throw new Error(`Unexpected order ${order}`);
+    if (sites[0].count !== 54) throw new Error(`Expected 54 requests, got ${sites[0].count}`);
+  });
+
+  // Test 6: Trackers per day
+  addTest('Trackers per day should cover every day in range, including quiet ones', () => {
+    const days = getTrackersPerDay(RECORDS.concat(record('old.example', 'criteo.com', 40)), 7, NOW);
+    if (days.length !== 7) throw new Error(`Expected 7 days, got ${days.length}`);
+    if (days[6].day !== formatHistoryDay(NOW) || days[0].day !== formatHistoryDay(NOW - 6 * DAY_MS)) {
+      throw new Error(`Unexpected range ${days[0].day} - ${days[6].day}`);
+    }
+
+    const counts = days.map(day => day.trackers).join(',');
+    if (counts !== '0,1,0,0,1,1,2') throw new Error(`Unexpected distinct trackers per day ${counts}`);
+    if (days[6].count !== 52) throw new Error(`Expected 52 requests today, got ${days[6].count}`);
+  });
+
+  // Test 7: Drill-down
+  addTest('The tracker drill-down should list its sites and daily requests', () => {
+    const detail = getTrackerDetail(RECORDS, 'doubleclick.net');
+    if (detail.count !== 16 || detail.category !== 'advertising') throw new Error('Unexpected totals');
+    if (detail.sites.map(site => site.site).join(',') !== 'news.example,shop.example,blog.example') {
+      throw new Error('Sites not ordered by requests');
+    }
+    if (detail.days.length !== 3 || detail.days[2].day !== formatHistoryDay(NOW) || detail.days[2].count !== 12) {
+      throw new Error(`Unexpected daily requests ${JSON.stringify(detail.days)}`);
+    }
+    if (getTrackerDetail(RECORDS, 'unknown.example') !== null) throw new Error('Unknown tracker should have no detail');
+  });
+
+  // Test 8: Wiring
+  addTest('Detections should be recorded in the worker and shown on the dashboard', () => {
+    const background = fs.readFileSync(path.join(EXTENSION_DIR, 'background.js'), 'utf8');
+    ["'lib/history.js'", 'new TrackingHistory(indexedDB)', 'trackingHistory.add({', 'trackingHistory.prune()'].forEach(snippet => {
+      if (!background.includes(snippet)) throw new Error(`Missing in background.js: ${snippet}`);
+    });
+
+    ['dashboard.html', 'options.html'].forEach(page => {
+      const html = fs.readFileSync(path.join(EXTENSION_DIR, page), 'utf8');
+      if (!html.includes('<script src="lib/history.js"></script>')) throw new Error(`${page} does not load lib/history.js`);
+    });
+    if (!fs.readFileSync(path.join(EXTENSION_DIR, 'dashboard.html'), 'utf8').includes('<script src="lib/settings.js"></script>')) {
+      throw new Error('dashboard.html does not load lib/settings.js');
+    }
+    const dashboard = fs.readFileSync(path.join(EXTENSION_DIR, 'dashboard.js'), 'utf8');
+    ['readSettings(chrome.storage.local, [HISTORY_RETENTION_STORAGE_KEY])', '.catch(renderLoadError)'].forEach(snippet => {
+      if (!dashboard.includes(snippet)) throw new Error(`Missing in dashboard.js: ${snippet}`);
+    });
+    if (!fs.readFileSync(path.join(EXTENSION_DIR, 'popup.js'), 'utf8').includes("getURL('dashboard.html')")) {
+      throw new Error('Popup does not link to the dashboard');
+    }
+  });
+
+  // Summary
+  console.log('\n📊 TRACKING HISTORY TEST RESULTS:');
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+  console.log(`📈 Total: ${results.total}`);
+
+  const successRate = ((results.passed / results.total) * 100).toFixed(1);
+  console.log(`📊 Success Rate: ${successRate}%`);
+
+  return results;
+}
+
+// Export for test runner
+if (typeof module !== 'undefined') {
+  module.exports = { runHistoryTests };
+}
+
+// Run if executed directly
+if (typeof window === 'undefined' && typeof module !== 'undefined' && require.main === module) {
+  runHistoryTests();
+}
@@ -0,0 +1,178 @@
+/**
+ * PERSONAL DATA LEAK DETECTION TESTS
+ *
+ * Tests lib/leaks.js, which looks for emails, phone numbers, hashed emails,
+ * click/client IDs and the page URL in the query strings and bodies of
+ * tracking requests, and the wiring that raises tags to leak severity.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  MAX_LEAKS,
+  maskValue,
+  getBodyParameters,
+  findLeaks,
+  mergeLeaks,
+  getLeakTypeLabel
+} = require('../lib/leaks.js');
+const { addToBatch, summarizeDetection } = require('../lib/detection-batch.js');
+
+const PAGE_URL = 'https://clinic.example/patients/4711/oncology?visit=2#notes';
+
+function getTypes(leaks) {
+  return leaks.map(leak => `${leak.type}:${leak.parameter}`).sort().join(',');
+}
+
+function rawBody(text) {
+  return { raw: [{ bytes: new TextEncoder().encode(text).buffer }] };
+}
+
+function runLeakTests() {
+  console.log('🧪 PERSONAL DATA LEAK DETECTION TESTS');
+  console.log('=' .repeat(60));
+  console.log('Testing personal data and identifier findings in tracker requests\n');
+
+  const results = {
+    passed: 0,
+    failed: 0,
+    total: 0,
+    tests: []
+  };
+
+  function addTest(name, testFn) {
+    results.total++;
+    try {
+      testFn();
+      console.log(`✅ ${name}`);
+      results.passed++;
+      results.tests.push({ name, status: 'passed' });
+    } catch (error) {
+      console.log(`❌ ${name}`);
+      console.log(`   Error: ${error.message}`);
+      results.failed++;
+      results.tests.push({ name, status: 'failed', error: error.message });
+    }
+  }
+
+  // Test 1: Emails and hashed emails
+  addTest('Emails and hashed-email tokens in the query string should be found', () => {
+    const leaks = findLeaks(
+      'https://px.tracker.example/p?em=jane.doe%40mail.example&ud=5d41402abc4b2a76b9719d911017c592&v=2',
+      null, PAGE_URL
+    );
+    if (getTypes(leaks) !== 'email:em,hashed-email:ud') throw new Error(`Unexpected findings ${getTypes(leaks)}`);
+    if (leaks.some(leak => leak.value.includes('jane.doe@mail.example'))) throw new Error('Email not masked');
+    if (leaks[0].source !== 'query') throw new Error('Source not recorded');
+  });
+
+  // Test 2: Phone numbers
+  addTest('Phone numbers should be found without flagging timestamps', () => {
+    const leaks = findLeaks('https://px.tracker.example/p?p=%2B44%2020%207946%200958&ph=4915112345678&ts=1700000000000', null, PAGE_URL);
+    if (getTypes(leaks) !== 'phone:p,phone:ph') throw new Error(`Unexpected findings ${getTypes(leaks)}`);
+  });
+
+  // Test 3: Click and client IDs
+  addTest('Click IDs and GA client IDs should be found, also inside URL parameters', () => {
+    const leaks = findLeaks(
+      'https://www.analytics.example/collect?cid=1234567890.1700000000&fbclid=IwAR0abc' +
+      '&dl=https%3A%2F%2Fshop.example%2F%3Fgclid%3DCj0KCQiA',
+      null, 'https://shop.example/'
+    );
+    if (getTypes(leaks) !== 'click-id:cid,click-id:dl → gclid,click-id:fbclid') {
+      throw new Error(`Unexpected findings ${getTypes(leaks)}`);
+    }
+    if (findLeaks('https://px.tracker.example/p?cid=campaign-7', null, PAGE_URL).length !== 0) {
+      throw new Error('Non-GA cid flagged');
+    }
+  });
+
+  // Test 4: Page URL
+  addTest('The full page URL and its sensitive path should be found', () => {
+    const full = findLeaks(`https://px.tracker.example/p?dl=${encodeURIComponent('https://clinic.example/patients/4711/oncology?visit=2')}`, null, PAGE_URL);
+    if (getTypes(full) !== 'page-url:dl') throw new Error(`Unexpected findings ${getTypes(full)}`);
+
+    const pathOnly = findLeaks('https://px.tracker.example/p?u=clinic.example%2Fpatients%2F4711%2Foncology', null, PAGE_URL);
+    if (getTypes(pathOnly) !== 'page-url:u') throw new Error(`Unexpected findings ${getTypes(pathOnly)}`);
+
+    const home = findLeaks('https://px.tracker.example/p?h=clinic.example%2F', null, 'https://clinic.example/');
+    if (home.length !== 0) throw new Error('Bare host flagged as page URL');
+  });
+
+  // Test 5: POST beacons
+  addTest('Form, JSON and URL-encoded request bodies should be inspected', () => {
+    const form = getBodyParameters({ formData: { email: ['a.b@mail.example'], n: ['1'] } });
+    if (form.length !== 2 || form[0][0] !== 'email') throw new Error('Form data not read');
+
+    const json = findLeaks('https://api.tracker.example/track', rawBody('{"user":{"email":"a.b@mail.example"},"n":1}'), PAGE_URL);
+    if (getTypes(json) !== 'email:user.email' || json[0].source !== 'body') throw new Error(`Unexpected findings ${getTypes(json)}`);
+
+    const beacon = findLeaks('https://api.tracker.example/batch', rawBody('v=2&gclid=Cj0KCQiA\nv=2&tel=%2B1%20555%20010%204477'), PAGE_URL);
+    if (getTypes(beacon) !== 'click-id:gclid,phone:tel') throw new Error(`Unexpected findings ${getTypes(beacon)}`);
+
+    if (getBodyParameters(undefined).length !== 0) throw new Error('Missing body should have no parameters');
+  });
+
+  // Test 6: Masking and merging
+  addTest('Values should be masked and findings merged by type and parameter', () => {
+    if (maskValue('jane.doe@mail.example') !== 'ja********le') throw new Error(`Got ${maskValue('jane.doe@mail.example')}`);
+    if (maskValue('12345') !== '*****') throw new Error('Short values should be fully masked');
+
+    const leaks = mergeLeaks([{ type: 'email', parameter: 'em', value: 'ja****le' }], [
+      { type: 'email', parameter: 'em', value: 'jo****le' },
+      { type: 'email', parameter: 'e2', value: 'jo****le' }
+    ]);
+    if (leaks.length !== 2) throw new Error(`Expected 2 findings, got ${leaks.length}`);
+
+    const many = Array.from({ length: MAX_LEAKS + 5 }, (_, i) => ({ type: 'click-id', parameter: `p${i}`, value: '***' }));
+    if (mergeLeaks([], many).length !== MAX_LEAKS) throw new Error('Findings not capped');
+    if (getLeakTypeLabel('hashed-email') !== 'Hashed email') throw new Error('Unexpected label');
+  });
+
+  // Test 7: Summaries
+  addTest('Summaries should carry the findings of their requests', () => {
+    const detection = {
+      url: 'https://px.tracker.example/p', domain: 'tracker.example', fullDomain: 'px.tracker.example',
+      category: 'advertising', rule: '||tracker.example^', resourceType: 'image', timestamp: 1
+    };
+    const batch = new Map();
+    addToBatch(batch, summarizeDetection(detection));
+    addToBatch(batch, summarizeDetection({ ...detection, leaks: [{ type: 'email', parameter: 'em', value: 'ja****le', source: 'query' }] }));
+    if (batch.get('tracker.example').leaks.length !== 1) throw new Error('Findings not merged into the summary');
+  });
+
+  // Test 8: Wiring
+  addTest('Background should inspect request bodies and content should show leaks', () => {
+    const background = fs.readFileSync(path.join(__dirname, '..', 'background.js'), 'utf8');
+    ["['requestBody']", 'findLeaks(details.url, details.requestBody, documents.pageUrl)', "'lib/leaks.js'"].forEach(snippet => {
+      if (!background.includes(snippet)) throw new Error(`Missing in background.js: ${snippet}`);
+    });
+    const content = fs.readFileSync(path.join(__dirname, '..', 'content.js'), 'utf8');
+    ["classList.add('tpd-leaking')", "'Leaked data'"].forEach(snippet => {
+      if (!content.includes(snippet)) throw new Error(`Missing in content.js: ${snippet}`);
+    });
+    const manifest = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'manifest.json'), 'utf8'));
+    if (!manifest.content_scripts[0].js.includes('lib/leaks.js')) throw new Error('Content script does not load lib/leaks.js');
+  });
+
+  // Summary
+  console.log('\n📊 PERSONAL DATA LEAK DETECTION TEST RESULTS:');
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+  console.log(`📈 Total: ${results.total}`);
+
+  const successRate = ((results.passed / results.total) * 100).toFixed(1);
+  console.log(`📊 Success Rate: ${successRate}%`);
+
+  return results;
+}
+
+// Export for test runner
+if (typeof module !== 'undefined') {
+  module.exports = { runLeakTests };
+}
+
+// Run if executed directly
+if (typeof window === 'undefined' && typeof module !== 'undefined' && require.main === module) {
+  runLeakTests();
+}
@@ -0,0 +1,249 @@
+/**
+ * OVERLAY ISOLATION TESTS
+ *
+ * The tags are rendered inside a closed shadow root so host pages can neither
+ * restyle them nor read the tracker list, and styles.css is no longer a web
+ * accessible resource pages could probe. The service worker hands the styles
+ * to the content script instead.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { OVERLAY_STYLESHEET, OverlayStylesCache } = require('../lib/overlay-styles.js');
+
+const EXTENSION_DIR = path.join(__dirname, '..');
+
+function readExtensionFile(file) {
+  return fs.readFileSync(path.join(EXTENSION_DIR, file), 'utf8');
+}
+
+// Minimal stand-in for page elements and shadow roots
+function createElement(tagName) {
+  const element = {
+    tagName,
+    children: [],
+    parentNode: null,
+    shadow: null,
+    appendChild(child) {
+      element.children.push(child);
+      child.parentNode = element;
+    },
+    attachShadow(init) {
+      const shadow = {
+        mode: init.mode,
+        children: [],
+        appendChild(child) {
+          shadow.children.push(child);
+          child.parentNode = shadow;
+        }
+      };
+      element.shadow = shadow;
+      return shadow;
+    },
+    remove() {
+      const siblings = element.parentNode.children;
+      siblings.splice(siblings.indexOf(element), 1);
+      element.parentNode = null;
+    }
+  };
+  return element;
+}
+
+// `worker.response` answers every message; timers run when the test calls them
+function loadTracker(response) {
+  const body = createElement('body');
+  const messages = [];
+  const timers = [];
+  const worker = { response };
+  const context = vm.createContext({
+    window: { thirdPartyDomainTracker: {} },
+    document: { createElement, body },
+    console: { log() {} },
+    setTimeout: (callback, delay) => timers.push({ callback, delay }),
+    chrome: {
+      runtime: {
+        sendMessage(message, callback) {
+          messages.push(message);
+          callback(worker.response);
+        }
+      }
+    }
+  });
+  vm.runInContext(`${readExtensionFile('content.js')}\nthis.ThirdPartyDomainTracker = ThirdPartyDomainTracker;`, context);
+
+  const tracker = Object.create(context.ThirdPartyDomainTracker.prototype);
+  tracker.displayedDomains = new Map();
+  tracker.domainTimeouts = new Map();
+  tracker.overlayStylesLoaded = false;
+  tracker.overlayStyleAttempts = 0;
+  tracker.clearAllTags = () => {};
+  return { tracker, body, messages, context, timers, worker };
+}
+
+async function runOverlayIsolationTests() {
+  console.log('🧪 OVERLAY ISOLATION TESTS');
+  console.log('=' .repeat(60));
+  console.log('Testing the closed shadow root overlay and its private styles\n');
+
+  const results = {
+    passed: 0,
+    failed: 0,
+    total: 0,
+    tests: []
+  };
+
+  async function addTest(name, testFn) {
+    results.total++;
+    try {
+      await testFn();
+      console.log(`✅ ${name}`);
+      results.passed++;
+      results.tests.push({ name, status: 'passed' });
+    } catch (error) {
+      console.log(`❌ ${name}`);
+      console.log(`   Error: ${error.message}`);
+      results.failed++;
+      results.tests.push({ name, status: 'failed', error: error.message });
+    }
+  }
+
+  // Test 1: Manifest
+  await addTest('styles.css should be neither web accessible nor injected into pages', () => {
+    const manifest = JSON.parse(readExtensionFile('manifest.json'));
+    const exposed = (manifest.web_accessible_resources || []).some(entry => entry.resources.includes('styles.css'));
+    if (exposed) throw new Error('styles.css is still web accessible');
+    manifest.content_scripts.forEach(script => {
+      if (script.css) throw new Error(`Content script still injects ${script.css.join(', ')} into the page`);
+    });
+  });
+
+  // Test 2: Closed shadow root
+  await addTest('The tag container should live in a closed shadow root', () => {
+    const { tracker, body } = loadTracker(null);
+    tracker.createContainer();
+    if (body.children.length !== 1 || body.children[0] !== tracker.host) throw new Error('Only the shadow host should be in the page');
+    if (!tracker.host.shadow || tracker.host.shadow.mode !== 'closed') throw new Error('Shadow root is not closed');
+    if (tracker.container.parentNode !== tracker.host.shadow) throw new Error('Tags are not inside the shadow root');
+    if (tracker.host.children.length !== 0) throw new Error('The host should have no light DOM children');
+    if (tracker.host.id !== undefined || tracker.host.className !== undefined) throw new Error('Pages could find the host by id or class');
+  });
+
+  // Test 3: Styles from the worker
+  await addTest('The overlay should be styled with styles.css sent by the service worker', () => {
+    const { tracker, messages } = loadTracker({ css: '.tpd-container { position: fixed; }' });
+    tracker.createContainer();
+    if (!tracker.overlayStyle.textContent.includes('display: none')) throw new Error('Overlay should start hidden');
+    tracker.loadOverlayStyles();
+    if (messages[0].type !== 'GET_OVERLAY_STYLES') throw new Error('Styles not requested');
+    if (tracker.overlayStyle.textContent !== '.tpd-container { position: fixed; }') throw new Error('Styles not applied');
+    if (tracker.overlayStyle.parentNode !== tracker.host.shadow) throw new Error('Styles must be scoped to the shadow root');
+  });
+
+  // Test 4: Missing styles
+  await addTest('The overlay should stay hidden until the styles load, and retry until they do', () => {
+    const { tracker, timers, worker } = loadTracker(undefined);
+    tracker.createContainer();
+    tracker.loadOverlayStyles();
+    if (!tracker.overlayStyle.textContent.includes(':host { display: none !important; }')) throw new Error('Unstyled tags would show');
+    if (timers.length !== 1) throw new Error('No retry scheduled');
+
+    timers.shift().callback();
+    timers.shift().callback();
+    worker.response = { css: '.tpd-tag {}' };
+    timers.shift().callback();
+    if (tracker.overlayStyle.textContent !== '.tpd-tag {}' || timers.length !== 0) throw new Error('Retry did not apply the styles');
+
+    // Retries end with the timers, then ride on detection batches until the styles load
+    const failing = loadTracker(null);
+    failing.tracker.createContainer();
+    failing.tracker.loadOverlayStyles();
+    while (failing.timers.length > 0) failing.timers.shift().callback();
+    if (failing.messages.length !== 4) throw new Error(`Unexpected retries: ${failing.messages.length}`);
+    failing.worker.response = { css: '.tpd-tag {}' };
+    failing.tracker.loadOverlayStyles();
+    failing.tracker.loadOverlayStyles();
+    if (failing.tracker.overlayStyle.textContent !== '.tpd-tag {}' || failing.messages.length !== 5) throw new Error('Loaded styles requested again');
+    if (!readExtensionFile('content.js').includes('this.updatePrivacyGrade(message.grade);\n        this.loadOverlayStyles();')) {
+      throw new Error('Detection batches do not retry the styles');
+    }
+  });
+
+  // Test 5: Worker cache
+  await addTest('The service worker should read styles.css once and retry after a failure', async () => {
+    let requests = 0;
+    let fail = true;
+    const overlayStyles = new OverlayStylesCache(async () => {
+      requests++;
+      if (fail) throw new Error('offline');
+      return { text: async () => '.tpd-tag {}' };
+    });
+
+    let error = null;
+    try { await overlayStyles.get(); } catch (e) { error = e; }
+    if (!error) throw new Error('Failure not reported');
+
+    fail = false;
+    const [first, second] = await Promise.all([overlayStyles.get(), overlayStyles.get()]);
+    if (first !== '.tpd-tag {}' || second !== first) throw new Error('Unexpected styles');
+    await overlayStyles.get();
+    if (requests !== 2) throw new Error(`Unexpected fetches: ${requests}`);
+
+    const background = readExtensionFile('background.js');
+    ["message.type === 'GET_OVERLAY_STYLES'", "'lib/overlay-styles.js'", 'chrome.runtime.getURL(OVERLAY_STYLESHEET)'].forEach(snippet => {
+      if (!background.includes(snippet)) throw new Error(`Missing in background.js: ${snippet}`);
+    });
+    if (OVERLAY_STYLESHEET !== 'styles.css') throw new Error('Overlay reads the wrong stylesheet');
+  });
+
+  // Test 6: Host styles
+  await addTest('Page styles should not be inherited through the shadow host', () => {
+    const styles = readExtensionFile('styles.css');
+    const hostRule = /:host\s*{([^}]*)}/.exec(styles);
+    if (!hostRule || !hostRule[1].includes('all: initial !important')) throw new Error('Shadow host does not reset inherited styles');
+    if (/(^|})\s*(html|body|\*)[\s,{]/.test(styles)) throw new Error('styles.css should only style the overlay');
+  });
+
+  // Test 7: Cleanup
+  await addTest('Destroying the tracker should remove the overlay from the page', () => {
+    const { tracker, body, context } = loadTracker(null);
+    tracker.createContainer();
+    context.window.thirdPartyDomainTracker = tracker;
+    tracker.destroy();
+    if (body.children.length !== 0 || tracker.host !== null) throw new Error('Shadow host left in the page');
+    if (vm.runInContext('overlayHost', context) !== null) throw new Error('Private host reference not cleared');
+
+    const content = readExtensionFile('content.js');
+    if (!content.includes('overlayHost.remove()')) throw new Error('Re-injection does not clean up the old host');
+  });
+
+  // Test 8: No page DOM access
+  await addTest('Tags should never be attached to or looked up in the page DOM', () => {
+    const content = readExtensionFile('content.js');
+    const bodyAppends = content.match(/document\.body\.appendChild\([^)]*\)/g) || [];
+    if (bodyAppends.join() !== 'document.body.appendChild(this.host)') throw new Error(`Unexpected page appends: ${bodyAppends.join(', ')}`);
+    if (/document\.(querySelector|getElementById)/.test(content)) throw new Error('Content script queries the page DOM for its tags');
+    if (content.includes("mode: 'open'")) throw new Error('Shadow root must be closed');
+  });
+
+  // Summary
+  console.log('\n📊 OVERLAY ISOLATION TEST RESULTS:');
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+  console.log(`📈 Total: ${results.total}`);
+
+  const successRate = ((results.passed / results.total) * 100).toFixed(1);
+  console.log(`📊 Success Rate: ${successRate}%`);
+
+  return results;
+}
+
+// Export for test runner
+if (typeof module !== 'undefined') {
+  module.exports = { runOverlayIsolationTests };
+}
+
+// Run if executed directly
+if (typeof window === 'undefined' && typeof module !== 'undefined' && require.main === module) {
+  runOverlayIsolationTests();
+}
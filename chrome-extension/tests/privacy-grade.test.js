@@ -0,0 +1,288 @@
+/**
+ * PRIVACY GRADE TESTS
+ *
+ * Tests lib/privacy-grade.js, which scores a page from its detection log,
+ * the configurable weights behind the score, and the optional grade tag the
+ * content script shows above the domain tags.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const privacyGrade = require('../lib/privacy-grade.js');
+const { createFingerprintDetection } = require('../lib/fingerprinting.js');
+
+const {
+  DEFAULT_PRIVACY_GRADE_CONFIG,
+  normalizePrivacyGradeConfig,
+  getGradeForScore,
+  computePrivacyGrade,
+  formatPrivacyGrade
+} = privacyGrade;
+
+const EXTENSION_DIR = path.join(__dirname, '..');
+
+function detection(domain, category, extra = {}) {
+  return { domain, entity: null, category, blocked: false, cookies: [], leaks: [], ...extra };
+}
+
+function getFactor(result, id) {
+  return result.factors.find(factor => factor.id === id);
+}
+
+// Minimal stand-in for the overlay container
+function createElement() {
+  const element = {
+    children: [],
+    parentNode: null,
+    attributes: {},
+    setAttribute(name, value) { element.attributes[name] = value; },
+    get firstChild() { return element.children[0] || null; },
+    insertBefore(child, reference) {
+      const index = reference ? element.children.indexOf(reference) : element.children.length;
+      element.children.splice(index, 0, child);
+      child.parentNode = element;
+    },
+    appendChild(child) { element.insertBefore(child, null); },
+    removeChild(child) {
+      element.children.splice(element.children.indexOf(child), 1);
+      child.parentNode = null;
+    }
+  };
+  return element;
+}
+
+function loadTracker() {
+  const source = fs.readFileSync(path.join(EXTENSION_DIR, 'content.js'), 'utf8');
+  const context = vm.createContext({
+    window: { thirdPartyDomainTracker: {} },
+    document: { createElement },
+    console: { log() {} },
+    ...privacyGrade
+  });
+  vm.runInContext(`${source}\nthis.ThirdPartyDomainTracker = ThirdPartyDomainTracker;`, context);
+
+  const tracker = Object.create(context.ThirdPartyDomainTracker.prototype);
+  tracker.container = createElement();
+  tracker.container.appendChild(createElement());
+  tracker.isEnabled = true;
+  tracker.showTags = true;
+  tracker.siteHidden = false;
+  tracker.showGradeTag = true;
+  tracker.privacyGrade = null;
+  tracker.gradeTag = null;
+  return tracker;
+}
+
+function runPrivacyGradeTests() {
+  console.log('🧪 PRIVACY GRADE TESTS');
+  console.log('=' .repeat(60));
+  console.log('Testing page scores, letter grades and configurable weights\n');
+
+  const results = {
+    passed: 0,
+    failed: 0,
+    total: 0,
+    tests: []
+  };
+
+  function addTest(name, testFn) {
+    results.total++;
+    try {
+      testFn();
+      console.log(`✅ ${name}`);
+      results.passed++;
+      results.tests.push({ name, status: 'passed' });
+    } catch (error) {
+      console.log(`❌ ${name}`);
+      console.log(`   Error: ${error.message}`);
+      results.failed++;
+      results.tests.push({ name, status: 'failed', error: error.message });
+    }
+  }
+
+  // Test 1: Clean page
+  addTest('A page without trackers should score 100 and get an A', () => {
+    const result = computePrivacyGrade([], null);
+    if (result.score !== 100 || result.grade !== 'A') throw new Error(`Unexpected grade ${formatPrivacyGrade(result)}`);
+    if (formatPrivacyGrade(result) !== 'A · 100/100') throw new Error(`Unexpected label ${formatPrivacyGrade(result)}`);
+  });
+
+  // Test 2: Entities
+  addTest('Domains of one company should count as one entity, and blocked requests not at all', () => {
+    const result = computePrivacyGrade([
+      detection('doubleclick.net', 'advertising', { entity: 'Google' }),
+      detection('google-analytics.com', 'analytics', { entity: 'Google' }),
+      detection('hotjar.com', 'session-replay'),
+      detection('criteo.com', 'advertising', { blocked: true })
+    ], null);
+
+    const entities = getFactor(result, 'entity');
+    if (entities.count !== 2 || entities.penalty !== 2 * DEFAULT_PRIVACY_GRADE_CONFIG.weights.entity) {
+      throw new Error(`Unexpected entity factor ${JSON.stringify(entities)}`);
+    }
+    if (getFactor(result, 'category:advertising').count !== 1) throw new Error('Blocked request counted');
+  });
+
+  // Test 3: Categories
+  addTest('Each category should cost its points once, with session replay and fingerprinting weighing most', () => {
+    const replay = computePrivacyGrade([detection('hotjar.com', 'session-replay'), detection('hotjar.com', 'session-replay')], null);
+    const analytics = computePrivacyGrade([detection('stats.example', 'analytics')], null);
+
+    const replayFactor = getFactor(replay, 'category:session-replay');
+    if (replayFactor.count !== 2 || replayFactor.penalty !== 20) throw new Error(`Unexpected factor ${JSON.stringify(replayFactor)}`);
+    if (replayFactor.label !== 'Session replay') throw new Error(`Unexpected label ${replayFactor.label}`);
+    if (replay.score >= analytics.score) throw new Error('Session replay should cost more than analytics');
+
+    const weights = DEFAULT_PRIVACY_GRADE_CONFIG.weights.categories;
+    const heaviest = Math.max(...Object.values(weights));
+    if (weights['session-replay'] !== heaviest || weights.fingerprinting !== heaviest) throw new Error('Replay and fingerprinting should weigh most');
+  });
+
+  // Test 4: Cookies and leaks
+  addTest('Distinct third-party cookies and leaks should each cost points', () => {
+    const cookie = { name: 'IDE' };
+    const leak = { type: 'email', parameter: 'em' };
+    const result = computePrivacyGrade([
+      detection('doubleclick.net', 'advertising', { cookies: [cookie, { name: 'DSID' }], leaks: [leak] }),
+      detection('doubleclick.net', 'advertising', { cookies: [cookie], leaks: [leak] }),
+      detection('facebook.net', 'social', { cookies: [cookie] })
+    ], null);
+
+    if (getFactor(result, 'cookie').count !== 3) throw new Error(`Expected 3 cookies, got ${getFactor(result, 'cookie').count}`);
+    if (getFactor(result, 'leak').count !== 1) throw new Error(`Expected 1 leak, got ${getFactor(result, 'leak').count}`);
+    // 2 entities (8) + 3 cookies (6) + 1 leak (10) + advertising (5) + social (5)
+    if (result.score !== 66 || result.grade !== 'C') throw new Error(`Unexpected grade ${formatPrivacyGrade(result)}`);
+  });
+
+  // Test 5: Letters
+  addTest('Scores should map to letters and never drop below 0', () => {
+    const grades = DEFAULT_PRIVACY_GRADE_CONFIG.grades;
+    const letters = [100, 90, 89, 75, 60, 40, 39, 0].map(score => getGradeForScore(score, grades)).join('');
+    if (letters !== 'AABBCDFF') throw new Error(`Unexpected letters ${letters}`);
+
+    const entries = [];
+    for (let i = 0; i < 20; i++) entries.push(detection(`tracker${i}.example`, 'fingerprinting', { leaks: [{ type: 'email', parameter: 'e' }] }));
+    const result = computePrivacyGrade(entries, null);
+    if (result.score !== 0 || result.grade !== 'F') throw new Error(`Unexpected grade ${formatPrivacyGrade(result)}`);
+  });
+
+  // Test 6: Configuration
+  addTest('Stored weights should apply, with invalid values falling back to the defaults', () => {
+    const config = normalizePrivacyGradeConfig({
+      weights: { entity: '10', cookie: -1, leak: '', categories: { analytics: 0, 'session-replay': 'lots' } },
+      grades: { A: 95, B: 97, C: 150, D: 'x' }
+    });
+    if (config.weights.entity !== 10 || config.weights.cookie !== 2 || config.weights.leak !== 10) throw new Error('Weights not normalized');
+    if (config.weights.categories.analytics !== 0 || config.weights.categories['session-replay'] !== 20) throw new Error('Category weights not normalized');
+    if (config.grades.B !== 95 || config.grades.C !== 95 || config.grades.D !== 40) {
+      throw new Error(`Grade minimums should not exceed the letter above: ${JSON.stringify(config.grades)}`);
+    }
+
+    const result = computePrivacyGrade([detection('stats.example', 'analytics')], { weights: { entity: 30 } });
+    if (result.score !== 67) throw new Error(`Custom weight not applied, score ${result.score}`);
+  });
+
+  // Test 7: Grade tag
+  addTest('The grade tag should stay first in the overlay and go when switched off', () => {
+    const tracker = loadTracker();
+    const domainTag = tracker.container.firstChild;
+    tracker.updatePrivacyGrade(computePrivacyGrade([detection('hotjar.com', 'session-replay', { cookies: [{ name: '_hj' }] })], null));
+
+    const gradeTag = tracker.container.firstChild;
+    if (gradeTag === domainTag || gradeTag.className !== 'tpd-grade-tag tpd-grade-c') throw new Error(`Unexpected first tag ${gradeTag.className}`);
+    if (gradeTag.textContent !== 'Privacy grade C · 74/100') throw new Error(`Unexpected text ${gradeTag.textContent}`);
+    if (!gradeTag.title.includes('Session replay: 1 (-20)')) throw new Error(`Breakdown missing: ${gradeTag.title}`);
+
+    tracker.updatePrivacyGrade(computePrivacyGrade([], null));
+    if (tracker.container.children.length !== 2) throw new Error('Grade tag duplicated');
+
+    tracker.showGradeTag = false;
+    tracker.renderGradeTag();
+    if (tracker.container.firstChild !== domainTag) throw new Error('Grade tag not removed');
+  });
+
+  // Test 8: Wiring
+  addTest('The worker should send the grade with detections and answer the popup', () => {
+    const background = fs.readFileSync(path.join(EXTENSION_DIR, 'background.js'), 'utf8');
+    ["'lib/privacy-grade.js'", 'grade: getPrivacyGrade(tabId)', "message.type === 'GET_PRIVACY_GRADE'", "workerState.set('privacyGrade'"].forEach(snippet => {
+      if (!background.includes(snippet)) throw new Error(`Missing in background.js: ${snippet}`);
+    });
+
+    const manifest = JSON.parse(fs.readFileSync(path.join(EXTENSION_DIR, 'manifest.json'), 'utf8'));
+    if (!manifest.content_scripts[0].js.includes('lib/privacy-grade.js')) throw new Error('Content script does not load lib/privacy-grade.js');
+    ['popup.html', 'options.html'].forEach(page => {
+      const html = fs.readFileSync(path.join(EXTENSION_DIR, page), 'utf8');
+      if (!html.includes('<script src="lib/privacy-grade.js"></script>')) throw new Error(`${page} does not load lib/privacy-grade.js`);
+    });
+  });
+
+  // Test 9: Fingerprinting
+  addTest('Fingerprinting found by the probe should count towards the grade', () => {
+    const documents = { pageHostname: 'news.example', frameHostname: 'news.example', inSubframe: false };
+    const finding = { api: 'canvas', scriptUrl: 'https://cdn.fpvendor.example/fp.js', hostname: 'cdn.fpvendor.example', timestamp: 7 };
+    const entry = createFingerprintDetection(finding, documents, 0);
+    if (entry.domain !== 'fpvendor.example' || entry.category !== 'fingerprinting' || entry.blocked !== false) {
+      throw new Error(`Unexpected tab log entry ${JSON.stringify(entry)}`);
+    }
+
+    const result = computePrivacyGrade([entry]);
+    const factor = getFactor(result, 'category:fingerprinting');
+    if (!factor || factor.penalty !== DEFAULT_PRIVACY_GRADE_CONFIG.weights.categories.fingerprinting) {
+      throw new Error('Fingerprinting category not weighted');
+    }
+    if (result.score !== 100 - factor.penalty - DEFAULT_PRIVACY_GRADE_CONFIG.weights.entity) throw new Error(`Unexpected score ${result.score}`);
+
+    const background = fs.readFileSync(path.join(EXTENSION_DIR, 'background.js'), 'utf8');
+    ["message.type === 'FINGERPRINT_DETECTED'", 'createFingerprintDetection(finding, documents, sender.frameId)', 'tabLog.add(tabId, detection)'].forEach(snippet => {
+      if (!background.includes(snippet)) throw new Error(`Missing in background.js: ${snippet}`);
+    });
+    const content = fs.readFileSync(path.join(EXTENSION_DIR, 'content.js'), 'utf8');
+    if (!content.includes("type: 'FINGERPRINT_DETECTED'")) throw new Error('Content script does not report findings to the worker');
+  });
+
+  // Test 10: CDN domains are not tracking companies
+  addTest('Entities seen only on CDN domains should not count as tracking companies', () => {
+    const cdnOnly = computePrivacyGrade([
+      { domain: 'googleapis.com', entity: 'Google', category: 'cdn', blocked: false },
+      { domain: 'microsoft.com', entity: 'Microsoft', category: 'cdn', blocked: false },
+      { domain: 'adobe.com', entity: 'Adobe', category: 'cdn', blocked: false }
+    ]);
+    if (cdnOnly.score !== 100 || getFactor(cdnOnly, 'entity').count !== 0) {
+      throw new Error(`CDN-only page scored ${cdnOnly.score} with ${getFactor(cdnOnly, 'entity').count} companies`);
+    }
+
+    // The same company still counts once it tracks
+    const tracked = computePrivacyGrade([
+      { domain: 'googleapis.com', entity: 'Google', category: 'cdn', blocked: false },
+      { domain: 'google-analytics.com', entity: 'Google', category: 'analytics', blocked: false }
+    ]);
+    if (getFactor(tracked, 'entity').count !== 1) throw new Error('Tracking company not counted');
+
+    // A category weighted 0 on the options page is left out the same way
+    const custom = computePrivacyGrade([{ domain: 'tagmanager.example', category: 'tag-manager', blocked: false }],
+      { weights: { categories: { 'tag-manager': 0 } } });
+    if (custom.score !== 100) throw new Error(`Zero-weight category still cost points: ${custom.score}`);
+  });
+
+  // Summary
+  console.log('\n📊 PRIVACY GRADE TEST RESULTS:');
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+  console.log(`📈 Total: ${results.total}`);
+
+  const successRate = ((results.passed / results.total) * 100).toFixed(1);
+  console.log(`📊 Success Rate: ${successRate}%`);
+
+  return results;
+}
+
+// Export for test runner
+if (typeof module !== 'undefined') {
+  module.exports = { runPrivacyGradeTests };
+}
+
+// Run if executed directly
+if (typeof window === 'undefined' && typeof module !== 'undefined' && require.main === module) {
+  runPrivacyGradeTests();
+}
@@ -22,6 +22,27 @@ const closeButtonTestPath = path.join(__dirname, 'domain-tag-close-button.test.j
 const closeButtonVisibilityTestPath = path.join(__dirname, 'close-button-visibility.test.js');
 const timeoutDisableBugTestPath = path.join(__dirname, 'timeout-disable-bug.test.js');
 const dynamicWidthTestPath = path.join(__dirname, 'dynamic-width-close-button-fix.test.js');
+const domainParsingTestPath = path.join(__dirname, 'domain-parsing.test.js');
+const filterEngineTestPath = path.join(__dirname, 'filter-engine.test.js');
+const trackerCategoryTestPath = path.join(__dirname, 'tracker-categories.test.js');
+const entityTestPath = path.join(__dirname, 'entities.test.js');
+const tabLogTestPath = path.join(__dirname, 'tab-log.test.js');
+const blockingTestPath = path.join(__dirname, 'blocking.test.js');
+const siteRuleTestPath = path.join(__dirname, 'site-rules.test.js');
+const badgeTestPath = path.join(__dirname, 'badge.test.js');
+const exportTestPath = path.join(__dirname, 'export.test.js');
+const tabDocumentTestPath = path.join(__dirname, 'tab-documents.test.js');
+const detectionBatchTestPath = path.join(__dirname, 'detection-batch.test.js');
+const cookieTestPath = path.join(__dirname, 'cookies.test.js');
+const leakTestPath = path.join(__dirname, 'leaks.test.js');
+const fingerprintingTestPath = path.join(__dirname, 'fingerprinting.test.js');
+const workerStateTestPath = path.join(__dirname, 'worker-state.test.js');
+const historyTestPath = path.join(__dirname, 'history.test.js');
+const privacyGradeTestPath = path.join(__dirname, 'privacy-grade.test.js');
+const settingsTestPath = path.join(__dirname, 'settings.test.js');
+const tagLayoutTestPath = path.join(__dirname, 'tag-layout.test.js');
+const themeTestPath = path.join(__dirname, 'theme.test.js');
+const overlayIsolationTestPath = path.join(__dirname, 'overlay-isolation.test.js');
 
 async function runAllDomainTagTests() {
   console.log('🧪 COMPREHENSIVE DOMAIN TAG COLOR TEST SUITE');
@@ -158,6 +179,300 @@ async function runAllDomainTagTests() {
     overallResults.totalFailed += dynamicWidthResults.failed;
     overallResults.totalTests += dynamicWidthResults.total;
     
+    console.log('\n' + '=' .repeat(50));
+    
+    // Run Public Suffix List domain parsing tests
+    console.log('\n🌐 RUNNING: Domain Parsing Tests');
+    console.log('-' .repeat(50));
+    
+    const { runTests: runDomainParsingTests } = require(domainParsingTestPath);
+    const domainParsingResults = runDomainParsingTests();
+    
+    overallResults.suites.domainParsingTests = domainParsingResults;
+    overallResults.totalPassed += domainParsingResults.passed;
+    overallResults.totalFailed += domainParsingResults.failed;
+    overallResults.totalTests += domainParsingResults.total;
+    
+    console.log('\n' + '=' .repeat(50));
+    
+    // Run filter list engine tests
+    console.log('\n🧰 RUNNING: Filter List Engine Tests');
+    console.log('-' .repeat(50));
+    
+    const { runFilterEngineTests } = require(filterEngineTestPath);
+    const filterEngineResults = runFilterEngineTests();
+    
+    overallResults.suites.filterEngineTests = filterEngineResults;
+    overallResults.totalPassed += filterEngineResults.passed;
+    overallResults.totalFailed += filterEngineResults.failed;
+    overallResults.totalTests += filterEngineResults.total;
+    
+    console.log('\n' + '=' .repeat(50));
+    
+    // Run tracker category tests
+    console.log('\n🏷️  RUNNING: Tracker Category Tests');
+    console.log('-' .repeat(50));
+    
+    const { runTrackerCategoryTests } = require(trackerCategoryTestPath);
+    const trackerCategoryResults = runTrackerCategoryTests();
+    
+    overallResults.suites.trackerCategoryTests = trackerCategoryResults;
+    overallResults.totalPassed += trackerCategoryResults.passed;
+    overallResults.totalFailed += trackerCategoryResults.failed;
+    overallResults.totalTests += trackerCategoryResults.total;
+    
+    console.log('\n' + '=' .repeat(50));
+    
+    // Run tracker entity tests
+    console.log('\n🏢 RUNNING: Tracker Entity Tests');
+    console.log('-' .repeat(50));
+    
+    const { runEntityTests } = require(entityTestPath);
+    const entityResults = runEntityTests();
+    
+    overallResults.suites.entityTests = entityResults;
+    overallResults.totalPassed += entityResults.passed;
+    overallResults.totalFailed += entityResults.failed;
+    overallResults.totalTests += entityResults.total;
+    
+    console.log('\n' + '=' .repeat(50));
+    
+    // Run per-tab detection log tests
+    console.log('\n🗂️  RUNNING: Per-Tab Detection Log Tests');
+    console.log('-' .repeat(50));
+    
+    const { runTabLogTests } = require(tabLogTestPath);
+    const tabLogResults = await runTabLogTests();
+    
+    overallResults.suites.tabLogTests = tabLogResults;
+    overallResults.totalPassed += tabLogResults.passed;
+    overallResults.totalFailed += tabLogResults.failed;
+    overallResults.totalTests += tabLogResults.total;
+    
+    console.log('\n' + '=' .repeat(50));
+    
+    // Run tracker blocking tests
+    console.log('\n⛔ RUNNING: Tracker Blocking Tests');
+    console.log('-' .repeat(50));
+    
+    const { runBlockingTests } = require(blockingTestPath);
+    const blockingResults = await runBlockingTests();
+    
+    overallResults.suites.blockingTests = blockingResults;
+    overallResults.totalPassed += blockingResults.passed;
+    overallResults.totalFailed += blockingResults.failed;
+    overallResults.totalTests += blockingResults.total;
+    
+    console.log('\n' + '=' .repeat(50));
+    
+    // Run per-site settings tests
+    console.log('\n🌐 RUNNING: Per-Site Settings Tests');
+    console.log('-' .repeat(50));
+    
+    const { runSiteRuleTests } = require(siteRuleTestPath);
+    const siteRuleResults = runSiteRuleTests();
+    
+    overallResults.suites.siteRuleTests = siteRuleResults;
+    overallResults.totalPassed += siteRuleResults.passed;
+    overallResults.totalFailed += siteRuleResults.failed;
+    overallResults.totalTests += siteRuleResults.total;
+    
+    console.log('\n' + '=' .repeat(50));
+    
+    // Run toolbar badge tests
+    console.log('\n🔢 RUNNING: Toolbar Badge Tests');
+    console.log('-' .repeat(50));
+    
+    const { runBadgeTests } = require(badgeTestPath);
+    const badgeResults = runBadgeTests();
+    
+    overallResults.suites.badgeTests = badgeResults;
+    overallResults.totalPassed += badgeResults.passed;
+    overallResults.totalFailed += badgeResults.failed;
+    overallResults.totalTests += badgeResults.total;
+    
+    console.log('\n' + '=' .repeat(50));
+    
+    // Run page audit export tests
+    console.log('\n📋 RUNNING: Page Audit Export Tests');
+    console.log('-' .repeat(50));
+    
+    const { runExportTests } = require(exportTestPath);
+    const exportResults = runExportTests();
+    
+    overallResults.suites.exportTests = exportResults;
+    overallResults.totalPassed += exportResults.passed;
+    overallResults.totalFailed += exportResults.failed;
+    overallResults.totalTests += exportResults.total;
+    
+    console.log('\n' + '=' .repeat(50));
+    
+    // Run tab document cache tests
+    console.log('\n🗺️  RUNNING: Tab Document Cache Tests');
+    console.log('-' .repeat(50));
+    
+    const { runTabDocumentTests } = require(tabDocumentTestPath);
+    const tabDocumentResults = runTabDocumentTests();
+    
+    overallResults.suites.tabDocumentTests = tabDocumentResults;
+    overallResults.totalPassed += tabDocumentResults.passed;
+    overallResults.totalFailed += tabDocumentResults.failed;
+    overallResults.totalTests += tabDocumentResults.total;
+    
+    console.log('\n' + '=' .repeat(50));
+    
+    // Run detection batching tests
+    console.log('\n📦 RUNNING: Detection Batching Tests');
+    console.log('-' .repeat(50));
+    
+    const { runDetectionBatchTests } = require(detectionBatchTestPath);
+    const detectionBatchResults = await runDetectionBatchTests();
+    
+    overallResults.suites.detectionBatchTests = detectionBatchResults;
+    overallResults.totalPassed += detectionBatchResults.passed;
+    overallResults.totalFailed += detectionBatchResults.failed;
+    overallResults.totalTests += detectionBatchResults.total;
+    
+    console.log('\n' + '=' .repeat(50));
+    
+    // Run third-party cookie analysis tests
+    console.log('\n🍪 RUNNING: Third-Party Cookie Analysis Tests');
+    console.log('-' .repeat(50));
+    
+    const { runCookieTests } = require(cookieTestPath);
+    const cookieResults = runCookieTests();
+    
+    overallResults.suites.cookieTests = cookieResults;
+    overallResults.totalPassed += cookieResults.passed;
+    overallResults.totalFailed += cookieResults.failed;
+    overallResults.totalTests += cookieResults.total;
+    
+    console.log('\n' + '=' .repeat(50));
+    
+    // Run personal data leak detection tests
+    console.log('\n🕵️ RUNNING: Personal Data Leak Detection Tests');
+    console.log('-' .repeat(50));
+    
+    const { runLeakTests } = require(leakTestPath);
+    const leakResults = runLeakTests();
+    
+    overallResults.suites.leakTests = leakResults;
+    overallResults.totalPassed += leakResults.passed;
+    overallResults.totalFailed += leakResults.failed;
+    overallResults.totalTests += leakResults.total;
+    
+    console.log('\n' + '=' .repeat(50));
+    
+    // Run fingerprinting detection tests
+    console.log('\n🖐️ RUNNING: Fingerprinting Detection Tests');
+    console.log('-' .repeat(50));
+    
+    const { runFingerprintingTests } = require(fingerprintingTestPath);
+    const fingerprintingResults = runFingerprintingTests();
+    
+    overallResults.suites.fingerprintingTests = fingerprintingResults;
+    overallResults.totalPassed += fingerprintingResults.passed;
+    overallResults.totalFailed += fingerprintingResults.failed;
+    overallResults.totalTests += fingerprintingResults.total;
+    
+    console.log('\n' + '=' .repeat(50));
+    
+    // Run service worker state tests
+    console.log('\n🔄 RUNNING: Service Worker State Tests');
+    console.log('-' .repeat(50));
+    
+    const { runWorkerStateTests } = require(workerStateTestPath);
+    const workerStateResults = await runWorkerStateTests();
+    
+    overallResults.suites.workerStateTests = workerStateResults;
+    overallResults.totalPassed += workerStateResults.passed;
+    overallResults.totalFailed += workerStateResults.failed;
+    overallResults.totalTests += workerStateResults.total;
+    
+    console.log('\n' + '=' .repeat(50));
+    
+    // Run tracking history tests
+    console.log('\n🗂️ RUNNING: Tracking History Tests');
+    console.log('-' .repeat(50));
+    
+    const { runHistoryTests } = require(historyTestPath);
+    const historyResults = runHistoryTests();
+    
+    overallResults.suites.history = historyResults;
+    overallResults.totalPassed += historyResults.passed;
+    overallResults.totalFailed += historyResults.failed;
+    overallResults.totalTests += historyResults.total;
+    
+    console.log('\n' + '=' .repeat(50));
+    
+    // Run privacy grade tests
+    console.log('\n🅰️ RUNNING: Privacy Grade Tests');
+    console.log('-' .repeat(50));
+    
+    const { runPrivacyGradeTests } = require(privacyGradeTestPath);
+    const privacyGradeResults = runPrivacyGradeTests();
+    
+    overallResults.suites.privacyGrade = privacyGradeResults;
+    overallResults.totalPassed += privacyGradeResults.passed;
+    overallResults.totalFailed += privacyGradeResults.failed;
+    overallResults.totalTests += privacyGradeResults.total;
+    
+    console.log('\n' + '=' .repeat(50));
+    
+    // Run settings schema tests
+    console.log('\n⚙️ RUNNING: Settings Schema Tests');
+    console.log('-' .repeat(50));
+    
+    const { runSettingsTests } = require(settingsTestPath);
+    const settingsResults = await runSettingsTests();
+    
+    overallResults.suites.settings = settingsResults;
+    overallResults.totalPassed += settingsResults.passed;
+    overallResults.totalFailed += settingsResults.failed;
+    overallResults.totalTests += settingsResults.total;
+    
+    console.log('\n' + '=' .repeat(50));
+    
+    // Run tag layout tests
+    console.log('\n🗂️ RUNNING: Tag Layout Tests');
+    console.log('-' .repeat(50));
+    
+    const { runTagLayoutTests } = require(tagLayoutTestPath);
+    const tagLayoutResults = runTagLayoutTests();
+    
+    overallResults.suites.tagLayout = tagLayoutResults;
+    overallResults.totalPassed += tagLayoutResults.passed;
+    overallResults.totalFailed += tagLayoutResults.failed;
+    overallResults.totalTests += tagLayoutResults.total;
+    
+    console.log('\n' + '=' .repeat(50));
+    
+    // Run tag theme tests
+    console.log('\n🎨 RUNNING: Tag Theme Tests');
+    console.log('-' .repeat(50));
+    
+    const { runThemeTests } = require(themeTestPath);
+    const themeResults = runThemeTests();
+    
+    overallResults.suites.theme = themeResults;
+    overallResults.totalPassed += themeResults.passed;
+    overallResults.totalFailed += themeResults.failed;
+    overallResults.totalTests += themeResults.total;
+    
+    console.log('\n' + '=' .repeat(50));
+    
+    // Run overlay isolation tests
+    console.log('\n🛡️ RUNNING: Overlay Isolation Tests');
+    console.log('-' .repeat(50));
+    
+    const { runOverlayIsolationTests } = require(overlayIsolationTestPath);
+    const overlayIsolationResults = await runOverlayIsolationTests();
+    
+    overallResults.suites.overlayIsolation = overlayIsolationResults;
+    overallResults.totalPassed += overlayIsolationResults.passed;
+    overallResults.totalFailed += overlayIsolationResults.failed;
+    overallResults.totalTests += overlayIsolationResults.total;
+    
     console.log('\n' + '=' .repeat(90));
     
   } catch (error) {
@@ -200,8 +515,8 @@ async function runAllDomainTagTests() {
   
   // Domain tag color coverage summary
   console.log('\n🎨 DOMAIN TAG SYSTEM VERIFICATION:');
-  console.log('   ✅ 4-color palette system implemented');
-  console.log('   ✅ Hash-based consistent color assignment');
+  console.log('   ✅ Category color palette implemented');
+  console.log('   ✅ Category-based consistent color assignment');
   console.log('   ✅ Proper light/dark theme text colors');
   console.log('   ✅ Count badge contrast optimization');
   console.log('   ✅ Animation color compatibility');
@@ -213,6 +528,27 @@ async function runAllDomainTagTests() {
   console.log('   ✅ Enhanced close button visibility');
   console.log('   ✅ Timeout disable bug fixes');
   console.log('   ✅ Dynamic width close button overlap fix');
+  console.log('   ✅ Public Suffix List domain resolution');
+  console.log('   ✅ Adblock-syntax filter list classification');
+  console.log('   ✅ Tracker category taxonomy and labels');
+  console.log('   ✅ Tracker entity grouping and ownership map');
+  console.log('   ✅ Per-tab detection log in the service worker');
+  console.log('   ✅ One-click tracker blocking via declarativeNetRequest');
+  console.log('   ✅ Per-site tag hiding and monitoring exclusions');
+  console.log('   ✅ Per-tab tracker count on the toolbar badge');
+  console.log('   ✅ Page audit export (JSON, CSV, HAR, Markdown)');
+  console.log('   ✅ Synchronous request attribution via frame cache');
+  console.log('   ✅ Batched detection messages applied per animation frame');
+  console.log('   ✅ Set-Cookie headers of trackers are parsed and shown per tag');
+  console.log('   ✅ Emails, phone numbers, click IDs and page URLs sent to trackers are flagged');
+  console.log('   ✅ Canvas, WebGL, audio, plugin and font probes are attributed to their scripts');
+  console.log('   ✅ Settings and the frame cache survive service worker restarts');
+  console.log('   ✅ Detections are kept in IndexedDB for the cross-site dashboard');
+  console.log('   ✅ Pages get a privacy score and letter grade from their detections');
+  console.log('   ✅ Settings read through one validated schema, with custom rules and import/export');
+  console.log('   ✅ Tags ordered, limited and folded into a +N more chip');
+  console.log('   ✅ Tags colored by theme with contrast-checked text and count colors');
+  console.log('   ✅ Tags rendered in a closed shadow root, hidden from page styles and scripts');
   
   if (overallResults.totalFailed === 0) {
     console.log('\n🎉 EXCELLENT: All domain tag system tests passed!');
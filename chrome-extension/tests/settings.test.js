@@ -0,0 +1,231 @@
+/**
+ * SETTINGS SCHEMA TESTS
+ *
+ * Tests lib/settings.js, the one schema every part of the extension reads
+ * settings through: defaults, validation and clamping, the custom detection
+ * rules from the options page, and the JSON settings export and import.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  SETTINGS_SCHEMA,
+  SETTING_KEYS,
+  SETTINGS_EXPORT_FORMAT,
+  normalizeCustomTrackers,
+  buildCustomFilterList,
+  validateSetting,
+  normalizeSetting,
+  getSettingDefault,
+  readSettings,
+  buildSettingsExport,
+  parseSettingsImport
+} = require('../lib/settings.js');
+const { FilterEngine, findUnsupportedFilterLines } = require('../lib/filter-engine.js');
+const { SITE_RULES_STORAGE_KEY } = require('../lib/site-rules.js');
+const { BADGE_THRESHOLDS_STORAGE_KEY, DEFAULT_BADGE_THRESHOLDS } = require('../lib/badge.js');
+const { PRIVACY_GRADE_STORAGE_KEY, SHOW_GRADE_TAG_STORAGE_KEY } = require('../lib/privacy-grade.js');
+const { HISTORY_RETENTION_STORAGE_KEY, DEFAULT_HISTORY_RETENTION_DAYS } = require('../lib/history.js');
+
+const EXTENSION_DIR = path.join(__dirname, '..');
+
+function matchRequest(engine, url, type) {
+  const hostname = new URL(url).hostname;
+  return engine.match({ url, hostname, pageHostname: 'news.example', type, thirdParty: true });
+}
+
+function readExtensionFile(file) {
+  return fs.readFileSync(path.join(EXTENSION_DIR, file), 'utf8');
+}
+
+async function runSettingsTests() {
+  console.log('🧪 SETTINGS SCHEMA TESTS');
+  console.log('=' .repeat(60));
+  console.log('Testing setting defaults, validation, custom rules and import/export\n');
+
+  const results = {
+    passed: 0,
+    failed: 0,
+    total: 0,
+    tests: []
+  };
+
+  async function addTest(name, testFn) {
+    results.total++;
+    try {
+      await testFn();
+      console.log(`✅ ${name}`);
+      results.passed++;
+      results.tests.push({ name, status: 'passed' });
+    } catch (error) {
+      console.log(`❌ ${name}`);
+      console.log(`   Error: ${error.message}`);
+      results.failed++;
+      results.tests.push({ name, status: 'failed', error: error.message });
+    }
+  }
+
+  // Test 1: Defaults
+  await addTest('Missing settings should read as their defaults', async () => {
+    const storage = { get: async () => ({ timeoutSeconds: 30 }) };
+    const settings = await readSettings(storage);
+
+    if (Object.keys(settings).join(',') !== SETTING_KEYS.join(',')) throw new Error('Not every setting was read');
+    if (settings.timeoutSeconds !== 30) throw new Error('Stored value not used');
+    if (settings.enabled !== true || settings.enableTimeout !== true || settings.position !== 'bottom-right') {
+      throw new Error('Unexpected defaults');
+    }
+    if (settings.badgeThresholds.length !== DEFAULT_BADGE_THRESHOLDS.length) throw new Error('Badge default not delegated');
+    if (getSettingDefault('historyRetentionDays') !== DEFAULT_HISTORY_RETENTION_DAYS) throw new Error('Retention default not delegated');
+  });
+
+  // Test 2: Normalizing stored values
+  await addTest('Invalid stored values should fall back to the default, whole numbers be clamped', () => {
+    const cases = [
+      ['timeoutSeconds', 0, 1],
+      ['timeoutSeconds', 900, 300],
+      ['timeoutSeconds', 7.6, 8],
+      ['timeoutSeconds', '30', 5],
+      ['enabled', 'no', true],
+      ['showGradeTag', undefined, false],
+      ['position', 'center', 'bottom-right'],
+      ['customFilterRules', null, '']
+    ];
+    cases.forEach(([key, value, expected]) => {
+      const actual = normalizeSetting(key, value);
+      if (actual !== expected) throw new Error(`${key}=${JSON.stringify(value)} gave ${actual}, expected ${expected}`);
+    });
+    if (normalizeSetting('siteRules', [{ pattern: 'Bank.com', hideTags: true }, { pattern: '', noMonitor: true }]).length !== 1) {
+      throw new Error('Site rules not cleaned up');
+    }
+  });
+
+  // Test 3: Validation messages
+  await addTest('Validation should explain what is wrong with a value', () => {
+    if (validateSetting('timeoutSeconds', 30) !== null) throw new Error('Valid timeout rejected');
+    if (!validateSetting('timeoutSeconds', 0).includes('between 1 and 300')) throw new Error('Range not explained');
+    if (!validateSetting('position', 'middle').includes('bottom-left')) throw new Error('Allowed positions not listed');
+    if (!validateSetting('customTrackers', 'tracker.example').includes('must be a list')) throw new Error('Type not explained');
+    if (!validateSetting('colour', 'red').includes('Unknown setting')) throw new Error('Unknown key accepted');
+  });
+
+  // Test 4: Storage keys
+  await addTest('Every setting owned by another module should use that module\'s storage key', () => {
+    [SITE_RULES_STORAGE_KEY, BADGE_THRESHOLDS_STORAGE_KEY, PRIVACY_GRADE_STORAGE_KEY, SHOW_GRADE_TAG_STORAGE_KEY, HISTORY_RETENTION_STORAGE_KEY]
+      .forEach(key => {
+        if (!SETTINGS_SCHEMA[key]) throw new Error(`${key} missing from the schema`);
+      });
+    SETTING_KEYS.forEach(key => {
+      if (!SETTINGS_SCHEMA[key].label) throw new Error(`${key} has no label for error messages`);
+    });
+  });
+
+  // Test 5: Custom tracker domains
+  await addTest('Custom tracker domains should be matched with their category', () => {
+    const trackers = normalizeCustomTrackers([
+      { domain: ' Metrics.Example. ', category: 'analytics' },
+      { domain: 'metrics.example', category: 'advertising' },
+      { domain: 'not a domain', category: 'analytics' },
+      { domain: 'pixel.example', category: 'made-up' }
+    ]);
+    if (JSON.stringify(trackers) !== JSON.stringify([
+      { domain: 'metrics.example', category: 'analytics' },
+      { domain: 'pixel.example', category: 'unknown' }
+    ])) {
+      throw new Error(`Unexpected trackers ${JSON.stringify(trackers)}`);
+    }
+
+    const engine = new FilterEngine();
+    engine.addList('custom', buildCustomFilterList(trackers, '||ads.example^$third-party'));
+    const match = matchRequest(engine, 'https://cdn.metrics.example/t.js', 'script');
+    if (!match || match.category !== 'analytics') throw new Error(`Custom domain not matched: ${JSON.stringify(match)}`);
+    const userRule = matchRequest(engine, 'https://ads.example/x.gif', 'image');
+    if (!userRule || userRule.category) throw new Error('Custom domain category applied to the user\'s own rules');
+  });
+
+  // Test 6: Custom filter rules
+  await addTest('Unsupported custom rules should be reported and the custom list replaceable', () => {
+    const text = '! My rules\n||metrics.example^\nexample.com##.banner\n\n||ads.example^$popup';
+    const unsupported = findUnsupportedFilterLines(text);
+    if (unsupported.map(line => line.line).join(',') !== '3,5') throw new Error(`Unexpected lines ${JSON.stringify(unsupported)}`);
+
+    const engine = new FilterEngine();
+    engine.addList('easyprivacy', '||tracker.example^');
+    engine.addList('custom', '||metrics.example^\n/pixel/*');
+    if (engine.removeList('custom') !== 2 || engine.ruleCount !== 1) throw new Error('Custom rules not removed');
+    if (matchRequest(engine, 'https://metrics.example/a.js', 'script')) throw new Error('Removed rule still matches');
+    if (!matchRequest(engine, 'https://tracker.example/a.js', 'script')) throw new Error('Other lists affected');
+  });
+
+  // Test 7: Export and import
+  await addTest('Exported settings should import again, skipping invalid values', () => {
+    const exported = buildSettingsExport({ timeoutSeconds: 12, position: 'top-left', notASetting: 1 }, new Date(Date.UTC(2026, 9, 19)));
+    const parsed = JSON.parse(exported);
+    if (parsed.format !== SETTINGS_EXPORT_FORMAT || parsed.exportedAt !== '2026-10-19T00:00:00.000Z' || 'notASetting' in parsed.settings) {
+      throw new Error(`Unexpected export ${exported}`);
+    }
+
+    const imported = parseSettingsImport(JSON.stringify({
+      ...parsed,
+      settings: { ...parsed.settings, enabled: 'yes', timeoutSeconds: 900, customTrackers: [{ domain: 'Pixel.Example', category: 'social' }] }
+    }));
+    if (imported.settings.position !== 'top-left' || imported.settings.customTrackers[0].domain !== 'pixel.example') {
+      throw new Error(`Valid settings not imported: ${JSON.stringify(imported.settings)}`);
+    }
+    if ('enabled' in imported.settings || 'timeoutSeconds' in imported.settings || imported.errors.length !== 2) {
+      throw new Error(`Invalid settings imported: ${JSON.stringify(imported)}`);
+    }
+
+    [['not json', 'not valid JSON'], ['{"settings":{}}', 'not a Ghost Tracer'], [JSON.stringify({ ...parsed, version: 99 }), 'newer']]
+      .forEach(([text, message]) => {
+        let error = null;
+        try { parseSettingsImport(text); } catch (e) { error = e; }
+        if (!error || !error.message.includes(message)) throw new Error(`Expected "${message}" for ${text}`);
+      });
+  });
+
+  // Test 8: Wiring
+  await addTest('Every part of the extension should read settings through the schema', () => {
+    const background = readExtensionFile('background.js');
+    ["'lib/settings.js'", 'readSettings(chrome.storage.local', "filterEngine.removeList(CUSTOM_FILTER_LIST_ID)"].forEach(snippet => {
+      if (!background.includes(snippet)) throw new Error(`Missing in background.js: ${snippet}`);
+    });
+    if (background.includes('onInstalled.addListener(() => {\n  chrome.storage.local.set')) throw new Error('Defaults still written on install');
+
+    ['content.js', 'popup.js'].forEach(file => {
+      const source = readExtensionFile(file);
+      if (/timeoutSeconds \|\| 5|showTags !== false|enabled !== false/.test(source)) throw new Error(`${file} still has its own defaults`);
+      if (!source.includes('readSettings(chrome.storage.local')) throw new Error(`${file} does not use readSettings`);
+    });
+
+    const manifest = JSON.parse(readExtensionFile('manifest.json'));
+    const contentScripts = manifest.content_scripts[0].js;
+    if (contentScripts.indexOf('lib/settings.js') < 0 || contentScripts.indexOf('lib/settings.js') > contentScripts.indexOf('content.js')) {
+      throw new Error('Content script does not load lib/settings.js first');
+    }
+    ['popup.html', 'options.html'].forEach(page => {
+      if (!readExtensionFile(page).includes('<script src="lib/settings.js"></script>')) throw new Error(`${page} does not load lib/settings.js`);
+    });
+  });
+
+  // Summary
+  console.log('\n📊 SETTINGS SCHEMA TEST RESULTS:');
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+  console.log(`📈 Total: ${results.total}`);
+
+  const successRate = ((results.passed / results.total) * 100).toFixed(1);
+  console.log(`📊 Success Rate: ${successRate}%`);
+
+  return results;
+}
+
+// Export for test runner
+if (typeof module !== 'undefined') {
+  module.exports = { runSettingsTests };
+}
+
+// Run if executed directly
+if (typeof window === 'undefined' && typeof module !== 'undefined' && require.main === module) {
+  runSettingsTests();
+}
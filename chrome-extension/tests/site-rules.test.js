@@ -0,0 +1,149 @@
+/**
+ * PER-SITE SETTINGS TESTS
+ *
+ * Tests lib/site-rules.js, the pattern list behind "don't show tags on this
+ * site" and "don't monitor this site". The list is checked by the
+ * onBeforeRequest listener and by ThirdPartyDomainTracker.init.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  SITE_RULES_STORAGE_KEY,
+  normalizeSitePattern,
+  siteMatchesPattern,
+  getSiteSettings,
+  updateSiteRule
+} = require('../lib/site-rules.js');
+
+function runSiteRuleTests() {
+  console.log('🧪 PER-SITE SETTINGS TESTS');
+  console.log('=' .repeat(60));
+  console.log('Testing site pattern list and per-site settings\n');
+
+  const results = {
+    passed: 0,
+    failed: 0,
+    total: 0,
+    tests: []
+  };
+
+  function addTest(name, testFn) {
+    results.total++;
+    try {
+      testFn();
+      console.log(`✅ ${name}`);
+      results.passed++;
+      results.tests.push({ name, status: 'passed' });
+    } catch (error) {
+      console.log(`❌ ${name}`);
+      console.log(`   Error: ${error.message}`);
+      results.failed++;
+      results.tests.push({ name, status: 'failed', error: error.message });
+    }
+  }
+
+  // Test 1: Pattern normalisation
+  addTest('User input should be normalised to a hostname pattern', () => {
+    const cases = [
+      ['Bank.com', 'bank.com'],
+      ['https://www.youtube.com/watch?v=1', 'www.youtube.com'],
+      ['intranet.local:8080/', 'intranet.local'],
+      ['*.corp.example', '*.corp.example'],
+      ['   ', null],
+      ['*', null],
+      ['bad host!', null]
+    ];
+    cases.forEach(([input, expected]) => {
+      const actual = normalizeSitePattern(input);
+      if (actual !== expected) throw new Error(`"${input}" → ${actual}, expected ${expected}`);
+    });
+  });
+
+  // Test 2: Plain patterns
+  addTest('Plain pattern should match the domain and its subdomains only', () => {
+    if (!siteMatchesPattern('bank.com', 'bank.com')) throw new Error('Exact domain not matched');
+    if (!siteMatchesPattern('online.bank.com', 'bank.com')) throw new Error('Subdomain not matched');
+    if (siteMatchesPattern('notbank.com', 'bank.com')) throw new Error('Different domain matched');
+  });
+
+  // Test 3: Wildcards
+  addTest('Wildcard patterns should match any run of characters', () => {
+    if (!siteMatchesPattern('wiki.corp.example', '*.corp.example')) throw new Error('*.corp.example missed wiki.corp.example');
+    if (siteMatchesPattern('corp.example', '*.corp.example')) throw new Error('*.corp.example should require a subdomain');
+    if (!siteMatchesPattern('intranet.acme', 'intranet.*')) throw new Error('intranet.* missed intranet.acme');
+    if (siteMatchesPattern('intranetxacme', 'intranet.*')) throw new Error('Dot in pattern should be literal');
+  });
+
+  // Test 4: Effective settings
+  addTest('Not monitoring a site should also hide its tags', () => {
+    const rules = [
+      { pattern: 'youtube.com', hideTags: true, noMonitor: false },
+      { pattern: 'bank.com', hideTags: false, noMonitor: true }
+    ];
+    const video = getSiteSettings(rules, 'www.youtube.com');
+    const bank = getSiteSettings(rules, 'online.bank.com');
+    const other = getSiteSettings(rules, 'news.example');
+
+    if (!video.hideTags || video.noMonitor) throw new Error('youtube.com should only hide tags');
+    if (!bank.hideTags || !bank.noMonitor) throw new Error('bank.com should hide tags and not be monitored');
+    if (other.hideTags || other.noMonitor) throw new Error('Unlisted site should have no restrictions');
+  });
+
+  // Test 5: Updating the list
+  addTest('updateSiteRule should add, change and drop rules', () => {
+    let rules = updateSiteRule([], 'bank.com', { noMonitor: true });
+    if (rules.length !== 1 || !rules[0].noMonitor || rules[0].hideTags) throw new Error('Rule not added');
+
+    rules = updateSiteRule(rules, 'bank.com', { hideTags: true });
+    if (rules.length !== 1 || !rules[0].hideTags || !rules[0].noMonitor) throw new Error('Rule not updated in place');
+
+    rules = updateSiteRule(rules, 'bank.com', { hideTags: false, noMonitor: false });
+    if (rules.length !== 0) throw new Error('Rule without flags should be dropped');
+  });
+
+  // Test 6: Wiring in background and content script
+  addTest('Background and content script should consult the site rules', () => {
+    const background = fs.readFileSync(path.join(__dirname, '..', 'background.js'), 'utf8');
+    const content = fs.readFileSync(path.join(__dirname, '..', 'content.js'), 'utf8');
+    const manifest = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'manifest.json'), 'utf8'));
+
+    if (!background.includes('getSiteSettings(siteRules, tabDomain).noMonitor')) {
+      throw new Error('onBeforeRequest does not check noMonitor');
+    }
+    const initBody = content.slice(content.indexOf('  init() {'), content.indexOf('  createContainer() {'));
+    if (!initBody.includes('this.loadSiteSettings()')) {
+      throw new Error('ThirdPartyDomainTracker.init does not load site settings');
+    }
+    if (!manifest.content_scripts[0].js.includes('lib/site-rules.js')) {
+      throw new Error('lib/site-rules.js not loaded as a content script');
+    }
+    if (!manifest.options_ui || manifest.options_ui.page !== 'options.html') {
+      throw new Error('Options page not registered');
+    }
+    if (SITE_RULES_STORAGE_KEY !== 'siteRules') {
+      throw new Error('Unexpected storage key');
+    }
+  });
+
+  // Summary
+  console.log('\n📊 PER-SITE SETTINGS TEST RESULTS:');
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+  console.log(`📈 Total: ${results.total}`);
+
+  const successRate = ((results.passed / results.total) * 100).toFixed(1);
+  console.log(`📊 Success Rate: ${successRate}%`);
+
+  return results;
+}
+
+// Export for test runner
+if (typeof module !== 'undefined') {
+  module.exports = { runSiteRuleTests };
+}
+
+// Run if executed directly
+if (typeof window === 'undefined' && typeof module !== 'undefined' && require.main === module) {
+  runSiteRuleTests();
+}
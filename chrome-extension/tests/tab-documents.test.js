@@ -0,0 +1,195 @@
+/**
+ * PER-TAB DOCUMENT CACHE TESTS
+ *
+ * Tests lib/tab-documents.js, which lets the webRequest listeners find the
+ * page and frame a request belongs to synchronously from
+ * webNavigation.onCommitted data instead of calling chrome.tabs.get() per
+ * request.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { TabDocumentCache } = require('../lib/tab-documents.js');
+
+function runTabDocumentTests() {
+  console.log('🧪 PER-TAB DOCUMENT CACHE TESTS');
+  console.log('=' .repeat(60));
+  console.log('Testing synchronous page resolution for requests\n');
+
+  const results = {
+    passed: 0,
+    failed: 0,
+    total: 0,
+    tests: []
+  };
+
+  function addTest(name, testFn) {
+    results.total++;
+    try {
+      testFn();
+      console.log(`✅ ${name}`);
+      results.passed++;
+      results.tests.push({ name, status: 'passed' });
+    } catch (error) {
+      console.log(`❌ ${name}`);
+      console.log(`   Error: ${error.message}`);
+      results.failed++;
+      results.tests.push({ name, status: 'failed', error: error.message });
+    }
+  }
+
+  function createCache() {
+    const cache = new TabDocumentCache();
+    cache.commit({ tabId: 1, frameId: 0, parentFrameId: -1, url: 'https://news.example/article', documentId: 'doc-top' });
+    cache.commit({ tabId: 1, frameId: 5, parentFrameId: 0, url: 'https://ads.adframe.example/slot', documentId: 'doc-ad' });
+    return cache;
+  }
+
+  // Test 1: Top-level requests
+  addTest('Requests from the top frame should resolve to the page', () => {
+    const { pageHostname, pageUrl, frameHostname } = createCache().resolveRequest({
+      tabId: 1, frameId: 0, parentFrameId: -1, type: 'script', documentId: 'doc-top'
+    });
+    if (pageHostname !== 'news.example') throw new Error(`Unexpected page ${pageHostname}`);
+    if (pageUrl !== 'https://news.example/article') throw new Error(`Unexpected page URL ${pageUrl}`);
+    if (frameHostname !== 'news.example') throw new Error(`Unexpected frame ${frameHostname}`);
+  });
+
+  // Test 2: Requests from iframes
+  addTest('Requests from an iframe should keep the page and report the frame', () => {
+    const { pageHostname, frameHostname } = createCache().resolveRequest({
+      tabId: 1, frameId: 5, parentFrameId: 0, type: 'image', documentId: 'doc-ad'
+    });
+    if (pageHostname !== 'news.example') throw new Error(`Unexpected page ${pageHostname}`);
+    if (frameHostname !== 'ads.adframe.example') throw new Error(`Unexpected frame ${frameHostname}`);
+  });
+
+  // Test 3: Sub-frame navigations belong to the parent document
+  addTest('A sub_frame request should be attributed to its parent frame', () => {
+    const { frameHostname } = createCache().resolveRequest({
+      tabId: 1, frameId: 9, parentFrameId: 5, type: 'sub_frame'
+    });
+    if (frameHostname !== 'ads.adframe.example') throw new Error(`Unexpected frame ${frameHostname}`);
+  });
+
+  // Test 4: Navigation clears frames
+  addTest('A new top-level document should drop the previous page frames', () => {
+    const cache = createCache();
+    cache.commit({ tabId: 1, frameId: 0, parentFrameId: -1, url: 'https://shop.example/', documentId: 'doc-next' });
+    if (cache.getFrame(1, 5)) throw new Error('Old iframe still cached');
+    if (cache.getPageFrame(1, 0).hostname !== 'shop.example') throw new Error('Top frame not replaced');
+  });
+
+  // Test 5: Navigation race
+  addTest('A request from a replaced document should use its own initiator', () => {
+    const cache = createCache();
+    const { pageHostname } = cache.resolveRequest({
+      tabId: 1, frameId: 0, parentFrameId: -1, type: 'xmlhttprequest',
+      documentId: 'doc-previous', initiator: 'https://previous.example'
+    });
+    if (pageHostname !== 'previous.example') throw new Error(`Unexpected page ${pageHostname}`);
+  });
+
+  // Test 6: Cache miss after a restart
+  addTest('Unknown tabs should fall back to the request initiator or seeded URL', () => {
+    const cache = new TabDocumentCache();
+    const fromInitiator = cache.resolveRequest({ tabId: 2, frameId: 0, type: 'script', initiator: 'https://blog.example' });
+    if (fromInitiator.pageHostname !== 'blog.example') throw new Error('Initiator fallback not used');
+
+    cache.seed(3, 'https://seeded.example/page');
+    const fromSeed = cache.resolveRequest({ tabId: 3, frameId: 0, type: 'script' });
+    if (fromSeed.pageHostname !== 'seeded.example') throw new Error('Seeded URL not used');
+
+    cache.commit({ tabId: 3, frameId: 0, url: 'https://committed.example/' });
+    cache.seed(3, 'https://stale.example/');
+    if (cache.getPageFrame(3, 0).hostname !== 'committed.example') throw new Error('Seed overrode a committed navigation');
+  });
+
+  // Test 7: Prerendered pages
+  addTest('Requests from a prerendered page should resolve to that page', () => {
+    const cache = createCache();
+    cache.commit({ tabId: 1, frameId: 12, parentFrameId: -1, url: 'https://next.example/', documentId: 'doc-prerender' });
+    const { pageHostname } = cache.resolveRequest({ tabId: 1, frameId: 12, parentFrameId: -1, type: 'script', documentId: 'doc-prerender' });
+    if (pageHostname !== 'next.example') throw new Error(`Unexpected page ${pageHostname}`);
+  });
+
+  // Test 8: No per-request tab lookups
+  addTest('webRequest listeners should not call chrome.tabs.get', () => {
+    const background = fs.readFileSync(path.join(__dirname, '..', 'background.js'), 'utf8');
+    const listeners = background.slice(
+      background.indexOf('chrome.webRequest.onBeforeRequest.addListener'),
+      background.indexOf('chrome.webNavigation.onCommitted.addListener')
+    );
+    if (listeners.includes('chrome.tabs.get(')) throw new Error('Request listeners still call chrome.tabs.get');
+    if (!background.includes('tabDocuments.commit(details)')) throw new Error('onCommitted does not feed the cache');
+  });
+
+  // Test 9: Iframe attribution
+  addTest('Requests should be flagged when an iframe made them', () => {
+    const cache = createCache();
+    if (cache.resolveRequest({ tabId: 1, frameId: 0, type: 'script', documentId: 'doc-top' }).inSubframe) {
+      throw new Error('Top frame request flagged as iframe');
+    }
+    if (!cache.resolveRequest({ tabId: 1, frameId: 5, type: 'image', documentId: 'doc-ad' }).inSubframe) {
+      throw new Error('Iframe request not flagged');
+    }
+    const unknown = cache.resolveRequest({ tabId: 1, frameId: 8, parentFrameId: 0, type: 'image', initiator: 'https://widget.example' });
+    if (!unknown.inSubframe || unknown.frameHostname !== 'widget.example') {
+      throw new Error('Uncached iframe should be flagged and use its initiator');
+    }
+    const prerendered = cache.resolveRequest({ tabId: 1, frameId: 14, frameType: 'outermost_frame', type: 'script', initiator: 'https://next.example' });
+    if (prerendered.inSubframe) throw new Error('Prerendered page flagged as iframe');
+  });
+
+  // Test 10: Frames from getAllFrames
+  addTest('seedFrames() should add unknown frames without overriding commits', () => {
+    const cache = createCache();
+    cache.seedFrames(1, [
+      { frameId: 0, parentFrameId: -1, url: 'https://news.example/article', documentId: 'doc-top' },
+      { frameId: 5, parentFrameId: 0, url: 'https://stale.example/', documentId: 'doc-old' },
+      { frameId: 6, parentFrameId: 5, url: 'https://nested.adframe.example/', documentId: 'doc-nested' }
+    ]);
+    if (cache.getFrame(1, 5).hostname !== 'ads.adframe.example') throw new Error('Committed frame overridden');
+    if (cache.getFrame(1, 6).hostname !== 'nested.adframe.example') throw new Error('Unknown frame not added');
+    if (cache.getPageFrame(1, 6).hostname !== 'news.example') throw new Error('Nested frame not linked to the page');
+
+    cache.seedFrames(1, [
+      { frameId: 0, parentFrameId: -1, url: 'https://old-page.example/', documentId: 'doc-gone' },
+      { frameId: 7, parentFrameId: 0, url: 'https://old-frame.example/', documentId: 'doc-gone-frame' }
+    ]);
+    if (cache.getFrame(1, 7)) throw new Error('Frames of a previous page were added');
+  });
+
+  // Test 11: Frame-aware classification
+  addTest('Background should classify requests against both the frame and the page', () => {
+    const background = fs.readFileSync(path.join(__dirname, '..', 'background.js'), 'utf8');
+    ['chrome.webNavigation.getAllFrames', 'tabDocuments.seedFrames(tab.id, frames)',
+      'isThirdPartyDomain(requestDomain, documents.frameHostname, request)',
+      'frameDomain: documents.frameHostname', 'inIframe: documents.inSubframe'].forEach(snippet => {
+      if (!background.includes(snippet)) throw new Error(`Missing in background.js: ${snippet}`);
+    });
+    const content = fs.readFileSync(path.join(__dirname, '..', 'content.js'), 'utf8');
+    if (!content.includes('`via iframe ${first}`')) throw new Error('Tags do not show the iframe');
+  });
+
+  // Summary
+  console.log('\n📊 PER-TAB DOCUMENT CACHE TEST RESULTS:');
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+  console.log(`📈 Total: ${results.total}`);
+
+  const successRate = ((results.passed / results.total) * 100).toFixed(1);
+  console.log(`📊 Success Rate: ${successRate}%`);
+
+  return results;
+}
+
+// Export for test runner
+if (typeof module !== 'undefined') {
+  module.exports = { runTabDocumentTests };
+}
+
+// Run if executed directly
+if (typeof window === 'undefined' && typeof module !== 'undefined' && require.main === module) {
+  runTabDocumentTests();
+}
@@ -0,0 +1,204 @@
+/**
+ * PER-TAB DETECTION LOG TESTS
+ *
+ * Tests lib/tab-log.js, the background log holding every detection of a tab.
+ * Uses an in-memory stand-in for chrome.storage.session to check that logs
+ * are persisted and restored across service worker restarts.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { TabDetectionLog, TAB_LOG_KEY_PREFIX } = require('../lib/tab-log.js');
+
+function createMemoryStorage(initial = {}) {
+  const data = { ...initial };
+  return {
+    data,
+    get: async (keys) => (keys === null ? { ...data } : {}),
+    set: async (items) => { Object.assign(data, items); },
+    remove: async (key) => { delete data[key]; }
+  };
+}
+
+function createDetection(fullDomain, overrides = {}) {
+  return {
+    url: `https://${fullDomain}/collect`,
+    domain: fullDomain,
+    fullDomain,
+    resourceType: 'script',
+    frameId: 0,
+    rule: `||${fullDomain}^`,
+    timestamp: Date.now(),
+    ...overrides
+  };
+}
+
+async function runTabLogTests() {
+  console.log('🧪 PER-TAB DETECTION LOG TESTS');
+  console.log('=' .repeat(60));
+  console.log('Testing background detection log and session persistence\n');
+
+  const results = {
+    passed: 0,
+    failed: 0,
+    total: 0,
+    tests: []
+  };
+
+  async function addTest(name, testFn) {
+    results.total++;
+    try {
+      await testFn();
+      console.log(`✅ ${name}`);
+      results.passed++;
+      results.tests.push({ name, status: 'passed' });
+    } catch (error) {
+      console.log(`❌ ${name}`);
+      console.log(`   Error: ${error.message}`);
+      results.failed++;
+      results.tests.push({ name, status: 'failed', error: error.message });
+    }
+  }
+
+  // Test 1: Entries are kept per tab
+  await addTest('Detections should be logged separately for each tab', async () => {
+    const log = new TabDetectionLog(createMemoryStorage(), { writeDelay: 0 });
+    log.add(1, createDetection('tracker-a.example'));
+    log.add(1, createDetection('tracker-b.example'));
+    log.add(2, createDetection('tracker-c.example'));
+
+    if (log.get(1).length !== 2) throw new Error(`Tab 1 has ${log.get(1).length} entries`);
+    if (log.get(2).length !== 1) throw new Error(`Tab 2 has ${log.get(2).length} entries`);
+    if (log.get(3).length !== 0) throw new Error('Unknown tab should have an empty log');
+  });
+
+  // Test 2: Returned log is a copy
+  await addTest('get() should return a copy of the log', async () => {
+    const log = new TabDetectionLog(createMemoryStorage(), { writeDelay: 0 });
+    log.add(1, createDetection('tracker-a.example'));
+    log.get(1).push(createDetection('tracker-b.example'));
+    if (log.get(1).length !== 1) throw new Error('Caller modified the stored log');
+  });
+
+  // Test 3: Entries are persisted under the tab's storage key
+  await addTest('flush() should write each tab log to storage', async () => {
+    const storage = createMemoryStorage();
+    const log = new TabDetectionLog(storage, { writeDelay: 60000 });
+    log.add(7, createDetection('tracker-a.example'));
+    clearTimeout(log.writeTimer);
+    await log.flush();
+
+    const stored = storage.data[`${TAB_LOG_KEY_PREFIX}7`];
+    if (!stored || stored.length !== 1 || stored[0].fullDomain !== 'tracker-a.example') {
+      throw new Error('Tab log not written to storage');
+    }
+  });
+
+  // Test 4: Logs survive a service worker restart
+  await addTest('restore() should reload logs written before a restart', async () => {
+    const storage = createMemoryStorage({
+      [`${TAB_LOG_KEY_PREFIX}4`]: [createDetection('before-restart.example')],
+      unrelatedSetting: true
+    });
+    const log = new TabDetectionLog(storage, { writeDelay: 60000 });
+    log.add(4, createDetection('after-restart.example'));
+    clearTimeout(log.writeTimer);
+    await log.restore();
+
+    const domains = log.get(4).map(entry => entry.fullDomain);
+    if (domains.join(',') !== 'before-restart.example,after-restart.example') {
+      throw new Error(`Unexpected order after restore: ${domains.join(',')}`);
+    }
+    if (log.logs.size !== 1) throw new Error('Non-log keys should be ignored');
+  });
+
+  // Test 5: Clearing removes memory and storage
+  await addTest('clear() should drop the tab log from memory and storage', async () => {
+    const storage = createMemoryStorage();
+    const log = new TabDetectionLog(storage, { writeDelay: 60000 });
+    log.add(5, createDetection('tracker-a.example'));
+    clearTimeout(log.writeTimer);
+    await log.flush();
+    await log.clear(5);
+
+    if (log.get(5).length !== 0) throw new Error('Log still in memory');
+    if (storage.data[`${TAB_LOG_KEY_PREFIX}5`]) throw new Error('Log still in storage');
+  });
+
+  // Test 6: Log size is capped
+  await addTest('Log should keep only the newest entries beyond the cap', async () => {
+    const log = new TabDetectionLog(createMemoryStorage(), { maxEntries: 3, writeDelay: 60000 });
+    for (let i = 0; i < 5; i++) {
+      log.add(1, createDetection(`tracker-${i}.example`));
+    }
+    clearTimeout(log.writeTimer);
+
+    const domains = log.get(1).map(entry => entry.fullDomain);
+    if (domains.join(',') !== 'tracker-2.example,tracker-3.example,tracker-4.example') {
+      throw new Error(`Unexpected entries: ${domains.join(',')}`);
+    }
+  });
+
+  // Test 7: Background wiring
+  await addTest('background.js should log detections and answer log queries', async () => {
+    const background = fs.readFileSync(path.join(__dirname, '..', 'background.js'), 'utf8');
+    ['new TabDetectionLog(chrome.storage.session)', 'tabLog.add(details.tabId, detection)',
+      "message.type === 'GET_TAB_LOG'", "message.type === 'CLEAR_TAB_LOG'"].forEach(snippet => {
+      if (!background.includes(snippet)) {
+        throw new Error(`Missing in background.js: ${snippet}`);
+      }
+    });
+  });
+
+  // Test 8: Navigation during startup
+  await addTest('A tab cleared before restore() finishes should stay empty', async () => {
+    const storage = createMemoryStorage({
+      [`${TAB_LOG_KEY_PREFIX}4`]: [createDetection('old-page-tracker.example')]
+    });
+    const log = new TabDetectionLog(storage, { writeDelay: 0 });
+
+    const restoring = log.restore();
+    await log.clear(4);
+    await restoring;
+
+    if (log.get(4).length !== 0) throw new Error('Cleared log was restored from storage');
+  });
+
+  // Test 9: Sequence numbers
+  await addTest('Entries should get sequence numbers that keep growing after a restart', async () => {
+    const storage = createMemoryStorage();
+    const log = new TabDetectionLog(storage, { writeDelay: 0 });
+    const first = log.add(1, createDetection('a.tracker.example'));
+    const second = log.add(2, createDetection('b.tracker.example'));
+    if (!(second.seq > first.seq)) throw new Error('Sequence numbers do not increase');
+    await log.flush();
+
+    // A restarted worker whose clock reads earlier than the stored entries
+    const restarted = new TabDetectionLog(storage, { writeDelay: 0 });
+    restarted.lastSeq = 0;
+    await restarted.restore();
+    const third = restarted.add(1, createDetection('c.tracker.example'));
+    if (!(third.seq > second.seq)) throw new Error(`Sequence went backwards: ${third.seq} <= ${second.seq}`);
+  });
+
+  // Summary
+  console.log('\n📊 PER-TAB DETECTION LOG TEST RESULTS:');
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+  console.log(`📈 Total: ${results.total}`);
+
+  const successRate = ((results.passed / results.total) * 100).toFixed(1);
+  console.log(`📊 Success Rate: ${successRate}%`);
+
+  return results;
+}
+
+// Export for test runner
+if (typeof module !== 'undefined') {
+  module.exports = { runTabLogTests };
+}
+
+// Run if executed directly
+if (typeof window === 'undefined' && typeof module !== 'undefined' && require.main === module) {
+  runTabLogTests();
+}
@@ -0,0 +1,243 @@
+/**
+ * TAG LAYOUT TESTS
+ *
+ * Tests lib/tag-layout.js, which ranks the domain tags (most recent, most
+ * requests or by category) and limits how many are shown, and the content
+ * script's ordering of the overlay with its "+N more" overflow chip.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const tagLayout = require('../lib/tag-layout.js');
+const { normalizeSetting, getSettingDefault } = require('../lib/settings.js');
+
+const { orderTags, layoutTags, getOverflowLabel } = tagLayout;
+
+const EXTENSION_DIR = path.join(__dirname, '..');
+
+const TAGS = [
+  { key: 'doubleclick.net', count: 12, category: 'advertising', activity: 1 },
+  { key: 'hotjar.com', count: 3, category: 'session-replay', activity: 4 },
+  { key: 'google-analytics.com', count: 7, category: 'analytics', activity: 2 },
+  { key: 'facebook.net', count: 7, category: 'social', activity: 3 }
+];
+
+function keys(tags) {
+  return tags.map(tag => tag.key).join(',');
+}
+
+// Minimal stand-in for overlay elements
+function createElement() {
+  const classes = new Set();
+  const listeners = {};
+  const element = {
+    children: [],
+    parentNode: null,
+    attributes: {},
+    classList: {
+      add: (...names) => names.forEach(name => classes.add(name)),
+      remove: (...names) => names.forEach(name => classes.delete(name)),
+      contains: (name) => classes.has(name)
+    },
+    setAttribute(name, value) { element.attributes[name] = value; },
+    addEventListener(type, listener) { listeners[type] = listener; },
+    click() { listeners.click(); },
+    get firstChild() { return element.children[0] || null; },
+    get nextSibling() {
+      const siblings = element.parentNode ? element.parentNode.children : [];
+      return siblings[siblings.indexOf(element) + 1] || null;
+    },
+    insertBefore(child, reference) {
+      if (child.parentNode) child.parentNode.removeChild(child);
+      const index = reference ? element.children.indexOf(reference) : element.children.length;
+      element.children.splice(index, 0, child);
+      child.parentNode = element;
+    },
+    appendChild(child) { element.insertBefore(child, null); },
+    removeChild(child) {
+      element.children.splice(element.children.indexOf(child), 1);
+      child.parentNode = null;
+    }
+  };
+  return element;
+}
+
+function loadTracker(settings = {}) {
+  const source = fs.readFileSync(path.join(EXTENSION_DIR, 'content.js'), 'utf8');
+  const context = vm.createContext({
+    window: { thirdPartyDomainTracker: {} },
+    document: { createElement },
+    console: { log() {} },
+    ...tagLayout
+  });
+  vm.runInContext(`${source}\nthis.ThirdPartyDomainTracker = ThirdPartyDomainTracker;`, context);
+
+  const tracker = Object.create(context.ThirdPartyDomainTracker.prototype);
+  tracker.container = createElement();
+  tracker.displayedDomains = new Map();
+  tracker.gradeTag = null;
+  tracker.overflowChip = null;
+  tracker.overflowExpanded = false;
+  tracker.stackDirection = 'up';
+  tracker.maxVisibleTags = 2;
+  tracker.tagOrder = 'recent';
+  Object.assign(tracker, settings);
+
+  TAGS.forEach(tag => {
+    const element = createElement();
+    element.key = tag.key;
+    tracker.container.appendChild(element);
+    tracker.displayedDomains.set(tag.key, { ...tag, element });
+  });
+  return tracker;
+}
+
+function containerOrder(tracker) {
+  return tracker.container.children
+    .map(element => element === tracker.overflowChip ? 'chip' : element.key)
+    .join(',');
+}
+
+function runTagLayoutTests() {
+  console.log('🧪 TAG LAYOUT TESTS');
+  console.log('=' .repeat(60));
+  console.log('Testing tag ordering, stacking direction and the overflow chip\n');
+
+  const results = {
+    passed: 0,
+    failed: 0,
+    total: 0,
+    tests: []
+  };
+
+  function addTest(name, testFn) {
+    results.total++;
+    try {
+      testFn();
+      console.log(`✅ ${name}`);
+      results.passed++;
+      results.tests.push({ name, status: 'passed' });
+    } catch (error) {
+      console.log(`❌ ${name}`);
+      console.log(`   Error: ${error.message}`);
+      results.failed++;
+      results.tests.push({ name, status: 'failed', error: error.message });
+    }
+  }
+
+  // Test 1: Most recent
+  addTest('Recent order should put the latest activity first', () => {
+    const order = keys(orderTags(TAGS, 'recent'));
+    if (order !== 'hotjar.com,facebook.net,google-analytics.com,doubleclick.net') throw new Error(`Unexpected order ${order}`);
+    if (keys(orderTags(TAGS, 'unknown-order')) !== order) throw new Error('Unknown order should fall back to recent');
+  });
+
+  // Test 2: Highest count
+  addTest('Count order should put the most requests first, ties by recent activity', () => {
+    const order = keys(orderTags(TAGS, 'count'));
+    if (order !== 'doubleclick.net,facebook.net,google-analytics.com,hotjar.com') throw new Error(`Unexpected order ${order}`);
+  });
+
+  // Test 3: Category
+  addTest('Category order should follow the category taxonomy', () => {
+    const order = keys(orderTags(TAGS.concat({ key: 'ads.example', count: 20, category: 'advertising', activity: 5 }), 'category'));
+    if (order !== 'ads.example,doubleclick.net,google-analytics.com,facebook.net,hotjar.com') throw new Error(`Unexpected order ${order}`);
+  });
+
+  // Test 4: Limit and direction
+  addTest('Only the first tags should be visible, placed from the chosen edge', () => {
+    const up = layoutTags(TAGS, { order: 'count', maxVisible: 2, direction: 'up', expanded: false });
+    if (up.visible.join(',') !== 'facebook.net,doubleclick.net') throw new Error(`Upward stack should end with the first tag: ${up.visible}`);
+    if (up.hidden.join(',') !== 'google-analytics.com,hotjar.com') throw new Error(`Unexpected hidden tags ${up.hidden}`);
+
+    const down = layoutTags(TAGS, { order: 'count', maxVisible: 2, direction: 'down', expanded: false });
+    if (down.visible.join(',') !== 'doubleclick.net,facebook.net') throw new Error(`Downward stack should start with the first tag: ${down.visible}`);
+
+    const expanded = layoutTags(TAGS, { order: 'count', maxVisible: 2, direction: 'down', expanded: true });
+    if (expanded.visible.length !== 4 || expanded.hidden.length !== 0) throw new Error('Expanded layout should show every tag');
+    if (getOverflowLabel(2, false) !== '+2 more' || getOverflowLabel(2, true) !== 'Show fewer') throw new Error('Unexpected chip labels');
+  });
+
+  // Test 5: Settings
+  addTest('Layout settings should be validated by the settings schema', () => {
+    if (getSettingDefault('stackDirection') !== 'up' || getSettingDefault('tagOrder') !== 'recent') throw new Error('Unexpected defaults');
+    if (normalizeSetting('maxVisibleTags', 0) !== 1 || normalizeSetting('maxVisibleTags', 500) !== 50) throw new Error('Tag limit not clamped');
+    if (normalizeSetting('tagOrder', 'alphabetical') !== 'recent') throw new Error('Unknown order accepted');
+  });
+
+  // Test 6: Overlay order
+  addTest('The overlay should show the visible tags in order with the chip at the far end', () => {
+    const tracker = loadTracker();
+    tracker.renderTagLayout();
+    if (!containerOrder(tracker).startsWith('chip,facebook.net,hotjar.com,')) {
+      throw new Error(`Unexpected overlay ${containerOrder(tracker)}`);
+    }
+    if (tracker.overflowChip.textContent !== '+2 more') throw new Error(`Unexpected chip ${tracker.overflowChip.textContent}`);
+    ['google-analytics.com', 'doubleclick.net'].forEach(key => {
+      if (!tracker.displayedDomains.get(key).element.classList.contains('tpd-overflow')) throw new Error(`${key} not folded`);
+    });
+
+    tracker.stackDirection = 'down';
+    tracker.tagOrder = 'count';
+    tracker.renderTagLayout();
+    if (!containerOrder(tracker).startsWith('doubleclick.net,facebook.net,chip')) throw new Error(`Unexpected overlay ${containerOrder(tracker)}`);
+  });
+
+  // Test 7: Expanding and shrinking
+  addTest('The chip should expand the overflow and go once everything fits', () => {
+    const tracker = loadTracker();
+    tracker.renderTagLayout();
+    tracker.overflowChip.click();
+    if (tracker.overflowChip.textContent !== 'Show fewer' || tracker.overflowChip.attributes['aria-expanded'] !== 'true') {
+      throw new Error('Chip not expanded');
+    }
+    if ([...tracker.displayedDomains.values()].some(domainData => domainData.element.classList.contains('tpd-overflow'))) {
+      throw new Error('Tags still folded after expanding');
+    }
+
+    tracker.displayedDomains.delete('doubleclick.net');
+    tracker.displayedDomains.delete('hotjar.com');
+    tracker.renderTagLayout();
+    if (tracker.overflowChip.parentNode || tracker.overflowExpanded) throw new Error('Chip should go when every tag fits');
+  });
+
+  // Test 8: Wiring
+  addTest('The content script should lay out tags after every batch and removal', () => {
+    const content = fs.readFileSync(path.join(EXTENSION_DIR, 'content.js'), 'utf8');
+    const batch = content.slice(content.indexOf('  applyPendingDetections() {'), content.indexOf('  processDomainEvent('));
+    if (!batch.includes('this.renderTagLayout()')) throw new Error('Batches are not laid out');
+    const removal = content.slice(content.indexOf('  removeDomain(tagKey) {'), content.indexOf('  clearAllTags() {'));
+    if (!removal.includes('this.renderTagLayout()')) throw new Error('Removed tags do not make room for folded ones');
+    if (!content.includes('activity: ++this.activitySeq') || !content.includes('existingDomain.activity = ++this.activitySeq')) {
+      throw new Error('Tag activity not recorded');
+    }
+
+    const manifest = JSON.parse(fs.readFileSync(path.join(EXTENSION_DIR, 'manifest.json'), 'utf8'));
+    const scripts = manifest.content_scripts[0].js;
+    if (scripts.indexOf('lib/tag-layout.js') < 0 || scripts.indexOf('lib/tag-layout.js') > scripts.indexOf('content.js')) {
+      throw new Error('Content script does not load lib/tag-layout.js first');
+    }
+  });
+
+  // Summary
+  console.log('\n📊 TAG LAYOUT TEST RESULTS:');
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+  console.log(`📈 Total: ${results.total}`);
+
+  const successRate = ((results.passed / results.total) * 100).toFixed(1);
+  console.log(`📊 Success Rate: ${successRate}%`);
+
+  return results;
+}
+
+// Export for test runner
+if (typeof module !== 'undefined') {
+  module.exports = { runTagLayoutTests };
+}
+
+// Run if executed directly
+if (typeof window === 'undefined' && typeof module !== 'undefined' && require.main === module) {
+  runTagLayoutTests();
+}
@@ -0,0 +1,247 @@
+/**
+ * TAG THEME TESTS
+ *
+ * Tests lib/theme.js, which gives each tracker category a tag background per
+ * theme and picks the text and count badge colours from the WCAG contrast of
+ * each background, and the content script applying the theme to its tags.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const theme = require('../lib/theme.js');
+const { TRACKER_CATEGORIES } = require('../lib/tracker-categories.js');
+const { THEME_NAMES, normalizeSetting, getSettingDefault, parseSettingsImport } = require('../lib/settings.js');
+
+const {
+  MIN_TEXT_CONTRAST,
+  THEMES,
+  getContrastRatio,
+  pickReadableTextColor,
+  blendColors,
+  normalizeCustomPalette,
+  getTagColors,
+  buildThemeStyles
+} = theme;
+
+const EXTENSION_DIR = path.join(__dirname, '..');
+
+// The hand-picked classic colours: [background, text]
+const CLASSIC_COLORS = {
+  'advertising': ['#FF8400', '#000000'],
+  'analytics': ['#4A628F', '#FFFFFF'],
+  'social': ['#2E1065', '#FFFFFF'],
+  'session-replay': ['#B3124F', '#FFFFFF'],
+  'customer-engagement': ['#F9DFC6', '#000000'],
+  'tag-manager': ['#F2C14E', '#000000'],
+  'fingerprinting': ['#7A1F2B', '#FFFFFF'],
+  'cdn': ['#2F6B3A', '#FFFFFF'],
+  'unknown': ['#4B5563', '#FFFFFF']
+};
+
+// Every 51st step of each channel: 216 colours across the whole range
+function sampleColors() {
+  const steps = ['00', '33', '66', '99', 'CC', 'FF'];
+  const colors = [];
+  steps.forEach(r => steps.forEach(g => steps.forEach(b => colors.push(`#${r}${g}${b}`))));
+  return colors;
+}
+
+function createTag() {
+  const classes = new Set();
+  const properties = {};
+  return {
+    classes,
+    properties,
+    classList: { add: (...names) => names.forEach(name => classes.add(name)) },
+    style: { setProperty: (name, value) => { properties[name] = value; } }
+  };
+}
+
+function loadTracker() {
+  const source = fs.readFileSync(path.join(EXTENSION_DIR, 'content.js'), 'utf8');
+  const context = vm.createContext({
+    window: { thirdPartyDomainTracker: {} },
+    console: { log() {} },
+    DEFAULT_TRACKER_CATEGORY: 'unknown',
+    ...theme
+  });
+  vm.runInContext(`${source}\nthis.ThirdPartyDomainTracker = ThirdPartyDomainTracker;`, context);
+
+  const tracker = Object.create(context.ThirdPartyDomainTracker.prototype);
+  tracker.theme = 'classic';
+  tracker.customPalette = null;
+  tracker.themeStyles = buildThemeStyles('classic');
+  tracker.displayedDomains = new Map();
+  return tracker;
+}
+
+function runThemeTests() {
+  console.log('🧪 TAG THEME TESTS');
+  console.log('=' .repeat(60));
+  console.log('Testing themes, custom palettes and the automatic text contrast\n');
+
+  const results = {
+    passed: 0,
+    failed: 0,
+    total: 0,
+    tests: []
+  };
+
+  function addTest(name, testFn) {
+    results.total++;
+    try {
+      testFn();
+      console.log(`✅ ${name}`);
+      results.passed++;
+      results.tests.push({ name, status: 'passed' });
+    } catch (error) {
+      console.log(`❌ ${name}`);
+      console.log(`   Error: ${error.message}`);
+      results.failed++;
+      results.tests.push({ name, status: 'failed', error: error.message });
+    }
+  }
+
+  // Test 1: WCAG formula
+  addTest('Contrast ratios should follow the WCAG formula', () => {
+    if (getContrastRatio('#000000', '#FFFFFF') !== 21) throw new Error('Black on white should be 21:1');
+    if (getContrastRatio('#4A628F', '#4A628F') !== 1) throw new Error('A colour on itself should be 1:1');
+    const grey = getContrastRatio('#777777', '#FFF');
+    if (grey < 4.47 || grey > 4.49) throw new Error(`#777 on white should be about 4.48:1, got ${grey}`);
+    if (blendColors('#000000', '#FFFFFF', 0.5) !== '#808080') throw new Error('Unexpected blend');
+  });
+
+  // Test 2: Readable text on any background
+  addTest('The picked text colour should meet WCAG AA on any background', () => {
+    if (pickReadableTextColor('#2E1065') !== '#FFFFFF' || pickReadableTextColor('#F9DFC6') !== '#000000') {
+      throw new Error('Unexpected text colour');
+    }
+    sampleColors().forEach(background => {
+      const ratio = getContrastRatio(pickReadableTextColor(background), background);
+      if (ratio < MIN_TEXT_CONTRAST) throw new Error(`${background} only reaches ${ratio.toFixed(2)}:1`);
+    });
+  });
+
+  // Test 3: Count badge
+  addTest('The count badge should stand out from the tag and stay readable', () => {
+    sampleColors().forEach(background => {
+      const colors = getTagColors(background);
+      if (getContrastRatio(colors.badgeBackground, background) < 1.2) throw new Error(`Badge not set off from ${background}`);
+      if (colors.badgeContrast < MIN_TEXT_CONTRAST) {
+        throw new Error(`${background}: count only reaches ${colors.badgeContrast.toFixed(2)}:1`);
+      }
+    });
+    const orange = getTagColors('#FF8400');
+    if (orange.badgeContrast < orange.textContrast) throw new Error('Count should be at least as readable as the domain name');
+    if (getTagColors('#000000').badgeBackground !== blendColors('#000000', '#FFFFFF', 0.3)) throw new Error('Black tags need a lighter badge');
+  });
+
+  // Test 4: Classic theme
+  addTest('The classic theme should keep the hand-picked category colours', () => {
+    const styles = buildThemeStyles('classic');
+    Object.keys(TRACKER_CATEGORIES).forEach(category => {
+      const [background, text] = CLASSIC_COLORS[category];
+      if (styles[category].background !== background) throw new Error(`${category} background changed`);
+      if (styles[category].text !== text) throw new Error(`${category} text should stay ${text}`);
+    });
+    if (buildThemeStyles('no-such-theme').analytics.background !== '#4A628F') throw new Error('Unknown theme should fall back to classic');
+  });
+
+  // Test 5: Built-in themes
+  addTest('Every built-in theme should color every category readably', () => {
+    ['classic', 'light', 'dark', 'high-contrast'].forEach(name => {
+      const styles = buildThemeStyles(name);
+      Object.keys(TRACKER_CATEGORIES).forEach(category => {
+        const colors = styles[category];
+        if (!colors) throw new Error(`${name} has no colors for ${category}`);
+        if (colors.textContrast < MIN_TEXT_CONTRAST || colors.badgeContrast < MIN_TEXT_CONTRAST) {
+          throw new Error(`${name}/${category} below ${MIN_TEXT_CONTRAST}:1`);
+        }
+      });
+    });
+    if (buildThemeStyles('light').social.text !== '#000000' || buildThemeStyles('dark').cdn.text !== '#FFFFFF') {
+      throw new Error('Light and dark themes should use dark and light text');
+    }
+    if (buildThemeStyles('high-contrast').advertising.border !== THEMES['high-contrast'].border) throw new Error('High contrast border missing');
+  });
+
+  // Test 6: Custom palette
+  addTest('A custom palette should be validated and fall back per category', () => {
+    const palette = normalizeCustomPalette({ analytics: '#ffff00', social: 'red', 'not-a-category': '#123456' });
+    if (palette.analytics !== '#FFFF00') throw new Error('Valid colour not kept');
+    if (palette.social !== THEMES.classic.palette.social) throw new Error('Invalid colour should fall back to classic');
+    if ('not-a-category' in palette || Object.keys(palette).length !== Object.keys(TRACKER_CATEGORIES).length) {
+      throw new Error('Palette should have exactly one colour per category');
+    }
+
+    const styles = buildThemeStyles('custom', { analytics: '#FFFF00' });
+    if (styles.analytics.background !== '#FFFF00' || styles.analytics.text !== '#000000') throw new Error('Custom colour not used');
+    if (buildThemeStyles('classic', { analytics: '#FFFF00' }).analytics.background !== '#4A628F') {
+      throw new Error('Custom palette should only apply to the custom theme');
+    }
+  });
+
+  // Test 7: Settings
+  addTest('Theme settings should be validated by the settings schema', () => {
+    if (THEME_NAMES.join(',') !== Object.keys(THEMES).join(',')) throw new Error('Schema and lib/theme.js list different themes');
+    if (getSettingDefault('theme') !== 'classic' || normalizeSetting('theme', 'neon') !== 'classic') throw new Error('Unexpected theme default');
+    if (normalizeSetting('customPalette', undefined).cdn !== THEMES.classic.palette.cdn) throw new Error('Palette default not delegated');
+
+    const imported = parseSettingsImport(JSON.stringify({
+      format: 'ghost-tracer-settings',
+      version: 1,
+      settings: { theme: 'dark', customPalette: ['#000000'] }
+    }));
+    if (imported.settings.theme !== 'dark' || imported.errors.length !== 1) throw new Error(`Unexpected import ${JSON.stringify(imported)}`);
+  });
+
+  // Test 8: Overlay
+  addTest('The content script should color its tags from the theme', () => {
+    const tracker = loadTracker();
+    const tag = createTag();
+    tracker.applyTagTheme(tag, 'not-a-category');
+    if (!tag.classes.has('tpd-themed') || tag.properties['--tpd-tag-background'] !== '#4B5563') {
+      throw new Error('Unknown category should get the unclassified colours');
+    }
+
+    tracker.displayedDomains.set('hotjar.com', { element: tag, category: 'session-replay' });
+    tracker.applyThemeSettings({ theme: 'custom', customPalette: normalizeCustomPalette({ 'session-replay': '#FFFFFF' }) });
+    if (tag.properties['--tpd-tag-background'] !== '#FFFFFF' || tag.properties['--tpd-tag-text'] !== '#000000') {
+      throw new Error(`Displayed tag not re-themed: ${JSON.stringify(tag.properties)}`);
+    }
+    if (tag.properties['--tpd-count-background'] === '#FFFFFF' || !tag.properties['--tpd-count-text']) throw new Error('Count badge not themed');
+
+    const styles = fs.readFileSync(path.join(EXTENSION_DIR, 'styles.css'), 'utf8');
+    // The theme is the only source of tag colours
+    if (!styles.includes('.tpd-tag.tpd-themed {') || /\.tpd-tag\.color-/.test(styles)) {
+      throw new Error('styles.css should color tags through .tpd-themed only');
+    }
+    const manifest = JSON.parse(fs.readFileSync(path.join(EXTENSION_DIR, 'manifest.json'), 'utf8'));
+    const scripts = manifest.content_scripts[0].js;
+    if (scripts.indexOf('lib/theme.js') < 0 || scripts.indexOf('lib/theme.js') > scripts.indexOf('content.js')) {
+      throw new Error('Content script does not load lib/theme.js first');
+    }
+  });
+
+  // Summary
+  console.log('\n📊 TAG THEME TEST RESULTS:');
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+  console.log(`📈 Total: ${results.total}`);
+
+  const successRate = ((results.passed / results.total) * 100).toFixed(1);
+  console.log(`📊 Success Rate: ${successRate}%`);
+
+  return results;
+}
+
+// Export for test runner
+if (typeof module !== 'undefined') {
+  module.exports = { runThemeTests };
+}
+
+// Run if executed directly
+if (typeof window === 'undefined' && typeof module !== 'undefined' && require.main === module) {
+  runThemeTests();
+}
@@ -0,0 +1,149 @@
+/**
+ * TRACKER CATEGORY TESTS
+ *
+ * Tests the category taxonomy in lib/tracker-categories.js, the
+ * "! Category:" directives understood by the filter engine and the bundled
+ * domain → category map. The category travels with every THIRD_PARTY_DOMAINS
+ * summary and decides the label and color of the domain tag.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { FilterEngine } = require('../lib/filter-engine.js');
+const { TRACKER_CATEGORIES, categorizeTracker, getTrackerCategory } = require('../lib/tracker-categories.js');
+const { TRACKER_DOMAIN_CATEGORIES } = require('../data/tracker-domains.js');
+
+const REQUIRED_CATEGORIES = [
+  'advertising', 'analytics', 'social', 'session-replay',
+  'customer-engagement', 'tag-manager', 'fingerprinting', 'cdn'
+];
+
+function runTrackerCategoryTests() {
+  console.log('🧪 TRACKER CATEGORY TESTS');
+  console.log('=' .repeat(60));
+  console.log('Testing tracker category taxonomy and resolution\n');
+
+  const results = {
+    passed: 0,
+    failed: 0,
+    total: 0,
+    tests: []
+  };
+
+  function addTest(name, testFn) {
+    results.total++;
+    try {
+      testFn();
+      console.log(`✅ ${name}`);
+      results.passed++;
+      results.tests.push({ name, status: 'passed' });
+    } catch (error) {
+      console.log(`❌ ${name}`);
+      console.log(`   Error: ${error.message}`);
+      results.failed++;
+      results.tests.push({ name, status: 'failed', error: error.message });
+    }
+  }
+
+  // Test 1: Taxonomy covers every requested category
+  addTest('Taxonomy should define all eight tracker categories', () => {
+    REQUIRED_CATEGORIES.forEach(category => {
+      const info = TRACKER_CATEGORIES[category];
+      if (!info || !info.label || !info.shortLabel || !info.colorClass) {
+        throw new Error(`Category "${category}" is missing or incomplete`);
+      }
+    });
+  });
+
+  // Test 2: Known vendor domains win over rule categories
+  addTest('Known domain category should take precedence over the rule category', () => {
+    const category = categorizeTracker('hotjar.com', { category: 'analytics' });
+    if (category !== 'session-replay') {
+      throw new Error(`Expected session-replay, got ${category}`);
+    }
+  });
+
+  // Test 3: Rule category used for unknown vendors
+  addTest('Rule category should be used for domains not in the map', () => {
+    const category = categorizeTracker('unknown-vendor.example', { category: 'advertising' });
+    if (category !== 'advertising') {
+      throw new Error(`Expected advertising, got ${category}`);
+    }
+  });
+
+  // Test 4: Fallback category
+  addTest('Unknown domain without a rule category should fall back to "unknown"', () => {
+    const category = categorizeTracker('unknown-vendor.example', { category: 'not-a-category' });
+    if (category !== 'unknown') {
+      throw new Error(`Expected unknown, got ${category}`);
+    }
+    if (getTrackerCategory(undefined) !== TRACKER_CATEGORIES.unknown) {
+      throw new Error('Undefined category should resolve to the unknown category info');
+    }
+  });
+
+  // Test 5: Filter directives assign categories
+  addTest('"! Category:" directives should apply to the following rules', () => {
+    const engine = new FilterEngine();
+    engine.addList('test', '||first.example^\n! Category: social\n||second.example^\n! Category: cdn\n||third.example^');
+
+    const categoryOf = (hostname) => engine.match({ url: `https://${hostname}/`, hostname, thirdParty: true }).category;
+    if (categoryOf('first.example') !== null) throw new Error('Rule before any directive should have no category');
+    if (categoryOf('second.example') !== 'social') throw new Error('Directive not applied');
+    if (categoryOf('third.example') !== 'cdn') throw new Error('Later directive not applied');
+  });
+
+  // Test 6: List default category
+  addTest('List default category should apply to rules without a directive', () => {
+    const engine = new FilterEngine();
+    engine.addList('easylist', '||ads.example^', { category: 'advertising' });
+    const rule = engine.match({ url: 'https://ads.example/', hostname: 'ads.example', thirdParty: true });
+    if (rule.category !== 'advertising') throw new Error(`Expected advertising, got ${rule.category}`);
+  });
+
+  // Test 7: Default rule pack is fully categorised
+  addTest('Every rule in the default pack should carry a valid category', () => {
+    const engine = new FilterEngine();
+    engine.addList('default', fs.readFileSync(path.join(__dirname, '..', 'filters', 'default.txt'), 'utf8'));
+
+    const rules = [
+      ...[...engine.hostnameRules.values()].flat(),
+      ...[...engine.tokenRules.values()].flat(),
+      ...engine.genericRules
+    ];
+    const uncategorised = rules.filter(rule => !TRACKER_CATEGORIES[rule.category]);
+    if (uncategorised.length > 0) {
+      throw new Error(`Uncategorised rules: ${uncategorised.map(rule => rule.text).join(', ')}`);
+    }
+  });
+
+  // Test 8: Domain map only uses known categories
+  addTest('Domain category map should only reference known categories', () => {
+    Object.entries(TRACKER_DOMAIN_CATEGORIES).forEach(([domain, category]) => {
+      if (!TRACKER_CATEGORIES[category]) {
+        throw new Error(`${domain} mapped to unknown category "${category}"`);
+      }
+    });
+  });
+
+  // Summary
+  console.log('\n📊 TRACKER CATEGORY TEST RESULTS:');
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+  console.log(`📈 Total: ${results.total}`);
+
+  const successRate = ((results.passed / results.total) * 100).toFixed(1);
+  console.log(`📊 Success Rate: ${successRate}%`);
+
+  return results;
+}
+
+// Export for test runner
+if (typeof module !== 'undefined') {
+  module.exports = { runTrackerCategoryTests };
+}
+
+// Run if executed directly
+if (typeof window === 'undefined' && typeof module !== 'undefined' && require.main === module) {
+  runTrackerCategoryTests();
+}
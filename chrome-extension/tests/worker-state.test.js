@@ -0,0 +1,261 @@
+/**
+ * SERVICE WORKER STATE TESTS
+ *
+ * Tests lib/worker-state.js, which keeps the settings and frame cache the
+ * webRequest listeners depend on in chrome.storage.session, and the start-up
+ * gating in background.js. background.js is loaded in a VM with stand-in
+ * chrome APIs to replay a service worker restart.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { WorkerState, WORKER_STATE_KEY } = require('../lib/worker-state.js');
+const { TabDocumentCache } = require('../lib/tab-documents.js');
+
+const EXTENSION_DIR = path.join(__dirname, '..');
+
+function createMemoryStorage(initial = {}) {
+  const data = { ...initial };
+  return {
+    data,
+    get: async (keys) => {
+      if (keys === null) return { ...data };
+      return [].concat(keys).reduce((result, key) => {
+        if (key in data) result[key] = data[key];
+        return result;
+      }, {});
+    },
+    set: async (items) => { Object.assign(data, items); },
+    remove: async (key) => { delete data[key]; }
+  };
+}
+
+function createEvent() {
+  const listeners = [];
+  return { listeners, addListener: (listener) => listeners.push(listener) };
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Loads background.js the way Chrome starts the service worker
+function startBackground({ local, session, tabs, frames }) {
+  const chrome = {
+    storage: { local, session, onChanged: createEvent() },
+    runtime: { getURL: (file) => file, onInstalled: createEvent(), onMessage: createEvent(), lastError: null },
+    tabs: {
+      query: async () => tabs,
+      get: (tabId, callback) => callback(tabs.find(tab => tab.id === tabId)),
+      sendMessage: async () => {},
+      onRemoved: createEvent(),
+      onReplaced: createEvent()
+    },
+    webNavigation: {
+      getAllFrames: (details, callback) => callback(frames[details.tabId] || []),
+      onCommitted: createEvent()
+    },
+    webRequest: {
+      onBeforeRequest: createEvent(),
+      onHeadersReceived: createEvent(),
+      onCompleted: createEvent(),
+      onErrorOccurred: createEvent()
+    },
+    declarativeNetRequest: { getDynamicRules: async () => [], updateDynamicRules: async () => {} },
+    action: { setBadgeText: async () => {}, setBadgeBackgroundColor: async () => {} }
+  };
+
+  const context = vm.createContext({
+    chrome,
+    console: { log() {}, error() {} },
+    setTimeout,
+    clearTimeout,
+    URL,
+    TextDecoder,
+    // Tracking history is not under test; its database never opens
+    indexedDB: { open: () => ({}) },
+    fetch: async (file) => ({ text: async () => fs.readFileSync(path.join(EXTENSION_DIR, file), 'utf8') })
+  });
+  context.importScripts = (...files) => {
+    files.forEach(file => vm.runInContext(fs.readFileSync(path.join(EXTENSION_DIR, file), 'utf8'), context, { filename: file }));
+  };
+  vm.runInContext(fs.readFileSync(path.join(EXTENSION_DIR, 'background.js'), 'utf8'), context, { filename: 'background.js' });
+
+  return {
+    chrome,
+    request: (details) => chrome.webRequest.onBeforeRequest.listeners.forEach(listener => listener({
+      requestId: String(Math.random()), method: 'GET', parentFrameId: -1, timeStamp: Date.now(), ...details
+    })),
+    getLog: (tabId) => vm.runInContext(`tabLog.get(${tabId})`, context),
+    ready: () => vm.runInContext('workerReady', context)
+  };
+}
+
+async function runWorkerStateTests() {
+  console.log('🧪 SERVICE WORKER STATE TESTS');
+  console.log('=' .repeat(60));
+  console.log('Testing state persistence across service worker restarts\n');
+
+  const results = {
+    passed: 0,
+    failed: 0,
+    total: 0,
+    tests: []
+  };
+
+  async function addTest(name, testFn) {
+    results.total++;
+    try {
+      await testFn();
+      console.log(`✅ ${name}`);
+      results.passed++;
+      results.tests.push({ name, status: 'passed' });
+    } catch (error) {
+      console.log(`❌ ${name}`);
+      console.log(`   Error: ${error.message}`);
+      results.failed++;
+      results.tests.push({ name, status: 'failed', error: error.message });
+    }
+  }
+
+  // Test 1: Safe defaults
+  await addTest('Values should be the safe defaults until hydrated', async () => {
+    const state = new WorkerState(createMemoryStorage(), { enabled: false, siteRules: [] });
+    if (state.get('enabled') !== false) throw new Error('Default not used before hydration');
+    if (state.hydrated) throw new Error('State should not be hydrated yet');
+  });
+
+  // Test 2: Snapshot and loaded values
+  await addTest('hydrate() should restore the snapshot and let loaded settings win', async () => {
+    const storage = createMemoryStorage({ [WORKER_STATE_KEY]: { enabled: true, siteRules: ['old'], tabDocuments: { 1: {} } } });
+    const state = new WorkerState(storage, { enabled: false, siteRules: [], tabDocuments: {} }, { writeDelay: 0 });
+    const snapshot = await state.hydrate(async () => ({ siteRules: ['new'] }));
+
+    if (state.get('enabled') !== true) throw new Error('Snapshot value not restored');
+    if (state.get('siteRules')[0] !== 'new') throw new Error('Loaded value should win over the snapshot');
+    if (!snapshot.tabDocuments[1]) throw new Error('hydrate() should resolve with the stored snapshot');
+  });
+
+  // Test 3: Changes while hydrating
+  await addTest('Values set while hydrating should not be overwritten', async () => {
+    const storage = createMemoryStorage({ [WORKER_STATE_KEY]: { enabled: true } });
+    const state = new WorkerState(storage, { enabled: false }, { writeDelay: 0 });
+    const hydrating = state.hydrate(async () => ({ enabled: true }));
+    state.set('enabled', false);
+    await hydrating;
+    if (state.get('enabled') !== false) throw new Error('Newer value overwritten by hydration');
+  });
+
+  // Test 4: Persistence
+  await addTest('Changes should be written to storage only after hydration', async () => {
+    const storage = createMemoryStorage({ [WORKER_STATE_KEY]: { enabled: true, siteRules: ['kept'] } });
+    const state = new WorkerState(storage, { enabled: false, siteRules: [] }, { writeDelay: 60000 });
+    state.set('enabled', false);
+    if (state.writeTimer) throw new Error('Write scheduled before hydration');
+
+    await state.hydrate();
+    await state.flush();
+    const stored = storage.data[WORKER_STATE_KEY];
+    if (stored.enabled !== false || stored.siteRules[0] !== 'kept') throw new Error(`Unexpected snapshot ${JSON.stringify(stored)}`);
+
+    let threw = false;
+    try {
+      state.set('unknownKey', 1);
+    } catch {
+      threw = true;
+    }
+    if (!threw) throw new Error('Unknown keys should be rejected');
+  });
+
+  // Test 5: Frame cache snapshots
+  await addTest('The frame cache should survive a serialize/restore round trip', async () => {
+    const cache = new TabDocumentCache();
+    cache.commit({ tabId: 1, frameId: 0, parentFrameId: -1, url: 'https://news.example/', documentId: 'doc-top' });
+    cache.commit({ tabId: 1, frameId: 4, parentFrameId: 0, url: 'https://ads.adframe.example/', documentId: 'doc-ad' });
+    cache.commit({ tabId: 2, frameId: 0, parentFrameId: -1, url: 'https://closed.example/' });
+    const snapshot = JSON.parse(JSON.stringify(cache.serialize()));
+
+    const restarted = new TabDocumentCache();
+    restarted.commit({ tabId: 1, frameId: 0, parentFrameId: -1, url: 'https://newer.example/', documentId: 'doc-newer' });
+    restarted.restore(snapshot);
+    restarted.retainTabs([1]);
+
+    if (restarted.getFrame(1, 0).hostname !== 'newer.example') throw new Error('Restore overrode a newer commit');
+    if (restarted.getFrame(2, 0)) throw new Error('Closed tab kept');
+
+    const fresh = new TabDocumentCache();
+    fresh.restore(snapshot);
+    const { frameHostname, inSubframe } = fresh.resolveRequest({ tabId: 1, frameId: 4, type: 'image', documentId: 'doc-ad' });
+    if (frameHostname !== 'ads.adframe.example' || !inSubframe) throw new Error('Restored frame not used');
+  });
+
+  // Test 6: Restart with monitoring enabled
+  await addTest('Requests arriving while a restarted worker starts should be classified, not dropped', async () => {
+    const cache = new TabDocumentCache();
+    cache.commit({ tabId: 7, frameId: 0, parentFrameId: -1, url: 'https://news.example/article', documentId: 'doc-top' });
+    cache.commit({ tabId: 7, frameId: 3, parentFrameId: 0, url: 'https://widget.example/embed', documentId: 'doc-widget' });
+
+    const background = startBackground({
+      local: createMemoryStorage({ enabled: true }),
+      session: createMemoryStorage({ [WORKER_STATE_KEY]: { enabled: true, tabDocuments: cache.serialize() } }),
+      tabs: [{ id: 7, url: 'https://news.example/article' }],
+      frames: {}
+    });
+
+    // Fired by the same event that woke the worker, before any storage read
+    background.request({ tabId: 7, frameId: 3, type: 'image', url: 'https://ad.doubleclick.net/pixel', documentId: 'doc-widget' });
+    await background.ready();
+
+    const log = background.getLog(7);
+    if (log.length !== 1) throw new Error(`Expected 1 logged request, got ${log.length}`);
+    if (log[0].frameDomain !== 'widget.example' || !log[0].inIframe) throw new Error('Restored frame cache not used for attribution');
+  });
+
+  // Test 7: Restart with monitoring disabled
+  await addTest('A restarted worker should not monitor before reading that monitoring is off', async () => {
+    const background = startBackground({
+      local: createMemoryStorage({ enabled: false }),
+      session: createMemoryStorage(),
+      tabs: [{ id: 7, url: 'https://news.example/' }],
+      frames: {}
+    });
+    background.request({ tabId: 7, frameId: 0, type: 'script', url: 'https://ad.doubleclick.net/tag.js' });
+    await background.ready();
+    await wait(0);
+    if (background.getLog(7).length !== 0) throw new Error('Request logged while monitoring is disabled');
+  });
+
+  // Test 8: Wiring
+  await addTest('background.js should keep no settings in module globals', async () => {
+    const background = fs.readFileSync(path.join(EXTENSION_DIR, 'background.js'), 'utf8');
+    ['let isEnabled', 'let siteRules', 'let badgeThresholds'].forEach(snippet => {
+      if (background.includes(snippet)) throw new Error(`Module global still present: ${snippet}`);
+    });
+    ['new WorkerState(chrome.storage.session', 'Promise.all([stateReady, filtersReady, blocksReady, tabLogReady])',
+      'whenWorkerReady(() => classifyRequest(details))', 'tabDocuments.restore(snapshot.tabDocuments)'].forEach(snippet => {
+      if (!background.includes(snippet)) throw new Error(`Missing in background.js: ${snippet}`);
+    });
+  });
+
+  // Summary
+  console.log('\n📊 SERVICE WORKER STATE TEST RESULTS:');
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+  console.log(`📈 Total: ${results.total}`);
+
+  const successRate = ((results.passed / results.total) * 100).toFixed(1);
+  console.log(`📊 Success Rate: ${successRate}%`);
+
+  return results;
+}
+
+// Export for test runner
+if (typeof module !== 'undefined') {
+  module.exports = { runWorkerStateTests };
+}
+
+// Run if executed directly
+if (typeof window === 'undefined' && typeof module !== 'undefined' && require.main === module) {
+  runWorkerStateTests();
+}